@@ -0,0 +1,47 @@
+// Booking lifecycle. Each status lists the statuses it can move to and who may make
+// that move:
+//   customer - the booking's customer
+//   vendor   - a member of the vendor's team with bookings.manage
+//   staff    - platform staff with the bookings.manage permission
+//   system   - the platform itself (payments, refunds)
+const BOOKING_TRANSITIONS = {
+  pending: {
+    confirmed: ['vendor', 'staff', 'system'],
+    rejected: ['vendor', 'staff'],
+    cancelled: ['customer', 'vendor', 'staff', 'system']
+  },
+  confirmed: {
+    in_progress: ['vendor', 'staff'],
+    cancelled: ['customer', 'vendor', 'staff', 'system']
+  },
+  in_progress: {
+    completed: ['vendor', 'staff']
+  },
+  completed: {},
+  cancelled: {},
+  rejected: {}
+};
+
+const BOOKING_STATUSES = Object.keys(BOOKING_TRANSITIONS);
+
+// Statuses that hold an availability slot
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+const canTransition = (from, to) =>
+  Boolean(BOOKING_TRANSITIONS[from] && BOOKING_TRANSITIONS[from][to]);
+
+const roleCanTransition = (from, to, role) =>
+  canTransition(from, to) && BOOKING_TRANSITIONS[from][to].includes(role);
+
+// Statuses `role` may move a booking in `from` to
+const allowedTransitions = (from, role) =>
+  Object.keys(BOOKING_TRANSITIONS[from] || {}).filter(to => roleCanTransition(from, to, role));
+
+module.exports = {
+  BOOKING_TRANSITIONS,
+  BOOKING_STATUSES,
+  ACTIVE_BOOKING_STATUSES,
+  canTransition,
+  roleCanTransition,
+  allowedTransitions
+};
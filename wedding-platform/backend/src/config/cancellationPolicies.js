@@ -0,0 +1,34 @@
+// Cancellation policies a vendor can attach to a service. Each is a list of tiers: a
+// booking cancelled at least `days` days before the event gets `percent` of what has
+// been paid back. The tier with the most notice that applies wins; with less notice
+// than every tier nothing is refunded. 'custom' uses the service's own tiers.
+const CANCELLATION_POLICIES = {
+  flexible: [
+    { days: 7, percent: 100 },
+    { days: 1, percent: 50 }
+  ],
+  moderate: [
+    { days: 30, percent: 100 },
+    { days: 14, percent: 50 }
+  ],
+  strict: [
+    { days: 90, percent: 100 },
+    { days: 30, percent: 50 }
+  ]
+};
+
+const CANCELLATION_POLICY_NAMES = [...Object.keys(CANCELLATION_POLICIES), 'custom'];
+
+const DEFAULT_CANCELLATION_POLICY = 'moderate';
+
+// Limits on custom tiers
+const MAX_CANCELLATION_TIERS = 10;
+const MAX_CANCELLATION_NOTICE_DAYS = 730;
+
+module.exports = {
+  CANCELLATION_POLICIES,
+  CANCELLATION_POLICY_NAMES,
+  DEFAULT_CANCELLATION_POLICY,
+  MAX_CANCELLATION_TIERS,
+  MAX_CANCELLATION_NOTICE_DAYS
+};
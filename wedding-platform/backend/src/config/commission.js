@@ -0,0 +1,32 @@
+// Platform commission on a completed booking, as a percentage of what the customer paid
+// (less refunds). The vendor's tier rate wins if its tier has one; otherwise the rate of
+// the booking's service category (matched case-insensitively) applies, and failing that
+// the default.
+const DEFAULT_COMMISSION_PERCENT = 12;
+
+const CATEGORY_COMMISSION_PERCENT = {
+  venue: 8,
+  catering: 10,
+  photography: 12,
+  videography: 12,
+  music: 12,
+  flowers: 15,
+  decoration: 15,
+  'hair & makeup': 15
+};
+
+// Vendor tiers, set by staff. null means the category rate applies
+const VENDOR_TIERS = {
+  standard: null,
+  partner: 9,
+  premier: 7
+};
+
+const VENDOR_TIER_NAMES = Object.keys(VENDOR_TIERS);
+
+module.exports = {
+  DEFAULT_COMMISSION_PERCENT,
+  CATEGORY_COMMISSION_PERCENT,
+  VENDOR_TIERS,
+  VENDOR_TIER_NAMES
+};
@@ -0,0 +1,33 @@
+// Named permissions checked by requirePermission. Roles are user types: admins implicitly
+// hold every permission, other roles get theirs from role_permissions, and individual
+// users can be granted extra ones through user_permissions.
+const PERMISSIONS = {
+  'users.view': 'View user accounts',
+  'users.update': 'Edit user accounts',
+  'users.deactivate': 'Activate and deactivate user accounts',
+  'users.unlock': 'Unlock accounts locked after failed logins',
+  'users.delete': 'Delete user accounts',
+  'vendors.view': 'View all vendor profiles, including unverified ones',
+  'vendors.verify': 'Verify and unverify vendors',
+  'vendors.commission': 'Set vendors\' commission tiers',
+  'bookings.view': 'View any booking',
+  'bookings.manage': 'Update, cancel and change the status of any booking',
+  'payments.view': 'View any payment and platform payment statistics',
+  'payments.refund': 'Refund any payment',
+  'payments.events': 'View Stripe webhook events and replay failed ones',
+  'messages.moderate': 'Read and resolve flagged conversations',
+  'reviews.moderate': 'Review reported reviews and hide or restore them',
+  'stats.view': 'View platform statistics',
+  'permissions.manage': 'Grant and revoke permissions and change user roles'
+};
+
+const ROLES = ['customer', 'vendor', 'support', 'admin'];
+
+const SUPERUSER_ROLE = 'admin';
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_NAMES: Object.keys(PERMISSIONS),
+  ROLES,
+  SUPERUSER_ROLE
+};
@@ -0,0 +1,44 @@
+const { createClient } = require('redis');
+require('dotenv').config();
+
+let clientPromise = null;
+
+// Lazily connect to Redis. Resolves to null when Redis isn't configured or can't be reached,
+// so callers can fall back to in-memory storage.
+const getRedisClient = () => {
+  if (clientPromise) {
+    return clientPromise;
+  }
+
+  if (!process.env.REDIS_URL || process.env.NODE_ENV === 'test') {
+    clientPromise = Promise.resolve(null);
+    return clientPromise;
+  }
+
+  const client = createClient({
+    url: process.env.REDIS_URL,
+    password: process.env.REDIS_PASSWORD || undefined,
+    socket: {
+      connectTimeout: 2000,
+      reconnectStrategy: (retries) => (retries > 5 ? false : Math.min(retries * 200, 2000))
+    }
+  });
+
+  client.on('error', (err) => {
+    console.error('Redis client error:', err.message);
+  });
+
+  clientPromise = client.connect()
+    .then(() => {
+      console.log('Connected to Redis');
+      return client;
+    })
+    .catch((err) => {
+      console.warn(`Redis unavailable (${err.message}), falling back to in-memory storage`);
+      return null;
+    });
+
+  return clientPromise;
+};
+
+module.exports = { getRedisClient };
@@ -1,22 +1,53 @@
 -- Wedding Platform Database Schema
 
+-- Every statement can be run again, so this file also upgrades an existing database: the
+-- ALTER statements after a CREATE TABLE add what earlier versions of that table lack
+
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+-- GiST equality on UUIDs, for the booking overlap constraint
+CREATE EXTENSION IF NOT EXISTS btree_gist;
 
 -- Users table (customers, vendors, admins)
 CREATE TABLE IF NOT EXISTS users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     email VARCHAR(255) UNIQUE NOT NULL,
-    password_hash VARCHAR(255) NOT NULL,
-    user_type VARCHAR(20) CHECK (user_type IN ('customer', 'vendor', 'admin')) NOT NULL,
+    password_hash VARCHAR(255), -- NULL for password-less (social sign-in) accounts
+    user_type VARCHAR(20) CHECK (user_type IN ('customer', 'vendor', 'support', 'admin')) NOT NULL,
     first_name VARCHAR(100) NOT NULL,
     last_name VARCHAR(100) NOT NULL,
     phone VARCHAR(20),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    is_active BOOLEAN DEFAULT true
+    is_active BOOLEAN DEFAULT true,
+    email_verified BOOLEAN DEFAULT false,
+    email_verified_at TIMESTAMP,
+    tokens_revoked_at TIMESTAMP,
+    two_factor_enabled BOOLEAN DEFAULT false,
+    two_factor_secret TEXT, -- encrypted TOTP secret
+    two_factor_pending_secret TEXT, -- encrypted secret awaiting confirmation during enrollment
+    two_factor_last_step BIGINT, -- last accepted TOTP time step, so a code can't be replayed
+    two_factor_enabled_at TIMESTAMP,
+    stripe_customer_id VARCHAR(255) UNIQUE -- created the first time the user pays or saves a card
 );
 
+-- Upgrade a users table created by an earlier version of this file
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tokens_revoked_at TIMESTAMP;
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS two_factor_secret TEXT,
+    ADD COLUMN IF NOT EXISTS two_factor_pending_secret TEXT,
+    ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT,
+    ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_user_type_check;
+ALTER TABLE users ADD CONSTRAINT users_user_type_check
+    CHECK (user_type IN ('customer', 'vendor', 'support', 'admin'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS stripe_customer_id VARCHAR(255) UNIQUE;
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+
 -- Vendor profiles
 CREATE TABLE IF NOT EXISTS vendor_profiles (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -33,10 +64,61 @@ CREATE TABLE IF NOT EXISTS vendor_profiles (
     review_count INTEGER DEFAULT 0,
     total_reviews INTEGER DEFAULT 0,
     is_verified BOOLEAN DEFAULT false,
+    -- Commission tier (see config/commission.js)
+    commission_tier VARCHAR(20) CHECK (commission_tier IN ('standard', 'partner', 'premier')) DEFAULT 'standard',
+    -- Stripe Connect account payouts are transferred to, and its onboarding state as
+    -- last synced from Stripe
+    stripe_account_id VARCHAR(255) UNIQUE,
+    stripe_details_submitted BOOLEAN DEFAULT false,
+    stripe_transfers_enabled BOOLEAN DEFAULT false,
+    stripe_payouts_enabled BOOLEAN DEFAULT false,
+    stripe_requirements_due JSONB NOT NULL DEFAULT '[]',
+    stripe_account_synced_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Upgrade a vendor_profiles table created by an earlier version of this file
+ALTER TABLE vendor_profiles
+    ADD COLUMN IF NOT EXISTS commission_tier VARCHAR(20) CHECK (commission_tier IN ('standard', 'partner', 'premier')) DEFAULT 'standard',
+    ADD COLUMN IF NOT EXISTS stripe_account_id VARCHAR(255) UNIQUE,
+    ADD COLUMN IF NOT EXISTS stripe_details_submitted BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS stripe_transfers_enabled BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS stripe_payouts_enabled BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS stripe_requirements_due JSONB NOT NULL DEFAULT '[]',
+    ADD COLUMN IF NOT EXISTS stripe_account_synced_at TIMESTAMP;
+
+-- Vendor team members. vendor_id is the organisation's owner account, which services,
+-- bookings and payments reference; every vendor user belongs to exactly one organisation
+CREATE TABLE IF NOT EXISTS vendor_members (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    vendor_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    user_id UUID UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) CHECK (role IN ('owner', 'manager', 'staff')) NOT NULL,
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Pending invitations to join a vendor team (single use, stored hashed)
+CREATE TABLE IF NOT EXISTS vendor_invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    vendor_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) CHECK (role IN ('manager', 'staff')) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Vendors registered before teams existed own their organisation
+INSERT INTO vendor_members (vendor_id, user_id, role)
+SELECT user_id, user_id, 'owner' FROM vendor_profiles
+ON CONFLICT DO NOTHING;
+
 -- Services
 CREATE TABLE IF NOT EXISTS services (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -48,6 +130,15 @@ CREATE TABLE IF NOT EXISTS services (
     pricing_type VARCHAR(20) CHECK (pricing_type IN ('hourly', 'daily', 'fixed')) NOT NULL,
     duration_hours INTEGER,
     faq TEXT,
+    -- Payment terms (see services/paymentSchedule.js)
+    deposit_type VARCHAR(20) CHECK (deposit_type IN ('none', 'percentage', 'fixed')) DEFAULT 'none',
+    deposit_value DECIMAL(10,2) CHECK (deposit_value > 0),
+    balance_due_days INTEGER DEFAULT 30 CHECK (balance_due_days BETWEEN 0 AND 365),
+    balance_instalments INTEGER DEFAULT 1 CHECK (balance_instalments BETWEEN 1 AND 12),
+    -- Cancellation policy (see config/cancellationPolicies.js); 'custom' uses
+    -- cancellation_tiers ([{ days, percent }])
+    cancellation_policy VARCHAR(20) CHECK (cancellation_policy IN ('flexible', 'moderate', 'strict', 'custom')) DEFAULT 'moderate',
+    cancellation_tiers JSONB,
     rating DECIMAL(3,2) DEFAULT 0.0,
     review_count INTEGER DEFAULT 0,
     is_active BOOLEAN DEFAULT true,
@@ -55,31 +146,152 @@ CREATE TABLE IF NOT EXISTS services (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Service media
+-- Upgrade a services table created by an earlier version of this file
+ALTER TABLE services
+    ADD COLUMN IF NOT EXISTS deposit_type VARCHAR(20) CHECK (deposit_type IN ('none', 'percentage', 'fixed')) DEFAULT 'none',
+    ADD COLUMN IF NOT EXISTS deposit_value DECIMAL(10,2) CHECK (deposit_value > 0),
+    ADD COLUMN IF NOT EXISTS balance_due_days INTEGER DEFAULT 30 CHECK (balance_due_days BETWEEN 0 AND 365),
+    ADD COLUMN IF NOT EXISTS balance_instalments INTEGER DEFAULT 1 CHECK (balance_instalments BETWEEN 1 AND 12);
+ALTER TABLE services
+    ADD COLUMN IF NOT EXISTS cancellation_policy VARCHAR(20) CHECK (cancellation_policy IN ('flexible', 'moderate', 'strict', 'custom')) DEFAULT 'moderate',
+    ADD COLUMN IF NOT EXISTS cancellation_tiers JSONB;
+
+-- Service media. Files live in media storage under storage_key; photos also have
+-- resized copies in variants ({ thumbnail: { key, url, width, height }, ... }).
+-- Deleting media only clears is_active and sets deleted_at
 CREATE TABLE IF NOT EXISTS service_media (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     service_id UUID REFERENCES services(id) ON DELETE CASCADE,
     media_type VARCHAR(20) CHECK (media_type IN ('photo', 'video')) NOT NULL,
     url VARCHAR(500) NOT NULL,
+    storage_key VARCHAR(500),
+    content_type VARCHAR(100),
+    size_bytes INTEGER,
+    width INTEGER,
+    height INTEGER,
+    variants JSONB NOT NULL DEFAULT '{}',
     caption VARCHAR(255),
     alt_text VARCHAR(255),
     sort_order INTEGER DEFAULT 0,
     is_active BOOLEAN DEFAULT true,
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    deleted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Upgrade a service_media table created by an earlier version of this file
+ALTER TABLE service_media
+    ADD COLUMN IF NOT EXISTS storage_key VARCHAR(500),
+    ADD COLUMN IF NOT EXISTS content_type VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS size_bytes INTEGER,
+    ADD COLUMN IF NOT EXISTS width INTEGER,
+    ADD COLUMN IF NOT EXISTS height INTEGER,
+    ADD COLUMN IF NOT EXISTS variants JSONB NOT NULL DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Optional extras priced on top of a service
+CREATE TABLE IF NOT EXISTS service_addons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    service_id UUID REFERENCES services(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Weekly availability rules (e.g. Saturdays 10:00-23:00 from May to September),
+-- expanded into availability slots when created
+CREATE TABLE IF NOT EXISTS availability_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    service_id UUID REFERENCES services(id) ON DELETE CASCADE,
+    days_of_week SMALLINT[] NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    starts_on DATE NOT NULL,
+    ends_on DATE NOT NULL,
+    price_modifier DECIMAL(5,2) DEFAULT 1.0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_time > start_time),
+    CHECK (ends_on >= starts_on)
+);
+
+-- Dates a service can't be booked on
+CREATE TABLE IF NOT EXISTS availability_blackouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    service_id UUID REFERENCES services(id) ON DELETE CASCADE,
+    blackout_date DATE NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(service_id, blackout_date)
+);
+
+-- Private ICS feed of a vendor's bookings (only a hash of the feed token is kept)
+CREATE TABLE IF NOT EXISTS vendor_calendar_feeds (
+    vendor_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- External calendars imported as busy times: uploaded files, or URLs synced by a job
+CREATE TABLE IF NOT EXISTS calendar_sources (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    vendor_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    source_type VARCHAR(10) CHECK (source_type IN ('file', 'url')) NOT NULL,
+    url VARCHAR(2000),
+    event_count INTEGER DEFAULT 0,
+    last_synced_at TIMESTAMP,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(vendor_id, name),
+    CHECK (source_type = 'file' OR url IS NOT NULL)
+);
+
+-- Imported events, keyed by their iCalendar UID so re-imports update in place.
+-- Times are wall-clock times in CALENDAR_TIMEZONE, like availability
+CREATE TABLE IF NOT EXISTS calendar_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    source_id UUID REFERENCES calendar_sources(id) ON DELETE CASCADE,
+    uid VARCHAR(1000) NOT NULL,
+    recurrence_id VARCHAR(100) NOT NULL DEFAULT '',
+    summary VARCHAR(255),
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(source_id, uid, recurrence_id)
+);
+
 -- Availability
 CREATE TABLE IF NOT EXISTS availability (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     service_id UUID REFERENCES services(id) ON DELETE CASCADE,
+    -- Set for slots generated from a weekly rule
+    rule_id UUID REFERENCES availability_rules(id) ON DELETE SET NULL,
+    -- Set for slots closed by an imported calendar event
+    blocked_by_event_id UUID REFERENCES calendar_events(id) ON DELETE SET NULL,
     available_date DATE NOT NULL,
     start_time TIME,
     end_time TIME,
     is_available BOOLEAN DEFAULT true,
     price_modifier DECIMAL(5,2) DEFAULT 1.0,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Upgrade a availability table created by an earlier version of this file
+ALTER TABLE availability
+    ADD COLUMN IF NOT EXISTS rule_id UUID REFERENCES availability_rules(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE availability ADD COLUMN IF NOT EXISTS blocked_by_event_id UUID REFERENCES calendar_events(id) ON DELETE SET NULL;
+
 -- Bookings
 CREATE TABLE IF NOT EXISTS bookings (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -87,26 +299,210 @@ CREATE TABLE IF NOT EXISTS bookings (
     service_id UUID REFERENCES services(id) ON DELETE CASCADE,
     vendor_id UUID REFERENCES users(id) ON DELETE CASCADE,
     booking_date DATE NOT NULL,
-    start_time TIME,
-    end_time TIME,
-    total_price DECIMAL(10,2) NOT NULL,
-    status VARCHAR(20) CHECK (status IN ('pending', 'confirmed', 'in_progress', 'completed', 'cancelled')) DEFAULT 'pending',
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    special_requests TEXT,
+    total_amount DECIMAL(10,2) NOT NULL,
+    -- The pricing engine's quote the total was taken from
+    price_breakdown JSONB,
+    status VARCHAR(20) CHECK (status IN ('pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'rejected')) DEFAULT 'pending',
+    -- Status of the latest dispute (chargeback) against one of its payments; set means flagged
+    dispute_status VARCHAR(30),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_time > start_time),
+    -- Last line of defence against double-booking: active bookings of a service can't overlap
+    CONSTRAINT bookings_no_overlap EXCLUDE USING gist (
+        service_id WITH =,
+        tsrange(booking_date + start_time, booking_date + end_time) WITH &&
+    ) WHERE (status IN ('pending', 'confirmed', 'in_progress'))
+);
+
+-- Upgrade a bookings table created by an earlier version of this file
+ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS special_requests TEXT,
+    ALTER COLUMN start_time SET NOT NULL,
+    ALTER COLUMN end_time SET NOT NULL;
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'bookings' AND column_name = 'total_price') THEN
+        ALTER TABLE bookings RENAME COLUMN total_price TO total_amount;
+    END IF;
+END $$;
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_check CHECK (end_time > start_time);
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'bookings_no_overlap') THEN
+        ALTER TABLE bookings ADD CONSTRAINT bookings_no_overlap EXCLUDE USING gist (
+            service_id WITH =,
+            tsrange(booking_date + start_time, booking_date + end_time) WITH &&
+        ) WHERE (status IN ('pending', 'confirmed', 'in_progress'));
+    END IF;
+END $$;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS price_breakdown JSONB;
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+    CHECK (status IN ('pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'rejected'));
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS dispute_status VARCHAR(30);
+
+-- Every status a booking has been through, and who moved it there
+CREATE TABLE IF NOT EXISTS booking_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_role VARCHAR(20) CHECK (actor_role IN ('customer', 'vendor', 'staff', 'system')) NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Quote requests: a customer's event details sent to a service, answered by vendor proposals
+CREATE TABLE IF NOT EXISTS quote_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    service_id UUID REFERENCES services(id) ON DELETE CASCADE,
+    vendor_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    event_date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    guest_count INTEGER CHECK (guest_count > 0),
+    venue VARCHAR(255),
+    budget DECIMAL(10,2) CHECK (budget >= 0),
+    message TEXT NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('open', 'proposed', 'accepted', 'declined', 'cancelled')) DEFAULT 'open',
+    -- Why the customer cancelled or the vendor declined
+    closed_reason TEXT,
+    booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_time > start_time)
+);
+
+-- Every priced proposal (revision) a vendor has sent for a quote request; only the
+-- latest can be active
+CREATE TABLE IF NOT EXISTS quote_proposals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    quote_request_id UUID REFERENCES quote_requests(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    event_date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    line_items JSONB NOT NULL,
+    subtotal DECIMAL(10,2) NOT NULL,
+    tax DECIMAL(10,2) NOT NULL,
+    total_amount DECIMAL(10,2) NOT NULL,
+    message TEXT,
+    status VARCHAR(20) CHECK (status IN ('active', 'superseded', 'accepted', 'declined', 'withdrawn')) DEFAULT 'active',
+    expires_at TIMESTAMP NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    responded_at TIMESTAMP,
+    decline_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(quote_request_id, revision),
+    CHECK (end_time > start_time)
+);
+
+-- Conversation threads between a customer and a vendor organisation, optionally about a booking
+CREATE TABLE IF NOT EXISTS conversations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    vendor_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+    subject VARCHAR(255),
+    last_message_at TIMESTAMP,
+    -- Reported by a participant for moderators to review
+    flagged_at TIMESTAMP,
+    flagged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    flag_reason TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Reviews
+-- One thread per customer and vendor, plus one per booking
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_thread ON conversations (
+    customer_id, vendor_id, COALESCE(booking_id, '00000000-0000-0000-0000-000000000000'::uuid)
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+    sender_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    body TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Files attached to messages, kept in media storage (services/mediaStorage.js)
+CREATE TABLE IF NOT EXISTS message_attachments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+    storage_key VARCHAR(500) NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- How far each participant has read a conversation (read receipts and unread counts)
+CREATE TABLE IF NOT EXISTS conversation_reads (
+    conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    last_read_at TIMESTAMP NOT NULL,
+    PRIMARY KEY (conversation_id, user_id)
+);
+
+-- Reviews, one per booking. is_verified marks reviews written for a completed booking;
+-- is_active is cleared when a moderator hides a review
 CREATE TABLE IF NOT EXISTS reviews (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE,
+    booking_id UUID UNIQUE REFERENCES bookings(id) ON DELETE CASCADE,
     customer_id UUID REFERENCES users(id) ON DELETE CASCADE,
     vendor_id UUID REFERENCES users(id) ON DELETE CASCADE,
     service_id UUID REFERENCES services(id) ON DELETE CASCADE,
     rating INTEGER CHECK (rating >= 1 AND rating <= 5),
+    title VARCHAR(255),
     comment TEXT,
     is_verified BOOLEAN DEFAULT false,
     is_active BOOLEAN DEFAULT true,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    -- The vendor's public reply
+    vendor_reply TEXT,
+    vendor_replied_at TIMESTAMP,
+    vendor_replied_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMP,
+    moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    moderation_note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Upgrade a reviews table created by an earlier version of this file
+ALTER TABLE reviews
+    ADD COLUMN IF NOT EXISTS title VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS vendor_reply TEXT,
+    ADD COLUMN IF NOT EXISTS vendor_replied_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS vendor_replied_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS moderation_note TEXT,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'reviews_booking_id_key') THEN
+        ALTER TABLE reviews ADD CONSTRAINT reviews_booking_id_key UNIQUE (booking_id);
+    END IF;
+END $$;
+
+-- Reports of a review, one per reporter, open until a moderator resolves them
+CREATE TABLE IF NOT EXISTS review_reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    review_id UUID REFERENCES reviews(id) ON DELETE CASCADE,
+    reporter_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL,
+    resolved_at TIMESTAMP,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(review_id, reporter_id)
 );
 
 -- Payments
@@ -119,11 +515,204 @@ CREATE TABLE IF NOT EXISTS payments (
     currency VARCHAR(3) DEFAULT 'GBP',
     payment_method VARCHAR(50),
     stripe_payment_intent_id VARCHAR(255),
-    status VARCHAR(20) CHECK (status IN ('pending', 'completed', 'failed', 'refunded')) DEFAULT 'pending',
+    -- scheduled: not paid yet; pending: being paid; cancelled: no longer owed;
+    -- partially_refunded/refunded: see the payment's refunds
+    status VARCHAR(20) CHECK (status IN ('scheduled', 'pending', 'completed', 'failed', 'overdue', 'cancelled', 'partially_refunded', 'refunded')) DEFAULT 'pending',
+    -- Position in the booking's payment schedule
+    sequence INTEGER NOT NULL DEFAULT 1,
+    kind VARCHAR(20) CHECK (kind IN ('full', 'deposit', 'instalment', 'balance')) DEFAULT 'full',
+    due_date DATE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (booking_id, sequence)
+);
+
+-- Upgrade a payments table created by an earlier version of this file
+ALTER TABLE payments
+    ADD COLUMN IF NOT EXISTS sequence INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS kind VARCHAR(20) CHECK (kind IN ('full', 'deposit', 'instalment', 'balance')) DEFAULT 'full',
+    ADD COLUMN IF NOT EXISTS due_date DATE;
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'payments_booking_id_sequence_key') THEN
+        ALTER TABLE payments ADD CONSTRAINT payments_booking_id_sequence_key UNIQUE (booking_id, sequence);
+    END IF;
+END $$;
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments ADD CONSTRAINT payments_status_check
+    CHECK (status IN ('scheduled', 'pending', 'completed', 'failed', 'overdue', 'cancelled', 'partially_refunded', 'refunded'));
+
+-- Refunds of payments. A payment can be refunded in several parts; each refund is
+-- recorded as pending before Stripe is asked, so refunds can never add up to more than
+-- the payment
+CREATE TABLE IF NOT EXISTS refunds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    payment_id UUID REFERENCES payments(id) ON DELETE CASCADE,
+    booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) DEFAULT 'GBP',
+    status VARCHAR(20) CHECK (status IN ('pending', 'succeeded', 'failed', 'cancelled')) DEFAULT 'pending',
+    reason TEXT,
+    stripe_refund_id VARCHAR(255) UNIQUE,
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- What the platform owes a vendor for a completed booking: what the customer paid, less
+-- refunds, lost disputes and the platform's commission. It is transferred to the vendor's
+-- Connect account once that can receive transfers (see services/payouts.js); money
+-- refunded after that is taken back from the transfer (reversed_amount)
+CREATE TABLE IF NOT EXISTS payouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    booking_id UUID UNIQUE REFERENCES bookings(id) ON DELETE CASCADE,
+    vendor_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    currency VARCHAR(3) DEFAULT 'GBP',
+    gross_amount DECIMAL(10,2) NOT NULL,
+    commission_percent DECIMAL(5,2) NOT NULL,
+    commission_amount DECIMAL(10,2) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    -- cancelled: everything paid was refunded before it was transferred
+    status VARCHAR(20) CHECK (status IN ('pending', 'paid', 'failed', 'cancelled')) DEFAULT 'pending',
+    stripe_account_id VARCHAR(255),
+    stripe_transfer_id VARCHAR(255) UNIQUE,
+    reversed_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    failure_reason TEXT,
+    paid_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Chargebacks customers raised with their bank against payments, as last reported by
+-- Stripe (see services/disputes.js)
+CREATE TABLE IF NOT EXISTS disputes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    payment_id UUID REFERENCES payments(id) ON DELETE CASCADE,
+    booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE,
+    stripe_dispute_id VARCHAR(255) UNIQUE NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'GBP',
+    reason VARCHAR(50),
+    -- Stripe's status: warning_needs_response, needs_response, under_review, won, lost, ...
+    status VARCHAR(30) NOT NULL,
+    evidence_due_by TIMESTAMP,
+    closed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Stripe webhook events, stored under Stripe's event id before they are handled so
+-- redeliveries aren't applied twice (see services/paymentEvents.js)
+CREATE TABLE IF NOT EXISTS payment_events (
+    id VARCHAR(255) PRIMARY KEY,
+    type VARCHAR(100) NOT NULL,
+    -- The Stripe object the event is a snapshot of, and when Stripe created the event
+    object_id VARCHAR(255),
+    stripe_created_at TIMESTAMP NOT NULL,
+    payload JSONB NOT NULL,
+    -- ignored: no handler for the type; stale: a newer event for the object was already processed
+    status VARCHAR(20) CHECK (status IN ('received', 'processing', 'processed', 'failed', 'ignored', 'stale')) DEFAULT 'received',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    processed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Password reset tokens (only a SHA-256 hash of the emailed token is stored)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- External sign-in identities (Google / Apple) linked to a user
+CREATE TABLE IF NOT EXISTS user_identities (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(20) CHECK (provider IN ('google', 'apple')) NOT NULL,
+    provider_subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, provider_subject)
+);
+
+-- Email verification tokens (hashed, like password reset tokens)
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Refresh tokens (rotated on every use; tokens from one login share a family_id)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    family_id UUID NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(45),
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Login audit trail (failed, locked and successful login attempts)
+CREATE TABLE IF NOT EXISTS login_audit (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    email VARCHAR(255) NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    success BOOLEAN NOT NULL,
+    reason VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Two-factor recovery codes (single use, stored hashed)
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, code_hash)
+);
+
+-- Permission grants (names are defined in src/config/permissions.js).
+-- Roles are user types; admins implicitly hold every permission.
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role VARCHAR(20) NOT NULL,
+    permission VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (role, permission)
+);
+
+CREATE TABLE IF NOT EXISTS user_permissions (
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    permission VARCHAR(100) NOT NULL,
+    granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, permission)
+);
+
+-- Support staff can look things up but not change them
+INSERT INTO role_permissions (role, permission) VALUES
+    ('support', 'users.view'),
+    ('support', 'vendors.view'),
+    ('support', 'bookings.view'),
+    ('support', 'payments.view'),
+    ('support', 'messages.moderate'),
+    ('support', 'reviews.moderate')
+ON CONFLICT DO NOTHING;
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_user_type ON users(user_type);
@@ -132,16 +721,52 @@ CREATE INDEX IF NOT EXISTS idx_vendor_profiles_user_id ON vendor_profiles(user_i
 CREATE INDEX IF NOT EXISTS idx_vendor_profiles_category ON vendor_profiles(category);
 CREATE INDEX IF NOT EXISTS idx_vendor_profiles_city ON vendor_profiles(city);
 CREATE INDEX IF NOT EXISTS idx_vendor_profiles_is_verified ON vendor_profiles(is_verified);
+CREATE INDEX IF NOT EXISTS idx_vendor_members_vendor_id ON vendor_members(vendor_id);
+CREATE INDEX IF NOT EXISTS idx_vendor_invitations_vendor_id ON vendor_invitations(vendor_id);
 CREATE INDEX IF NOT EXISTS idx_services_vendor_id ON services(vendor_id);
 CREATE INDEX IF NOT EXISTS idx_services_category ON services(category);
 CREATE INDEX IF NOT EXISTS idx_services_is_active ON services(is_active);
+CREATE INDEX IF NOT EXISTS idx_service_media_service_id ON service_media(service_id, sort_order) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_service_addons_service_id ON service_addons(service_id);
+CREATE INDEX IF NOT EXISTS idx_availability_rules_service_id ON availability_rules(service_id);
+CREATE INDEX IF NOT EXISTS idx_availability_service_date ON availability(service_id, available_date);
+CREATE INDEX IF NOT EXISTS idx_availability_rule_id ON availability(rule_id);
+CREATE INDEX IF NOT EXISTS idx_availability_blocked_by_event_id ON availability(blocked_by_event_id);
+CREATE INDEX IF NOT EXISTS idx_calendar_sources_vendor_id ON calendar_sources(vendor_id);
 CREATE INDEX IF NOT EXISTS idx_bookings_customer_id ON bookings(customer_id);
 CREATE INDEX IF NOT EXISTS idx_bookings_vendor_id ON bookings(vendor_id);
 CREATE INDEX IF NOT EXISTS idx_bookings_service_id ON bookings(service_id);
 CREATE INDEX IF NOT EXISTS idx_bookings_status ON bookings(status);
+CREATE INDEX IF NOT EXISTS idx_booking_status_history_booking_id ON booking_status_history(booking_id);
+CREATE INDEX IF NOT EXISTS idx_quote_requests_customer_id ON quote_requests(customer_id);
+CREATE INDEX IF NOT EXISTS idx_quote_requests_vendor_id ON quote_requests(vendor_id);
+CREATE INDEX IF NOT EXISTS idx_quote_proposals_quote_request_id ON quote_proposals(quote_request_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_vendor_id ON conversations(vendor_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_flagged_at ON conversations(flagged_at) WHERE flagged_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON messages(conversation_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_message_attachments_message_id ON message_attachments(message_id);
 CREATE INDEX IF NOT EXISTS idx_reviews_vendor_id ON reviews(vendor_id);
 CREATE INDEX IF NOT EXISTS idx_reviews_service_id ON reviews(service_id);
+CREATE INDEX IF NOT EXISTS idx_review_reports_open ON review_reports(review_id) WHERE resolved_at IS NULL;
 CREATE INDEX IF NOT EXISTS idx_payments_booking_id ON payments(booking_id);
+-- Unpaid instalments by due date, for the overdue job
+CREATE INDEX IF NOT EXISTS idx_payments_unpaid_due ON payments(due_date) WHERE status IN ('scheduled', 'failed', 'overdue');
+CREATE INDEX IF NOT EXISTS idx_refunds_payment_id ON refunds(payment_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_booking_id ON refunds(booking_id);
+CREATE INDEX IF NOT EXISTS idx_payouts_vendor_id ON payouts(vendor_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_payouts_unpaid ON payouts(created_at) WHERE status IN ('pending', 'failed');
+CREATE INDEX IF NOT EXISTS idx_disputes_payment_id ON disputes(payment_id);
+CREATE INDEX IF NOT EXISTS idx_disputes_booking_id ON disputes(booking_id);
+CREATE INDEX IF NOT EXISTS idx_payment_events_object ON payment_events(object_id, stripe_created_at) WHERE status = 'processed';
+CREATE INDEX IF NOT EXISTS idx_payment_events_status ON payment_events(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_login_audit_email ON login_audit(email);
+CREATE INDEX IF NOT EXISTS idx_login_audit_user_id ON login_audit(user_id);
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id);
 
 -- Create function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -153,8 +778,118 @@ END;
 $$ language 'plpgsql';
 
 -- Create triggers for updated_at
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_vendor_profiles_updated_at ON vendor_profiles;
 CREATE TRIGGER update_vendor_profiles_updated_at BEFORE UPDATE ON vendor_profiles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_vendor_members_updated_at ON vendor_members;
+CREATE TRIGGER update_vendor_members_updated_at BEFORE UPDATE ON vendor_members FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_services_updated_at ON services;
 CREATE TRIGGER update_services_updated_at BEFORE UPDATE ON services FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_service_media_updated_at ON service_media;
+CREATE TRIGGER update_service_media_updated_at BEFORE UPDATE ON service_media FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_service_addons_updated_at ON service_addons;
+CREATE TRIGGER update_service_addons_updated_at BEFORE UPDATE ON service_addons FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_availability_rules_updated_at ON availability_rules;
+CREATE TRIGGER update_availability_rules_updated_at BEFORE UPDATE ON availability_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_availability_updated_at ON availability;
+CREATE TRIGGER update_availability_updated_at BEFORE UPDATE ON availability FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_calendar_sources_updated_at ON calendar_sources;
+CREATE TRIGGER update_calendar_sources_updated_at BEFORE UPDATE ON calendar_sources FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_calendar_events_updated_at ON calendar_events;
+CREATE TRIGGER update_calendar_events_updated_at BEFORE UPDATE ON calendar_events FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_bookings_updated_at ON bookings;
 CREATE TRIGGER update_bookings_updated_at BEFORE UPDATE ON bookings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_quote_requests_updated_at ON quote_requests;
+CREATE TRIGGER update_quote_requests_updated_at BEFORE UPDATE ON quote_requests FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_conversations_updated_at ON conversations;
+CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_reviews_updated_at ON reviews;
+CREATE TRIGGER update_reviews_updated_at BEFORE UPDATE ON reviews FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_payments_updated_at ON payments;
 CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_refunds_updated_at ON refunds;
+CREATE TRIGGER update_refunds_updated_at BEFORE UPDATE ON refunds FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_payouts_updated_at ON payouts;
+CREATE TRIGGER update_payouts_updated_at BEFORE UPDATE ON payouts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_disputes_updated_at ON disputes;
+CREATE TRIGGER update_disputes_updated_at BEFORE UPDATE ON disputes FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_payment_events_updated_at ON payment_events;
+CREATE TRIGGER update_payment_events_updated_at BEFORE UPDATE ON payment_events FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Invalidate outstanding password reset tokens whenever a password changes
+CREATE OR REPLACE FUNCTION invalidate_password_reset_tokens()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE password_reset_tokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = NEW.id AND used_at IS NULL;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS invalidate_password_reset_tokens_on_password_change ON users;
+CREATE TRIGGER invalidate_password_reset_tokens_on_password_change
+    AFTER UPDATE OF password_hash ON users
+    FOR EACH ROW
+    WHEN (OLD.password_hash IS DISTINCT FROM NEW.password_hash)
+    EXECUTE FUNCTION invalidate_password_reset_tokens();
+
+-- Keep the rating aggregates on services and vendor profiles in step with reviews.
+-- rating and review_count cover published (active) reviews; a vendor's total_reviews
+-- also counts hidden ones. Each function returns whether it changed anything, so
+-- `npm run ratings:rebuild` can report drift it fixed.
+CREATE OR REPLACE FUNCTION refresh_service_rating(target UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE services s
+    SET rating = agg.rating, review_count = agg.review_count
+    FROM (
+        SELECT COALESCE(ROUND(AVG(rating), 2), 0) AS rating, COUNT(*)::int AS review_count
+        FROM reviews
+        WHERE service_id = target AND is_active = true
+    ) agg
+    WHERE s.id = target
+    AND (s.rating, s.review_count) IS DISTINCT FROM (agg.rating, agg.review_count);
+    RETURN FOUND;
+END;
+$$ language 'plpgsql';
+
+CREATE OR REPLACE FUNCTION refresh_vendor_rating(target UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE vendor_profiles vp
+    SET rating = agg.rating, review_count = agg.review_count, total_reviews = agg.total_reviews
+    FROM (
+        SELECT COALESCE(ROUND(AVG(rating) FILTER (WHERE is_active = true), 2), 0) AS rating,
+               (COUNT(*) FILTER (WHERE is_active = true))::int AS review_count,
+               COUNT(*)::int AS total_reviews
+        FROM reviews
+        WHERE vendor_id = target
+    ) agg
+    WHERE vp.user_id = target
+    AND (vp.rating, vp.review_count, vp.total_reviews) IS DISTINCT FROM (agg.rating, agg.review_count, agg.total_reviews);
+    RETURN FOUND;
+END;
+$$ language 'plpgsql';
+
+CREATE OR REPLACE FUNCTION refresh_review_aggregates()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM refresh_service_rating(OLD.service_id);
+        PERFORM refresh_vendor_rating(OLD.vendor_id);
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM refresh_service_rating(NEW.service_id);
+        PERFORM refresh_vendor_rating(NEW.vendor_id);
+    END IF;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS refresh_review_aggregates_on_change ON reviews;
+CREATE TRIGGER refresh_review_aggregates_on_change
+    AFTER INSERT OR DELETE OR UPDATE OF rating, is_active, service_id, vendor_id ON reviews
+    FOR EACH ROW
+    EXECUTE FUNCTION refresh_review_aggregates();
@@ -0,0 +1,11 @@
+// Shared Stripe client. STRIPE_API_BASE points it at another server with the same
+// API, such as stripe-mock
+const apiBase = process.env.STRIPE_API_BASE && new URL(process.env.STRIPE_API_BASE);
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY, apiBase ? {
+  host: apiBase.hostname,
+  port: apiBase.port || undefined,
+  protocol: apiBase.protocol.replace(':', '')
+} : undefined);
+
+module.exports = stripe;
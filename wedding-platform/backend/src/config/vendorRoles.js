@@ -0,0 +1,27 @@
+// Vendor team roles. Members act for their organisation (the owner's vendor account,
+// which services, bookings and payments reference) within what their role allows.
+// Only the owner can set up where the organisation's payouts go (payouts.manage).
+const VENDOR_ROLE_CAPABILITIES = {
+  owner: [
+    'team.manage', 'profile.view', 'profile.manage', 'services.view', 'services.manage',
+    'bookings.view', 'bookings.manage', 'payments.view', 'payments.refund', 'messages.manage',
+    'reviews.reply', 'payouts.manage'
+  ],
+  manager: [
+    'team.manage', 'profile.view', 'profile.manage', 'services.view', 'services.manage',
+    'bookings.view', 'bookings.manage', 'payments.view', 'payments.refund', 'messages.manage',
+    'reviews.reply'
+  ],
+  staff: ['profile.view', 'services.view', 'bookings.view', 'messages.manage']
+};
+
+const VENDOR_ROLES = Object.keys(VENDOR_ROLE_CAPABILITIES);
+
+const vendorRoleCan = (role, capability) =>
+  Boolean(VENDOR_ROLE_CAPABILITIES[role] && VENDOR_ROLE_CAPABILITIES[role].includes(capability));
+
+module.exports = {
+  VENDOR_ROLES,
+  VENDOR_ROLE_CAPABILITIES,
+  vendorRoleCan
+};
@@ -0,0 +1,57 @@
+// Mark unpaid instalments past their due date overdue, remind the customers, and cancel
+// (and refund, by their cancellation policy) bookings whose payments are overdue by more
+// than PAYMENT_GRACE_DAYS. Run it daily from cron (or any scheduler) on the API host,
+// e.g. at 06:00:
+//
+//   0 6 * * * cd /path/to/backend && npm run payments:overdue
+
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/transaction');
+const { processOverduePayments } = require('../services/overduePayments');
+const { issueRefunds } = require('../services/refunds');
+const { cancelPaymentIntents } = require('../services/bookingPayments');
+const { sendMail } = require('../services/mailer');
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const remind = (payment) => sendMail({
+  to: payment.email,
+  subject: 'A payment for your wedding booking is overdue',
+  text: `Hi ${payment.first_name},\n\n` +
+    `The ${payment.kind === 'deposit' ? 'deposit' : 'payment'} of £${parseFloat(payment.amount).toFixed(2)} ` +
+    `for your booking on ${formatDate(payment.booking_date)} was due on ${formatDate(payment.due_date)}. ` +
+    'Please pay it from the booking page to keep your booking.'
+});
+
+const run = async () => {
+  const result = await withTransaction(client => processOverduePayments(client));
+  await issueRefunds(pool, result.refunds);
+  for (const bookingId of result.cancelled) {
+    await cancelPaymentIntents(pool, bookingId);
+  }
+
+  // Reminders go out once the changes are committed; one failing doesn't stop the rest
+  const sent = await Promise.allSettled(result.overdue.map(remind));
+  sent.forEach((outcome, i) => {
+    if (outcome.status === 'rejected') {
+      console.error(`Reminder for payment ${result.overdue[i].id} failed:`, outcome.reason);
+    }
+  });
+
+  console.log(`Payments now overdue: ${result.overdue.length}`);
+  console.log(`Bookings cancelled: ${result.cancelled.length}`);
+  console.log(`Refunds issued: ${result.refunds.length}`);
+
+  return result;
+};
+
+if (require.main === module) {
+  run()
+    .catch(error => {
+      console.error('Overdue payment processing failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { run };
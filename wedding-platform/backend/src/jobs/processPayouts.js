@@ -0,0 +1,34 @@
+// Retry payouts that haven't reached their vendors: those waiting on the vendor's Stripe
+// onboarding and transfers Stripe refused, and reversals of paid payouts that were
+// refunded or lost to a dispute afterwards. Run it hourly from cron (or any scheduler) on
+// the API host, e.g.:
+//
+//   15 * * * * cd /path/to/backend && npm run payouts:process
+
+const pool = require('../config/database');
+const { issueUnpaidPayouts, reverseOverpaidPayouts } = require('../services/payouts');
+
+const run = async () => {
+  const payouts = await issueUnpaidPayouts(pool);
+  const count = (status) => payouts.filter(payout => payout.status === status).length;
+
+  console.log(`Payouts paid: ${count('paid')}`);
+  console.log(`Payouts awaiting onboarding: ${count('pending')}`);
+  console.log(`Payouts failed: ${count('failed')}`);
+
+  const reversed = await reverseOverpaidPayouts(pool);
+  console.log(`Payout reversals retried: ${reversed.length}`);
+
+  return payouts;
+};
+
+if (require.main === module) {
+  run()
+    .catch(error => {
+      console.error('Payout processing failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { run };
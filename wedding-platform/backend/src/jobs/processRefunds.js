@@ -0,0 +1,31 @@
+// Send refunds that were recorded but never reached Stripe, e.g. because the API stopped
+// between committing a cancellation and calling Stripe. Run it every few minutes from
+// cron (or any scheduler) on the API host, e.g.:
+//
+//   */10 * * * * cd /path/to/backend && npm run refunds:process
+
+const pool = require('../config/database');
+const { issueStuckRefunds } = require('../services/refunds');
+
+const run = async () => {
+  const refunds = await issueStuckRefunds(pool);
+  const sent = refunds.filter(refund => refund.stripe_refund_id).length;
+  const failed = refunds.filter(refund => refund.status === 'failed').length;
+
+  console.log(`Refunds sent to Stripe: ${sent}`);
+  console.log(`Refunds still unsent: ${refunds.length - sent - failed}`);
+  console.log(`Refunds failed: ${failed}`);
+
+  return refunds;
+};
+
+if (require.main === module) {
+  run()
+    .catch(error => {
+      console.error('Refund processing failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { run };
@@ -0,0 +1,29 @@
+// Recalculate every service and vendor rating from the reviews table. The triggers on
+// reviews keep these in step; run this after bulk imports or manual fixes, or from cron
+// to catch any drift:
+//
+//   npm run ratings:rebuild
+
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/transaction');
+const { rebuildRatings } = require('../services/ratings');
+
+const run = async () => {
+  const result = await withTransaction(client => rebuildRatings(client));
+
+  console.log(`Services: ${result.services.fixed} of ${result.services.total} corrected`);
+  console.log(`Vendors: ${result.vendors.fixed} of ${result.vendors.total} corrected`);
+
+  return result;
+};
+
+if (require.main === module) {
+  run()
+    .catch(error => {
+      console.error('Rating rebuild failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { run };
@@ -0,0 +1,34 @@
+// Fetch every subscribed calendar URL and import it as busy times.
+// Run it from cron (or any scheduler) on the API host, e.g. every 15 minutes:
+//
+//   */15 * * * * cd /path/to/backend && npm run calendar:sync
+
+const pool = require('../config/database');
+const { syncUrlSources } = require('../services/calendarSync');
+
+const run = async () => {
+  const results = await syncUrlSources();
+  const failed = results.filter(result => result.error);
+
+  results.forEach(result => {
+    if (result.error) {
+      console.error(`Calendar ${result.sourceId} failed: ${result.error}`);
+    } else {
+      console.log(`Calendar ${result.sourceId}: ${result.events} events, ${result.slotsBlocked} slots blocked`);
+    }
+  });
+
+  return failed.length === 0;
+};
+
+if (require.main === module) {
+  run()
+    .then(ok => { process.exitCode = ok ? 0 : 1; })
+    .catch(error => {
+      console.error('Calendar sync failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { run };
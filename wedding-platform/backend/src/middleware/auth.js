@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
+const { isTwoFactorRequired } = require('../services/twoFactor');
+const { hasPermission } = require('../services/permissions');
+const { vendorRoleCan } = require('../config/vendorRoles');
+const { AuthenticationError, ForbiddenError } = require('../utils/errors');
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -7,71 +11,179 @@ const authenticateToken = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
     if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
+      return next(new AuthenticationError('Access token required'));
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Two-factor challenge tokens are only good for the second login step
+    if (decoded.purpose) {
+      return next(new AuthenticationError('Invalid token', { code: 'INVALID_TOKEN' }));
+    }
     
     // Get user from database to ensure they still exist and are active
-    const userQuery = 'SELECT id, email, user_type, is_active FROM users WHERE id = $1';
+    // Vendor team members also carry the organisation they act for
+    const userQuery = `
+      SELECT u.id, u.email, u.user_type, u.is_active, u.email_verified, u.two_factor_enabled, u.tokens_revoked_at,
+             vm.vendor_id, vm.role as vendor_role
+      FROM users u
+      LEFT JOIN vendor_members vm ON vm.user_id = u.id
+      WHERE u.id = $1
+    `;
     const userResult = await pool.query(userQuery, [decoded.userId]);
     
     if (userResult.rows.length === 0) {
-      return res.status(401).json({ error: 'User not found' });
+      return next(new AuthenticationError('User not found', { code: 'INVALID_TOKEN' }));
     }
     
     const user = userResult.rows[0];
     
     if (!user.is_active) {
-      return res.status(401).json({ error: 'User account is deactivated' });
+      return next(new AuthenticationError('User account is deactivated', { code: 'ACCOUNT_DEACTIVATED' }));
+    }
+
+    // Reject tokens issued before a "log out all devices" or forced sign-out
+    if (user.tokens_revoked_at && decoded.iat < Math.floor(new Date(user.tokens_revoked_at).getTime() / 1000)) {
+      return next(new AuthenticationError('Token has been revoked', { code: 'TOKEN_REVOKED' }));
     }
 
     req.user = {
       id: user.id,
       email: user.email,
-      userType: user.user_type
+      userType: user.user_type,
+      emailVerified: user.email_verified,
+      twoFactorEnabled: user.two_factor_enabled,
+      vendorId: user.vendor_id || null,
+      vendorRole: user.vendor_role || null
     };
     
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired' });
-    }
-    console.error('Auth middleware error:', error);
-    res.status(500).json({ error: 'Authentication failed' });
+    // JWT errors are mapped to 401s by the error handler
+    next(error);
   }
 };
 
 const requireUserType = (allowedTypes) => {
   return (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({ error: 'Authentication required' });
+      return next(new AuthenticationError());
     }
     
     if (!allowedTypes.includes(req.user.userType)) {
-      return res.status(403).json({ 
-        error: 'Insufficient permissions',
-        required: allowedTypes,
-        current: req.user.userType
-      });
+      return next(new ForbiddenError('Insufficient permissions', {
+        code: 'INSUFFICIENT_PERMISSIONS',
+        details: { required: allowedTypes, current: req.user.userType }
+      }));
     }
     
     next();
   };
 };
 
+// Block unverified users of the types listed in EMAIL_VERIFICATION_REQUIRED_FOR
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return next(new AuthenticationError());
+  }
+
+  const requiredFor = (process.env.EMAIL_VERIFICATION_REQUIRED_FOR ?? 'customer,vendor')
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean);
+
+  if (requiredFor.includes(req.user.userType) && !req.user.emailVerified) {
+    return next(new ForbiddenError('Email verification required', { code: 'EMAIL_NOT_VERIFIED' }));
+  }
+
+  next();
+};
+
+// Block accounts that must use 2FA (admin and support staff by default) until they have
+// enrolled. Covers sessions issued before enrollment and users promoted to staff roles.
+const requireTwoFactor = (req, res, next) => {
+  if (!req.user) {
+    return next(new AuthenticationError());
+  }
+
+  if (isTwoFactorRequired(req.user.userType) && !req.user.twoFactorEnabled) {
+    return next(new ForbiddenError('Two-factor authentication must be enabled for this account', {
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
+    }));
+  }
+
+  next();
+};
+
+// Require every listed permission (see config/permissions.js)
+const requirePermission = (...permissions) => [
+  requireTwoFactor,
+  async (req, res, next) => {
+    try {
+      for (const permission of permissions) {
+        if (!(await hasPermission(req.user, permission))) {
+          return next(new ForbiddenError('Insufficient permissions', {
+            code: 'INSUFFICIENT_PERMISSIONS',
+            details: { required: permission }
+          }));
+        }
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+];
+
+// Vendor team members must belong to an organisation and hold a role with the capability
+// (see config/vendorRoles.js). Routes then scope records to req.user.vendorId.
+const requireVendorCapability = (capability) => (req, res, next) => {
+  if (!req.user) {
+    return next(new AuthenticationError());
+  }
+
+  if (req.user.userType !== 'vendor' || !req.user.vendorId) {
+    return next(new ForbiddenError('Vendor organisation membership required', { code: 'VENDOR_MEMBERSHIP_REQUIRED' }));
+  }
+
+  if (!vendorRoleCan(req.user.vendorRole, capability)) {
+    return next(new ForbiddenError('Insufficient team role', {
+      code: 'INSUFFICIENT_TEAM_ROLE',
+      details: { required: capability, current: req.user.vendorRole }
+    }));
+  }
+
+  next();
+};
+
+// Vendors acting on their own organisation's records need the team capability,
+// anyone else needs the platform permission
+const requireVendorOrPermission = (capability, permission) => {
+  const vendorCheck = requireVendorCapability(capability);
+  const [twoFactorCheck, permissionCheck] = requirePermission(permission);
+
+  return (req, res, next) => {
+    if (req.user && req.user.userType === 'vendor') {
+      return vendorCheck(req, res, next);
+    }
+
+    twoFactorCheck(req, res, () => permissionCheck(req, res, next));
+  };
+};
+
 const requireCustomer = requireUserType(['customer']);
 const requireVendor = requireUserType(['vendor']);
-const requireAdmin = requireUserType(['admin']);
-const requireVendorOrAdmin = requireUserType(['vendor', 'admin']);
+const requireCustomerOrVendor = requireUserType(['customer', 'vendor']);
 
 module.exports = {
   authenticateToken,
   requireCustomer,
   requireVendor,
-  requireAdmin,
-  requireVendorOrAdmin
+  requireCustomerOrVendor,
+  requireVerifiedEmail,
+  requireTwoFactor,
+  requirePermission,
+  requireVendorCapability,
+  requireVendorOrPermission
 };
@@ -0,0 +1,123 @@
+const {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  NotFoundError,
+  ConflictError,
+  PaymentError
+} = require('../utils/errors');
+
+// Stripe SDK errors -> API errors. Card problems are the customer's to fix (402),
+// bad requests are ours (400), anything else is the provider being unavailable (502).
+const fromStripeError = (err) => {
+  const details = { type: err.type, ...(err.code && { stripeCode: err.code }), ...(err.decline_code && { declineCode: err.decline_code }) };
+
+  switch (err.type) {
+    case 'StripeCardError':
+      return new PaymentError(err.message, { details });
+    case 'StripeInvalidRequestError':
+      return new PaymentError(err.message, { status: 400, code: 'PAYMENT_REQUEST_INVALID', details });
+    case 'StripeSignatureVerificationError':
+      return new ValidationError('Invalid webhook signature', { code: 'INVALID_SIGNATURE' });
+    case 'StripeIdempotencyError':
+      return new ConflictError(err.message, { details });
+    default:
+      return new PaymentError('Payment provider error', { status: 502, code: 'PAYMENT_PROVIDER_ERROR', details });
+  }
+};
+
+// PostgreSQL errors that are caused by the request rather than a server fault
+const fromDatabaseError = (err) => {
+  switch (err.code) {
+    case '23505':
+      return new ConflictError('Resource already exists', { details: { constraint: err.constraint } });
+    case '23503':
+      return new ConflictError('Referenced resource does not exist or is still in use', { details: { constraint: err.constraint } });
+    case '23P01':
+      return new ConflictError('Conflicts with an existing booking', { code: 'SLOT_UNAVAILABLE', details: { constraint: err.constraint } });
+    case '22P02':
+    case '23514':
+      return new ValidationError('Invalid value', { code: 'INVALID_VALUE' });
+    default:
+      return null;
+  }
+};
+
+// Map anything thrown or passed to next() onto an AppError
+const toAppError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  // Body parser (malformed JSON, oversized payloads)
+  if (err.type === 'entity.parse.failed') {
+    return new ValidationError('Malformed JSON body', { code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return new AppError('Request body too large', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  // Multipart uploads (multer)
+  if (err.name === 'MulterError') {
+    return err.code === 'LIMIT_FILE_SIZE'
+      ? new AppError('Uploaded file too large', { status: 413, code: 'PAYLOAD_TOO_LARGE' })
+      : new ValidationError(err.message, { code: 'INVALID_UPLOAD', details: { field: err.field } });
+  }
+
+  if (err.name === 'TokenExpiredError') {
+    return new AuthenticationError('Token expired', { code: 'TOKEN_EXPIRED' });
+  }
+  if (err.name === 'JsonWebTokenError' || err.name === 'NotBeforeError') {
+    return new AuthenticationError('Invalid token', { code: 'INVALID_TOKEN' });
+  }
+
+  if (typeof err.type === 'string' && err.type.startsWith('Stripe')) {
+    return fromStripeError(err);
+  }
+
+  if (typeof err.code === 'string' && /^[0-9A-Z]{5}$/.test(err.code)) {
+    const databaseError = fromDatabaseError(err);
+    if (databaseError) {
+      return databaseError;
+    }
+  }
+
+  return null;
+};
+
+// 404 for anything no router handled
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError('Route not found', { code: 'ROUTE_NOT_FOUND', details: { path: req.originalUrl } }));
+};
+
+// Central error handler - the only place error responses are written.
+// Express recognises error handlers by their four arguments, so next stays.
+const errorHandler = (err, req, res, next) => {
+  const appError = toAppError(err);
+
+  if (!appError || appError.status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} error:`, err);
+  }
+
+  const error = appError || new AppError('Internal server error');
+
+  if (error.headers) {
+    res.set(error.headers);
+  }
+
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    error: {
+      code: error.code,
+      ...(error.details !== undefined && { details: error.details }),
+      ...(process.env.NODE_ENV === 'development' && !appError && { stack: err.stack })
+    }
+  });
+};
+
+module.exports = {
+  notFoundHandler,
+  errorHandler,
+  toAppError
+};
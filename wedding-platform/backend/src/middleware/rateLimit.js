@@ -0,0 +1,59 @@
+const rateLimit = require('express-rate-limit');
+const kvStore = require('../services/kvStore');
+const { RateLimitError } = require('../utils/errors');
+
+// express-rate-limit store backed by kvStore (Redis, or memory when Redis is unavailable)
+class KvRateLimitStore {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowSeconds = Math.ceil(options.windowMs / 1000);
+  }
+
+  async increment(key) {
+    const totalHits = await kvStore.increment(this.prefix + key, this.windowSeconds);
+    const ttl = await kvStore.ttl(this.prefix + key);
+
+    return {
+      totalHits,
+      resetTime: new Date(Date.now() + ttl * 1000)
+    };
+  }
+
+  async decrement(key) {
+    await kvStore.decrement(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await kvStore.del(this.prefix + key);
+  }
+}
+
+// Hand rate limit rejections to the central error handler
+const rateLimitHandler = (message) => (req, res, next, options) => {
+  const retryAfter = req.rateLimit && req.rateLimit.resetTime
+    ? Math.max(1, Math.ceil((req.rateLimit.resetTime.getTime() - Date.now()) / 1000))
+    : Math.ceil(options.windowMs / 1000);
+
+  next(new RateLimitError(message, { retryAfter }));
+};
+
+// Login attempts per email + IP, separate from the global /api/ limiter
+const loginLimiter = rateLimit({
+  windowMs: parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10,
+  keyGenerator: (req) => `${String(req.body.email || '').toLowerCase()}:${req.ip}`,
+  store: new KvRateLimitStore('rl:login:'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: rateLimitHandler('Too many login attempts, please try again later.')
+});
+
+module.exports = {
+  KvRateLimitStore,
+  rateLimitHandler,
+  loginLimiter
+};
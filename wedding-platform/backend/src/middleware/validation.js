@@ -1,28 +1,43 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { isUUID } = require('validator');
+const { PERMISSION_NAMES, ROLES, SUPERUSER_ROLE } = require('../config/permissions');
+const { BOOKING_STATUSES } = require('../config/bookingStatus');
+const { CANCELLATION_POLICY_NAMES, MAX_CANCELLATION_TIERS, MAX_CANCELLATION_NOTICE_DAYS } = require('../config/cancellationPolicies');
+const { VENDOR_TIER_NAMES } = require('../config/commission');
+const { parseListQuery } = require('../utils/listQuery');
+const { ValidationError } = require('../utils/errors');
 
 // Helper function to check validation results
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: errors.array()
-    });
+    return next(new ValidationError('Validation failed', { details: errors.array() }));
   }
   next();
 };
 
+// Password strength rules shared by registration and password reset
+const passwordRules = (field) => body(field)
+  .isLength({ min: 8 })
+  .withMessage('Password must be at least 8 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number');
+
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// 'HH:MM' -> minutes since midnight (NaN if missing)
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
 // User registration validation
 const validateUserRegistration = [
   body('email')
     .isEmail()
     .normalizeEmail()
     .withMessage('Valid email is required'),
-  body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  passwordRules('password'),
   body('firstName')
     .trim()
     .isLength({ min: 2, max: 100 })
@@ -53,6 +68,168 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+// Social sign-in validation
+const validateOAuthLogin = [
+  param('provider')
+    .isIn(['google', 'apple'])
+    .withMessage('Provider must be google or apple'),
+  body('idToken')
+    .isString()
+    .notEmpty()
+    .withMessage('ID token is required'),
+  body('userType')
+    .optional()
+    .isIn(['customer', 'vendor'])
+    .withMessage('User type must be either customer or vendor'),
+  body('firstName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('First name must be between 2 and 100 characters'),
+  body('lastName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Last name must be between 2 and 100 characters'),
+  handleValidationErrors
+];
+
+// Refresh token validation (refresh and logout)
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  handleValidationErrors
+];
+
+// Email verification validation
+const validateEmailVerification = [
+  body('token')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  handleValidationErrors
+];
+
+// Forgot password validation
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+  handleValidationErrors
+];
+
+// Password reset validation
+const validatePasswordReset = [
+  body('token')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  passwordRules('password'),
+  handleValidationErrors
+];
+
+// Two-factor code validation - an authenticator code or a recovery code
+const twoFactorCodeRules = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Recovery code must not be empty'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('An authentication code or recovery code is required')
+];
+
+const validateTwoFactorCode = [
+  ...twoFactorCodeRules,
+  handleValidationErrors
+];
+
+// Second login step validation
+const validateTwoFactorChallenge = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...twoFactorCodeRules,
+  handleValidationErrors
+];
+
+// Role permission validation (admins always hold every permission)
+const validateRolePermissions = [
+  param('role')
+    .isIn(ROLES.filter(role => role !== SUPERUSER_ROLE))
+    .withMessage(`Role must be one of: ${ROLES.filter(role => role !== SUPERUSER_ROLE).join(', ')}`),
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(PERMISSION_NAMES)
+    .withMessage('Unknown permission'),
+  handleValidationErrors
+];
+
+// Individual permission grant validation
+const validatePermissionGrant = [
+  body('permission')
+    .isIn(PERMISSION_NAMES)
+    .withMessage('Unknown permission'),
+  handleValidationErrors
+];
+
+// Vendor team invitation validation (owners are never invited)
+const validateVendorInvitation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+  body('role')
+    .isIn(['manager', 'staff'])
+    .withMessage('Role must be either manager or staff'),
+  handleValidationErrors
+];
+
+// Invitation acceptance validation - the invitee sets up their own login
+const validateInvitationAcceptance = [
+  body('token')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+  passwordRules('password'),
+  body('firstName')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('First name must be between 2 and 100 characters'),
+  body('lastName')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Last name must be between 2 and 100 characters'),
+  body('phone')
+    .optional()
+    .isMobilePhone()
+    .withMessage('Valid phone number is required if provided'),
+  handleValidationErrors
+];
+
+// Vendor team member role validation
+const validateVendorMemberRole = [
+  body('role')
+    .isIn(['manager', 'staff'])
+    .withMessage('Role must be either manager or staff'),
+  handleValidationErrors
+];
+
 // Vendor profile validation
 const validateVendorProfile = [
   body('businessName')
@@ -111,21 +288,504 @@ const validateBooking = [
     .isISO8601()
     .withMessage('Valid booking date is required'),
   body('start_time')
-    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .matches(TIME_PATTERN)
     .withMessage('Start time must be in HH:MM format'),
   body('end_time')
-    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
-    .withMessage('End time must be in HH:MM format'),
+    .matches(TIME_PATTERN)
+    .withMessage('End time must be in HH:MM format')
+    .custom((value, { req }) => toMinutes(value) > toMinutes(req.body.start_time))
+    .withMessage('End time must be after start time'),
   body('special_requests')
     .optional()
     .isLength({ max: 1000 })
     .withMessage('Special requests must be less than 1000 characters'),
+  // The price is always worked out by the pricing engine
   body('total_amount')
+    .not().exists()
+    .withMessage('total_amount is calculated by the server; request a quote instead'),
+  body('addons')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Add-ons must be a list of add-on IDs'),
+  body('addons.*')
+    .isUUID()
+    .withMessage('Each add-on must be a valid ID'),
+  handleValidationErrors
+];
+
+// Booking status change validation
+const validateBookingStatus = [
+  body('status')
+    .isIn(BOOKING_STATUSES)
+    .withMessage(`Status must be one of: ${BOOKING_STATUSES.join(', ')}`),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be less than 1000 characters'),
+  handleValidationErrors
+];
+
+// startTime/endTime body fields of availability slots and rules
+const timeRangeRules = () => [
+  body('startTime')
+    .matches(TIME_PATTERN)
+    .withMessage('Start time must be in HH:MM format'),
+  body('endTime')
+    .matches(TIME_PATTERN)
+    .withMessage('End time must be in HH:MM format')
+    .custom((value, { req }) => toMinutes(value) > toMinutes(req.body.startTime))
+    .withMessage('End time must be after start time')
+];
+
+const priceModifierRule = () => body('priceModifier')
+  .isFloat({ min: 0.1, max: 10 })
+  .withMessage('Price modifier must be between 0.1 and 10');
+
+// A list of ISO 8601 dates, at most a year's worth
+const dateListRules = (field) => [
+  body(field)
+    .isArray({ min: 1, max: 366 })
+    .withMessage(`${field} must be a list of 1 to 366 dates`),
+  body(`${field}.*`)
+    .isISO8601({ strict: true })
+    .withMessage('Each date must be a valid date')
+];
+
+// Rules are expanded into slots up front, so their range is capped
+const MAX_RULE_DAYS = 366;
+
+// Availability slot validation
+const validateAvailabilitySlot = [
+  body('date')
+    .isISO8601({ strict: true })
+    .withMessage('Valid date is required'),
+  ...timeRangeRules(),
+  priceModifierRule().optional(),
+  body('isAvailable')
+    .optional()
+    .isBoolean()
+    .withMessage('isAvailable must be true or false'),
+  handleValidationErrors
+];
+
+// Weekly availability rule validation
+const validateAvailabilityRule = [
+  body('daysOfWeek')
+    .isArray({ min: 1, max: 7 })
+    .withMessage('daysOfWeek must list 1 to 7 days'),
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days of the week are 0 (Sunday) to 6 (Saturday)')
+    .toInt(),
+  ...timeRangeRules(),
+  body('startsOn')
+    .isISO8601({ strict: true })
+    .withMessage('Valid start date is required'),
+  body('endsOn')
+    .isISO8601({ strict: true })
+    .withMessage('Valid end date is required')
+    .custom((value, { req }) => {
+      const days = (Date.parse(value) - Date.parse(req.body.startsOn)) / 86400000;
+      return days >= 0 && days < MAX_RULE_DAYS;
+    })
+    .withMessage(`End date must be on or after the start date and within ${MAX_RULE_DAYS} days of it`),
+  priceModifierRule().optional(),
+  handleValidationErrors
+];
+
+// Blackout dates validation
+const validateBlackouts = [
+  ...dateListRules('dates'),
+  body('reason')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('Reason must be less than 255 characters'),
+  handleValidationErrors
+];
+
+// Bulk price modifier validation
+const validatePriceModifiers = [
+  ...dateListRules('dates'),
+  priceModifierRule(),
+  handleValidationErrors
+];
+
+// External calendar (ICS URL) validation
+const validateCalendarSource = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  body('url')
+    .trim()
+    .isURL({ protocols: ['http', 'https', 'webcal'], require_protocol: true })
+    .withMessage('A valid http(s) or webcal URL is required')
+    .isLength({ max: 2000 })
+    .withMessage('URL must be less than 2000 characters'),
+  handleValidationErrors
+];
+
+// ICS import validation (the calendar itself is an uploaded file or the `calendar` field)
+const validateCalendarImport = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  body('calendar')
+    .optional()
+    .isString()
+    .withMessage('Calendar must be the text of an ICS file'),
+  handleValidationErrors
+];
+
+// Quote query validation (GET /services/:id/quote)
+const validateQuote = [
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  query('startTime')
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('Start time must be in HH:MM format'),
+  query('endTime')
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('End time must be in HH:MM format')
+    .custom((value, { req }) => toMinutes(value) > toMinutes(req.query.startTime))
+    .withMessage('End time must be after start time'),
+  query('startTime')
+    .if(query('endTime').exists())
+    .exists()
+    .withMessage('Start time is required with an end time'),
+  query('addons')
+    .optional()
+    .custom(value => String(value).split(',').every(id => isUUID(id.trim())))
+    .withMessage('Add-ons must be a comma-separated list of add-on IDs'),
+  handleValidationErrors
+];
+
+// Quote request validation (a customer's event details for a vendor to price)
+const validateQuoteRequest = [
+  body('serviceId')
+    .isUUID()
+    .withMessage('Valid service ID is required'),
+  body('eventDate')
+    .isISO8601({ strict: true })
+    .withMessage('Valid event date is required'),
+  ...timeRangeRules(),
+  body('guestCount')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Guest count must be between 1 and 10000')
+    .toInt(),
+  body('venue')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Venue must be less than 255 characters'),
+  body('budget')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Budget must be zero or a positive number'),
+  body('message')
+    .trim()
+    .isLength({ min: 10, max: 5000 })
+    .withMessage('Message must be between 10 and 5000 characters'),
+  handleValidationErrors
+];
+
+// Proposal validation. The date and times default to the quote request's
+const validateProposal = [
+  body('lineItems')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('lineItems must list 1 to 50 items'),
+  body('lineItems.*.description')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Each line item needs a description of up to 255 characters'),
+  body('lineItems.*.quantity')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Quantity must be between 1 and 10000'),
+  body('lineItems.*.unitPrice')
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be zero or a positive number'),
+  body('eventDate')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Event date must be a valid date'),
+  body('startTime')
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('Start time must be in HH:MM format'),
+  body('endTime')
+    .if(body('startTime').exists())
+    .matches(TIME_PATTERN)
+    .withMessage('End time must be in HH:MM format')
+    .custom((value, { req }) => toMinutes(value) > toMinutes(req.body.startTime))
+    .withMessage('End time must be after start time'),
+  body('message')
+    .optional()
+    .isLength({ max: 5000 })
+    .withMessage('Message must be less than 5000 characters'),
+  body('validForDays')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Proposals can be valid for 1 to 90 days')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Accepting a proposal, optionally paying straight away
+const validateProposalAcceptance = [
+  body('paymentMethodId')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Payment method must be a Stripe payment method ID'),
+  handleValidationErrors
+];
+
+// Declining or cancelling, with an optional reason
+const validateReason = [
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be less than 1000 characters'),
+  handleValidationErrors
+];
+
+// Message text; a message needs text, attachments (parsed by multer first) or both
+const messageBodyRules = () => [
+  body('body')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Message must be less than 5000 characters'),
+  body('body')
+    .custom((value, { req }) => Boolean((value && String(value).trim()) || (req.files && req.files.length > 0)))
+    .withMessage('A message needs text or an attachment')
+];
+
+// Sending a message
+const validateMessage = [
+  ...messageBodyRules(),
+  handleValidationErrors
+];
+
+// Starting a conversation with its first message. Customers name the vendor or one of
+// their bookings; vendors start from a booking
+const validateConversation = [
+  body('vendorId')
+    .optional()
+    .isUUID()
+    .withMessage('Valid vendor ID is required'),
+  body('bookingId')
+    .optional()
+    .isUUID()
+    .withMessage('Valid booking ID is required'),
+  body('subject')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Subject must be less than 255 characters'),
+  ...messageBodyRules(),
+  handleValidationErrors
+];
+
+// Reporting a conversation to moderators
+const validateFlag = [
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 1000 })
+    .withMessage('Reason must be between 3 and 1000 characters'),
+  handleValidationErrors
+];
+
+// Review of a completed booking
+const validateReview = [
+  body('bookingId')
+    .isUUID()
+    .withMessage('Valid booking ID is required'),
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5')
+    .toInt(),
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Title must be less than 255 characters'),
+  body('comment')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Comment must be less than 5000 characters'),
+  handleValidationErrors
+];
+
+const validateReviewReply = [
+  body('reply')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Reply must be between 1 and 2000 characters'),
+  handleValidationErrors
+];
+
+const REVIEW_MODERATION_ACTIONS = ['hide', 'restore', 'dismiss'];
+
+const validateReviewModeration = [
+  body('action')
+    .isIn(REVIEW_MODERATION_ACTIONS)
+    .withMessage(`Action must be one of: ${REVIEW_MODERATION_ACTIONS.join(', ')}`),
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must be less than 1000 characters'),
+  handleValidationErrors
+];
+
+// Caption and alt text of service media; an empty string clears them
+const validateMediaDetails = [
+  body('caption')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Caption must be less than 255 characters'),
+  body('altText')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Alt text must be less than 255 characters'),
+  handleValidationErrors
+];
+
+// Every active media item of the service, in the new order
+const validateMediaOrder = [
+  body('mediaIds')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('mediaIds must list the service\'s media'),
+  body('mediaIds.*')
+    .isUUID()
+    .withMessage('Each media ID must be a valid UUID'),
+  handleValidationErrors
+];
+
+// Service add-on validation
+const validateServiceAddon = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 255 })
+    .withMessage('Add-on name must be between 2 and 255 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+  body('price')
+    .isFloat({ min: 0 })
+    .withMessage('Price must be zero or a positive number'),
+  handleValidationErrors
+];
+
+// Service payment terms: deposit and balance schedule
+const validatePaymentTerms = [
+  body('depositType')
+    .isIn(['none', 'percentage', 'fixed'])
+    .withMessage('Deposit type must be none, percentage or fixed'),
+  body('depositValue')
+    .if(body('depositType').isIn(['percentage', 'fixed']))
+    .isFloat({ min: 0.01 })
+    .withMessage('Deposit value must be a positive number')
+    .bail()
+    .if(body('depositType').equals('percentage'))
+    .isFloat({ max: 100 })
+    .withMessage('A percentage deposit can be at most 100'),
+  body('balanceDueDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Balance due days must be between 0 and 365')
+    .toInt(),
+  body('balanceInstalments')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Balance instalments must be between 1 and 12')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Cancellation policy of a service; 'custom' needs its own refund tiers
+const validateCancellationPolicy = [
+  body('policy')
+    .isIn(CANCELLATION_POLICY_NAMES)
+    .withMessage(`Policy must be one of: ${CANCELLATION_POLICY_NAMES.join(', ')}`),
+  body('tiers')
+    .if(body('policy').equals('custom'))
+    .isArray({ min: 1, max: MAX_CANCELLATION_TIERS })
+    .withMessage(`A custom policy needs between 1 and ${MAX_CANCELLATION_TIERS} tiers`)
+    .bail()
+    .custom((tiers) => new Set(tiers.map(tier => tier && tier.days)).size === tiers.length)
+    .withMessage('Each tier needs a different number of days'),
+  body('tiers.*.days')
+    .if(body('policy').equals('custom'))
+    .isInt({ min: 0, max: MAX_CANCELLATION_NOTICE_DAYS })
+    .withMessage(`Tier days must be between 0 and ${MAX_CANCELLATION_NOTICE_DAYS}`)
+    .toInt(),
+  body('tiers.*.percent')
+    .if(body('policy').equals('custom'))
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Tier percent must be between 0 and 100')
+    .toInt(),
+  handleValidationErrors
+];
+
+// A vendor's commission tier
+const validateCommissionTier = [
+  body('tier')
+    .isIn(VENDOR_TIER_NAMES)
+    .withMessage(`Tier must be one of: ${VENDOR_TIER_NAMES.join(', ')}`),
+  handleValidationErrors
+];
+
+// Refunding a payment; without an amount the rest of the payment is refunded
+const validateRefund = [
+  body('amount')
+    .optional({ values: 'null' })
     .isFloat({ min: 0.01 })
-    .withMessage('Total amount must be a positive number'),
+    .withMessage('Amount must be a positive number')
+    .toFloat(),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be less than 1000 characters'),
   handleValidationErrors
 ];
 
+// List query validation (filters, sorting and pagination) - sets req.listQuery
+const validateListQuery = (spec) => (req, res, next) => {
+  const { list, errors } = parseListQuery(req.query, spec);
+  if (errors) {
+    return next(new ValidationError('Validation failed', { details: errors }));
+  }
+
+  req.listQuery = list;
+  next();
+};
+
 // UUID parameter validation
 const validateUUID = [
   param('id')
@@ -134,12 +794,71 @@ const validateUUID = [
   handleValidationErrors
 ];
 
+// UUID validation for a named route parameter, e.g. validateIdParam('addonId', 'add-on')
+const validateIdParam = (name, label) => [
+  param(name)
+    .isUUID()
+    .withMessage(`Valid ${label} ID is required`),
+  handleValidationErrors
+];
+
+const validateAddonId = validateIdParam('addonId', 'add-on');
+
+// Stripe payment method ID route parameter
+const validatePaymentMethodId = [
+  param('paymentMethodId')
+    .matches(/^pm_[A-Za-z0-9_]+$/)
+    .withMessage('Valid payment method ID is required'),
+  handleValidationErrors
+];
+
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
+  validateOAuthLogin,
+  validateRefreshToken,
+  validateEmailVerification,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateTwoFactorCode,
+  validateTwoFactorChallenge,
+  validateRolePermissions,
+  validatePermissionGrant,
+  validateVendorInvitation,
+  validateInvitationAcceptance,
+  validateVendorMemberRole,
   validateVendorProfile,
   validateService,
   validateBooking,
+  validateBookingStatus,
+  validateQuote,
+  validateServiceAddon,
+  validatePaymentTerms,
+  validateCancellationPolicy,
+  validateRefund,
+  validateCommissionTier,
+  validateQuoteRequest,
+  validateProposal,
+  validateProposalAcceptance,
+  validateReason,
+  validateMessage,
+  validateConversation,
+  validateFlag,
+  validateReview,
+  validateReviewReply,
+  validateReviewModeration,
+  validateMediaDetails,
+  validateMediaOrder,
+  validateAvailabilitySlot,
+  validateAvailabilityRule,
+  validateBlackouts,
+  validatePriceModifiers,
+  validateCalendarSource,
+  validateCalendarImport,
   validateUUID,
+  validateIdParam,
+  validatePaymentMethodId,
+  validateAddonId,
+  validateListQuery,
   handleValidationErrors
 };
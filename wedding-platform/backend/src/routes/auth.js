@@ -1,13 +1,135 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { normalizeEmail } = require('validator');
 const pool = require('../config/database');
-const { validateUserRegistration, validateUserLogin } = require('../middleware/validation');
+const { authenticateToken } = require('../middleware/auth');
+const { loginLimiter } = require('../middleware/rateLimit');
+const {
+  getLockoutSeconds,
+  recordFailure,
+  clearFailures,
+  recordLoginAudit
+} = require('../services/loginAttempts');
+const { sendMail } = require('../services/mailer');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserSessions
+} = require('../services/sessions');
+const { verifyIdToken } = require('../services/oidc');
+const { createVendorOrganisation } = require('../services/vendorTeam');
+const {
+  isTwoFactorRequired,
+  isTwoFactorAllowed,
+  verifyChallengeToken,
+  getLoginChallenge,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  countRecoveryCodes,
+  disableTwoFactor
+} = require('../services/twoFactor');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { respond } = require('../utils/respond');
+const { withTransaction } = require('../utils/transaction');
+const {
+  AppError,
+  ValidationError,
+  BadRequestError,
+  AuthenticationError,
+  ForbiddenError,
+  ConflictError,
+  RateLimitError
+} = require('../utils/errors');
+const {
+  validateUserRegistration,
+  validateUserLogin,
+  validateOAuthLogin,
+  validateRefreshToken,
+  validateEmailVerification,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateTwoFactorCode,
+  validateTwoFactorChallenge
+} = require('../middleware/validation');
 
 const router = express.Router();
 
+// Shape of the user returned with a new session
+const sessionUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.first_name,
+  lastName: user.last_name,
+  userType: user.user_type,
+  emailVerified: user.email_verified
+});
+
+const accountLockedError = (retryAfter) => new AppError(
+  'Account temporarily locked due to too many failed login attempts',
+  { status: 423, code: 'ACCOUNT_LOCKED', details: { retryAfter }, headers: { 'Retry-After': String(retryAfter) } }
+);
+
+// Create a verification token for the user and email them the link
+const sendVerificationEmail = async (user) => {
+  const token = generateToken();
+  const ttlHours = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS) || 48;
+
+  await pool.query(
+    `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + ($3 * INTERVAL '1 hour'))`,
+    [user.id, hashToken(token), ttlHours]
+  );
+
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Wedding Platform email address',
+    text: `Hi ${user.first_name},\n\n` +
+      `Please confirm your email address by opening the link below within ${ttlHours} hours:\n\n` +
+      `${verifyUrl}`
+  });
+};
+
+// 2FA enrollment accepts a normal access token, or the setup challenge from /login
+// for accounts (admins) that must enroll before they can get one
+const authenticateEnrollment = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const userId = verifyChallengeToken(req.body.challengeToken, 'setup');
+    const userResult = userId
+      ? await pool.query('SELECT id, email, user_type, is_active, email_verified, two_factor_enabled FROM users WHERE id = $1', [userId])
+      : { rows: [] };
+
+    const user = userResult.rows[0];
+
+    if (!user || !user.is_active) {
+      throw new AuthenticationError('Invalid or expired challenge token', { code: 'INVALID_CHALLENGE' });
+    }
+
+    req.user = {
+      id: user.id,
+      email: user.email,
+      userType: user.user_type,
+      emailVerified: user.email_verified,
+      twoFactorEnabled: user.two_factor_enabled,
+      loginChallenge: true
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // User Registration
-router.post('/register', validateUserRegistration, async (req, res) => {
+router.post('/register', validateUserRegistration, async (req, res, next) => {
   try {
     const { email, password, firstName, lastName, userType, phone } = req.body;
 
@@ -18,113 +140,647 @@ router.post('/register', validateUserRegistration, async (req, res) => {
     );
 
     if (existingUser.rows.length > 0) {
-      return res.status(409).json({ error: 'User with this email already exists' });
+      throw new ConflictError('User with this email already exists', { code: 'EMAIL_TAKEN' });
     }
 
     // Hash password
     const saltRounds = 12;
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
-    // Create user
-    const newUser = await pool.query(
-      `INSERT INTO users (email, password_hash, first_name, last_name, user_type, phone)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING id, email, first_name, last_name, user_type, created_at`,
-      [email, passwordHash, firstName, lastName, userType, phone]
-    );
+    // Create user, and for vendors their profile and organisation
+    const user = await withTransaction(async (client) => {
+      const newUser = await client.query(
+        `INSERT INTO users (email, password_hash, first_name, last_name, user_type, phone)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id, email, first_name, last_name, user_type, email_verified, created_at`,
+        [email, passwordHash, firstName, lastName, userType, phone]
+      );
 
-    const user = newUser.rows[0];
+      if (userType === 'vendor') {
+        await createVendorOrganisation(client, newUser.rows[0].id, `${firstName} ${lastName}'s Business`);
+      }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, userType: user.user_type },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
+      return newUser.rows[0];
+    });
 
-    // If vendor, create vendor profile
-    if (userType === 'vendor') {
-      await pool.query(
-        'INSERT INTO vendor_profiles (user_id, business_name) VALUES ($1, $2)',
-        [user.id, `${firstName} ${lastName}'s Business`]
-      );
+    // Issue access and refresh tokens
+    const { token, refreshToken } = await createSession(user, req);
+
+    // A failed email shouldn't fail registration - the user can ask for a resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
     }
 
-    res.status(201).json({
-      message: 'User registered successfully',
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        userType: user.user_type,
-        createdAt: user.created_at
-      },
-      token
-    });
+    respond(res, {
+      user: { ...sessionUser(user), createdAt: user.created_at },
+      token,
+      refreshToken
+    }, { status: 201, message: 'User registered successfully' });
 
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
+    next(error);
   }
 });
 
 // User Login
-router.post('/login', validateUserLogin, async (req, res) => {
+router.post('/login', validateUserLogin, loginLimiter, async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
+    // Refuse locked accounts before touching the password
+    const lockedFor = await getLockoutSeconds(email);
+    if (lockedFor > 0) {
+      await recordLoginAudit({ email, req, success: false, reason: 'locked' });
+      throw accountLockedError(lockedFor);
+    }
+
     // Find user by email
     const userResult = await pool.query(
-      'SELECT id, email, password_hash, first_name, last_name, user_type, is_active FROM users WHERE email = $1',
+      'SELECT id, email, password_hash, first_name, last_name, user_type, is_active, email_verified, two_factor_enabled FROM users WHERE email = $1',
       [email]
     );
 
-    if (userResult.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-
     const user = userResult.rows[0];
 
+    // Verify password (unknown emails count as failures too)
+    // Password-less (social sign-in) accounts can't log in this way until they set a password
+    const isValidPassword = user && user.password_hash
+      ? await bcrypt.compare(password, user.password_hash)
+      : false;
+    if (!isValidPassword) {
+      await recordFailure(email);
+      await recordLoginAudit({
+        userId: user ? user.id : null,
+        email,
+        req,
+        success: false,
+        reason: user ? 'invalid_password' : 'unknown_email'
+      });
+      throw new AuthenticationError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+    }
+
     // Check if user is active
     if (!user.is_active) {
-      return res.status(401).json({ error: 'Account is deactivated' });
+      await recordLoginAudit({ userId: user.id, email, req, success: false, reason: 'deactivated' });
+      throw new AuthenticationError('Account is deactivated', { code: 'ACCOUNT_DEACTIVATED' });
     }
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password_hash);
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    // Second step required - finish at /2fa/verify (or /2fa/setup + /2fa/enable for admins
+    // not yet enrolled). Failures aren't cleared yet so the lockout also covers code guessing.
+    const challenge = getLoginChallenge(user);
+    if (challenge) {
+      const { message, ...data } = challenge;
+      return respond(res, data, { message });
+    }
+
+    await clearFailures(email);
+    await recordLoginAudit({ userId: user.id, email, req, success: true });
+
+    // Issue access and refresh tokens
+    const { token, refreshToken } = await createSession(user, req);
+
+    respond(res, {
+      user: sessionUser(user),
+      token,
+      refreshToken
+    }, { message: 'Login successful' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Social Sign-in - verify a Google / Apple OIDC ID token, then link or create the user
+router.post('/oauth/:provider', validateOAuthLogin, async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+    const { idToken, userType = 'customer', firstName, lastName } = req.body;
+
+    let identity;
+    try {
+      identity = await verifyIdToken(provider, idToken);
+    } catch (err) {
+      if (err.code === 'PROVIDER_NOT_CONFIGURED') {
+        throw new BadRequestError(err.message, { code: 'PROVIDER_NOT_CONFIGURED' });
+      }
+      if (err.code === 'INVALID_ID_TOKEN') {
+        throw new AuthenticationError('Invalid ID token', { code: 'INVALID_ID_TOKEN' });
+      }
+      throw err;
+    }
+
+    const userColumns = 'u.id, u.email, u.first_name, u.last_name, u.user_type, u.is_active, u.email_verified, u.two_factor_enabled';
+    let isNewUser = false;
+
+    // Already linked to this provider account?
+    const linkedResult = await pool.query(
+      `SELECT ${userColumns}
+       FROM user_identities ui
+       JOIN users u ON ui.user_id = u.id
+       WHERE ui.provider = $1 AND ui.provider_subject = $2`,
+      [provider, identity.subject]
+    );
+
+    let user = linkedResult.rows[0];
+
+    if (!user) {
+      if (!identity.email) {
+        throw new BadRequestError('ID token does not include an email address');
+      }
+
+      const email = normalizeEmail(identity.email) || identity.email;
+
+      const existingResult = await pool.query(
+        `SELECT ${userColumns} FROM users u WHERE u.email = $1`,
+        [email]
+      );
+
+      // Only link to an existing account when the provider vouches for the email
+      if (existingResult.rows.length > 0 && !identity.emailVerified) {
+        throw new ConflictError('An account with this email already exists. Sign in with your password first.', { code: 'EMAIL_TAKEN' });
+      }
+
+      const newFirstName = identity.firstName || firstName;
+      const newLastName = identity.lastName || lastName;
+
+      if (existingResult.rows.length === 0 && (!newFirstName || !newLastName)) {
+        throw new ValidationError('First name and last name are required for new accounts');
+      }
+
+      // A new account, its organisation and the link to the provider are created together
+      user = await withTransaction(async (client) => {
+        let account = existingResult.rows[0];
+
+        if (!account) {
+          // Password-less account: password_hash stays NULL
+          const newUser = await client.query(
+            `INSERT INTO users (email, first_name, last_name, user_type, email_verified, email_verified_at)
+             VALUES ($1, $2, $3, $4, $5, CASE WHEN $5 THEN NOW() END)
+             RETURNING id, email, first_name, last_name, user_type, is_active, email_verified, two_factor_enabled`,
+            [email, newFirstName, newLastName, userType, identity.emailVerified]
+          );
+
+          account = newUser.rows[0];
+          isNewUser = true;
+
+          if (userType === 'vendor') {
+            await createVendorOrganisation(client, account.id, `${newFirstName} ${newLastName}'s Business`);
+          }
+        }
+
+        await client.query(
+          `INSERT INTO user_identities (user_id, provider, provider_subject, email)
+           VALUES ($1, $2, $3, $4)`,
+          [account.id, provider, identity.subject, identity.email]
+        );
+
+        if (identity.emailVerified && !account.email_verified) {
+          await client.query(
+            'UPDATE users SET email_verified = true, email_verified_at = NOW(), updated_at = NOW() WHERE id = $1',
+            [account.id]
+          );
+          account.email_verified = true;
+        }
+
+        return account;
+      });
+    }
+
+    if (!user.is_active) {
+      throw new AuthenticationError('Account is deactivated', { code: 'ACCOUNT_DEACTIVATED' });
+    }
+
+    // Social sign-in doesn't bypass 2FA
+    const challenge = getLoginChallenge(user);
+    if (challenge) {
+      const { message, ...data } = challenge;
+      return respond(res, data, { message });
+    }
+
+    await recordLoginAudit({ userId: user.id, email: user.email, req, success: true, reason: `oauth_${provider}` });
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    respond(res, {
+      user: sessionUser(user),
+      token,
+      refreshToken,
+      isNewUser
+    }, {
+      status: isNewUser ? 201 : 200,
+      message: isNewUser ? 'User registered successfully' : 'Login successful'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Two-Factor Verify - second login step, exchanges a challenge token and code for a session
+router.post('/2fa/verify', validateTwoFactorChallenge, async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyChallengeToken(challengeToken, 'verify');
+    const userResult = userId
+      ? await pool.query(
+        'SELECT id, email, first_name, last_name, user_type, is_active, email_verified FROM users WHERE id = $1',
+        [userId]
+      )
+      : { rows: [] };
+
+    const user = userResult.rows[0];
+
+    if (!user || !user.is_active) {
+      throw new AuthenticationError('Invalid or expired challenge token', { code: 'INVALID_CHALLENGE' });
+    }
+
+    // Shares the password lockout, so codes can't be brute forced either
+    const lockedFor = await getLockoutSeconds(user.email);
+    if (lockedFor > 0) {
+      await recordLoginAudit({ userId: user.id, email: user.email, req, success: false, reason: 'locked' });
+      throw accountLockedError(lockedFor);
+    }
+
+    const method = await verifySecondFactor(user.id, { code, recoveryCode });
+
+    if (!method) {
+      await recordFailure(user.email);
+      await recordLoginAudit({ userId: user.id, email: user.email, req, success: false, reason: 'invalid_2fa_code' });
+      throw new AuthenticationError('Invalid authentication code', { code: 'INVALID_2FA_CODE' });
+    }
+
+    await clearFailures(user.email);
+    await recordLoginAudit({ userId: user.id, email: user.email, req, success: true, reason: `2fa_${method}` });
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    const data = {
+      user: sessionUser(user),
+      token,
+      refreshToken
+    };
+
+    if (method === 'recovery') {
+      data.recoveryCodesRemaining = await countRecoveryCodes(user.id);
+    }
+
+    respond(res, data, { message: 'Login successful' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Two-Factor Status
+router.get('/2fa', authenticateToken, async (req, res, next) => {
+  try {
+    respond(res, {
+      twoFactorEnabled: req.user.twoFactorEnabled,
+      required: isTwoFactorRequired(req.user.userType),
+      available: isTwoFactorAllowed(req.user.userType),
+      recoveryCodesRemaining: req.user.twoFactorEnabled ? await countRecoveryCodes(req.user.id) : 0
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Two-Factor Setup - new secret and otpauth:// provisioning URI (rendered as a QR code by the app)
+router.post('/2fa/setup', authenticateEnrollment, async (req, res, next) => {
+  try {
+    if (!isTwoFactorAllowed(req.user.userType)) {
+      throw new ForbiddenError('Two-factor authentication is not available for this account type', { code: 'TWO_FACTOR_UNAVAILABLE' });
+    }
+
+    if (req.user.twoFactorEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ALREADY_ENABLED' });
+    }
+
+    const { secret, otpauthUrl } = await beginEnrollment(req.user);
+
+    respond(res, { secret, otpauthUrl }, {
+      message: 'Scan the QR code with your authenticator app, then confirm with a code'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Two-Factor Enable - confirm the first code and hand out recovery codes
+router.post('/2fa/enable', authenticateEnrollment, validateTwoFactorCode, async (req, res, next) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ALREADY_ENABLED' });
+    }
+
+    const recoveryCodes = await confirmEnrollment(req.user.id, req.body.code);
+
+    if (!recoveryCodes) {
+      throw new BadRequestError('Invalid authentication code', { code: 'INVALID_2FA_CODE' });
+    }
+
+    const data = { recoveryCodes };
+
+    // Enrolling from a login challenge completes that login
+    if (req.user.loginChallenge) {
+      const userResult = await pool.query(
+        'SELECT id, email, first_name, last_name, user_type, email_verified FROM users WHERE id = $1',
+        [req.user.id]
+      );
+
+      const user = userResult.rows[0];
+
+      await clearFailures(user.email);
+      await recordLoginAudit({ userId: user.id, email: user.email, req, success: true, reason: '2fa_enrolled' });
+
+      const { token, refreshToken } = await createSession(user, req);
+
+      Object.assign(data, {
+        user: sessionUser(user),
+        token,
+        refreshToken
+      });
+    }
+
+    respond(res, data, { message: 'Two-factor authentication enabled' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Regenerate Recovery Codes - invalidates the old set
+router.post('/2fa/recovery-codes', authenticateToken, validateTwoFactorCode, async (req, res, next) => {
+  try {
+    if (!req.user.twoFactorEnabled) {
+      throw new BadRequestError('Two-factor authentication is not enabled', { code: 'TWO_FACTOR_NOT_ENABLED' });
+    }
+
+    // Authenticator code only - a recovery code can't be used to mint new ones
+    const method = await verifySecondFactor(req.user.id, { code: req.body.code });
+
+    if (!method) {
+      throw new BadRequestError('Invalid authentication code', { code: 'INVALID_2FA_CODE' });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+
+    respond(res, { recoveryCodes }, { message: 'Recovery codes regenerated' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Two-Factor Disable - optional accounts only
+router.post('/2fa/disable', authenticateToken, validateTwoFactorCode, async (req, res, next) => {
+  try {
+    if (isTwoFactorRequired(req.user.userType)) {
+      throw new ForbiddenError('Two-factor authentication is mandatory for this account', { code: 'TWO_FACTOR_REQUIRED' });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      throw new BadRequestError('Two-factor authentication is not enabled', { code: 'TWO_FACTOR_NOT_ENABLED' });
+    }
+
+    const { code, recoveryCode } = req.body;
+    const method = await verifySecondFactor(req.user.id, { code, recoveryCode });
+
+    if (!method) {
+      throw new BadRequestError('Invalid authentication code', { code: 'INVALID_2FA_CODE' });
+    }
+
+    await disableTwoFactor(req.user.id);
+
+    respond(res, null, { message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Refresh Token - rotate the refresh token and issue a new access token
+router.post('/refresh', validateRefreshToken, async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const session = await rotateRefreshToken(refreshToken, req);
+
+    if (!session) {
+      throw new AuthenticationError('Invalid or expired refresh token', { code: 'INVALID_REFRESH_TOKEN' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, userType: user.user_type },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+    respond(res, {
+      token: session.token,
+      refreshToken: session.refreshToken
+    }, { message: 'Token refreshed successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout - revoke the refresh token for this device
+router.post('/logout', validateRefreshToken, async (req, res, next) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+
+    respond(res, null, { message: 'Logged out successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout from all devices - revoke every session for the current user
+router.post('/logout-all', authenticateToken, async (req, res, next) => {
+  try {
+    await revokeAllUserSessions(req.user.id);
+
+    respond(res, null, { message: 'Logged out from all devices successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verify Email - consume a verification token
+router.post('/verify-email', validateEmailVerification, async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    const tokenResult = await pool.query(
+      `UPDATE email_verification_tokens
+       SET used_at = NOW()
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING user_id`,
+      [hashToken(token)]
     );
 
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        userType: user.user_type
-      },
-      token
+    if (tokenResult.rows.length === 0) {
+      throw new BadRequestError('Invalid or expired verification token', { code: 'INVALID_VERIFICATION_TOKEN' });
+    }
+
+    const userId = tokenResult.rows[0].user_id;
+
+    await pool.query(
+      `UPDATE users
+       SET email_verified = true, email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+       WHERE id = $1`,
+      [userId]
+    );
+
+    // Any other links sent earlier are no longer needed
+    await pool.query(
+      'UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+
+    respond(res, null, { message: 'Email verified successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resend Verification Email - throttled per user
+router.post('/resend-verification', authenticateToken, async (req, res, next) => {
+  try {
+    const userResult = await pool.query(
+      'SELECT id, email, first_name, email_verified FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const user = userResult.rows[0];
+
+    if (user.email_verified) {
+      throw new BadRequestError('Email is already verified', { code: 'EMAIL_ALREADY_VERIFIED' });
+    }
+
+    const cooldownSeconds = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+    const maxPerHour = parseInt(process.env.EMAIL_VERIFICATION_MAX_PER_HOUR) || 5;
+
+    const throttleResult = await pool.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE created_at > NOW() - ($2 * INTERVAL '1 second')) as recent_count,
+         COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '1 hour') as hourly_count
+       FROM email_verification_tokens
+       WHERE user_id = $1`,
+      [user.id, cooldownSeconds]
+    );
+
+    const { recent_count, hourly_count } = throttleResult.rows[0];
+
+    if (parseInt(recent_count) > 0 || parseInt(hourly_count) >= maxPerHour) {
+      throw new RateLimitError('Verification email was sent recently. Please try again later.', { retryAfter: cooldownSeconds });
+    }
+
+    await sendVerificationEmail(user);
+
+    respond(res, null, { message: 'Verification email sent' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Forgot Password - email a single-use reset link
+router.post('/forgot-password', validateForgotPassword, async (req, res, next) => {
+  // Same response whether or not the account exists, so emails can't be enumerated
+  const message = 'If an account exists for this email, a password reset link has been sent';
+
+  try {
+    const { email } = req.body;
+
+    const userResult = await pool.query(
+      'SELECT id, email, first_name, is_active FROM users WHERE email = $1',
+      [email]
+    );
+
+    if (userResult.rows.length === 0 || !userResult.rows[0].is_active) {
+      return respond(res, null, { message });
+    }
+
+    const user = userResult.rows[0];
+
+    // Store only the hash; the raw token goes out in the email
+    const token = generateToken();
+    const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 60;
+
+    await pool.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+       VALUES ($1, $2, NOW() + ($3 * INTERVAL '1 minute'))`,
+      [user.id, hashToken(token), ttlMinutes]
+    );
+
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your Wedding Platform password',
+      text: `Hi ${user.first_name},\n\n` +
+        `We received a request to reset your password. Use the link below within ${ttlMinutes} minutes:\n\n` +
+        `${resetUrl}\n\n` +
+        'If you did not request this, you can safely ignore this email.'
     });
 
+    respond(res, null, { message });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reset Password - consume a reset token and set a new password
+router.post('/reset-password', validatePasswordReset, async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    // Claim the token atomically so it can only ever be used once
+    const tokenResult = await pool.query(
+      `UPDATE password_reset_tokens prt
+       SET used_at = NOW()
+       FROM users u
+       WHERE prt.user_id = u.id
+       AND prt.token_hash = $1
+       AND prt.used_at IS NULL
+       AND prt.expires_at > NOW()
+       AND u.is_active = true
+       RETURNING prt.user_id`,
+      [hashToken(token)]
+    );
+
+    if (tokenResult.rows.length === 0) {
+      throw new BadRequestError('Invalid or expired reset token', { code: 'INVALID_RESET_TOKEN' });
+    }
+
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+
+    // Changing password_hash invalidates any other outstanding reset tokens (see schema trigger)
+    await pool.query(
+      'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+      [passwordHash, tokenResult.rows[0].user_id]
+    );
+
+    // Sign out everywhere, in case the old password was compromised
+    await revokeAllUserSessions(tokenResult.rows[0].user_id);
+
+    respond(res, null, { message: 'Password has been reset successfully' });
+
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+    next(error);
   }
 });
 
 // Health check for testing
 router.get('/health', (req, res) => {
-  res.json({ message: 'Auth routes working' });
+  respond(res, null, { message: 'Auth routes working' });
 });
 
 module.exports = router;
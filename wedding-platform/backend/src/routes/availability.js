@@ -0,0 +1,379 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requireVendorCapability } = require('../middleware/auth');
+const {
+  validateUUID,
+  validateIdParam,
+  validateListQuery,
+  validateAvailabilitySlot,
+  validateAvailabilityRule,
+  validateBlackouts,
+  validatePriceModifiers
+} = require('../middleware/validation');
+const { fetchPage } = require('../utils/listQuery');
+const { withTransaction } = require('../utils/transaction');
+const {
+  expandRule,
+  isBlackedOut,
+  findOverlappingSlot,
+  findSlotBookings,
+  findBookingsOnDates
+} = require('../services/availability');
+const { respond } = require('../utils/respond');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// Mounted at /services/:id/availability
+const router = express.Router({ mergeParams: true });
+
+// Filters and sort fields accepted by GET /services/:id/availability
+const AVAILABILITY_LIST = {
+  filters: {
+    from: { column: 'a.available_date', type: 'date', op: '>=' },
+    to: { column: 'a.available_date', type: 'date', op: '<=' },
+    isAvailable: { column: 'a.is_available', type: 'boolean' }
+  },
+  sortFields: {
+    available_date: 'a.available_date',
+    created_at: 'a.created_at'
+  },
+  defaultSort: 'available_date',
+  defaultOrder: 'ASC',
+  idColumn: 'a.id',
+  defaultLimit: 50
+};
+
+const manage = [authenticateToken, requireVendorCapability('services.manage'), validateUUID];
+
+// The service in the URL, if it belongs to the current vendor
+const findVendorService = async (req) => {
+  const result = await pool.query(
+    'SELECT id FROM services WHERE id = $1 AND vendor_id = $2 AND is_active = true',
+    [req.params.id, req.user.vendorId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Service not found or access denied');
+  }
+
+  return result.rows[0];
+};
+
+const assertNotBlackedOut = async (db, serviceId, date) => {
+  if (await isBlackedOut(db, serviceId, date)) {
+    throw new ConflictError('This date is blacked out', { code: 'DATE_BLACKED_OUT', details: { date } });
+  }
+};
+
+const assertNoOverlap = async (db, slot) => {
+  const overlap = await findOverlappingSlot(db, slot);
+  if (overlap) {
+    throw new ConflictError('Slot overlaps an existing slot', { code: 'SLOT_OVERLAP', details: { slotId: overlap.id } });
+  }
+};
+
+// Slots with active bookings can't be moved, closed or deleted
+const assertNotBooked = async (db, slot) => {
+  const bookings = await findSlotBookings(db, slot);
+  if (bookings.length > 0) {
+    throw new ConflictError('Slot has active bookings', {
+      code: 'SLOT_BOOKED',
+      details: { bookings: bookings.map(booking => booking.id) }
+    });
+  }
+};
+
+// List a service's availability slots (public)
+router.get('/', validateUUID, validateListQuery(AVAILABILITY_LIST), async (req, res, next) => {
+  try {
+    const { rows, pagination } = await fetchPage(pool, {
+      select: 'a.id, a.available_date, a.start_time, a.end_time, a.is_available, a.price_modifier, a.rule_id',
+      from: 'FROM availability a',
+      where: ['a.service_id = $1'],
+      params: [req.params.id]
+    }, req.listQuery);
+
+    respond(res, rows, { pagination });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Weekly rules
+router.get('/rules', ...manage, async (req, res, next) => {
+  try {
+    await findVendorService(req);
+
+    const result = await pool.query(
+      `SELECT * FROM availability_rules
+       WHERE service_id = $1
+       ORDER BY starts_on, start_time`,
+      [req.params.id]
+    );
+
+    respond(res, result.rows);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a weekly rule and the slots it describes
+router.post('/rules', ...manage, validateAvailabilityRule, async (req, res, next) => {
+  try {
+    await findVendorService(req);
+    const { daysOfWeek, startTime, endTime, startsOn, endsOn, priceModifier = 1 } = req.body;
+
+    const created = await withTransaction(async (client) => {
+      const ruleResult = await client.query(
+        `INSERT INTO availability_rules
+         (service_id, days_of_week, start_time, end_time, starts_on, ends_on, price_modifier)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [req.params.id, [...new Set(daysOfWeek)], startTime, endTime, startsOn, endsOn, priceModifier]
+      );
+
+      const rule = ruleResult.rows[0];
+      const slotsCreated = await expandRule(client, rule);
+
+      return { ...rule, slotsCreated };
+    });
+
+    respond(res, created, { status: 201, message: 'Availability rule created successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a rule and its future open slots. Booked slots are kept
+router.delete('/rules/:ruleId', ...manage, validateIdParam('ruleId', 'rule'), async (req, res, next) => {
+  try {
+    await findVendorService(req);
+
+    const slotsRemoved = await withTransaction(async (client) => {
+      const removed = await client.query(
+        `DELETE FROM availability
+         WHERE rule_id = $1 AND service_id = $2
+         AND is_available = true AND available_date >= CURRENT_DATE`,
+        [req.params.ruleId, req.params.id]
+      );
+
+      const rule = await client.query(
+        'DELETE FROM availability_rules WHERE id = $1 AND service_id = $2 RETURNING id',
+        [req.params.ruleId, req.params.id]
+      );
+
+      if (rule.rows.length === 0) {
+        throw new NotFoundError('Availability rule not found');
+      }
+
+      return removed.rowCount;
+    });
+
+    respond(res, { slotsRemoved }, { message: 'Availability rule deleted successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Blackout dates
+router.get('/blackouts', validateUUID, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, blackout_date, reason, created_at FROM availability_blackouts
+       WHERE service_id = $1 AND blackout_date >= CURRENT_DATE
+       ORDER BY blackout_date`,
+      [req.params.id]
+    );
+
+    respond(res, result.rows);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Black out dates, removing their open slots. Existing bookings are left alone and
+// returned so the vendor can deal with them
+router.post('/blackouts', ...manage, validateBlackouts, async (req, res, next) => {
+  try {
+    await findVendorService(req);
+    const { id } = req.params;
+    const dates = [...new Set(req.body.dates)];
+
+    const result = await withTransaction(async (client) => {
+      const blackouts = await client.query(
+        `INSERT INTO availability_blackouts (service_id, blackout_date, reason)
+         SELECT $1, date, $3 FROM unnest($2::date[]) AS date
+         ON CONFLICT (service_id, blackout_date) DO UPDATE SET reason = EXCLUDED.reason
+         RETURNING id, blackout_date, reason, created_at`,
+        [id, dates, req.body.reason || null]
+      );
+
+      const removed = await client.query(
+        `DELETE FROM availability
+         WHERE service_id = $1 AND available_date = ANY($2::date[]) AND is_available = true`,
+        [id, dates]
+      );
+
+      return {
+        blackouts: blackouts.rows,
+        slotsRemoved: removed.rowCount,
+        bookings: await findBookingsOnDates(client, id, dates)
+      };
+    });
+
+    respond(res, result, { status: 201, message: 'Blackout dates saved successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Lift a blackout. Weekly rules covering the date fill it in again
+router.delete('/blackouts/:blackoutId', ...manage, validateIdParam('blackoutId', 'blackout'), async (req, res, next) => {
+  try {
+    await findVendorService(req);
+    const { id, blackoutId } = req.params;
+
+    const slotsCreated = await withTransaction(async (client) => {
+      const blackout = await client.query(
+        'DELETE FROM availability_blackouts WHERE id = $1 AND service_id = $2 RETURNING blackout_date',
+        [blackoutId, id]
+      );
+
+      if (blackout.rows.length === 0) {
+        throw new NotFoundError('Blackout not found');
+      }
+
+      const date = blackout.rows[0].blackout_date;
+      const rules = await client.query(
+        'SELECT * FROM availability_rules WHERE service_id = $1 AND starts_on <= $2 AND ends_on >= $2',
+        [id, date]
+      );
+
+      let created = 0;
+      for (const rule of rules.rows) {
+        created += await expandRule(client, rule, { from: date, to: date });
+      }
+      return created;
+    });
+
+    respond(res, { slotsCreated }, { message: 'Blackout removed successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set the price modifier of every slot on the given dates (e.g. peak wedding dates).
+// Existing bookings keep the price they were quoted
+router.patch('/price-modifiers', ...manage, validatePriceModifiers, async (req, res, next) => {
+  try {
+    await findVendorService(req);
+
+    const result = await pool.query(
+      `UPDATE availability SET price_modifier = $3, updated_at = NOW()
+       WHERE service_id = $1 AND available_date = ANY($2::date[])`,
+      [req.params.id, [...new Set(req.body.dates)], req.body.priceModifier]
+    );
+
+    respond(res, { updated: result.rowCount }, { message: 'Price modifiers updated successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Single slots
+router.post('/', ...manage, validateAvailabilitySlot, async (req, res, next) => {
+  try {
+    await findVendorService(req);
+    const { id } = req.params;
+    const { date, startTime, endTime, priceModifier = 1, isAvailable = true } = req.body;
+
+    await assertNotBlackedOut(pool, id, date);
+    await assertNoOverlap(pool, { serviceId: id, date, startTime, endTime });
+
+    const result = await pool.query(
+      `INSERT INTO availability (service_id, available_date, start_time, end_time, price_modifier, is_available)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [id, date, startTime, endTime, priceModifier, isAvailable]
+    );
+
+    respond(res, result.rows[0], { status: 201, message: 'Availability slot created successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:slotId', ...manage, validateIdParam('slotId', 'slot'), validateAvailabilitySlot, async (req, res, next) => {
+  try {
+    await findVendorService(req);
+    const { id, slotId } = req.params;
+    const { date, startTime, endTime, priceModifier = 1, isAvailable = true } = req.body;
+
+    const updated = await withTransaction(async (client) => {
+      const slotResult = await client.query(
+        'SELECT * FROM availability WHERE id = $1 AND service_id = $2 FOR UPDATE',
+        [slotId, id]
+      );
+
+      if (slotResult.rows.length === 0) {
+        throw new NotFoundError('Availability slot not found');
+      }
+
+      await assertNotBooked(client, slotResult.rows[0]);
+      await assertNotBlackedOut(client, id, date);
+      await assertNoOverlap(client, { serviceId: id, date, startTime, endTime, excludeSlotId: slotId });
+
+      const result = await client.query(
+        `UPDATE availability
+         SET available_date = $1, start_time = $2, end_time = $3,
+             price_modifier = $4, is_available = $5, updated_at = NOW()
+         WHERE id = $6
+         RETURNING *`,
+        [date, startTime, endTime, priceModifier, isAvailable, slotId]
+      );
+
+      return result.rows[0];
+    });
+
+    respond(res, updated, { message: 'Availability slot updated successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:slotId', ...manage, validateIdParam('slotId', 'slot'), async (req, res, next) => {
+  try {
+    await findVendorService(req);
+    const { id, slotId } = req.params;
+
+    await withTransaction(async (client) => {
+      const slotResult = await client.query(
+        'SELECT * FROM availability WHERE id = $1 AND service_id = $2 FOR UPDATE',
+        [slotId, id]
+      );
+
+      if (slotResult.rows.length === 0) {
+        throw new NotFoundError('Availability slot not found');
+      }
+
+      await assertNotBooked(client, slotResult.rows[0]);
+      await client.query('DELETE FROM availability WHERE id = $1', [slotId]);
+    });
+
+    respond(res, null, { message: 'Availability slot deleted successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,83 +1,107 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../config/database');
-const { authenticateToken, requireCustomer, requireVendor, requireVendorOrAdmin } = require('../middleware/auth');
-const { validateBooking, validateUUID } = require('../middleware/validation');
+const { authenticateToken, requireCustomer, requireVendor, requireVendorOrPermission, requireVerifiedEmail } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { vendorRoleCan } = require('../config/vendorRoles');
+const { validateBooking, validateBookingStatus, validateUUID, validateListQuery } = require('../middleware/validation');
+const { fetchPage } = require('../utils/listQuery');
+const { withTransaction } = require('../utils/transaction');
+const { lockOpenSlot, holdSlot, releaseSlot, lockCustomer, findCustomerOverlap } = require('../services/bookingSlots');
+const { calculateQuote, loadAddons } = require('../services/pricing');
+const { actorRole, recordStatusChange, changeBookingStatus } = require('../services/bookingStatus');
+const { BOOKING_STATUSES } = require('../config/bookingStatus');
+const { reschedulePayments, summariseSchedule } = require('../services/paymentSchedule');
+const { quoteCancellation, recordCancellationRefunds, issueRefunds } = require('../services/refunds');
+const { issueUnpaidPayouts } = require('../services/payouts');
+const { cancelPaymentIntents } = require('../services/bookingPayments');
+const { respond } = require('../utils/respond');
+const { BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Filters and sort fields accepted by GET /bookings
+const BOOKING_LIST = {
+  filters: {
+    status: { column: 'b.status', type: 'enum', values: BOOKING_STATUSES },
+    serviceId: { column: 'b.service_id', type: 'uuid' },
+    from: { column: 'b.booking_date', type: 'date', op: '>=' },
+    to: { column: 'b.booking_date', type: 'date', op: '<=' }
+  },
+  sortFields: {
+    created_at: 'b.created_at',
+    booking_date: 'b.booking_date'
+  },
+  defaultSort: 'created_at',
+  idColumn: 'b.id',
+  defaultLimit: 20
+};
 
 // Get all bookings for the authenticated user
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, validateListQuery(BOOKING_LIST), async (req, res, next) => {
   try {
-    const { role, id: userId } = req.user;
-    let query, params;
+    const { userType, id: userId, vendorId } = req.user;
+    let source;
 
-    if (role === 'customer') {
+    if (userType === 'customer') {
       // Customers see their own bookings
-      query = `
-        SELECT b.*, s.name as service_name, s.category as service_category,
+      source = {
+        select: `b.*, s.name as service_name, s.category as service_category,
                vp.business_name as vendor_name, vp.city as vendor_city,
-               u.email as vendor_email
+               u.email as vendor_email`,
+        from: `
         FROM bookings b
         JOIN services s ON b.service_id = s.id
         JOIN users u ON b.vendor_id = u.id
-        JOIN vendor_profiles vp ON u.id = vp.user_id
-        WHERE b.customer_id = $1
-        ORDER BY b.created_at DESC
-      `;
-      params = [userId];
-    } else if (role === 'vendor') {
-      // Vendors see bookings for their services
-      query = `
-        SELECT b.*, s.name as service_name, s.category as service_category,
-               u.email as customer_email, u.first_name, u.last_name
+        JOIN vendor_profiles vp ON u.id = vp.user_id`,
+        where: ['b.customer_id = $1'],
+        params: [userId]
+      };
+    } else if (userType === 'vendor') {
+      // Vendor team members see their organisation's bookings
+      source = {
+        select: `b.*, s.name as service_name, s.category as service_category,
+               u.email as customer_email, u.first_name, u.last_name`,
+        from: `
         FROM bookings b
         JOIN services s ON b.service_id = s.id
-        JOIN users u ON b.customer_id = u.id
-        WHERE b.vendor_id = $1
-        ORDER BY b.created_at DESC
-      `;
-      params = [userId];
+        JOIN users u ON b.customer_id = u.id`,
+        where: ['b.vendor_id = $1'],
+        params: [vendorId]
+      };
     } else {
-      // Admins see all bookings
-      query = `
-        SELECT b.*, s.name as service_name, s.category as service_category,
+      // Staff with bookings.view see all bookings
+      if (!(await hasPermission(req.user, 'bookings.view'))) {
+        throw new ForbiddenError('Insufficient permissions', { code: 'INSUFFICIENT_PERMISSIONS' });
+      }
+      source = {
+        select: `b.*, s.name as service_name, s.category as service_category,
                vp.business_name as vendor_name, vp.city as vendor_city,
                cu.email as customer_email, cu.first_name as customer_first_name, cu.last_name as customer_last_name,
-               vu.email as vendor_email, vu.first_name as vendor_first_name, vu.last_name as vendor_last_name
+               vu.email as vendor_email, vu.first_name as vendor_first_name, vu.last_name as vendor_last_name`,
+        from: `
         FROM bookings b
         JOIN services s ON b.service_id = s.id
         JOIN users cu ON b.customer_id = cu.id
         JOIN users vu ON b.vendor_id = vu.id
-        JOIN vendor_profiles vp ON vu.id = vp.user_id
-        ORDER BY b.created_at DESC
-      `;
-      params = [];
+        JOIN vendor_profiles vp ON vu.id = vp.user_id`
+      };
     }
 
-    const result = await pool.query(query, params);
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows.length
-    });
+    const { rows, pagination } = await fetchPage(pool, source, req.listQuery);
+    respond(res, rows, { pagination });
   } catch (error) {
-    console.error('Error fetching bookings:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch bookings',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 });
 
 // Get a specific booking by ID
-router.get('/:id', authenticateToken, validateUUID, async (req, res) => {
+router.get('/:id', authenticateToken, validateUUID, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { role, id: userId } = req.user;
+    const { userType, id: userId, vendorId } = req.user;
 
     let query, params;
 
-    if (role === 'customer') {
+    if (userType === 'customer') {
       // Customers can only see their own bookings
       query = `
         SELECT b.*, s.name as service_name, s.description as service_description,
@@ -91,8 +115,8 @@ router.get('/:id', authenticateToken, validateUUID, async (req, res) => {
         WHERE b.id = $1 AND b.customer_id = $2
       `;
       params = [id, userId];
-    } else if (role === 'vendor') {
-      // Vendors can see bookings for their services
+    } else if (userType === 'vendor') {
+      // Vendor team members can see their organisation's bookings
       query = `
         SELECT b.*, s.name as service_name, s.description as service_description,
                s.category as service_category, s.base_price, s.pricing_type,
@@ -102,9 +126,12 @@ router.get('/:id', authenticateToken, validateUUID, async (req, res) => {
         JOIN users u ON b.customer_id = u.id
         WHERE b.id = $1 AND b.vendor_id = $2
       `;
-      params = [id, userId];
+      params = [id, vendorId];
     } else {
-      // Admins can see any booking
+      // Staff with bookings.view can see any booking
+      if (!(await hasPermission(req.user, 'bookings.view'))) {
+        throw new ForbiddenError('Insufficient permissions', { code: 'INSUFFICIENT_PERMISSIONS' });
+      }
       query = `
         SELECT b.*, s.name as service_name, s.description as service_description,
                s.category as service_category, s.base_price, s.pricing_type,
@@ -124,30 +151,19 @@ router.get('/:id', authenticateToken, validateUUID, async (req, res) => {
     const result = await pool.query(query, params);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found'
-      });
+      throw new NotFoundError('Booking not found');
     }
 
-    res.json({
-      success: true,
-      data: result.rows[0]
-    });
+    respond(res, result.rows[0]);
   } catch (error) {
-    console.error('Error fetching booking:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch booking',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 });
 
 // Create a new booking (customers only)
-router.post('/', authenticateToken, requireCustomer, validateBooking, async (req, res) => {
+router.post('/', authenticateToken, requireCustomer, requireVerifiedEmail, validateBooking, async (req, res, next) => {
   try {
-    const { service_id, booking_date, start_time, end_time, special_requests, total_amount } = req.body;
+    const { service_id, booking_date, start_time, end_time, special_requests, addons: addonIds } = req.body;
     const customer_id = req.user.id;
 
     // Check if service exists and is active
@@ -157,10 +173,7 @@ router.post('/', authenticateToken, requireCustomer, validateBooking, async (req
     );
 
     if (serviceCheck.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Service not found or inactive'
-      });
+      throw new NotFoundError('Service not found or inactive');
     }
 
     const service = serviceCheck.rows[0];
@@ -173,341 +186,315 @@ router.post('/', authenticateToken, requireCustomer, validateBooking, async (req
     );
 
     if (vendorCheck.rows.length === 0 || !vendorCheck.rows[0].is_verified) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot book with unverified vendor'
-      });
+      throw new BadRequestError('Cannot book with unverified vendor', { code: 'VENDOR_NOT_VERIFIED' });
     }
 
-    // Check if the requested time slot is available
-    const availabilityCheck = await pool.query(
-      `SELECT * FROM availability 
-       WHERE service_id = $1 
-       AND available_date = $2 
-       AND start_time <= $3 
-       AND end_time >= $4 
-       AND is_available = true`,
-      [service_id, booking_date, start_time, end_time]
-    );
+    const addons = await loadAddons(pool, service_id, addonIds);
+
+    // Check the slot, create the booking and take the slot in one transaction
+    const booking = await withTransaction(async (client) => {
+      await lockCustomer(client, customer_id);
 
-    if (availabilityCheck.rows.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Requested time slot is not available'
+      const slot = await lockOpenSlot(client, {
+        serviceId: service_id, date: booking_date, startTime: start_time, endTime: end_time
       });
-    }
+      if (!slot) {
+        throw new ConflictError('Requested time slot is not available', { code: 'SLOT_UNAVAILABLE' });
+      }
 
-    // Check if customer already has a booking for this time slot
-    const existingBookingCheck = await pool.query(
-      `SELECT * FROM bookings 
-       WHERE customer_id = $1 
-       AND booking_date = $2 
-       AND status IN ('pending', 'confirmed', 'in_progress')
-       AND (
-         (start_time <= $3 AND end_time > $3) OR
-         (start_time < $4 AND end_time >= $4) OR
-         (start_time >= $3 AND end_time <= $4)
-       )`,
-      [customer_id, booking_date, start_time, end_time]
-    );
+      const overlap = await findCustomerOverlap(client, {
+        customerId: customer_id, date: booking_date, startTime: start_time, endTime: end_time
+      });
+      if (overlap) {
+        throw new ConflictError('You already have a booking for this time slot', { code: 'BOOKING_OVERLAP' });
+      }
 
-    if (existingBookingCheck.rows.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'You already have a booking for this time slot'
+      // The amount is always priced here, using the locked slot's modifier
+      const quote = calculateQuote({
+        service, startTime: start_time, endTime: end_time, priceModifier: slot.price_modifier, addons
       });
-    }
 
-    // Create the booking
-    const result = await pool.query(
-      `INSERT INTO bookings 
-       (customer_id, vendor_id, service_id, booking_date, start_time, end_time, 
-        special_requests, total_amount, status) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending') 
-       RETURNING *`,
-      [customer_id, vendor_id, service_id, booking_date, start_time, end_time, 
-       special_requests, total_amount]
-    );
+      const result = await client.query(
+        `INSERT INTO bookings 
+         (customer_id, vendor_id, service_id, booking_date, start_time, end_time, 
+          special_requests, total_amount, price_breakdown, status) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending') 
+         RETURNING *`,
+        [customer_id, vendor_id, service_id, booking_date, start_time, end_time, 
+         special_requests, quote.total, JSON.stringify(quote)]
+      );
 
-    // Update availability to mark the slot as booked
-    await pool.query(
-      `UPDATE availability 
-       SET is_available = false 
-       WHERE service_id = $1 
-       AND available_date = $2 
-       AND start_time <= $3 
-       AND end_time >= $4`,
-      [service_id, booking_date, start_time, end_time]
-    );
+      await holdSlot(client, slot.id);
+      await recordStatusChange(client, { bookingId: result.rows[0].id, to: 'pending', role: 'customer', actorId: customer_id });
 
-    res.status(201).json({
-      success: true,
-      message: 'Booking created successfully',
-      data: result.rows[0]
+      return result.rows[0];
     });
+
+    respond(res, booking, { status: 201, message: 'Booking created successfully' });
   } catch (error) {
-    console.error('Error creating booking:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create booking',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 });
 
-// Update booking status (vendors and admins only)
-router.patch('/:id/status', authenticateToken, requireVendorOrAdmin, validateUUID, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { status } = req.body;
-    const { role, id: userId } = req.user;
-
-    // Validate status
-    const validStatuses = ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid status. Must be one of: ' + validStatuses.join(', ')
-      });
+// Lock a booking the current user may change, scoped the same way for every role
+const lockBookingForChange = async (client, req) => {
+  const { id } = req.params;
+  const { userType, id: userId, vendorId } = req.user;
+
+  let query, params;
+  if (userType === 'customer') {
+    query = 'SELECT * FROM bookings WHERE id = $1 AND customer_id = $2 FOR UPDATE';
+    params = [id, userId];
+  } else if (userType === 'vendor') {
+    if (!vendorRoleCan(req.user.vendorRole, 'bookings.manage')) {
+      throw new ForbiddenError('Insufficient team role', { code: 'INSUFFICIENT_TEAM_ROLE' });
+    }
+    query = 'SELECT * FROM bookings WHERE id = $1 AND vendor_id = $2 FOR UPDATE';
+    params = [id, vendorId];
+  } else {
+    // Staff need bookings.manage to change any booking
+    if (!(await hasPermission(req.user, 'bookings.manage'))) {
+      throw new ForbiddenError('Insufficient permissions', { code: 'INSUFFICIENT_PERMISSIONS' });
     }
+    query = 'SELECT * FROM bookings WHERE id = $1 FOR UPDATE';
+    params = [id];
+  }
 
-    // Check if booking exists and user has permission
-    let query, params;
-    if (role === 'vendor') {
-      query = 'SELECT * FROM bookings WHERE id = $1 AND vendor_id = $2';
-      params = [id, userId];
-    } else {
-      query = 'SELECT * FROM bookings WHERE id = $1';
-      params = [id];
+  const bookingCheck = await client.query(query, params);
+  if (bookingCheck.rows.length === 0) {
+    throw new NotFoundError('Booking not found or access denied');
+  }
+
+  return bookingCheck.rows[0];
+};
+
+// Statuses that end a booking and refund it by its cancellation policy
+const ENDED_STATUSES = ['cancelled', 'rejected'];
+
+// Change a booking's status. BOOKING_TRANSITIONS in config/bookingStatus.js decides
+// which moves are possible and who may make them
+router.patch('/:id/status', authenticateToken, validateUUID, validateBookingStatus, async (req, res, next) => {
+  try {
+    const { status, reason } = req.body;
+
+    const { updated, refunds } = await withTransaction(async (client) => {
+      const booking = await lockBookingForChange(client, req);
+      const options = { role: actorRole(req.user), actorId: req.user.id, reason };
+      const changed = await changeBookingStatus(client, booking, status, options);
+
+      const cancellation = ENDED_STATUSES.includes(status)
+        ? await recordCancellationRefunds(client, booking.id, { ...options, to: status })
+        : { refunds: [] };
+      return { updated: changed, refunds: cancellation.refunds };
+    });
+
+    await issueRefunds(pool, refunds);
+    if (ENDED_STATUSES.includes(status)) {
+      await cancelPaymentIntents(pool, updated.id);
+    }
+    if (status === 'completed') {
+      await issueUnpaidPayouts(pool, { bookingId: updated.id });
     }
 
-    const bookingCheck = await pool.query(query, params);
-    if (bookingCheck.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found or access denied'
-      });
+    respond(res, updated, { message: 'Booking status updated successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The booking in req.params.id if the user can see it: the customer, the vendor's team,
+// or staff with bookings.view
+const findVisibleBooking = async (req) => {
+  const { id } = req.params;
+  const { userType, id: userId, vendorId } = req.user;
+
+  let query, params;
+  if (userType === 'customer') {
+    query = 'SELECT id, status, total_amount FROM bookings WHERE id = $1 AND customer_id = $2';
+    params = [id, userId];
+  } else if (userType === 'vendor') {
+    query = 'SELECT id, status, total_amount FROM bookings WHERE id = $1 AND vendor_id = $2';
+    params = [id, vendorId];
+  } else {
+    if (!(await hasPermission(req.user, 'bookings.view'))) {
+      throw new ForbiddenError('Insufficient permissions', { code: 'INSUFFICIENT_PERMISSIONS' });
     }
+    query = 'SELECT id, status, total_amount FROM bookings WHERE id = $1';
+    params = [id];
+  }
+
+  const bookingCheck = await pool.query(query, params);
+  if (bookingCheck.rows.length === 0) {
+    throw new NotFoundError('Booking not found');
+  }
+  return bookingCheck.rows[0];
+};
 
-    const booking = bookingCheck.rows[0];
+// Status history of a booking, oldest first (anyone who can see the booking)
+router.get('/:id/history', authenticateToken, validateUUID, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    await findVisibleBooking(req);
 
-    // Update the booking status
     const result = await pool.query(
-      'UPDATE bookings SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
-      [status, id]
+      `SELECT h.id, h.from_status, h.to_status, h.actor_role, h.reason, h.created_at,
+              h.actor_id, u.first_name as actor_first_name, u.last_name as actor_last_name
+       FROM booking_status_history h
+       LEFT JOIN users u ON h.actor_id = u.id
+       WHERE h.booking_id = $1
+       ORDER BY h.created_at, h.id`,
+      [id]
     );
 
-    // If status is cancelled, make the time slot available again
-    if (status === 'cancelled') {
-      await pool.query(
-        `UPDATE availability 
-         SET is_available = true 
-         WHERE service_id = $1 
-         AND available_date = $2 
-         AND start_time <= $3 
-         AND end_time >= $4`,
-        [booking.service_id, booking.booking_date, booking.start_time, booking.end_time]
-      );
-    }
+    respond(res, result.rows);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.json({
-      success: true,
-      message: 'Booking status updated successfully',
-      data: result.rows[0]
-    });
+// What has been paid and what is still owed, with the payment schedule (anyone who can
+// see the booking). Bookings get a schedule when they're confirmed or paying starts
+router.get('/:id/balance', authenticateToken, validateUUID, async (req, res, next) => {
+  try {
+    const booking = await findVisibleBooking(req);
+
+    const result = await pool.query(
+      `SELECT p.id, p.sequence, p.kind, p.amount, p.currency, p.status, p.due_date,
+              p.stripe_payment_intent_id, p.created_at, p.updated_at,
+              (SELECT COALESCE(SUM(r.amount), 0) FROM refunds r
+               WHERE r.payment_id = p.id AND r.status IN ('pending', 'succeeded')) AS amount_refunded
+       FROM payments p
+       WHERE p.booking_id = $1
+       ORDER BY p.sequence`,
+      [booking.id]
+    );
+
+    respond(res, summariseSchedule(booking, result.rows));
   } catch (error) {
-    console.error('Error updating booking status:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update booking status',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
+  }
+});
+
+// What cancelling the booking now would refund under its service's cancellation
+// policy, for the user asking (anyone who can see the booking)
+router.get('/:id/cancellation', authenticateToken, validateUUID, async (req, res, next) => {
+  try {
+    const booking = await findVisibleBooking(req);
+    const quote = await quoteCancellation(pool, booking.id, { role: actorRole(req.user) });
+
+    respond(res, { ...quote, status: booking.status });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Update booking details (customers can update their own pending bookings)
-router.put('/:id', authenticateToken, validateUUID, validateBooking, async (req, res) => {
+router.put('/:id', authenticateToken, validateUUID, validateBooking, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { booking_date, start_time, end_time, special_requests, total_amount } = req.body;
-    const { role, id: userId } = req.user;
+    const { booking_date, start_time, end_time, special_requests, addons: addonIds } = req.body;
 
-    // Check if booking exists and user has permission
-    let query, params;
-    if (role === 'customer') {
-      query = 'SELECT * FROM bookings WHERE id = $1 AND customer_id = $2';
-      params = [id, userId];
-    } else if (role === 'vendor') {
-      query = 'SELECT * FROM bookings WHERE id = $1 AND vendor_id = $2';
-      params = [id, userId];
-    } else {
-      query = 'SELECT * FROM bookings WHERE id = $1';
-      params = [id];
-    }
+    const updated = await withTransaction(async (client) => {
+      const booking = await lockBookingForChange(client, req);
 
-    const bookingCheck = await pool.query(query, params);
-    if (bookingCheck.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found or access denied'
-      });
-    }
+      // Only allow updates to pending or confirmed bookings
+      if (!['pending', 'confirmed'].includes(booking.status)) {
+        throw new ConflictError('Cannot update booking with status: ' + booking.status, { code: 'INVALID_BOOKING_STATE' });
+      }
 
-    const booking = bookingCheck.rows[0];
+      // Give the current slot back first, so keeping the same (or an overlapping) time works
+      await releaseSlot(client, booking);
 
-    // Only allow updates to pending or confirmed bookings
-    if (!['pending', 'confirmed'].includes(booking.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot update booking with status: ' + booking.status
+      const slot = await lockOpenSlot(client, {
+        serviceId: booking.service_id, date: booking_date, startTime: start_time, endTime: end_time
       });
-    }
-
-    // If changing date/time, check availability
-    if (booking_date !== booking.booking_date || 
-        start_time !== booking.start_time || 
-        end_time !== booking.end_time) {
-      
-      // Check if the new time slot is available
-      const availabilityCheck = await pool.query(
-        `SELECT * FROM availability 
-         WHERE service_id = $1 
-         AND available_date = $2 
-         AND start_time <= $3 
-         AND end_time >= $4 
-         AND is_available = true`,
-        [booking.service_id, booking_date, start_time, end_time]
-      );
+      if (!slot) {
+        throw new ConflictError('Requested time slot is not available', { code: 'SLOT_UNAVAILABLE' });
+      }
 
-      if (availabilityCheck.rows.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Requested time slot is not available'
-        });
+      const overlap = await findCustomerOverlap(client, {
+        customerId: booking.customer_id,
+        date: booking_date,
+        startTime: start_time,
+        endTime: end_time,
+        excludeBookingId: id
+      });
+      if (overlap) {
+        throw new ConflictError('Customer already has a booking for this time slot', { code: 'BOOKING_OVERLAP' });
       }
 
-      // Make the old time slot available again
-      await pool.query(
-        `UPDATE availability 
-         SET is_available = true 
-         WHERE service_id = $1 
-         AND available_date = $2 
-         AND start_time <= $3 
-         AND end_time >= $4`,
-        [booking.service_id, booking.booking_date, booking.start_time, booking.end_time]
+      await holdSlot(client, slot.id);
+
+      // Reprice for the new time. Add-ons stay as booked unless the request replaces them
+      const serviceResult = await client.query(
+        'SELECT base_price, pricing_type, duration_hours FROM services WHERE id = $1',
+        [booking.service_id]
       );
+      const addons = addonIds
+        ? await loadAddons(client, booking.service_id, addonIds)
+        : ((booking.price_breakdown && booking.price_breakdown.addons) || []);
+      const quote = calculateQuote({
+        service: serviceResult.rows[0],
+        startTime: start_time,
+        endTime: end_time,
+        priceModifier: slot.price_modifier,
+        addons
+      });
 
-      // Mark the new time slot as booked
-      await pool.query(
-        `UPDATE availability 
-         SET is_available = false 
-         WHERE service_id = $1 
-         AND available_date = $2 
-         AND start_time <= $3 
-         AND end_time >= $4`,
-        [booking.service_id, booking_date, start_time, end_time]
+      const result = await client.query(
+        `UPDATE bookings 
+         SET booking_date = $1, start_time = $2, end_time = $3, 
+             special_requests = $4, total_amount = $5, price_breakdown = $6,
+             updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $7 RETURNING *`,
+        [booking_date, start_time, end_time, special_requests, quote.total, JSON.stringify(quote), id]
       );
-    }
 
-    // Update the booking
-    const result = await pool.query(
-      `UPDATE bookings 
-       SET booking_date = $1, start_time = $2, end_time = $3, 
-           special_requests = $4, total_amount = $5, updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $6 RETURNING *`,
-      [booking_date, start_time, end_time, special_requests, total_amount, id]
-    );
+      // New date or total: re-plan whatever is still unpaid
+      await reschedulePayments(client, id);
 
-    res.json({
-      success: true,
-      message: 'Booking updated successfully',
-      data: result.rows[0]
+      return result.rows[0];
     });
+
+    respond(res, updated, { message: 'Booking updated successfully' });
   } catch (error) {
-    console.error('Error updating booking:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update booking',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 });
 
-// Cancel a booking (customers can cancel their own pending/confirmed bookings)
-router.delete('/:id', authenticateToken, validateUUID, async (req, res) => {
+// Cancel a booking (customers can cancel their own pending/confirmed bookings). What has
+// been paid is refunded by the service's cancellation policy
+router.delete('/:id', authenticateToken, validateUUID, async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { role, id: userId } = req.user;
-
-    // Check if booking exists and user has permission
-    let query, params;
-    if (role === 'customer') {
-      query = 'SELECT * FROM bookings WHERE id = $1 AND customer_id = $2';
-      params = [id, userId];
-    } else if (role === 'vendor') {
-      query = 'SELECT * FROM bookings WHERE id = $1 AND vendor_id = $2';
-      params = [id, userId];
-    } else {
-      query = 'SELECT * FROM bookings WHERE id = $1';
-      params = [id];
-    }
-
-    const bookingCheck = await pool.query(query, params);
-    if (bookingCheck.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found or access denied'
-      });
-    }
-
-    const booking = bookingCheck.rows[0];
-
-    // Only allow cancellation of pending or confirmed bookings
-    if (!['pending', 'confirmed'].includes(booking.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot cancel booking with status: ' + booking.status
-      });
-    }
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.slice(0, 1000) : null;
 
-    // Update status to cancelled
-    await pool.query(
-      'UPDATE bookings SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      ['cancelled', id]
-    );
+    const { quote, refunds } = await withTransaction(async (client) => {
+      const booking = await lockBookingForChange(client, req);
+      const options = { role: actorRole(req.user), actorId: req.user.id, reason };
+      await changeBookingStatus(client, booking, 'cancelled', options);
+      return recordCancellationRefunds(client, booking.id, options);
+    });
 
-    // Make the time slot available again
-    await pool.query(
-      `UPDATE availability 
-       SET is_available = true 
-       WHERE service_id = $1 
-       AND available_date = $2 
-       AND start_time <= $3 
-       AND end_time >= $4`,
-      [booking.service_id, booking.booking_date, booking.start_time, booking.end_time]
-    );
+    const issued = await issueRefunds(pool, refunds);
+    await cancelPaymentIntents(pool, req.params.id);
 
-    res.json({
-      success: true,
-      message: 'Booking cancelled successfully'
-    });
+    respond(res, {
+      refund_percent: quote ? quote.refund_percent : 0,
+      refund_amount: quote ? quote.refund_amount : 0,
+      refunds: issued.map(({ id, payment_id, amount, status }) => ({ id, payment_id, amount: parseFloat(amount), status }))
+    }, { message: 'Booking cancelled successfully' });
   } catch (error) {
-    console.error('Error cancelling booking:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to cancel booking',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 });
 
-// Get booking statistics (for vendors and admins)
-router.get('/stats/overview', authenticateToken, requireVendorOrAdmin, async (req, res) => {
+// Get booking statistics (vendors, or staff with bookings.view)
+router.get('/stats/overview', authenticateToken, requireVendorOrPermission('bookings.view', 'bookings.view'), async (req, res, next) => {
   try {
-    const { role, id: userId } = req.user;
+    const { userType, vendorId } = req.user;
     let query, params;
 
-    if (role === 'vendor') {
+    if (userType === 'vendor') {
       query = `
         SELECT 
           COUNT(*) as total_bookings,
@@ -516,11 +503,12 @@ router.get('/stats/overview', authenticateToken, requireVendorOrAdmin, async (re
           COUNT(CASE WHEN status = 'in_progress' THEN 1 END) as in_progress_bookings,
           COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_bookings,
           COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_bookings,
+          COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected_bookings,
           SUM(CASE WHEN status = 'completed' THEN total_amount ELSE 0 END) as total_revenue
         FROM bookings 
         WHERE vendor_id = $1
       `;
-      params = [userId];
+      params = [vendorId];
     } else {
       query = `
         SELECT 
@@ -530,6 +518,7 @@ router.get('/stats/overview', authenticateToken, requireVendorOrAdmin, async (re
           COUNT(CASE WHEN status = 'in_progress' THEN 1 END) as in_progress_bookings,
           COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_bookings,
           COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_bookings,
+          COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected_bookings,
           SUM(CASE WHEN status = 'completed' THEN total_amount ELSE 0 END) as total_revenue
         FROM bookings
       `;
@@ -539,20 +528,12 @@ router.get('/stats/overview', authenticateToken, requireVendorOrAdmin, async (re
     const result = await pool.query(query, params);
     const stats = result.rows[0];
 
-    res.json({
-      success: true,
-      data: {
-        ...stats,
-        total_revenue: parseFloat(stats.total_revenue || 0)
-      }
+    respond(res, {
+      ...stats,
+      total_revenue: parseFloat(stats.total_revenue || 0)
     });
   } catch (error) {
-    console.error('Error fetching booking stats:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch booking statistics',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 });
 
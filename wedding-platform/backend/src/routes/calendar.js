@@ -0,0 +1,217 @@
+const express = require('express');
+const multer = require('multer');
+const pool = require('../config/database');
+const { authenticateToken, requireVendorCapability } = require('../middleware/auth');
+const { validateIdParam, validateCalendarSource, validateCalendarImport } = require('../middleware/validation');
+const { withTransaction } = require('../utils/transaction');
+const { buildCalendar } = require('../utils/ical');
+const {
+  MAX_CALENDAR_BYTES,
+  bookingUid,
+  rotateFeedToken,
+  findFeedVendor,
+  importCalendar,
+  releaseSourceSlots
+} = require('../services/calendarSync');
+const { respond } = require('../utils/respond');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CALENDAR_BYTES, files: 1 }
+});
+
+// How far back the feed goes; calendar apps keep their own history
+const FEED_HISTORY_DAYS = 90;
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/v1/calendar/feeds/${token}.ics`;
+
+// ICS feed of the vendor's confirmed bookings (public, the token is the credential).
+// Served as text/calendar rather than the JSON envelope so calendar apps can subscribe.
+router.get('/feeds/:token.ics', async (req, res, next) => {
+  try {
+    const vendorId = /^[0-9a-f]{64}$/.test(req.params.token) ? await findFeedVendor(pool, req.params.token) : null;
+    if (!vendorId) {
+      throw new NotFoundError('Calendar feed not found');
+    }
+
+    const result = await pool.query(
+      `SELECT b.id, b.booking_date, b.start_time, b.end_time, b.special_requests, b.updated_at,
+              s.name as service_name, u.first_name, u.last_name, vp.business_name
+       FROM bookings b
+       JOIN services s ON b.service_id = s.id
+       JOIN users u ON b.customer_id = u.id
+       LEFT JOIN vendor_profiles vp ON vp.user_id = b.vendor_id
+       WHERE b.vendor_id = $1
+       AND b.status IN ('confirmed', 'in_progress', 'completed')
+       AND b.booking_date >= CURRENT_DATE - $2::int
+       ORDER BY b.booking_date, b.start_time`,
+      [vendorId, FEED_HISTORY_DAYS]
+    );
+
+    const calendar = buildCalendar({
+      name: result.rows[0] && result.rows[0].business_name ? `${result.rows[0].business_name} bookings` : 'Wedding Platform bookings',
+      events: result.rows.map(booking => ({
+        uid: bookingUid(booking.id),
+        date: booking.booking_date,
+        startTime: booking.start_time,
+        endTime: booking.end_time,
+        summary: `${booking.service_name} - ${booking.first_name} ${booking.last_name}`,
+        description: booking.special_requests,
+        updatedAt: booking.updated_at
+      }))
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(calendar);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Whether the current vendor has a feed
+router.get('/feed', authenticateToken, requireVendorCapability('bookings.manage'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT created_at FROM vendor_calendar_feeds WHERE vendor_id = $1',
+      [req.user.vendorId]
+    );
+
+    respond(res, {
+      enabled: result.rows.length > 0,
+      createdAt: result.rows[0] ? result.rows[0].created_at : null
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create the feed, or replace its URL if the old one leaked. The URL is only shown here
+router.post('/feed', authenticateToken, requireVendorCapability('bookings.manage'), async (req, res, next) => {
+  try {
+    const token = await rotateFeedToken(pool, req.user.vendorId);
+
+    respond(res, { url: feedUrl(req, token) }, { status: 201, message: 'Calendar feed created. Subscribe to this URL from your calendar app.' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/feed', authenticateToken, requireVendorCapability('bookings.manage'), async (req, res, next) => {
+  try {
+    await pool.query('DELETE FROM vendor_calendar_feeds WHERE vendor_id = $1', [req.user.vendorId]);
+
+    respond(res, null, { message: 'Calendar feed disabled' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// External calendars
+router.get('/sources', authenticateToken, requireVendorCapability('services.view'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, source_type, url, event_count, last_synced_at, last_error, created_at
+       FROM calendar_sources
+       WHERE vendor_id = $1
+       ORDER BY name`,
+      [req.user.vendorId]
+    );
+
+    respond(res, result.rows);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Subscribe to a calendar URL. It is fetched by the calendar sync job, not here
+router.post('/sources', authenticateToken, requireVendorCapability('services.manage'), validateCalendarSource, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `INSERT INTO calendar_sources (vendor_id, name, source_type, url)
+       VALUES ($1, $2, 'url', $3)
+       RETURNING id, name, source_type, url, event_count, last_synced_at, last_error, created_at`,
+      [req.user.vendorId, req.body.name, req.body.url]
+    );
+
+    respond(res, result.rows[0], { status: 201, message: 'Calendar added. It will be synced shortly.' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a calendar and reopen the slots its events had closed
+router.delete('/sources/:sourceId', authenticateToken, requireVendorCapability('services.manage'), validateIdParam('sourceId', 'calendar'), async (req, res, next) => {
+  try {
+    const { sourceId } = req.params;
+
+    const slotsReleased = await withTransaction(async (client) => {
+      const source = await client.query(
+        'SELECT id FROM calendar_sources WHERE id = $1 AND vendor_id = $2 FOR UPDATE',
+        [sourceId, req.user.vendorId]
+      );
+
+      if (source.rows.length === 0) {
+        throw new NotFoundError('Calendar not found');
+      }
+
+      const released = await releaseSourceSlots(client, sourceId);
+      await client.query('DELETE FROM calendar_sources WHERE id = $1', [sourceId]);
+      return released.rowCount;
+    });
+
+    respond(res, { slotsReleased }, { message: 'Calendar removed successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import an ICS file, uploaded as `file` or sent as the `calendar` field. Uploads with
+// the same name replace each other, so re-importing an updated export is safe
+router.post('/import', authenticateToken, requireVendorCapability('services.manage'), upload.single('file'), validateCalendarImport, async (req, res, next) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.calendar;
+    if (!text) {
+      throw new ValidationError('An ICS file is required', { code: 'CALENDAR_REQUIRED' });
+    }
+    if (!/^\s*BEGIN:VCALENDAR/i.test(text)) {
+      throw new ValidationError('File is not an iCalendar (ICS) file', { code: 'INVALID_CALENDAR' });
+    }
+
+    const name = req.body.name || 'Uploaded calendar';
+
+    const result = await withTransaction(async (client) => {
+      const sourceResult = await client.query(
+        `INSERT INTO calendar_sources (vendor_id, name, source_type)
+         VALUES ($1, $2, 'file')
+         ON CONFLICT (vendor_id, name) DO UPDATE SET updated_at = NOW()
+         RETURNING *`,
+        [req.user.vendorId, name]
+      );
+
+      const source = sourceResult.rows[0];
+      if (source.source_type !== 'file') {
+        throw new ConflictError('A subscribed calendar already uses this name', { code: 'CALENDAR_NAME_TAKEN' });
+      }
+
+      return { sourceId: source.id, ...(await importCalendar(client, source, text)) };
+    });
+
+    respond(res, result, { message: 'Calendar imported successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
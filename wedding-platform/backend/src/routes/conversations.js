@@ -0,0 +1,415 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const pool = require('../config/database');
+const { authenticateToken, requireCustomerOrVendor, requirePermission } = require('../middleware/auth');
+const {
+  validateConversation,
+  validateMessage,
+  validateFlag,
+  validateUUID,
+  validateIdParam,
+  validateListQuery
+} = require('../middleware/validation');
+const { fetchPage } = require('../utils/listQuery');
+const {
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS,
+  ATTACHMENT_TYPES,
+  fromOtherSide,
+  participantScope,
+  findConversation,
+  findOwnConversation,
+  postMessage,
+  markRead,
+  readReceipts
+} = require('../services/messaging');
+const { readFile } = require('../services/mediaStorage');
+const { channelFor, conversationChannels, publish, subscribe } = require('../services/messageEvents');
+const { respond } = require('../utils/respond');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS },
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_TYPES.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new ValidationError(`Unsupported file type: ${file.mimetype}`, {
+      code: 'UNSUPPORTED_FILE_TYPE',
+      details: { allowed: ATTACHMENT_TYPES }
+    }));
+  }
+});
+
+const attachments = upload.array('attachments', MAX_ATTACHMENTS);
+
+// Keeps proxies from closing an idle event stream
+const HEARTBEAT_MS = 25000;
+
+// Filters and sort fields accepted by GET /conversations and GET /conversations/flagged
+const CONVERSATION_LIST = {
+  filters: {
+    bookingId: { column: 'c.booking_id', type: 'uuid' }
+  },
+  sortFields: {
+    last_message_at: 'COALESCE(c.last_message_at, c.created_at)',
+    created_at: 'c.created_at'
+  },
+  defaultSort: 'last_message_at',
+  idColumn: 'c.id',
+  defaultLimit: 20
+};
+
+const FLAGGED_LIST = {
+  sortFields: {
+    flagged_at: 'c.flagged_at'
+  },
+  defaultSort: 'flagged_at',
+  idColumn: 'c.id',
+  defaultLimit: 20
+};
+
+// Messages, newest first. Poll with ?since=<created_at of the newest message seen>
+const MESSAGE_LIST = {
+  filters: {
+    since: { column: 'm.created_at', type: 'date', op: '>' }
+  },
+  sortFields: {
+    created_at: 'm.created_at'
+  },
+  defaultSort: 'created_at',
+  idColumn: 'm.id',
+  defaultLimit: 50
+};
+
+const CONVERSATION_SELECT = `c.*, vp.business_name as vendor_name,
+       cu.first_name as customer_first_name, cu.last_name as customer_last_name`;
+
+const CONVERSATION_FROM = `
+        FROM conversations c
+        JOIN users cu ON c.customer_id = cu.id
+        LEFT JOIN vendor_profiles vp ON vp.user_id = c.vendor_id`;
+
+// A message is read once the other side's read position has passed it
+const MESSAGE_SELECT = `m.id, m.conversation_id, m.sender_id, m.body, m.created_at,
+       u.first_name as sender_first_name, u.last_name as sender_last_name,
+       COALESCE(m.created_at <= CASE WHEN m.sender_id = c.customer_id THEN vr.read_at ELSE cr.last_read_at END, false) AS is_read,
+       COALESCE((
+         SELECT json_agg(json_build_object('id', a.id, 'file_name', a.file_name, 'content_type', a.content_type, 'size_bytes', a.size_bytes) ORDER BY a.created_at)
+         FROM message_attachments a WHERE a.message_id = m.id
+       ), '[]') AS attachments`;
+
+const MESSAGE_FROM = `
+        FROM messages m
+        JOIN conversations c ON c.id = m.conversation_id
+        LEFT JOIN users u ON u.id = m.sender_id
+        LEFT JOIN conversation_reads cr ON cr.conversation_id = c.id AND cr.user_id = c.customer_id
+        LEFT JOIN LATERAL (
+          SELECT MAX(last_read_at) AS read_at FROM conversation_reads
+          WHERE conversation_id = c.id AND user_id <> c.customer_id
+        ) vr ON true`;
+
+// The user's conversations with the last message and how many messages they haven't read
+router.get('/', authenticateToken, validateListQuery(CONVERSATION_LIST), async (req, res, next) => {
+  try {
+    const scope = participantScope(req.user);
+
+    const source = {
+      select: `${CONVERSATION_SELECT},
+               lm.body as last_message, lm.sender_id as last_message_sender_id,
+               unread.count as unread_count`,
+      from: `${CONVERSATION_FROM}
+        LEFT JOIN conversation_reads r ON r.conversation_id = c.id AND r.user_id = $2
+        LEFT JOIN LATERAL (
+          SELECT body, sender_id FROM messages
+          WHERE conversation_id = c.id
+          ORDER BY created_at DESC
+          LIMIT 1
+        ) lm ON true
+        LEFT JOIN LATERAL (
+          SELECT COUNT(*)::int AS count FROM messages m
+          WHERE m.conversation_id = c.id AND ${fromOtherSide(req.user)}
+          AND m.created_at > COALESCE(r.last_read_at, '-infinity')
+        ) unread ON true`,
+      where: [scope.where],
+      params: [...scope.params, req.user.id]
+    };
+
+    const { rows, pagination } = await fetchPage(pool, source, req.listQuery);
+    respond(res, rows, { pagination });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unread messages across all of the user's conversations (for badges and polling)
+router.get('/unread-count', authenticateToken, async (req, res, next) => {
+  try {
+    const scope = participantScope(req.user);
+
+    const result = await pool.query(
+      `SELECT COUNT(*)::int AS unread, COUNT(DISTINCT c.id)::int AS conversations
+       FROM messages m
+       JOIN conversations c ON c.id = m.conversation_id
+       LEFT JOIN conversation_reads r ON r.conversation_id = c.id AND r.user_id = $2
+       WHERE ${scope.where} AND ${fromOtherSide(req.user)}
+       AND m.created_at > COALESCE(r.last_read_at, '-infinity')`,
+      [...scope.params, req.user.id]
+    );
+
+    respond(res, result.rows[0] || { unread: 0, conversations: 0 });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Server-sent events for the user's conversations: `message` for new messages and
+// `read` when the other side reads. Clients that can't hold a stream open poll
+// GET /:id/messages?since= and /unread-count instead.
+router.get('/events', authenticateToken, requireCustomerOrVendor, (req, res, next) => {
+  try {
+    participantScope(req.user);
+  } catch (error) {
+    return next(error);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribe(channelFor(req.user), (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Conversations reported by participants, most recently flagged first
+router.get('/flagged', authenticateToken, requirePermission('messages.moderate'), validateListQuery(FLAGGED_LIST), async (req, res, next) => {
+  try {
+    const source = {
+      select: `${CONVERSATION_SELECT}, fu.email as flagged_by_email`,
+      from: `${CONVERSATION_FROM}
+        LEFT JOIN users fu ON fu.id = c.flagged_by`,
+      where: ['c.flagged_at IS NOT NULL']
+    };
+
+    const { rows, pagination } = await fetchPage(pool, source, req.listQuery);
+    respond(res, rows, { pagination });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start a conversation (or continue the existing one) with a first message
+router.post('/', authenticateToken, requireCustomerOrVendor, attachments, validateConversation, async (req, res, next) => {
+  try {
+    const { vendorId, bookingId, subject, body } = req.body;
+    participantScope(req.user);
+
+    let customerId, threadVendorId;
+    if (req.user.userType === 'customer') {
+      customerId = req.user.id;
+
+      if (bookingId) {
+        const booking = await pool.query(
+          'SELECT vendor_id FROM bookings WHERE id = $1 AND customer_id = $2',
+          [bookingId, customerId]
+        );
+        if (booking.rows.length === 0) {
+          throw new NotFoundError('Booking not found');
+        }
+        threadVendorId = booking.rows[0].vendor_id;
+      } else if (vendorId) {
+        const vendor = await pool.query('SELECT user_id FROM vendor_profiles WHERE user_id = $1', [vendorId]);
+        if (vendor.rows.length === 0) {
+          throw new NotFoundError('Vendor not found');
+        }
+        threadVendorId = vendorId;
+      } else {
+        throw new ValidationError('A vendor or a booking is required', { code: 'RECIPIENT_REQUIRED' });
+      }
+    } else {
+      if (!bookingId) {
+        throw new ValidationError('Vendors start conversations from a booking', { code: 'RECIPIENT_REQUIRED' });
+      }
+      const booking = await pool.query(
+        'SELECT customer_id FROM bookings WHERE id = $1 AND vendor_id = $2',
+        [bookingId, req.user.vendorId]
+      );
+      if (booking.rows.length === 0) {
+        throw new NotFoundError('Booking not found');
+      }
+      customerId = booking.rows[0].customer_id;
+      threadVendorId = req.user.vendorId;
+    }
+
+    // There is one thread per customer and vendor (and per booking); reuse it if it exists
+    const result = await pool.query(
+      `INSERT INTO conversations (customer_id, vendor_id, booking_id, subject)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (customer_id, vendor_id, COALESCE(booking_id, '00000000-0000-0000-0000-000000000000'::uuid))
+       DO UPDATE SET subject = COALESCE(conversations.subject, EXCLUDED.subject)
+       RETURNING *`,
+      [customerId, threadVendorId, bookingId || null, subject || null]
+    );
+    const conversation = result.rows[0];
+
+    const message = await postMessage(conversation, req.user, { body, files: req.files });
+
+    respond(res, { ...conversation, last_message_at: message.created_at, message }, { status: 201, message: 'Message sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A conversation with both sides' read positions
+router.get('/:id', authenticateToken, validateUUID, async (req, res, next) => {
+  try {
+    const { conversation } = await findConversation(pool, req.params.id, req.user);
+
+    const result = await pool.query(
+      `SELECT ${CONVERSATION_SELECT}
+       ${CONVERSATION_FROM}
+       WHERE c.id = $1`,
+      [conversation.id]
+    );
+
+    respond(res, { ...result.rows[0], readReceipts: await readReceipts(pool, conversation) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id/messages', authenticateToken, validateUUID, validateListQuery(MESSAGE_LIST), async (req, res, next) => {
+  try {
+    const { conversation } = await findConversation(pool, req.params.id, req.user);
+
+    const source = {
+      select: MESSAGE_SELECT,
+      from: MESSAGE_FROM,
+      where: ['m.conversation_id = $1'],
+      params: [conversation.id]
+    };
+
+    const { rows, pagination } = await fetchPage(pool, source, req.listQuery);
+    respond(res, rows, { pagination });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a message, with up to MAX_ATTACHMENTS files as multipart `attachments`
+router.post('/:id/messages', authenticateToken, validateUUID, attachments, validateMessage, async (req, res, next) => {
+  try {
+    const conversation = await findOwnConversation(pool, req.params.id, req.user);
+
+    const message = await postMessage(conversation, req.user, { body: req.body.body, files: req.files });
+
+    respond(res, message, { status: 201, message: 'Message sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark the conversation read up to now; the other side gets a `read` event
+router.post('/:id/read', authenticateToken, validateUUID, async (req, res, next) => {
+  try {
+    const conversation = await findOwnConversation(pool, req.params.id, req.user);
+
+    const lastReadAt = await markRead(pool, conversation.id, req.user.id);
+    await publish(conversationChannels(conversation), 'read', {
+      conversationId: conversation.id,
+      side: req.user.userType === 'customer' ? 'customer' : 'vendor',
+      readAt: lastReadAt
+    });
+
+    respond(res, { lastReadAt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id/attachments/:attachmentId', authenticateToken, validateUUID, validateIdParam('attachmentId', 'attachment'), async (req, res, next) => {
+  try {
+    const { conversation } = await findConversation(pool, req.params.id, req.user);
+
+    const result = await pool.query(
+      `SELECT a.* FROM message_attachments a
+       JOIN messages m ON m.id = a.message_id
+       WHERE a.id = $1 AND m.conversation_id = $2`,
+      [req.params.attachmentId, conversation.id]
+    );
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Attachment not found');
+    }
+
+    const attachment = result.rows[0];
+    let file;
+    try {
+      file = await readFile(attachment.storage_key);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError('Attachment not found');
+      }
+      throw error;
+    }
+
+    res.set('Content-Type', attachment.content_type);
+    res.set('Content-Disposition', `attachment; filename="${attachment.file_name}"`);
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.send(file);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Report a conversation to moderators (either participant)
+router.post('/:id/flag', authenticateToken, validateUUID, validateFlag, async (req, res, next) => {
+  try {
+    const conversation = await findOwnConversation(pool, req.params.id, req.user);
+
+    const result = await pool.query(
+      `UPDATE conversations SET flagged_at = NOW(), flagged_by = $2, flag_reason = $3
+       WHERE id = $1
+       RETURNING *`,
+      [conversation.id, req.user.id, req.body.reason]
+    );
+
+    respond(res, result.rows[0], { message: 'Conversation reported to moderators' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resolve a report
+router.delete('/:id/flag', authenticateToken, requirePermission('messages.moderate'), validateUUID, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `UPDATE conversations SET flagged_at = NULL, flagged_by = NULL, flag_reason = NULL
+       WHERE id = $1 AND flagged_at IS NOT NULL
+       RETURNING *`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Flagged conversation not found');
+    }
+
+    respond(res, result.rows[0], { message: 'Report resolved' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
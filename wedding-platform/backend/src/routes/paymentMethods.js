@@ -0,0 +1,104 @@
+const express = require('express');
+const pool = require('../config/database');
+const stripe = require('../config/stripe');
+const { authenticateToken, requireCustomer, requirePermission } = require('../middleware/auth');
+const { validateIdParam, validatePaymentMethodId } = require('../middleware/validation');
+const {
+  findStripeCustomer,
+  ensureStripeCustomer,
+  listPaymentMethods,
+  findPaymentMethod,
+  setDefaultPaymentMethod
+} = require('../services/stripeCustomers');
+const { respond } = require('../utils/respond');
+const { NotFoundError } = require('../utils/errors');
+
+// Mounted at /payments/payment-methods. Customers save cards with a SetupIntent, which
+// the app confirms with Stripe's SDK; the card then stays on their Stripe customer.
+const router = express.Router();
+
+const validateCustomerId = validateIdParam('customerId', 'customer');
+
+// The signed-in customer's Stripe customer, when one of their saved cards is being changed
+const requireStripeCustomer = async (userId) => {
+  const customerId = await findStripeCustomer(pool, userId);
+  if (!customerId) {
+    throw new NotFoundError('Payment method not found');
+  }
+  return customerId;
+};
+
+// The signed-in customer's saved cards, default first
+router.get('/', authenticateToken, requireCustomer, async (req, res, next) => {
+  try {
+    const customerId = await findStripeCustomer(pool, req.user.id);
+
+    respond(res, customerId ? await listPaymentMethods(customerId) : []);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start saving a card for later bookings
+router.post('/setup-intent', authenticateToken, requireCustomer, async (req, res, next) => {
+  try {
+    const customerId = await ensureStripeCustomer(pool, req.user.id);
+
+    const setupIntent = await stripe.setupIntents.create({
+      customer: customerId,
+      usage: 'off_session',
+      payment_method_types: ['card'],
+      metadata: { user_id: req.user.id }
+    });
+
+    respond(res, {
+      setupIntentId: setupIntent.id,
+      clientSecret: setupIntent.client_secret,
+      customerId,
+      publishableKey: process.env.STRIPE_PUBLISHABLE_KEY
+    }, { status: 201, message: 'Setup intent created' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Use a saved card by default
+router.put('/:paymentMethodId/default', authenticateToken, requireCustomer, validatePaymentMethodId, async (req, res, next) => {
+  try {
+    const customerId = await requireStripeCustomer(req.user.id);
+
+    await findPaymentMethod(customerId, req.params.paymentMethodId);
+    await setDefaultPaymentMethod(customerId, req.params.paymentMethodId);
+
+    respond(res, await listPaymentMethods(customerId), { message: 'Default payment method updated' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a saved card
+router.delete('/:paymentMethodId', authenticateToken, requireCustomer, validatePaymentMethodId, async (req, res, next) => {
+  try {
+    const customerId = await requireStripeCustomer(req.user.id);
+
+    await findPaymentMethod(customerId, req.params.paymentMethodId);
+    await stripe.paymentMethods.detach(req.params.paymentMethodId);
+
+    respond(res, null, { message: 'Payment method removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A user's saved cards (staff with payments.view)
+router.get('/:customerId', authenticateToken, requirePermission('payments.view'), validateCustomerId, async (req, res, next) => {
+  try {
+    const customerId = await findStripeCustomer(pool, req.params.customerId);
+
+    respond(res, customerId ? await listPaymentMethods(customerId) : []);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,89 +1,165 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../config/database');
-const { authenticateToken, requireCustomer, requireVendor, requireAdmin } = require('../middleware/auth');
-const { validateUUID } = require('../middleware/validation');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { authenticateToken, requireCustomer, requireVendorOrPermission, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { vendorRoleCan } = require('../config/vendorRoles');
+const { validateUUID, validateListQuery, validateRefund } = require('../middleware/validation');
+const { fetchPage } = require('../utils/listQuery');
+const { withTransaction } = require('../utils/transaction');
+const { actorRole, transitionIfPossible } = require('../services/bookingStatus');
+const { createBookingPayment } = require('../services/bookingPayments');
+const { REFUNDABLE_PAYMENT_STATUSES, recordPaymentRefund, issueRefund } = require('../services/refunds');
+const { processEvent, runEvent } = require('../services/paymentEvents');
+const { respond } = require('../utils/respond');
+const { ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const stripe = require('../config/stripe');
+
+// Filters and sort fields accepted by GET /payments
+const PAYMENT_LIST = {
+  filters: {
+    status: { column: 'p.status', type: 'enum', values: ['scheduled', 'pending', 'completed', 'failed', 'overdue', 'cancelled', 'partially_refunded', 'refunded'] },
+    kind: { column: 'p.kind', type: 'enum', values: ['full', 'deposit', 'instalment', 'balance'] },
+    dueFrom: { column: 'p.due_date', type: 'date', op: '>=' },
+    dueTo: { column: 'p.due_date', type: 'date', op: '<=' },
+    bookingId: { column: 'p.booking_id', type: 'uuid' },
+    from: { column: 'p.created_at::date', type: 'date', op: '>=' },
+    to: { column: 'p.created_at::date', type: 'date', op: '<=' }
+  },
+  sortFields: {
+    created_at: 'p.created_at',
+    due_date: 'p.due_date',
+    amount: 'p.amount'
+  },
+  defaultSort: 'created_at',
+  idColumn: 'p.id',
+  defaultLimit: 20
+};
+
+// Filters and sort fields accepted by GET /payments/payouts/history
+const PAYOUT_LIST = {
+  filters: {
+    status: { column: 'po.status', type: 'enum', values: ['pending', 'paid', 'failed', 'cancelled'] },
+    vendorId: { column: 'po.vendor_id', type: 'uuid' },
+    bookingId: { column: 'po.booking_id', type: 'uuid' },
+    from: { column: 'po.created_at::date', type: 'date', op: '>=' },
+    to: { column: 'po.created_at::date', type: 'date', op: '<=' }
+  },
+  sortFields: {
+    created_at: 'po.created_at',
+    amount: 'po.amount'
+  },
+  defaultSort: 'created_at',
+  idColumn: 'po.id',
+  defaultLimit: 20
+};
+
+// Filters and sort fields accepted by GET /payments/webhook/events
+const PAYMENT_EVENT_LIST = {
+  filters: {
+    status: { column: 'e.status', type: 'enum', values: ['received', 'processing', 'processed', 'failed', 'ignored', 'stale'] },
+    type: { column: 'e.type' },
+    objectId: { column: 'e.object_id' },
+    from: { column: 'e.created_at::date', type: 'date', op: '>=' },
+    to: { column: 'e.created_at::date', type: 'date', op: '<=' }
+  },
+  sortFields: {
+    created_at: 'e.created_at',
+    stripe_created_at: 'e.stripe_created_at'
+  },
+  defaultSort: 'created_at',
+  idColumn: 'e.id',
+  defaultLimit: 50
+};
+
+// Platform events are signed with STRIPE_WEBHOOK_SECRET; events from vendors' Connect
+// accounts come from a Connect endpoint with its own STRIPE_CONNECT_WEBHOOK_SECRET
+const constructWebhookEvent = (body, signature) => {
+  try {
+    return stripe.webhooks.constructEvent(body, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    if (!process.env.STRIPE_CONNECT_WEBHOOK_SECRET) {
+      throw error;
+    }
+    return stripe.webhooks.constructEvent(body, signature, process.env.STRIPE_CONNECT_WEBHOOK_SECRET);
+  }
+};
 
 // Get all payments for the authenticated user
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, validateListQuery(PAYMENT_LIST), async (req, res, next) => {
   try {
-    const { role, id: userId } = req.user;
-    let query, params;
+    const { userType, id: userId, vendorId } = req.user;
+    let source;
 
-    if (role === 'customer') {
+    if (userType === 'customer') {
       // Customers see their own payments
-      query = `
-        SELECT p.*, b.booking_date, b.start_time, b.end_time,
+      source = {
+        select: `p.*, b.booking_date, b.start_time, b.end_time,
                s.name as service_name, s.category as service_category,
-               vp.business_name as vendor_name
+               vp.business_name as vendor_name`,
+        from: `
         FROM payments p
         JOIN bookings b ON p.booking_id = b.id
         JOIN services s ON b.service_id = s.id
         JOIN users u ON b.vendor_id = u.id
-        JOIN vendor_profiles vp ON u.id = vp.user_id
-        WHERE p.customer_id = $1
-        ORDER BY p.created_at DESC
-      `;
-      params = [userId];
-    } else if (role === 'vendor') {
-      // Vendors see payments for their services
-      query = `
-        SELECT p.*, b.booking_date, b.start_time, b.end_time,
+        JOIN vendor_profiles vp ON u.id = vp.user_id`,
+        where: ['p.customer_id = $1'],
+        params: [userId]
+      };
+    } else if (userType === 'vendor') {
+      // Vendor team members with payments.view see their organisation's payments
+      if (!vendorRoleCan(req.user.vendorRole, 'payments.view')) {
+        throw new ForbiddenError('Insufficient team role', { code: 'INSUFFICIENT_TEAM_ROLE' });
+      }
+      source = {
+        select: `p.*, b.booking_date, b.start_time, b.end_time,
                s.name as service_name, s.category as service_category,
-               u.email as customer_email, u.first_name, u.last_name
+               u.email as customer_email, u.first_name, u.last_name`,
+        from: `
         FROM payments p
         JOIN bookings b ON p.booking_id = b.id
         JOIN services s ON b.service_id = s.id
-        JOIN users u ON b.customer_id = u.id
-        WHERE p.vendor_id = $1
-        ORDER BY p.created_at DESC
-      `;
-      params = [userId];
+        JOIN users u ON b.customer_id = u.id`,
+        where: ['p.vendor_id = $1'],
+        params: [vendorId]
+      };
     } else {
-      // Admins see all payments
-      query = `
-        SELECT p.*, b.booking_date, b.start_time, b.end_time,
+      // Staff with payments.view see all payments
+      if (!(await hasPermission(req.user, 'payments.view'))) {
+        throw new ForbiddenError('Insufficient permissions', { code: 'INSUFFICIENT_PERMISSIONS' });
+      }
+      source = {
+        select: `p.*, b.booking_date, b.start_time, b.end_time,
                s.name as service_name, s.category as service_category,
                vp.business_name as vendor_name,
                cu.email as customer_email, cu.first_name as customer_first_name, cu.last_name as customer_last_name,
-               vu.email as vendor_email, vu.first_name as vendor_first_name, vu.last_name as vendor_last_name
+               vu.email as vendor_email, vu.first_name as vendor_first_name, vu.last_name as vendor_last_name`,
+        from: `
         FROM payments p
         JOIN bookings b ON p.booking_id = b.id
         JOIN services s ON b.service_id = s.id
         JOIN users cu ON b.customer_id = cu.id
         JOIN users vu ON b.vendor_id = vu.id
-        JOIN vendor_profiles vp ON vu.id = vp.user_id
-        ORDER BY p.created_at DESC
-      `;
-      params = [];
+        JOIN vendor_profiles vp ON vu.id = vp.user_id`
+      };
     }
 
-    const result = await pool.query(query, params);
-    res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows.length
-    });
+    const { rows, pagination } = await fetchPage(pool, source, req.listQuery);
+    respond(res, rows, { pagination });
   } catch (error) {
-    console.error('Error fetching payments:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch payments',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 });
 
 // Get a specific payment by ID
-router.get('/:id', authenticateToken, validateUUID, async (req, res) => {
+router.get('/:id', authenticateToken, validateUUID, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { role, id: userId } = req.user;
+    const { userType, id: userId, vendorId } = req.user;
 
     let query, params;
 
-    if (role === 'customer') {
+    if (userType === 'customer') {
       // Customers can only see their own payments
       query = `
         SELECT p.*, b.booking_date, b.start_time, b.end_time,
@@ -99,8 +175,11 @@ router.get('/:id', authenticateToken, validateUUID, async (req, res) => {
         WHERE p.id = $1 AND p.customer_id = $2
       `;
       params = [id, userId];
-    } else if (role === 'vendor') {
-      // Vendors can see payments for their services
+    } else if (userType === 'vendor') {
+      // Vendor team members with payments.view can see their organisation's payments
+      if (!vendorRoleCan(req.user.vendorRole, 'payments.view')) {
+        throw new ForbiddenError('Insufficient team role', { code: 'INSUFFICIENT_TEAM_ROLE' });
+      }
       query = `
         SELECT p.*, b.booking_date, b.start_time, b.end_time,
                s.name as service_name, s.description as service_description,
@@ -112,9 +191,12 @@ router.get('/:id', authenticateToken, validateUUID, async (req, res) => {
         JOIN users u ON b.customer_id = u.id
         WHERE p.id = $1 AND p.vendor_id = $2
       `;
-      params = [id, userId];
+      params = [id, vendorId];
     } else {
-      // Admins can see any payment
+      // Staff with payments.view can see any payment
+      if (!(await hasPermission(req.user, 'payments.view'))) {
+        throw new ForbiddenError('Insufficient permissions', { code: 'INSUFFICIENT_PERMISSIONS' });
+      }
       query = `
         SELECT p.*, b.booking_date, b.start_time, b.end_time,
                s.name as service_name, s.description as service_description,
@@ -136,28 +218,17 @@ router.get('/:id', authenticateToken, validateUUID, async (req, res) => {
     const result = await pool.query(query, params);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Payment not found'
-      });
+      throw new NotFoundError('Payment not found');
     }
 
-    res.json({
-      success: true,
-      data: result.rows[0]
-    });
+    respond(res, result.rows[0]);
   } catch (error) {
-    console.error('Error fetching payment:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch payment',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 });
 
-// Create a payment intent (for customers to initiate payment)
-router.post('/create-intent', authenticateToken, requireCustomer, async (req, res) => {
+// Create a payment intent for the booking's next instalment (customers)
+router.post('/create-intent', authenticateToken, requireCustomer, async (req, res, next) => {
   try {
     const { booking_id, payment_method_id } = req.body;
     const customer_id = req.user.id;
@@ -175,211 +246,106 @@ router.post('/create-intent', authenticateToken, requireCustomer, async (req, re
     );
 
     if (bookingCheck.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found or cannot be paid for'
-      });
+      throw new NotFoundError('Booking not found or cannot be paid for');
     }
 
     const booking = bookingCheck.rows[0];
 
-    // Check if payment already exists
-    const existingPayment = await pool.query(
-      'SELECT * FROM payments WHERE booking_id = $1 AND status IN ($2, $3)',
-      [booking_id, 'pending', 'completed']
-    );
-
-    if (existingPayment.rows.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment already exists for this booking'
-      });
-    }
-
-    // Calculate total amount (including any price modifiers from availability)
-    let totalAmount = parseFloat(booking.base_price);
-    
-    // Check for price modifiers from availability
-    const availabilityCheck = await pool.query(
-      `SELECT price_modifier FROM availability 
-       WHERE service_id = $1 
-       AND available_date = $2 
-       AND start_time <= $3 
-       AND end_time >= $4`,
-      [booking.service_id, booking.booking_date, booking.start_time, booking.end_time]
-    );
-
-    if (availabilityCheck.rows.length > 0) {
-      const priceModifier = parseFloat(availabilityCheck.rows[0].price_modifier || 1.0);
-      totalAmount = totalAmount * priceModifier;
-    }
-
-    // Create Stripe payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(totalAmount * 100), // Convert to cents
-      currency: 'gbp',
-      metadata: {
-        booking_id: booking_id,
-        customer_id: customer_id,
-        vendor_id: booking.vendor_id,
-        service_name: booking.service_name
-      },
-      customer: customer_id, // You might want to create Stripe customers for your users
-      payment_method: payment_method_id,
-      confirm: true,
-      return_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/confirm`
+    // Charges the next instalment of the booking's payment schedule
+    const { paymentIntent, payment } = await createBookingPayment(pool, booking, {
+      paymentMethodId: payment_method_id,
+      serviceName: booking.service_name
     });
 
-    // Create payment record in database
-    const paymentResult = await pool.query(
-      `INSERT INTO payments 
-       (booking_id, customer_id, vendor_id, amount, currency, payment_method, 
-        stripe_payment_intent_id, status) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
-       RETURNING *`,
-      [booking_id, customer_id, booking.vendor_id, totalAmount, 'GBP', 
-       payment_method_id, paymentIntent.id, 'pending']
-    );
-
-    // Update booking status to confirmed if payment is successful
-    if (paymentIntent.status === 'succeeded') {
-      await pool.query(
-        'UPDATE bookings SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        ['confirmed', booking_id]
-      );
-
-      // Update payment status
-      await pool.query(
-        'UPDATE payments SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        ['completed', paymentResult.rows[0].id]
-      );
-    }
-
-    res.json({
-      success: true,
-      message: 'Payment intent created successfully',
-      data: {
-        payment_intent: paymentIntent,
-        payment_record: paymentResult.rows[0]
-      }
-    });
+    respond(res, {
+      payment_intent: paymentIntent,
+      payment_record: payment
+    }, { message: 'Payment intent created successfully' });
   } catch (error) {
-    console.error('Error creating payment intent:', error);
-    
-    // Handle Stripe-specific errors
-    if (error.type === 'StripeCardError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment failed: ' + error.message
-      });
-    } else if (error.type === 'StripeInvalidRequestError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid payment request: ' + error.message
-      });
-    }
-
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create payment intent',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    // Stripe errors are mapped to PAYMENT_* codes by the error handler
+    next(error);
   }
 });
 
-// Confirm payment (webhook from Stripe)
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+// Confirm payment (webhook from Stripe). req.body is the raw body (see server.js), as
+// the signature covers its exact bytes
+router.post('/webhook', async (req, res, next) => {
   const sig = req.headers['stripe-signature'];
   let event;
 
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+    event = constructWebhookEvent(req.body, sig);
   } catch (err) {
-    console.error('Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+    return next(err);
+  }
+
+  try {
+    // Redeliveries of an event already handled come back as null
+    const stored = await processEvent(pool, event);
+    respond(res, { received: true, duplicate: !stored });
+  } catch (error) {
+    next(error);
   }
+});
 
+// Stored webhook events, e.g. ?status=failed to find ones to replay (staff with payments.events)
+router.get('/webhook/events', authenticateToken, requirePermission('payments.events'), validateListQuery(PAYMENT_EVENT_LIST), async (req, res, next) => {
   try {
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        const paymentIntent = event.data.object;
-        
-        // Update payment status in database
-        await pool.query(
-          `UPDATE payments 
-           SET status = $1, updated_at = CURRENT_TIMESTAMP 
-           WHERE stripe_payment_intent_id = $2`,
-          ['completed', paymentIntent.id]
-        );
-
-        // Update booking status
-        await pool.query(
-          `UPDATE bookings 
-           SET status = $1, updated_at = CURRENT_TIMESTAMP 
-           WHERE id = (
-             SELECT booking_id FROM payments WHERE stripe_payment_intent_id = $2
-           )`,
-          ['confirmed', paymentIntent.id]
-        );
-        break;
-
-      case 'payment_intent.payment_failed':
-        const failedPayment = event.data.object;
-        
-        // Update payment status in database
-        await pool.query(
-          `UPDATE payments 
-           SET status = $1, updated_at = CURRENT_TIMESTAMP 
-           WHERE stripe_payment_intent_id = $2`,
-          ['failed', failedPayment.id]
-        );
-        break;
-
-      case 'charge.refunded':
-        const refund = event.data.object;
-        
-        // Update payment status to refunded
-        await pool.query(
-          `UPDATE payments 
-           SET status = $1, updated_at = CURRENT_TIMESTAMP 
-           WHERE stripe_payment_intent_id = $2`,
-          ['refunded', refund.payment_intent]
-        );
-
-        // Update booking status to cancelled
-        await pool.query(
-          `UPDATE bookings 
-           SET status = $1, updated_at = CURRENT_TIMESTAMP 
-           WHERE id = (
-             SELECT booking_id FROM payments WHERE stripe_payment_intent_id = $2
-           )`,
-          ['cancelled', refund.payment_intent]
-        );
-        break;
-
-      default:
-        console.log(`Unhandled event type: ${event.type}`);
+    const source = {
+      select: 'e.id, e.type, e.object_id, e.stripe_created_at, e.status, e.attempts, e.last_error, e.processed_at, e.created_at, e.updated_at',
+      from: 'FROM payment_events e'
+    };
+
+    const { rows, pagination } = await fetchPage(pool, source, req.listQuery);
+    respond(res, rows, { pagination });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Handle a failed webhook event again (staff with payments.events). Fails like the
+// event's handler does, leaving the event failed with the new error.
+router.post('/webhook/events/:eventId/replay', authenticateToken, requirePermission('payments.events'), async (req, res, next) => {
+  try {
+    const { eventId } = req.params;
+
+    const existing = await pool.query('SELECT id, status FROM payment_events WHERE id = $1', [eventId]);
+    if (existing.rows.length === 0) {
+      throw new NotFoundError('Event not found');
+    }
+    if (existing.rows[0].status !== 'failed') {
+      throw new ConflictError('Only failed events can be replayed', {
+        code: 'EVENT_NOT_FAILED',
+        details: { status: existing.rows[0].status }
+      });
     }
 
-    res.json({ received: true });
+    const event = await runEvent(pool, eventId);
+    if (!event) {
+      throw new ConflictError('The event is already being replayed', { code: 'EVENT_NOT_FAILED' });
+    }
+
+    const { payload, ...summary } = event;
+    respond(res, summary, { message: 'Event replayed' });
   } catch (error) {
-    console.error('Error processing webhook:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+    next(error);
   }
 });
 
-// Process refund (vendors and admins only)
-router.post('/:id/refund', authenticateToken, requireVendor, validateUUID, async (req, res) => {
+// Refund a payment, in full or (with `amount`, in pounds) in part (vendors, or staff
+// with payments.refund). A payment refunded in full cancels its booking if it hasn't
+// started.
+router.post('/:id/refund', authenticateToken, requireVendorOrPermission('payments.refund', 'payments.refund'), validateUUID, validateRefund, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { reason } = req.body;
-    const { role, id: userId } = req.user;
+    const { amount, reason } = req.body;
+    const { userType, vendorId } = req.user;
 
     // Check if payment exists and user has permission
     let query, params;
-    if (role === 'vendor') {
+    if (userType === 'vendor') {
       query = 'SELECT * FROM payments WHERE id = $1 AND vendor_id = $2';
-      params = [id, userId];
+      params = [id, vendorId];
     } else {
       query = 'SELECT * FROM payments WHERE id = $1';
       params = [id];
@@ -387,98 +353,65 @@ router.post('/:id/refund', authenticateToken, requireVendor, validateUUID, async
 
     const paymentCheck = await pool.query(query, params);
     if (paymentCheck.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Payment not found or access denied'
-      });
+      throw new NotFoundError('Payment not found or access denied');
     }
 
-    const payment = paymentCheck.rows[0];
-
-    // Only allow refunds for completed payments
-    if (payment.status !== 'completed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Can only refund completed payments'
-      });
+    // Only allow refunds for paid payments
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(paymentCheck.rows[0].status)) {
+      throw new ConflictError('Can only refund completed payments', { code: 'INVALID_PAYMENT_STATE' });
     }
 
-    // Process refund through Stripe
-    const refund = await stripe.refunds.create({
-      payment_intent: payment.stripe_payment_intent_id,
-      reason: reason || 'requested_by_customer'
-    });
+    const { refund, payment } = await withTransaction(client => recordPaymentRefund(client, id, {
+      amount,
+      reason,
+      requestedBy: req.user.id
+    }));
 
-    // Update payment status to refunded
-    await pool.query(
-      'UPDATE payments SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      ['refunded', id]
-    );
-
-    // Update booking status to cancelled
-    await pool.query(
-      'UPDATE bookings SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      ['cancelled', payment.booking_id]
-    );
-
-    // Make the time slot available again
-    const booking = await pool.query(
-      'SELECT service_id, booking_date, start_time, end_time FROM bookings WHERE id = $1',
-      [payment.booking_id]
-    );
+    const issued = await issueRefund(pool, refund);
 
-    if (booking.rows.length > 0) {
-      const b = booking.rows[0];
-      await pool.query(
-        `UPDATE availability 
-         SET is_available = true 
-         WHERE service_id = $1 
-         AND available_date = $2 
-         AND start_time <= $3 
-         AND end_time >= $4`,
-        [b.service_id, b.booking_date, b.start_time, b.end_time]
-      );
+    if (payment.status === 'refunded') {
+      await withTransaction(client => transitionIfPossible(client, payment.booking_id, 'cancelled', {
+        role: actorRole(req.user),
+        actorId: req.user.id,
+        reason: `Payment refunded${reason ? `: ${reason}` : ''}`
+      }));
     }
 
-    res.json({
-      success: true,
-      message: 'Refund processed successfully',
-      data: {
-        refund_id: refund.id,
-        amount: refund.amount / 100, // Convert from cents
-        status: refund.status
-      }
-    });
+    respond(res, {
+      refund_id: issued.stripe_refund_id,
+      amount: parseFloat(issued.amount),
+      status: issued.status,
+      payment_status: payment.status
+    }, { message: 'Refund processed successfully' });
   } catch (error) {
-    console.error('Error processing refund:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to process refund',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 });
 
-// Get payment statistics (for vendors and admins)
-router.get('/stats/overview', authenticateToken, requireVendor, async (req, res) => {
+// Get payment statistics (vendors, or staff with payments.view)
+router.get('/stats/overview', authenticateToken, requireVendorOrPermission('payments.view', 'payments.view'), async (req, res, next) => {
   try {
-    const { role, id: userId } = req.user;
+    const { userType, vendorId } = req.user;
     let query, params;
 
-    if (role === 'vendor') {
+    if (userType === 'vendor') {
       query = `
         SELECT 
           COUNT(*) as total_payments,
           COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_payments,
           COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_payments,
           COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_payments,
-          COUNT(CASE WHEN status = 'refunded' THEN 1 END) as refunded_payments,
-          SUM(CASE WHEN status = 'completed' THEN amount ELSE 0 END) as total_revenue,
-          SUM(CASE WHEN status = 'refunded' THEN amount ELSE 0 END) as total_refunds
+          COUNT(CASE WHEN status IN ('partially_refunded', 'refunded') THEN 1 END) as refunded_payments,
+          SUM(CASE WHEN status IN ('completed', 'partially_refunded', 'refunded') THEN amount ELSE 0 END) as total_revenue,
+          SUM(CASE WHEN status = 'refunded' THEN amount
+                   WHEN status = 'partially_refunded' THEN (
+                     SELECT COALESCE(SUM(r.amount), 0) FROM refunds r
+                     WHERE r.payment_id = payments.id AND r.status IN ('pending', 'succeeded'))
+                   ELSE 0 END) as total_refunds
         FROM payments 
         WHERE vendor_id = $1
       `;
-      params = [userId];
+      params = [vendorId];
     } else {
       query = `
         SELECT 
@@ -486,9 +419,13 @@ router.get('/stats/overview', authenticateToken, requireVendor, async (req, res)
           COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_payments,
           COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_payments,
           COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_payments,
-          COUNT(CASE WHEN status = 'refunded' THEN 1 END) as refunded_payments,
-          SUM(CASE WHEN status = 'completed' THEN amount ELSE 0 END) as total_revenue,
-          SUM(CASE WHEN status = 'refunded' THEN amount ELSE 0 END) as total_refunds
+          COUNT(CASE WHEN status IN ('partially_refunded', 'refunded') THEN 1 END) as refunded_payments,
+          SUM(CASE WHEN status IN ('completed', 'partially_refunded', 'refunded') THEN amount ELSE 0 END) as total_revenue,
+          SUM(CASE WHEN status = 'refunded' THEN amount
+                   WHEN status = 'partially_refunded' THEN (
+                     SELECT COALESCE(SUM(r.amount), 0) FROM refunds r
+                     WHERE r.payment_id = payments.id AND r.status IN ('pending', 'succeeded'))
+                   ELSE 0 END) as total_refunds
         FROM payments
       `;
       params = [];
@@ -497,47 +434,38 @@ router.get('/stats/overview', authenticateToken, requireVendor, async (req, res)
     const result = await pool.query(query, params);
     const stats = result.rows[0];
 
-    res.json({
-      success: true,
-      data: {
-        ...stats,
-        total_revenue: parseFloat(stats.total_revenue || 0),
-        total_refunds: parseFloat(stats.total_refunds || 0),
-        net_revenue: parseFloat(stats.total_revenue || 0) - parseFloat(stats.total_refunds || 0)
-      }
+    respond(res, {
+      ...stats,
+      total_revenue: parseFloat(stats.total_revenue || 0),
+      total_refunds: parseFloat(stats.total_refunds || 0),
+      net_revenue: parseFloat(stats.total_revenue || 0) - parseFloat(stats.total_refunds || 0)
     });
   } catch (error) {
-    console.error('Error fetching payment stats:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch payment statistics',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 });
 
-// Get payment methods for a customer (for future use)
-router.get('/payment-methods/:customerId', authenticateToken, requireAdmin, validateUUID, async (req, res) => {
+// Payouts to vendors for completed bookings, with the platform's commission (vendors
+// with payments.view see their organisation's, staff with payments.view everyone's)
+router.get('/payouts/history', authenticateToken, requireVendorOrPermission('payments.view', 'payments.view'), validateListQuery(PAYOUT_LIST), async (req, res, next) => {
   try {
-    const { customerId } = req.params;
-
-    // Get customer's payment methods from Stripe
-    const paymentMethods = await stripe.paymentMethods.list({
-      customer: customerId,
-      type: 'card'
-    });
+    const { userType, vendorId } = req.user;
+
+    const source = {
+      select: `po.*, b.booking_date, s.name as service_name, s.category as service_category,
+               vp.business_name as vendor_name`,
+      from: `
+        FROM payouts po
+        JOIN bookings b ON po.booking_id = b.id
+        JOIN services s ON b.service_id = s.id
+        LEFT JOIN vendor_profiles vp ON vp.user_id = po.vendor_id`,
+      ...(userType === 'vendor' && { where: ['po.vendor_id = $1'], params: [vendorId] })
+    };
 
-    res.json({
-      success: true,
-      data: paymentMethods.data
-    });
+    const { rows, pagination } = await fetchPage(pool, source, req.listQuery);
+    respond(res, rows, { pagination });
   } catch (error) {
-    console.error('Error fetching payment methods:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch payment methods',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+    next(error);
   }
 });
 
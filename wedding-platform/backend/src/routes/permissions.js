@@ -0,0 +1,157 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, ROLES, SUPERUSER_ROLE } = require('../config/permissions');
+const { getUserPermissions } = require('../services/permissions');
+const { respond } = require('../utils/respond');
+const { withTransaction } = require('../utils/transaction');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const {
+  validateUUID,
+  validateRolePermissions,
+  validatePermissionGrant
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Every route here manages grants
+router.use(authenticateToken, requirePermission('permissions.manage'));
+
+// List all permissions and what each role holds
+router.get('/', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT role, permission FROM role_permissions ORDER BY role, permission'
+    );
+
+    const roles = Object.fromEntries(ROLES.map(role => [
+      role,
+      role === SUPERUSER_ROLE
+        ? Object.keys(PERMISSIONS)
+        : result.rows.filter(row => row.role === role).map(row => row.permission)
+    ]));
+
+    respond(res, {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+      roles
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the permissions granted to a role
+router.put('/roles/:role', validateRolePermissions, async (req, res, next) => {
+  try {
+    const { role } = req.params;
+    const permissions = [...new Set(req.body.permissions)];
+
+    // Swap the grants in one go, so a failed insert can't leave the role with none
+    await withTransaction(async (client) => {
+      await client.query('DELETE FROM role_permissions WHERE role = $1', [role]);
+
+      if (permissions.length > 0) {
+        await client.query(
+          `INSERT INTO role_permissions (role, permission)
+           SELECT $1, UNNEST($2::text[])`,
+          [role, permissions]
+        );
+      }
+    });
+
+    respond(res, { role, permissions }, { message: 'Role permissions updated successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A user's role permissions, individual grants and the effective set
+router.get('/users/:id', validateUUID, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const userResult = await pool.query('SELECT id, user_type FROM users WHERE id = $1', [id]);
+    if (userResult.rows.length === 0) {
+      throw new NotFoundError('User not found');
+    }
+
+    const user = userResult.rows[0];
+
+    const grantsResult = await pool.query(
+      `SELECT up.permission, up.created_at, up.granted_by,
+              g.email as granted_by_email
+       FROM user_permissions up
+       LEFT JOIN users g ON up.granted_by = g.id
+       WHERE up.user_id = $1
+       ORDER BY up.permission`,
+      [id]
+    );
+
+    const effective = await getUserPermissions({ id: user.id, userType: user.user_type });
+
+    respond(res, {
+      userId: user.id,
+      role: user.user_type,
+      grants: grantsResult.rows,
+      permissions: effective
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Grant a permission to an individual user
+router.post('/users/:id', validateUUID, validatePermissionGrant, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { permission } = req.body;
+
+    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [id]);
+    if (userCheck.rows.length === 0) {
+      throw new NotFoundError('User not found');
+    }
+
+    const result = await pool.query(
+      `INSERT INTO user_permissions (user_id, permission, granted_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, permission) DO NOTHING
+       RETURNING user_id, permission, granted_by, created_at`,
+      [id, permission, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ConflictError('User already has this permission', { code: 'PERMISSION_ALREADY_GRANTED' });
+    }
+
+    respond(res, result.rows[0], { status: 201, message: 'Permission granted successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke an individual grant (role permissions are unaffected)
+router.delete('/users/:id/:permission', validateUUID, async (req, res, next) => {
+  try {
+    const { id, permission } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM user_permissions WHERE user_id = $1 AND permission = $2 RETURNING permission',
+      [id, permission]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Permission grant not found');
+    }
+
+    respond(res, null, { message: 'Permission revoked successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,300 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authenticateToken, requireCustomer, requireVendorCapability, requireVerifiedEmail } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { vendorRoleCan } = require('../config/vendorRoles');
+const {
+  validateQuoteRequest,
+  validateProposal,
+  validateProposalAcceptance,
+  validateReason,
+  validateUUID,
+  validateIdParam,
+  validateListQuery
+} = require('../middleware/validation');
+const { fetchPage } = require('../utils/listQuery');
+const { withTransaction } = require('../utils/transaction');
+const { calculateProposal } = require('../services/pricing');
+const { createBookingPayment } = require('../services/bookingPayments');
+const {
+  QUOTE_REQUEST_STATUSES,
+  DEFAULT_PROPOSAL_DAYS,
+  lockQuoteRequest,
+  assertOpen,
+  listProposals,
+  closeActiveProposal,
+  lockActiveProposal,
+  createProposalBooking
+} = require('../services/quoteRequests');
+const { respond } = require('../utils/respond');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Filters and sort fields accepted by GET /quote-requests
+const QUOTE_REQUEST_LIST = {
+  filters: {
+    status: { column: 'q.status', type: 'enum', values: QUOTE_REQUEST_STATUSES },
+    serviceId: { column: 'q.service_id', type: 'uuid' },
+    from: { column: 'q.event_date', type: 'date', op: '>=' },
+    to: { column: 'q.event_date', type: 'date', op: '<=' }
+  },
+  sortFields: {
+    created_at: 'q.created_at',
+    updated_at: 'q.updated_at',
+    event_date: 'q.event_date'
+  },
+  defaultSort: 'updated_at',
+  idColumn: 'q.id',
+  defaultLimit: 20
+};
+
+const validateProposalId = validateIdParam('proposalId', 'proposal');
+
+// The request's own columns plus the service, and the latest proposal's revision and total
+const QUOTE_REQUEST_SELECT = `q.*, s.name as service_name, s.category as service_category,
+       lp.revision as latest_revision, lp.total_amount as latest_total, lp.expires_at as latest_expires_at`;
+
+const LATEST_PROPOSAL_JOIN = `
+        LEFT JOIN LATERAL (
+          SELECT revision, total_amount, expires_at FROM quote_proposals
+          WHERE quote_request_id = q.id
+          ORDER BY revision DESC
+          LIMIT 1
+        ) lp ON true`;
+
+// Quote requests the current user can see: customers their own, vendor team members
+// their organisation's, staff with bookings.view all of them
+const quoteRequestScope = async (user) => {
+  if (user.userType === 'customer') {
+    return { where: ['q.customer_id = $1'], params: [user.id] };
+  }
+  if (user.userType === 'vendor') {
+    if (!vendorRoleCan(user.vendorRole, 'bookings.view')) {
+      throw new ForbiddenError('Insufficient team role', { code: 'INSUFFICIENT_TEAM_ROLE' });
+    }
+    return { where: ['q.vendor_id = $1'], params: [user.vendorId] };
+  }
+  if (!(await hasPermission(user, 'bookings.view'))) {
+    throw new ForbiddenError('Insufficient permissions', { code: 'INSUFFICIENT_PERMISSIONS' });
+  }
+  return { where: [], params: [] };
+};
+
+// List quote requests, most recently active first
+router.get('/', authenticateToken, validateListQuery(QUOTE_REQUEST_LIST), async (req, res, next) => {
+  try {
+    const scope = await quoteRequestScope(req.user);
+
+    const source = {
+      select: `${QUOTE_REQUEST_SELECT},
+               vp.business_name as vendor_name, u.first_name as customer_first_name, u.last_name as customer_last_name`,
+      from: `
+        FROM quote_requests q
+        JOIN services s ON q.service_id = s.id
+        JOIN users u ON q.customer_id = u.id
+        LEFT JOIN vendor_profiles vp ON vp.user_id = q.vendor_id${LATEST_PROPOSAL_JOIN}`,
+      ...scope
+    };
+
+    const { rows, pagination } = await fetchPage(pool, source, req.listQuery);
+    respond(res, rows, { pagination });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A quote request with every proposal revision, oldest first
+router.get('/:id', authenticateToken, validateUUID, async (req, res, next) => {
+  try {
+    const scope = await quoteRequestScope(req.user);
+    const params = [...scope.params, req.params.id];
+    const where = [...scope.where, `q.id = $${params.length}`];
+
+    const result = await pool.query(
+      `SELECT ${QUOTE_REQUEST_SELECT},
+              vp.business_name as vendor_name, u.email as customer_email,
+              u.first_name as customer_first_name, u.last_name as customer_last_name
+       FROM quote_requests q
+       JOIN services s ON q.service_id = s.id
+       JOIN users u ON q.customer_id = u.id
+       LEFT JOIN vendor_profiles vp ON vp.user_id = q.vendor_id${LATEST_PROPOSAL_JOIN}
+       WHERE ${where.join(' AND ')}`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Quote request not found');
+    }
+
+    const proposals = await listProposals(pool, req.params.id);
+
+    respond(res, { ...result.rows[0], proposals });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Ask a vendor to price an event (customers only)
+router.post('/', authenticateToken, requireCustomer, requireVerifiedEmail, validateQuoteRequest, async (req, res, next) => {
+  try {
+    const { serviceId, eventDate, startTime, endTime, guestCount, venue, budget, message } = req.body;
+
+    const serviceCheck = await pool.query(
+      'SELECT id, vendor_id FROM services WHERE id = $1 AND is_active = true',
+      [serviceId]
+    );
+
+    if (serviceCheck.rows.length === 0) {
+      throw new NotFoundError('Service not found or inactive');
+    }
+
+    const result = await pool.query(
+      `INSERT INTO quote_requests
+       (customer_id, service_id, vendor_id, event_date, start_time, end_time, guest_count, venue, budget, message)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [req.user.id, serviceId, serviceCheck.rows[0].vendor_id, eventDate, startTime, endTime,
+       guestCount || null, venue || null, budget || null, message]
+    );
+
+    respond(res, result.rows[0], { status: 201, message: 'Quote request sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a priced proposal. A new proposal replaces the previous one as a new revision
+router.post('/:id/proposals', authenticateToken, requireVendorCapability('bookings.manage'), validateUUID, validateProposal, async (req, res, next) => {
+  try {
+    const { lineItems, eventDate, startTime, endTime, message, validForDays = DEFAULT_PROPOSAL_DAYS } = req.body;
+    const pricing = calculateProposal({ lineItems });
+
+    const proposal = await withTransaction(async (client) => {
+      const quoteRequest = await lockQuoteRequest(client, req.params.id, { vendorId: req.user.vendorId });
+      assertOpen(quoteRequest);
+
+      await closeActiveProposal(client, quoteRequest.id, 'superseded');
+
+      const result = await client.query(
+        `INSERT INTO quote_proposals
+         (quote_request_id, revision, event_date, start_time, end_time, line_items,
+          subtotal, tax, total_amount, message, expires_at, created_by)
+         VALUES ($1, (SELECT COALESCE(MAX(revision), 0) + 1 FROM quote_proposals WHERE quote_request_id = $1),
+                 $2, $3, $4, $5, $6, $7, $8, $9, NOW() + $10::int * INTERVAL '1 day', $11)
+         RETURNING *`,
+        [quoteRequest.id, eventDate || quoteRequest.event_date,
+         startTime || quoteRequest.start_time, endTime || quoteRequest.end_time,
+         JSON.stringify(pricing.lineItems), pricing.subtotal, pricing.tax, pricing.total,
+         message || null, validForDays, req.user.id]
+      );
+
+      await client.query(
+        "UPDATE quote_requests SET status = 'proposed' WHERE id = $1",
+        [quoteRequest.id]
+      );
+
+      return result.rows[0];
+    });
+
+    respond(res, { ...proposal, taxRate: pricing.taxRate }, { status: 201, message: 'Proposal sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Accept the active proposal: books the event at the proposed price and starts its payment.
+// If the payment can't be started the booking stands and can be paid from /payments.
+router.post('/:id/proposals/:proposalId/accept', authenticateToken, requireCustomer, validateUUID, validateProposalId, validateProposalAcceptance, async (req, res, next) => {
+  try {
+    const { booking, quoteRequest } = await withTransaction(async (client) => {
+      const quoteRequest = await lockQuoteRequest(client, req.params.id, { customerId: req.user.id });
+      assertOpen(quoteRequest);
+
+      const proposal = await lockActiveProposal(client, quoteRequest.id, req.params.proposalId);
+      const booking = await createProposalBooking(client, quoteRequest, proposal);
+
+      await client.query(
+        "UPDATE quote_proposals SET status = 'accepted', responded_at = NOW() WHERE id = $1",
+        [proposal.id]
+      );
+      await client.query(
+        "UPDATE quote_requests SET status = 'accepted', booking_id = $2 WHERE id = $1",
+        [quoteRequest.id, booking.id]
+      );
+
+      return { booking, quoteRequest };
+    });
+
+    const service = await pool.query('SELECT name FROM services WHERE id = $1', [quoteRequest.service_id]);
+    const { paymentIntent, payment } = await createBookingPayment(pool, booking, {
+      paymentMethodId: req.body.paymentMethodId,
+      serviceName: service.rows[0] && service.rows[0].name
+    });
+
+    respond(res, {
+      booking,
+      payment,
+      clientSecret: paymentIntent.client_secret,
+      paymentStatus: paymentIntent.status
+    }, { status: 201, message: 'Proposal accepted and booking created' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Decline a proposal. The request stays open for the vendor to revise
+router.post('/:id/proposals/:proposalId/decline', authenticateToken, requireCustomer, validateUUID, validateProposalId, validateReason, async (req, res, next) => {
+  try {
+    const proposal = await withTransaction(async (client) => {
+      const quoteRequest = await lockQuoteRequest(client, req.params.id, { customerId: req.user.id });
+      assertOpen(quoteRequest);
+
+      const active = await lockActiveProposal(client, quoteRequest.id, req.params.proposalId);
+      const result = await client.query(
+        "UPDATE quote_proposals SET status = 'declined', responded_at = NOW(), decline_reason = $2 WHERE id = $1 RETURNING *",
+        [active.id, req.body.reason || null]
+      );
+      await client.query(
+        "UPDATE quote_requests SET status = 'open' WHERE id = $1",
+        [quoteRequest.id]
+      );
+
+      return result.rows[0];
+    });
+
+    respond(res, proposal, { message: 'Proposal declined' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Close a request: the customer cancels it, or the vendor declines to quote. Any active
+// proposal is withdrawn
+const closeQuoteRequest = (status, owner) => async (req, res, next) => {
+  try {
+    const quoteRequest = await withTransaction(async (client) => {
+      const locked = await lockQuoteRequest(client, req.params.id, owner(req.user));
+      assertOpen(locked);
+
+      await closeActiveProposal(client, locked.id, 'withdrawn');
+      const result = await client.query(
+        'UPDATE quote_requests SET status = $2, closed_reason = $3 WHERE id = $1 RETURNING *',
+        [locked.id, status, req.body.reason || null]
+      );
+
+      return result.rows[0];
+    });
+
+    respond(res, quoteRequest, { message: `Quote request ${status}` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.post('/:id/cancel', authenticateToken, requireCustomer, validateUUID, validateReason,
+  closeQuoteRequest('cancelled', user => ({ customerId: user.id })));
+
+router.post('/:id/decline', authenticateToken, requireVendorCapability('bookings.manage'), validateUUID, validateReason,
+  closeQuoteRequest('declined', user => ({ vendorId: user.vendorId })));
+
+module.exports = router;
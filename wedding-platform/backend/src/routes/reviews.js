@@ -0,0 +1,276 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authenticateToken, requireCustomer, requireVendorCapability, requireVerifiedEmail, requirePermission } = require('../middleware/auth');
+const { vendorRoleCan } = require('../config/vendorRoles');
+const {
+  validateReview,
+  validateReviewReply,
+  validateReviewModeration,
+  validateFlag,
+  validateUUID,
+  validateListQuery
+} = require('../middleware/validation');
+const { fetchPage } = require('../utils/listQuery');
+const { withTransaction } = require('../utils/transaction');
+const { PUBLIC_REVIEW_SELECT, PUBLIC_REVIEW_FROM, REVIEW_LIST, findReview } = require('../services/reviews');
+const { respond } = require('../utils/respond');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Reported reviews waiting for a moderator, oldest report first
+const REPORTED_REVIEW_LIST = {
+  sortFields: {
+    first_reported_at: 'open.first_reported_at',
+    report_count: 'open.report_count',
+    created_at: 'r.created_at'
+  },
+  defaultSort: 'first_reported_at',
+  defaultOrder: 'ASC',
+  idColumn: 'r.id',
+  defaultLimit: 20
+};
+
+// is_active after each moderation action (null keeps it)
+const MODERATION_VISIBILITY = { hide: false, restore: true, dismiss: null };
+const MODERATION_MESSAGES = { hide: 'Review hidden', restore: 'Review restored', dismiss: 'Reports dismissed' };
+
+// The user's own reviews: customers the ones they wrote, vendor team members their
+// organisation's (including hidden ones)
+router.get('/', authenticateToken, validateListQuery(REVIEW_LIST), async (req, res, next) => {
+  try {
+    let where;
+    if (req.user.userType === 'customer') {
+      where = 'r.customer_id = $1';
+    } else if (req.user.userType === 'vendor' && req.user.vendorId) {
+      if (!vendorRoleCan(req.user.vendorRole, 'profile.view')) {
+        throw new ForbiddenError('Insufficient team role', { code: 'INSUFFICIENT_TEAM_ROLE' });
+      }
+      where = 'r.vendor_id = $1';
+    } else {
+      throw new ForbiddenError('Only customers and vendors have reviews', { code: 'INSUFFICIENT_PERMISSIONS' });
+    }
+
+    const source = {
+      select: `${PUBLIC_REVIEW_SELECT}, r.booking_id, r.is_active`,
+      from: PUBLIC_REVIEW_FROM,
+      where: [where],
+      params: [req.user.userType === 'customer' ? req.user.id : req.user.vendorId]
+    };
+
+    const { rows, pagination } = await fetchPage(pool, source, req.listQuery);
+    respond(res, rows, { pagination });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Moderation queue: reviews with open reports and what they were reported for
+router.get('/reported', authenticateToken, requirePermission('reviews.moderate'), validateListQuery(REPORTED_REVIEW_LIST), async (req, res, next) => {
+  try {
+    const source = {
+      select: `r.*, u.first_name, u.last_name, u.email as customer_email, vp.business_name as vendor_name,
+               open.report_count, open.first_reported_at, open.reports`,
+      from: `
+        FROM reviews r
+        JOIN users u ON r.customer_id = u.id
+        LEFT JOIN vendor_profiles vp ON vp.user_id = r.vendor_id
+        JOIN LATERAL (
+          SELECT COUNT(*)::int AS report_count, MIN(created_at) AS first_reported_at,
+                 json_agg(json_build_object('reporter_id', reporter_id, 'reason', reason, 'created_at', created_at)
+                          ORDER BY created_at) AS reports
+          FROM review_reports
+          WHERE review_id = r.id AND resolved_at IS NULL
+        ) open ON true`,
+      where: ['open.report_count > 0']
+    };
+
+    const { rows, pagination } = await fetchPage(pool, source, req.listQuery);
+    respond(res, rows, { pagination });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a review (public)
+router.get('/:id', validateUUID, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${PUBLIC_REVIEW_SELECT}
+       ${PUBLIC_REVIEW_FROM}
+       WHERE r.id = $1 AND r.is_active = true`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Review not found');
+    }
+
+    respond(res, result.rows[0]);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Review a completed booking (customers only, one review per booking)
+router.post('/', authenticateToken, requireCustomer, requireVerifiedEmail, validateReview, async (req, res, next) => {
+  try {
+    const { bookingId, rating, title, comment } = req.body;
+
+    const bookingResult = await pool.query(
+      'SELECT id, vendor_id, service_id, status FROM bookings WHERE id = $1 AND customer_id = $2',
+      [bookingId, req.user.id]
+    );
+
+    if (bookingResult.rows.length === 0) {
+      throw new NotFoundError('Booking not found');
+    }
+
+    const booking = bookingResult.rows[0];
+    if (booking.status !== 'completed') {
+      throw new ConflictError('Only completed bookings can be reviewed', {
+        code: 'BOOKING_NOT_COMPLETED',
+        details: { status: booking.status }
+      });
+    }
+
+    let result;
+    try {
+      result = await pool.query(
+        `INSERT INTO reviews (booking_id, customer_id, vendor_id, service_id, rating, title, comment, is_verified)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, true)
+         RETURNING *`,
+        [booking.id, req.user.id, booking.vendor_id, booking.service_id, rating, title || null, comment || null]
+      );
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new ConflictError('This booking has already been reviewed', { code: 'REVIEW_EXISTS' });
+      }
+      throw error;
+    }
+
+    respond(res, result.rows[0], { status: 201, message: 'Review posted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete your own review
+router.delete('/:id', authenticateToken, requireCustomer, validateUUID, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM reviews WHERE id = $1 AND customer_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Review not found');
+    }
+
+    respond(res, null, { message: 'Review deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Post or replace the vendor's public reply
+router.put('/:id/reply', authenticateToken, requireVendorCapability('reviews.reply'), validateUUID, validateReviewReply, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `UPDATE reviews
+       SET vendor_reply = $3, vendor_replied_at = NOW(), vendor_replied_by = $4
+       WHERE id = $1 AND vendor_id = $2 AND is_active = true
+       RETURNING *`,
+      [req.params.id, req.user.vendorId, req.body.reply, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Review not found');
+    }
+
+    respond(res, result.rows[0], { message: 'Reply posted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id/reply', authenticateToken, requireVendorCapability('reviews.reply'), validateUUID, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `UPDATE reviews
+       SET vendor_reply = NULL, vendor_replied_at = NULL, vendor_replied_by = NULL
+       WHERE id = $1 AND vendor_id = $2
+       RETURNING *`,
+      [req.params.id, req.user.vendorId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Review not found');
+    }
+
+    respond(res, result.rows[0], { message: 'Reply removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Report a review to moderators. Reporting again after a report was resolved reopens it
+router.post('/:id/report', authenticateToken, validateUUID, validateFlag, async (req, res, next) => {
+  try {
+    const review = await findReview(pool, req.params.id);
+
+    if (!review.is_active) {
+      throw new NotFoundError('Review not found');
+    }
+    if (review.customer_id === req.user.id) {
+      throw new ValidationError('You cannot report your own review', { code: 'OWN_REVIEW' });
+    }
+
+    await pool.query(
+      `INSERT INTO review_reports (review_id, reporter_id, reason)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (review_id, reporter_id)
+       DO UPDATE SET reason = EXCLUDED.reason, created_at = NOW(), resolved_at = NULL, resolved_by = NULL`,
+      [review.id, req.user.id, req.body.reason]
+    );
+
+    respond(res, null, { message: 'Review reported to moderators' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resolve a review's open reports: hide it, restore a hidden review, or dismiss the reports
+router.patch('/:id/moderation', authenticateToken, requirePermission('reviews.moderate'), validateUUID, validateReviewModeration, async (req, res, next) => {
+  try {
+    const { action, note } = req.body;
+
+    const moderated = await withTransaction(async (client) => {
+      // Dismissing leaves the review as it is
+      const result = await client.query(
+        `UPDATE reviews
+         SET is_active = COALESCE($4, is_active), moderated_at = NOW(), moderated_by = $2, moderation_note = $3
+         WHERE id = $1
+         RETURNING *`,
+        [req.params.id, req.user.id, note || null, MODERATION_VISIBILITY[action]]
+      );
+
+      if (result.rows.length === 0) {
+        throw new NotFoundError('Review not found');
+      }
+
+      const reports = await client.query(
+        `UPDATE review_reports SET resolved_at = NOW(), resolved_by = $2
+         WHERE review_id = $1 AND resolved_at IS NULL`,
+        [req.params.id, req.user.id]
+      );
+
+      return { ...result.rows[0], resolvedReports: reports.rowCount };
+    });
+
+    respond(res, moderated, { message: MODERATION_MESSAGES[action] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
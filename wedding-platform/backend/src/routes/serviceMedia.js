@@ -0,0 +1,284 @@
+const express = require('express');
+const multer = require('multer');
+const pool = require('../config/database');
+const { authenticateToken, requireVendorCapability } = require('../middleware/auth');
+const {
+  validateUUID,
+  validateIdParam,
+  validateMediaDetails,
+  validateMediaOrder
+} = require('../middleware/validation');
+const { withTransaction } = require('../utils/transaction');
+const {
+  PHOTO_TYPES,
+  MEDIA_TYPES,
+  MAX_PHOTO_BYTES,
+  MAX_VIDEO_BYTES,
+  MAX_UPLOAD_BYTES,
+  MAX_UPLOADS,
+  storeServiceMedia,
+  removeServiceMedia
+} = require('../services/serviceMedia');
+const { respond } = require('../utils/respond');
+const { AppError, ValidationError, NotFoundError } = require('../utils/errors');
+
+// Mounted at /services/:id/media
+const router = express.Router({ mergeParams: true });
+
+const uploadTooLarge = (message, maxBytes) => new AppError(message, {
+  status: 413,
+  code: 'PAYLOAD_TOO_LARGE',
+  details: { maxBytes }
+});
+
+// Memory storage that holds each file to its type's size limit and the request's files
+// to MAX_UPLOAD_BYTES together, stopping the upload as soon as either is passed
+const uploadStorage = {
+  _handleFile: (req, file, cb) => {
+    const maxBytes = PHOTO_TYPES.includes(file.mimetype) ? MAX_PHOTO_BYTES : MAX_VIDEO_BYTES;
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+
+    // Drop what was read and drain the rest
+    const fail = (error) => {
+      failed = true;
+      chunks.length = 0;
+      file.stream.removeAllListeners('data');
+      file.stream.resume();
+      cb(error);
+    };
+
+    file.stream.on('data', (chunk) => {
+      size += chunk.length;
+      req.uploadedBytes = (req.uploadedBytes || 0) + chunk.length;
+
+      if (size > maxBytes) {
+        return fail(uploadTooLarge(`${PHOTO_TYPES.includes(file.mimetype) ? 'Photo' : 'Video'} too large`, maxBytes));
+      }
+      if (req.uploadedBytes > MAX_UPLOAD_BYTES) {
+        return fail(uploadTooLarge('Upload too large', MAX_UPLOAD_BYTES));
+      }
+      chunks.push(chunk);
+    });
+    file.stream.on('error', error => failed || fail(error));
+    file.stream.on('end', () => failed || cb(null, { buffer: Buffer.concat(chunks), size }));
+  },
+  _removeFile: (req, file, cb) => {
+    delete file.buffer;
+    cb(null);
+  }
+};
+
+const upload = multer({
+  storage: uploadStorage,
+  limits: { fileSize: Math.max(MAX_PHOTO_BYTES, MAX_VIDEO_BYTES), files: MAX_UPLOADS },
+  fileFilter: (req, file, cb) => {
+    if (MEDIA_TYPES.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new ValidationError(`Unsupported file type: ${file.mimetype}`, {
+      code: 'UNSUPPORTED_FILE_TYPE',
+      details: { allowed: MEDIA_TYPES }
+    }));
+  }
+});
+
+const validateMediaId = validateIdParam('mediaId', 'media');
+
+const MEDIA_COLUMNS = `id, service_id, media_type, url, variants, caption, alt_text, sort_order,
+       width, height, content_type, size_bytes, created_at, updated_at`;
+
+const listMedia = async (db, serviceId) => {
+  const result = await db.query(
+    `SELECT ${MEDIA_COLUMNS}
+     FROM service_media
+     WHERE service_id = $1 AND is_active = true
+     ORDER BY sort_order, created_at`,
+    [serviceId]
+  );
+  return result.rows;
+};
+
+// Lock a service owned by the user's vendor organisation, so concurrent uploads and
+// reorders of its media take turns
+const lockOwnService = async (client, serviceId, vendorId) => {
+  const result = await client.query(
+    'SELECT id FROM services WHERE id = $1 AND vendor_id = $2 FOR UPDATE',
+    [serviceId, vendorId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Service not found or access denied');
+  }
+};
+
+// A service's photos and videos in display order (public)
+router.get('/', validateUUID, async (req, res, next) => {
+  try {
+    const service = await pool.query('SELECT id FROM services WHERE id = $1 AND is_active = true', [req.params.id]);
+
+    if (service.rows.length === 0) {
+      throw new NotFoundError('Service not found');
+    }
+
+    respond(res, await listMedia(pool, req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload up to MAX_UPLOADS files as multipart `media`. They're added after the existing
+// media; caption and altText apply to every file in the request
+router.post('/', authenticateToken, requireVendorCapability('services.manage'), validateUUID, upload.array('media', MAX_UPLOADS), validateMediaDetails, async (req, res, next) => {
+  const stored = [];
+
+  try {
+    if (!req.files || req.files.length === 0) {
+      throw new ValidationError('Choose at least one photo or video', { code: 'FILE_REQUIRED' });
+    }
+
+    const owned = await pool.query(
+      'SELECT id FROM services WHERE id = $1 AND vendor_id = $2',
+      [req.params.id, req.user.vendorId]
+    );
+    if (owned.rows.length === 0) {
+      throw new NotFoundError('Service not found or access denied');
+    }
+
+    for (const file of req.files) {
+      stored.push(await storeServiceMedia(req.params.id, file));
+    }
+
+    const media = await withTransaction(async (client) => {
+      await lockOwnService(client, req.params.id, req.user.vendorId);
+
+      const position = await client.query(
+        'SELECT COALESCE(MAX(sort_order) + 1, 0) AS next FROM service_media WHERE service_id = $1 AND is_active = true',
+        [req.params.id]
+      );
+      const next = Number(position.rows[0].next);
+
+      const inserted = [];
+      for (const [index, item] of stored.entries()) {
+        const result = await client.query(
+          `INSERT INTO service_media
+           (service_id, media_type, url, storage_key, content_type, size_bytes, width, height,
+            variants, caption, alt_text, sort_order, uploaded_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+           RETURNING ${MEDIA_COLUMNS}`,
+          [req.params.id, item.media_type, item.url, item.storage_key, item.content_type, item.size_bytes,
+           item.width, item.height, JSON.stringify(item.variants), req.body.caption || null,
+           req.body.altText || null, next + index, req.user.id]
+        );
+        inserted.push(result.rows[0]);
+      }
+      return inserted;
+    });
+
+    respond(res, media, { status: 201, message: `${media.length} file${media.length === 1 ? '' : 's'} uploaded` });
+  } catch (error) {
+    await Promise.all(stored.map(removeServiceMedia));
+    next(error);
+  }
+});
+
+// Put the service's media in a new order. mediaIds must list every active item once
+router.put('/order', authenticateToken, requireVendorCapability('services.manage'), validateUUID, validateMediaOrder, async (req, res, next) => {
+  try {
+    const { mediaIds } = req.body;
+
+    const media = await withTransaction(async (client) => {
+      await lockOwnService(client, req.params.id, req.user.vendorId);
+
+      const current = await client.query(
+        'SELECT id FROM service_media WHERE service_id = $1 AND is_active = true',
+        [req.params.id]
+      );
+      const currentIds = current.rows.map(row => row.id).sort();
+      const requestedIds = [...mediaIds].sort();
+
+      if (currentIds.length !== requestedIds.length || currentIds.some((id, i) => id !== requestedIds[i])) {
+        throw new ValidationError('mediaIds must list each of the service\'s media exactly once', {
+          code: 'MEDIA_ORDER_MISMATCH',
+          details: { expected: currentIds.length }
+        });
+      }
+
+      await client.query(
+        `UPDATE service_media m
+         SET sort_order = o.position - 1
+         FROM unnest($2::uuid[]) WITH ORDINALITY AS o(id, position)
+         WHERE m.id = o.id AND m.service_id = $1`,
+        [req.params.id, mediaIds]
+      );
+
+      return listMedia(client, req.params.id);
+    });
+
+    respond(res, media, { message: 'Media reordered' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change the caption or alt text
+router.patch('/:mediaId', authenticateToken, requireVendorCapability('services.manage'), validateUUID, validateMediaId, validateMediaDetails, async (req, res, next) => {
+  try {
+    const fields = { caption: 'caption', altText: 'alt_text' };
+    const updates = [];
+    const params = [req.params.mediaId, req.params.id, req.user.vendorId];
+
+    Object.entries(fields).forEach(([field, column]) => {
+      if (req.body[field] !== undefined) {
+        params.push(req.body[field] || null);
+        updates.push(`${column} = $${params.length}`);
+      }
+    });
+
+    if (updates.length === 0) {
+      throw new ValidationError('Nothing to update', { code: 'NO_CHANGES' });
+    }
+
+    const result = await pool.query(
+      `UPDATE service_media m
+       SET ${updates.join(', ')}
+       WHERE m.id = $1 AND m.service_id = $2 AND m.is_active = true
+       AND EXISTS (SELECT 1 FROM services s WHERE s.id = m.service_id AND s.vendor_id = $3)
+       RETURNING ${MEDIA_COLUMNS}`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Media not found');
+    }
+
+    respond(res, result.rows[0], { message: 'Media updated' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove media from the listing. The files are kept so it can be restored
+router.delete('/:mediaId', authenticateToken, requireVendorCapability('services.manage'), validateUUID, validateMediaId, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `UPDATE service_media m
+       SET is_active = false, deleted_at = NOW()
+       WHERE m.id = $1 AND m.service_id = $2 AND m.is_active = true
+       AND EXISTS (SELECT 1 FROM services s WHERE s.id = m.service_id AND s.vendor_id = $3)
+       RETURNING m.id`,
+      [req.params.mediaId, req.params.id, req.user.vendorId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Media not found');
+    }
+
+    respond(res, null, { message: 'Media deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
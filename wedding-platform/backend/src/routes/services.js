@@ -1,30 +1,57 @@
 const express = require('express');
 const pool = require('../config/database');
-const { authenticateToken, requireVendor, requireVendorOrAdmin } = require('../middleware/auth');
-const { validateService, validateUUID } = require('../middleware/validation');
+const { authenticateToken, requireVendorCapability, requireVerifiedEmail } = require('../middleware/auth');
+const {
+  validateService,
+  validateServiceAddon,
+  validatePaymentTerms,
+  validateCancellationPolicy,
+  validateQuote,
+  validateUUID,
+  validateAddonId,
+  validateListQuery
+} = require('../middleware/validation');
+const { fetchPage } = require('../utils/listQuery');
+const { PUBLIC_REVIEW_SELECT, PUBLIC_REVIEW_FROM } = require('../services/reviews');
+const { bayesianScore } = require('../services/ratings');
+const { respond } = require('../utils/respond');
+const { calculateQuote, loadAddons } = require('../services/pricing');
+const { findOpenSlot } = require('../services/bookingSlots');
+const { CANCELLATION_POLICIES } = require('../config/cancellationPolicies');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
 
 const router = express.Router();
 
+// Filters and sort fields accepted by GET /services/search
+const SERVICE_SEARCH = {
+  filters: {
+    category: { column: 's.category', match: 'contains' },
+    vendorId: { column: 's.vendor_id', type: 'uuid' },
+    city: { column: 'vp.city', match: 'contains' },
+    search: { columns: ['s.name', 's.description'], match: 'contains' },
+    minPrice: { column: 's.base_price', type: 'number', op: '>=' },
+    maxPrice: { column: 's.base_price', type: 'number', op: '<=' },
+    pricingType: { column: 's.pricing_type', type: 'enum', values: ['hourly', 'daily', 'fixed'] }
+  },
+  // rating ranks by Bayesian score so a handful of reviews can't top the list
+  sortFields: {
+    rating: bayesianScore('s'),
+    average_rating: 'COALESCE(s.rating, 0)',
+    review_count: 'COALESCE(s.review_count, 0)',
+    created_at: 's.created_at',
+    base_price: 's.base_price',
+    name: 's.name'
+  },
+  defaultSort: 'rating',
+  idColumn: 's.id',
+  defaultLimit: 20
+};
+
 // Search services (public) - with advanced filtering
-router.get('/search', async (req, res) => {
+router.get('/search', validateListQuery(SERVICE_SEARCH), async (req, res, next) => {
   try {
-    const { 
-      category, 
-      vendorId, 
-      city, 
-      search, 
-      minPrice, 
-      maxPrice, 
-      pricingType,
-      availableDate,
-      page = 1, 
-      limit = 20,
-      sortBy = 'rating',
-      sortOrder = 'DESC'
-    } = req.query;
-
-    let query = `
-      SELECT 
+    const { rows, pagination } = await fetchPage(pool, {
+      select: `
         s.id,
         s.name,
         s.description,
@@ -34,161 +61,29 @@ router.get('/search', async (req, res) => {
         s.category,
         s.rating,
         s.review_count,
+        ${bayesianScore('s')} AS rating_score,
         s.created_at,
         vp.business_name,
         vp.city,
         vp.is_verified,
         u.first_name,
-        u.last_name
-      FROM services s
-      JOIN vendor_profiles vp ON s.vendor_id = vp.user_id
-      JOIN users u ON s.vendor_id = u.id
-      WHERE s.is_active = true AND u.is_active = true
-    `;
-    
-    const queryParams = [];
-    let paramCount = 0;
-
-    // Add filters
-    if (category) {
-      paramCount++;
-      query += ` AND s.category ILIKE $${paramCount}`;
-      queryParams.push(`%${category}%`);
-    }
-
-    if (vendorId) {
-      paramCount++;
-      query += ` AND s.vendor_id = $${paramCount}`;
-      queryParams.push(vendorId);
-    }
-
-    if (city) {
-      paramCount++;
-      query += ` AND vp.city ILIKE $${paramCount}`;
-      queryParams.push(`%${city}%`);
-    }
-
-    if (search) {
-      paramCount++;
-      query += ` AND (s.name ILIKE $${paramCount} OR s.description ILIKE $${paramCount})`;
-      queryParams.push(`%${search}%`);
-    }
-
-    if (minPrice) {
-      paramCount++;
-      query += ` AND s.base_price >= $${paramCount}`;
-      queryParams.push(parseFloat(minPrice));
-    }
-
-    if (maxPrice) {
-      paramCount++;
-      query += ` AND s.base_price <= $${paramCount}`;
-      queryParams.push(parseFloat(maxPrice));
-    }
-
-    if (pricingType) {
-      paramCount++;
-      query += ` AND s.pricing_type = $${paramCount}`;
-      queryParams.push(pricingType);
-    }
-
-    // Add sorting
-    const validSortFields = ['rating', 'review_count', 'created_at', 'base_price', 'name'];
-    const validSortOrders = ['ASC', 'DESC'];
-    
-    if (validSortFields.includes(sortBy) && validSortOrders.includes(sortOrder.toUpperCase())) {
-      query += ` ORDER BY s.${sortBy} ${sortOrder.toUpperCase()}`;
-    } else {
-      query += ' ORDER BY s.rating DESC';
-    }
-
-    // Add pagination
-    const offset = (page - 1) * limit;
-    paramCount++;
-    query += ` LIMIT $${paramCount}`;
-    queryParams.push(parseInt(limit));
-    
-    paramCount++;
-    query += ` OFFSET $${paramCount}`;
-    queryParams.push(offset);
-
-    const result = await pool.query(query, queryParams);
-
-    // Get total count for pagination
-    let countQuery = `
-      SELECT COUNT(*) as total
-      FROM services s
-      JOIN vendor_profiles vp ON s.vendor_id = vp.user_id
-      JOIN users u ON s.vendor_id = u.id
-      WHERE s.is_active = true AND u.is_active = true
-    `;
-    
-    const countParams = [];
-    paramCount = 0;
-
-    if (category) {
-      paramCount++;
-      countQuery += ` AND s.category ILIKE $${paramCount}`;
-      countParams.push(`%${category}%`);
-    }
-
-    if (vendorId) {
-      paramCount++;
-      countQuery += ` AND s.vendor_id = $${paramCount}`;
-      countParams.push(vendorId);
-    }
-
-    if (city) {
-      paramCount++;
-      countQuery += ` AND vp.city ILIKE $${paramCount}`;
-      countParams.push(`%${city}%`);
-    }
-
-    if (search) {
-      paramCount++;
-      countQuery += ` AND (s.name ILIKE $${paramCount} OR s.description ILIKE $${paramCount})`;
-      countParams.push(`%${search}%`);
-    }
-
-    if (minPrice) {
-      paramCount++;
-      countQuery += ` AND s.base_price >= $${paramCount}`;
-      countParams.push(parseFloat(minPrice));
-    }
-
-    if (maxPrice) {
-      paramCount++;
-      countQuery += ` AND s.base_price <= $${paramCount}`;
-      countParams.push(parseFloat(maxPrice));
-    }
-
-    if (pricingType) {
-      paramCount++;
-      countQuery += ` AND s.pricing_type = $${paramCount}`;
-      countParams.push(pricingType);
-    }
+        u.last_name`,
+      from: `
+        FROM services s
+        JOIN vendor_profiles vp ON s.vendor_id = vp.user_id
+        JOIN users u ON s.vendor_id = u.id`,
+      where: ['s.is_active = true', 'u.is_active = true']
+    }, req.listQuery);
 
-    const countResult = await pool.query(countQuery, countParams);
-    const total = parseInt(countResult.rows[0].total);
-
-    res.json({
-      services: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
+    respond(res, rows, { pagination });
 
   } catch (error) {
-    console.error('Search services error:', error);
-    res.status(500).json({ error: 'Failed to search services' });
+    next(error);
   }
 });
 
 // Get service by ID (public)
-router.get('/:id', validateUUID, async (req, res) => {
+router.get('/:id', validateUUID, async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -213,14 +108,14 @@ router.get('/:id', validateUUID, async (req, res) => {
     const serviceResult = await pool.query(serviceQuery, [id]);
     
     if (serviceResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Service not found' });
+      throw new NotFoundError('Service not found');
     }
 
     const service = serviceResult.rows[0];
 
     // Get service media
     const mediaQuery = `
-      SELECT id, media_type, url, caption, sort_order
+      SELECT id, media_type, url, variants, caption, alt_text, sort_order, width, height
       FROM service_media 
       WHERE service_id = $1 AND is_active = true
       ORDER BY sort_order, created_at
@@ -243,9 +138,8 @@ router.get('/:id', validateUUID, async (req, res) => {
 
     // Get service reviews
     const reviewsQuery = `
-      SELECT r.*, u.first_name, u.last_name
-      FROM reviews r
-      JOIN users u ON r.customer_id = u.id
+      SELECT ${PUBLIC_REVIEW_SELECT}
+      ${PUBLIC_REVIEW_FROM}
       WHERE r.service_id = $1 AND r.is_active = true
       ORDER BY r.created_at DESC
       LIMIT 10
@@ -254,18 +148,77 @@ router.get('/:id', validateUUID, async (req, res) => {
     const reviewsResult = await pool.query(reviewsQuery, [id]);
     service.reviews = reviewsResult.rows;
 
-    res.json({ service });
+    // Get optional add-ons
+    const addonsResult = await pool.query(
+      `SELECT id, name, description, price
+       FROM service_addons
+       WHERE service_id = $1 AND is_active = true
+       ORDER BY name`,
+      [id]
+    );
+    service.addons = addonsResult.rows;
+
+    respond(res, service);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Price a booking of this service (public). With a date and times the quote uses
+// the covering availability slot's price modifier; without them it prices the
+// service's standard duration.
+router.get('/:id/quote', validateUUID, validateQuote, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { date, startTime, endTime } = req.query;
+    const addonIds = req.query.addons ? req.query.addons.split(',').map(addonId => addonId.trim()) : [];
+
+    const serviceResult = await pool.query(
+      `SELECT s.id, s.base_price, s.pricing_type, s.duration_hours
+       FROM services s
+       JOIN users u ON s.vendor_id = u.id
+       WHERE s.id = $1 AND s.is_active = true AND u.is_active = true`,
+      [id]
+    );
+
+    if (serviceResult.rows.length === 0) {
+      throw new NotFoundError('Service not found');
+    }
+
+    const service = serviceResult.rows[0];
+    const addons = await loadAddons(pool, id, addonIds);
+
+    // Only a specific date and time can be checked against availability
+    let slot = null;
+    if (date && startTime && endTime) {
+      slot = await findOpenSlot(pool, { serviceId: id, date, startTime, endTime });
+    }
+
+    respond(res, {
+      serviceId: id,
+      date: date || null,
+      startTime: startTime || null,
+      endTime: endTime || null,
+      available: date && startTime && endTime ? Boolean(slot) : null,
+      ...calculateQuote({
+        service,
+        startTime,
+        endTime,
+        priceModifier: slot ? slot.price_modifier : 1,
+        addons
+      })
+    });
 
   } catch (error) {
-    console.error('Get service error:', error);
-    res.status(500).json({ error: 'Failed to fetch service' });
+    next(error);
   }
 });
 
-// Create service (vendor only)
-router.post('/', authenticateToken, requireVendor, validateService, async (req, res) => {
+// Create service (vendor team owners and managers)
+router.post('/', authenticateToken, requireVendorCapability('services.manage'), requireVerifiedEmail, validateService, async (req, res, next) => {
   try {
-    const vendorId = req.user.id;
+    const vendorId = req.user.vendorId;
     const { 
       name, 
       description, 
@@ -283,7 +236,7 @@ router.post('/', authenticateToken, requireVendor, validateService, async (req,
     );
 
     if (profileCheck.rows.length === 0) {
-      return res.status(400).json({ error: 'Vendor profile not found. Please complete your profile first.' });
+      throw new BadRequestError('Vendor profile not found. Please complete your profile first.', { code: 'VENDOR_PROFILE_REQUIRED' });
     }
 
     const createQuery = `
@@ -299,22 +252,18 @@ router.post('/', authenticateToken, requireVendor, validateService, async (req,
       pricingType, durationHours, faq
     ]);
 
-    res.status(201).json({
-      message: 'Service created successfully',
-      service: result.rows[0]
-    });
+    respond(res, result.rows[0], { status: 201, message: 'Service created successfully' });
 
   } catch (error) {
-    console.error('Create service error:', error);
-    res.status(500).json({ error: 'Failed to create service' });
+    next(error);
   }
 });
 
-// Update service (vendor only)
-router.put('/:id', authenticateToken, requireVendor, validateUUID, validateService, async (req, res) => {
+// Update service (vendor team owners and managers)
+router.put('/:id', authenticateToken, requireVendorCapability('services.manage'), validateUUID, validateService, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const vendorId = req.user.id;
+    const vendorId = req.user.vendorId;
     const { 
       name, 
       description, 
@@ -332,7 +281,7 @@ router.put('/:id', authenticateToken, requireVendor, validateUUID, validateServi
     );
 
     if (serviceCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Service not found or access denied' });
+      throw new NotFoundError('Service not found or access denied');
     }
 
     const updateQuery = `
@@ -355,22 +304,18 @@ router.put('/:id', authenticateToken, requireVendor, validateUUID, validateServi
       pricingType, durationHours, faq, id, vendorId
     ]);
 
-    res.json({
-      message: 'Service updated successfully',
-      service: result.rows[0]
-    });
+    respond(res, result.rows[0], { message: 'Service updated successfully' });
 
   } catch (error) {
-    console.error('Update service error:', error);
-    res.status(500).json({ error: 'Failed to update service' });
+    next(error);
   }
 });
 
-// Delete service (soft delete - vendor only)
-router.delete('/:id', authenticateToken, requireVendor, validateUUID, async (req, res) => {
+// Delete service (soft delete - vendor team owners and managers)
+router.delete('/:id', authenticateToken, requireVendorCapability('services.manage'), validateUUID, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const vendorId = req.user.id;
+    const vendorId = req.user.vendorId;
 
     // Check if service belongs to vendor
     const serviceCheck = await pool.query(
@@ -379,7 +324,7 @@ router.delete('/:id', authenticateToken, requireVendor, validateUUID, async (req
     );
 
     if (serviceCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Service not found or access denied' });
+      throw new NotFoundError('Service not found or access denied');
     }
 
     // Check if service has active bookings
@@ -389,8 +334,8 @@ router.delete('/:id', authenticateToken, requireVendor, validateUUID, async (req
     );
 
     if (bookingCheck.rows.length > 0) {
-      return res.status(400).json({ 
-        error: 'Cannot delete service with active bookings. Please cancel or complete all bookings first.' 
+      throw new ConflictError('Cannot delete service with active bookings. Please cancel or complete all bookings first.', {
+        code: 'SERVICE_HAS_BOOKINGS'
       });
     }
 
@@ -402,22 +347,128 @@ router.delete('/:id', authenticateToken, requireVendor, validateUUID, async (req
       RETURNING id
     `;
 
-    const result = await pool.query(deleteQuery, [id, vendorId]);
+    await pool.query(deleteQuery, [id, vendorId]);
 
-    res.json({
-      message: 'Service deleted successfully'
-    });
+    respond(res, null, { message: 'Service deleted successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add an optional extra to a service (vendor team owners and managers)
+router.post('/:id/addons', authenticateToken, requireVendorCapability('services.manage'), validateUUID, validateServiceAddon, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, description, price } = req.body;
+
+    const serviceCheck = await pool.query(
+      'SELECT id FROM services WHERE id = $1 AND vendor_id = $2 AND is_active = true',
+      [id, req.user.vendorId]
+    );
+
+    if (serviceCheck.rows.length === 0) {
+      throw new NotFoundError('Service not found or access denied');
+    }
+
+    const result = await pool.query(
+      `INSERT INTO service_addons (service_id, name, description, price)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, service_id, name, description, price, created_at`,
+      [id, name, description, price]
+    );
+
+    respond(res, result.rows[0], { status: 201, message: 'Add-on created successfully' });
 
   } catch (error) {
-    console.error('Delete service error:', error);
-    res.status(500).json({ error: 'Failed to delete service' });
+    next(error);
   }
 });
 
-// Get vendor's services (vendor only)
-router.get('/vendor/my-services', authenticateToken, requireVendor, async (req, res) => {
+// Withdraw an add-on. Existing bookings keep the price in their breakdown
+router.delete('/:id/addons/:addonId', authenticateToken, requireVendorCapability('services.manage'), validateUUID, validateAddonId, async (req, res, next) => {
   try {
-    const vendorId = req.user.id;
+    const { id, addonId } = req.params;
+
+    const result = await pool.query(
+      `UPDATE service_addons sa
+       SET is_active = false, updated_at = NOW()
+       FROM services s
+       WHERE sa.id = $1 AND sa.service_id = $2
+       AND s.id = sa.service_id AND s.vendor_id = $3 AND sa.is_active = true
+       RETURNING sa.id`,
+      [addonId, id, req.user.vendorId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Add-on not found or access denied');
+    }
+
+    respond(res, null, { message: 'Add-on removed successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set the deposit and balance schedule new bookings of the service are paid by
+// (vendor team owners and managers). Existing schedules keep the terms they were made with
+router.put('/:id/payment-terms', authenticateToken, requireVendorCapability('services.manage'), validateUUID, validatePaymentTerms, async (req, res, next) => {
+  try {
+    const { depositType, depositValue, balanceDueDays = 30, balanceInstalments = 1 } = req.body;
+
+    const result = await pool.query(
+      `UPDATE services
+       SET deposit_type = $3, deposit_value = $4, balance_due_days = $5, balance_instalments = $6,
+           updated_at = NOW()
+       WHERE id = $1 AND vendor_id = $2 AND is_active = true
+       RETURNING id, deposit_type, deposit_value, balance_due_days, balance_instalments`,
+      [req.params.id, req.user.vendorId, depositType,
+       depositType === 'none' ? null : depositValue, balanceDueDays, balanceInstalments]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Service not found or access denied');
+    }
+
+    respond(res, result.rows[0], { message: 'Payment terms updated' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set the cancellation policy bookings of the service are refunded by (vendor team
+// owners and managers). It applies to cancellations from now on, including of existing
+// bookings
+router.put('/:id/cancellation-policy', authenticateToken, requireVendorCapability('services.manage'), validateUUID, validateCancellationPolicy, async (req, res, next) => {
+  try {
+    const { policy, tiers } = req.body;
+    const customTiers = policy === 'custom'
+      ? tiers.map(({ days, percent }) => ({ days, percent })).sort((a, b) => b.days - a.days)
+      : null;
+
+    const result = await pool.query(
+      `UPDATE services
+       SET cancellation_policy = $3, cancellation_tiers = $4, updated_at = NOW()
+       WHERE id = $1 AND vendor_id = $2 AND is_active = true
+       RETURNING id, cancellation_policy, cancellation_tiers`,
+      [req.params.id, req.user.vendorId, policy, customTiers && JSON.stringify(customTiers)]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Service not found or access denied');
+    }
+
+    respond(res, result.rows[0], { message: 'Cancellation policy updated' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get vendor's services (any vendor team member)
+router.get('/vendor/my-services', authenticateToken, requireVendorCapability('services.view'), async (req, res, next) => {
+  try {
+    const vendorId = req.user.vendorId;
 
     const servicesQuery = `
       SELECT 
@@ -434,16 +485,15 @@ router.get('/vendor/my-services', authenticateToken, requireVendor, async (req,
 
     const result = await pool.query(servicesQuery, [vendorId]);
 
-    res.json({ services: result.rows });
+    respond(res, result.rows);
 
   } catch (error) {
-    console.error('Get vendor services error:', error);
-    res.status(500).json({ error: 'Failed to fetch vendor services' });
+    next(error);
   }
 });
 
 // Get service categories (public)
-router.get('/categories/list', async (req, res) => {
+router.get('/categories/list', async (req, res, next) => {
   try {
     const query = `
       SELECT DISTINCT category, COUNT(*) as service_count
@@ -456,12 +506,16 @@ router.get('/categories/list', async (req, res) => {
 
     const result = await pool.query(query);
     
-    res.json({ categories: result.rows });
+    respond(res, result.rows);
 
   } catch (error) {
-    console.error('Get service categories error:', error);
-    res.status(500).json({ error: 'Failed to fetch service categories' });
+    next(error);
   }
 });
 
+// The standard cancellation policies and their refund tiers (public)
+router.get('/cancellation-policies/list', (req, res) => {
+  respond(res, CANCELLATION_POLICIES);
+});
+
 module.exports = router;
@@ -1,13 +1,57 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const pool = require('../config/database');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { validateUUID } = require('../middleware/validation');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateUUID, validateListQuery } = require('../middleware/validation');
+const { fetchPage } = require('../utils/listQuery');
+const { respond } = require('../utils/respond');
+const { ValidationError, BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const { ROLES } = require('../config/permissions');
+const { revokeAllUserSessions } = require('../services/sessions');
+const { clearFailures, recordLoginAudit } = require('../services/loginAttempts');
+const { getUserPermissions, hasPermission } = require('../services/permissions');
 
 const router = express.Router();
 
+// Filters and sort fields accepted by GET /users/admin/all
+const ADMIN_USER_LIST = {
+  filters: {
+    userType: { column: 'u.user_type', type: 'enum', values: ROLES },
+    active: { column: 'u.is_active', type: 'boolean' },
+    search: { columns: ['u.email', 'u.first_name', 'u.last_name'], match: 'contains' }
+  },
+  sortFields: {
+    created_at: 'u.created_at',
+    email: 'u.email',
+    last_name: 'u.last_name'
+  },
+  defaultSort: 'created_at',
+  idColumn: 'u.id',
+  defaultLimit: 50
+};
+
+// What staff see of an account: never the password hash, 2FA secrets or Stripe ids
+const ADMIN_USER_COLUMNS = [
+  'id', 'email', 'first_name', 'last_name', 'phone', 'user_type', 'is_active',
+  'email_verified', 'email_verified_at', 'two_factor_enabled', 'two_factor_enabled_at',
+  'created_at', 'updated_at'
+];
+
+// Changing someone's role, or editing a staff account, needs permissions.manage -
+// otherwise support staff with users.update could promote themselves
+const canManageAccount = async (actor, target, newUserType) => {
+  const changesRole = newUserType !== undefined && newUserType !== target.user_type;
+  const isStaffAccount = ['support', 'admin'].includes(target.user_type);
+
+  if (!changesRole && !isStaffAccount) {
+    return true;
+  }
+
+  return hasPermission(actor, 'permissions.manage');
+};
+
 // Get user's own profile
-router.get('/profile/me', authenticateToken, async (req, res) => {
+router.get('/profile/me', authenticateToken, async (req, res, next) => {
   try {
     const userId = req.user.id;
 
@@ -20,6 +64,8 @@ router.get('/profile/me', authenticateToken, async (req, res) => {
         u.phone,
         u.user_type,
         u.is_active,
+        u.email_verified,
+        (u.password_hash IS NOT NULL) as has_password,
         u.created_at,
         u.updated_at,
         CASE 
@@ -35,33 +81,40 @@ router.get('/profile/me', authenticateToken, async (req, res) => {
           ELSE NULL
         END as city
       FROM users u
-      LEFT JOIN vendor_profiles vp ON u.id = vp.user_id
+      LEFT JOIN vendor_profiles vp ON vp.user_id = $2
       WHERE u.id = $1
     `;
 
-    const result = await pool.query(userQuery, [userId]);
+    // Team members see their organisation's business details
+    const result = await pool.query(userQuery, [userId, req.user.vendorId || userId]);
     
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+      throw new NotFoundError('User not found');
     }
 
-    res.json({ user: result.rows[0] });
+    const permissions = await getUserPermissions(req.user);
+
+    respond(res, {
+      ...result.rows[0],
+      permissions,
+      vendorId: req.user.vendorId,
+      vendorRole: req.user.vendorRole
+    });
 
   } catch (error) {
-    console.error('Get user profile error:', error);
-    res.status(500).json({ error: 'Failed to fetch user profile' });
+    next(error);
   }
 });
 
 // Update user's own profile
-router.put('/profile/me', authenticateToken, async (req, res) => {
+router.put('/profile/me', authenticateToken, async (req, res, next) => {
   try {
     const userId = req.user.id;
     const { firstName, lastName, phone } = req.body;
 
     // Validate input
     if (!firstName || !lastName) {
-      return res.status(400).json({ error: 'First name and last name are required' });
+      throw new ValidationError('First name and last name are required');
     }
 
     const updateQuery = `
@@ -77,42 +130,46 @@ router.put('/profile/me', authenticateToken, async (req, res) => {
 
     const result = await pool.query(updateQuery, [firstName, lastName, phone, userId]);
 
-    res.json({
-      message: 'Profile updated successfully',
-      user: result.rows[0]
-    });
+    respond(res, result.rows[0], { message: 'Profile updated successfully' });
 
   } catch (error) {
-    console.error('Update user profile error:', error);
-    res.status(500).json({ error: 'Failed to update profile' });
+    next(error);
   }
 });
 
 // Change password
-router.put('/profile/change-password', authenticateToken, async (req, res) => {
+router.put('/profile/change-password', authenticateToken, async (req, res, next) => {
   try {
     const userId = req.user.id;
     const { currentPassword, newPassword } = req.body;
 
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ error: 'Current password and new password are required' });
+    if (!newPassword) {
+      throw new ValidationError('New password is required');
     }
 
     if (newPassword.length < 8) {
-      return res.status(400).json({ error: 'New password must be at least 8 characters long' });
+      throw new ValidationError('New password must be at least 8 characters long');
     }
 
-    // Verify current password
     const userQuery = 'SELECT password_hash FROM users WHERE id = $1';
     const userResult = await pool.query(userQuery, [userId]);
     
     if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+      throw new NotFoundError('User not found');
     }
 
-    const isValidPassword = await bcrypt.compare(currentPassword, userResult.rows[0].password_hash);
-    if (!isValidPassword) {
-      return res.status(400).json({ error: 'Current password is incorrect' });
+    const { password_hash: currentHash } = userResult.rows[0];
+
+    // Password-less (social sign-in) accounts can set a first password without a current one
+    if (currentHash) {
+      if (!currentPassword) {
+        throw new ValidationError('Current password and new password are required');
+      }
+
+      const isValidPassword = await bcrypt.compare(currentPassword, currentHash);
+      if (!isValidPassword) {
+        throw new BadRequestError('Current password is incorrect', { code: 'INVALID_CURRENT_PASSWORD' });
+      }
     }
 
     // Hash new password
@@ -129,21 +186,18 @@ router.put('/profile/change-password', authenticateToken, async (req, res) => {
 
     await pool.query(updateQuery, [newPasswordHash, userId]);
 
-    res.json({ message: 'Password changed successfully' });
+    respond(res, null, { message: currentHash ? 'Password changed successfully' : 'Password set successfully' });
 
   } catch (error) {
-    console.error('Change password error:', error);
-    res.status(500).json({ error: 'Failed to change password' });
+    next(error);
   }
 });
 
 // Admin: Get all users
-router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/admin/all', authenticateToken, requirePermission('users.view'), validateListQuery(ADMIN_USER_LIST), async (req, res, next) => {
   try {
-    const { page = 1, limit = 50, userType, active } = req.query;
-
-    let query = `
-      SELECT 
+    const { rows, pagination } = await fetchPage(pool, {
+      select: `
         u.id,
         u.email,
         u.first_name,
@@ -160,64 +214,27 @@ router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
         CASE 
           WHEN u.user_type = 'vendor' THEN vp.is_verified
           ELSE NULL
-        END as is_verified
-      FROM users u
-      LEFT JOIN vendor_profiles vp ON u.id = vp.user_id
-      WHERE 1=1
-    `;
-    
-    const queryParams = [];
-    let paramCount = 0;
+        END as is_verified`,
+      from: `
+        FROM users u
+        LEFT JOIN vendor_profiles vp ON u.id = vp.user_id`
+    }, req.listQuery);
 
-    if (userType) {
-      paramCount++;
-      query += ` AND u.user_type = $${paramCount}`;
-      queryParams.push(userType);
-    }
-
-    if (active !== undefined) {
-      paramCount++;
-      query += ` AND u.is_active = $${paramCount}`;
-      queryParams.push(active === 'true');
-    }
-
-    query += ' ORDER BY u.created_at DESC';
-
-    // Add pagination
-    const offset = (page - 1) * limit;
-    paramCount++;
-    query += ` LIMIT $${paramCount}`;
-    queryParams.push(parseInt(limit));
-    
-    paramCount++;
-    query += ` OFFSET $${paramCount}`;
-    queryParams.push(offset);
-
-    const result = await pool.query(query, queryParams);
-
-    res.json({
-      users: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: result.rows.length
-      }
-    });
+    respond(res, rows, { pagination });
 
   } catch (error) {
-    console.error('Admin get users error:', error);
-    res.status(500).json({ error: 'Failed to fetch users' });
+    next(error);
   }
 });
 
 // Admin: Get user by ID
-router.get('/admin/:id', authenticateToken, requireAdmin, validateUUID, async (req, res) => {
+router.get('/admin/:id', authenticateToken, requirePermission('users.view'), validateUUID, async (req, res, next) => {
   try {
     const { id } = req.params;
 
     const userQuery = `
       SELECT 
-        u.*,
+        ${ADMIN_USER_COLUMNS.map(column => `u.${column}`).join(', ')},
         CASE 
           WHEN u.user_type = 'vendor' THEN vp.business_name
           ELSE NULL
@@ -242,27 +259,33 @@ router.get('/admin/:id', authenticateToken, requireAdmin, validateUUID, async (r
     const result = await pool.query(userQuery, [id]);
     
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+      throw new NotFoundError('User not found');
     }
 
-    res.json({ user: result.rows[0] });
+    respond(res, result.rows[0]);
 
   } catch (error) {
-    console.error('Admin get user error:', error);
-    res.status(500).json({ error: 'Failed to fetch user' });
+    next(error);
   }
 });
 
 // Admin: Update user
-router.put('/admin/:id', authenticateToken, requireAdmin, validateUUID, async (req, res) => {
+router.put('/admin/:id', authenticateToken, requirePermission('users.update'), validateUUID, async (req, res, next) => {
   try {
     const { id } = req.params;
     const { firstName, lastName, email, phone, userType, isActive } = req.body;
 
     // Check if user exists
-    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [id]);
+    const userCheck = await pool.query('SELECT id, user_type FROM users WHERE id = $1', [id]);
     if (userCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+      throw new NotFoundError('User not found');
+    }
+
+    if (!(await canManageAccount(req.user, userCheck.rows[0], userType))) {
+      throw new ForbiddenError('Insufficient permissions', {
+        code: 'INSUFFICIENT_PERMISSIONS',
+        details: { required: 'permissions.manage' }
+      });
     }
 
     // Check if email is already taken by another user
@@ -272,7 +295,7 @@ router.put('/admin/:id', authenticateToken, requireAdmin, validateUUID, async (r
         [email, id]
       );
       if (emailCheck.rows.length > 0) {
-        return res.status(409).json({ error: 'Email is already taken by another user' });
+        throw new ConflictError('Email is already taken by another user', { code: 'EMAIL_TAKEN' });
       }
     }
 
@@ -282,43 +305,51 @@ router.put('/admin/:id', authenticateToken, requireAdmin, validateUUID, async (r
         first_name = COALESCE($1, first_name),
         last_name = COALESCE($2, last_name),
         email = COALESCE($3, email),
+        email_verified = CASE WHEN $3 IS NOT NULL AND $3 <> email THEN false ELSE email_verified END,
         phone = COALESCE($4, phone),
         user_type = COALESCE($5, user_type),
         is_active = COALESCE($6, is_active),
         updated_at = NOW()
       WHERE id = $7
-      RETURNING *
+      RETURNING ${ADMIN_USER_COLUMNS.join(', ')}
     `;
 
     const result = await pool.query(updateQuery, [
       firstName, lastName, email, phone, userType, isActive, id
     ]);
 
-    res.json({
-      message: 'User updated successfully',
-      user: result.rows[0]
-    });
+    if (isActive === false) {
+      await revokeAllUserSessions(id);
+    }
+
+    respond(res, result.rows[0], { message: 'User updated successfully' });
 
   } catch (error) {
-    console.error('Admin update user error:', error);
-    res.status(500).json({ error: 'Failed to update user' });
+    next(error);
   }
 });
 
 // Admin: Deactivate/Activate user
-router.patch('/admin/:id/status', authenticateToken, requireAdmin, validateUUID, async (req, res) => {
+router.patch('/admin/:id/status', authenticateToken, requirePermission('users.deactivate'), validateUUID, async (req, res, next) => {
   try {
     const { id } = req.params;
     const { isActive } = req.body;
 
     if (typeof isActive !== 'boolean') {
-      return res.status(400).json({ error: 'isActive must be a boolean' });
+      throw new ValidationError('isActive must be a boolean');
     }
 
     // Check if user exists
-    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [id]);
+    const userCheck = await pool.query('SELECT id, user_type FROM users WHERE id = $1', [id]);
     if (userCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+      throw new NotFoundError('User not found');
+    }
+
+    if (!(await canManageAccount(req.user, userCheck.rows[0]))) {
+      throw new ForbiddenError('Insufficient permissions', {
+        code: 'INSUFFICIENT_PERMISSIONS',
+        details: { required: 'permissions.manage' }
+      });
     }
 
     const updateQuery = `
@@ -330,26 +361,56 @@ router.patch('/admin/:id/status', authenticateToken, requireAdmin, validateUUID,
 
     const result = await pool.query(updateQuery, [isActive, id]);
 
-    res.json({
-      message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
-      user: result.rows[0]
-    });
+    // Deactivated users lose every session straight away
+    if (!isActive) {
+      await revokeAllUserSessions(id);
+    }
+
+    respond(res, result.rows[0], { message: `User ${isActive ? 'activated' : 'deactivated'} successfully` });
 
   } catch (error) {
-    console.error('Admin update user status error:', error);
-    res.status(500).json({ error: 'Failed to update user status' });
+    next(error);
+  }
+});
+
+// Admin: Unlock a user locked out after failed logins
+router.patch('/admin/:id/unlock', authenticateToken, requirePermission('users.unlock'), validateUUID, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const userCheck = await pool.query('SELECT id, email FROM users WHERE id = $1', [id]);
+    if (userCheck.rows.length === 0) {
+      throw new NotFoundError('User not found');
+    }
+
+    const user = userCheck.rows[0];
+
+    await clearFailures(user.email);
+    await recordLoginAudit({ userId: user.id, email: user.email, req, success: false, reason: 'admin_unlock' });
+
+    respond(res, { id: user.id }, { message: 'User unlocked successfully' });
+
+  } catch (error) {
+    next(error);
   }
 });
 
 // Admin: Delete user (soft delete)
-router.delete('/admin/:id', authenticateToken, requireAdmin, validateUUID, async (req, res) => {
+router.delete('/admin/:id', authenticateToken, requirePermission('users.delete'), validateUUID, async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Check if user exists
-    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [id]);
+    const userCheck = await pool.query('SELECT id, user_type FROM users WHERE id = $1', [id]);
     if (userCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+      throw new NotFoundError('User not found');
+    }
+
+    if (!(await canManageAccount(req.user, userCheck.rows[0]))) {
+      throw new ForbiddenError('Insufficient permissions', {
+        code: 'INSUFFICIENT_PERMISSIONS',
+        details: { required: 'permissions.manage' }
+      });
     }
 
     // Check if user has active bookings
@@ -359,8 +420,8 @@ router.delete('/admin/:id', authenticateToken, requireAdmin, validateUUID, async
     );
 
     if (bookingCheck.rows.length > 0) {
-      return res.status(400).json({ 
-        error: 'Cannot delete user with active bookings. Please cancel or complete all bookings first.' 
+      throw new ConflictError('Cannot delete user with active bookings. Please cancel or complete all bookings first.', {
+        code: 'USER_HAS_BOOKINGS'
       });
     }
 
@@ -373,17 +434,17 @@ router.delete('/admin/:id', authenticateToken, requireAdmin, validateUUID, async
     `;
 
     await pool.query(deleteQuery, [id]);
+    await revokeAllUserSessions(id);
 
-    res.json({ message: 'User deleted successfully' });
+    respond(res, null, { message: 'User deleted successfully' });
 
   } catch (error) {
-    console.error('Admin delete user error:', error);
-    res.status(500).json({ error: 'Failed to delete user' });
+    next(error);
   }
 });
 
 // Get user statistics (admin only)
-router.get('/admin/stats/overview', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/admin/stats/overview', authenticateToken, requirePermission('stats.view'), async (req, res, next) => {
   try {
     // Total users by type
     const userStatsQuery = `
@@ -426,15 +487,14 @@ router.get('/admin/stats/overview', authenticateToken, requireAdmin, async (req,
 
     const vendorStatsResult = await pool.query(vendorStatsQuery);
 
-    res.json({
+    respond(res, {
       userStats: userStatsResult.rows,
       recentUsers: recentUsersResult.rows,
       vendorStats: vendorStatsResult.rows[0]
     });
 
   } catch (error) {
-    console.error('Get user stats error:', error);
-    res.status(500).json({ error: 'Failed to fetch user statistics' });
+    next(error);
   }
 });
 
@@ -0,0 +1,72 @@
+const express = require('express');
+const pool = require('../config/database');
+const stripe = require('../config/stripe');
+const { authenticateToken, requireVendorCapability } = require('../middleware/auth');
+const {
+  ensureConnectAccount,
+  createOnboardingLink,
+  syncConnectAccount,
+  issueUnpaidPayouts
+} = require('../services/payouts');
+const { respond } = require('../utils/respond');
+const { NotFoundError } = require('../utils/errors');
+
+// Mounted at /vendors/payouts. A vendor organisation is paid through a Stripe Connect
+// (Express) account that its owner sets up on Stripe's hosted onboarding pages.
+const router = express.Router();
+
+const ACCOUNT_COLUMNS = `stripe_account_id, stripe_details_submitted, stripe_transfers_enabled,
+  stripe_payouts_enabled, stripe_requirements_due, stripe_account_synced_at, commission_tier`;
+
+const loadAccount = async (vendorId) => {
+  const result = await pool.query(
+    `SELECT ${ACCOUNT_COLUMNS} FROM vendor_profiles WHERE user_id = $1`,
+    [vendorId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Vendor profile not found');
+  }
+  return result.rows[0];
+};
+
+// The organisation's payout account. Its state is read from Stripe each time, as a
+// vendor returning from onboarding may arrive before the account.updated webhook
+router.get('/account', authenticateToken, requireVendorCapability('payments.view'), async (req, res, next) => {
+  try {
+    const { vendorId } = req.user;
+    let account = await loadAccount(vendorId);
+
+    if (account.stripe_account_id) {
+      const synced = await syncConnectAccount(pool, await stripe.accounts.retrieve(account.stripe_account_id));
+      if (synced && synced.stripe_transfers_enabled && !account.stripe_transfers_enabled) {
+        await issueUnpaidPayouts(pool, { vendorId });
+      }
+      account = { ...account, ...synced };
+    }
+
+    const { user_id: userId, ...status } = account;
+    respond(res, { ...status, onboarded: Boolean(account.stripe_transfers_enabled) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start (or continue) onboarding: creates the Connect account the first time and returns
+// a single-use link to Stripe's onboarding pages
+router.post('/account/onboarding-link', authenticateToken, requireVendorCapability('payouts.manage'), async (req, res, next) => {
+  try {
+    const accountId = await ensureConnectAccount(pool, req.user.vendorId);
+    const link = await createOnboardingLink(accountId);
+
+    respond(res, {
+      accountId,
+      url: link.url,
+      expiresAt: new Date(link.expires_at * 1000).toISOString()
+    }, { status: 201, message: 'Onboarding link created' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,295 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const pool = require('../config/database');
+const { authenticateToken, requireVendorCapability } = require('../middleware/auth');
+const { sendMail } = require('../services/mailer');
+const { createSession, revokeAllUserSessions } = require('../services/sessions');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { respond } = require('../utils/respond');
+const { withTransaction } = require('../utils/transaction');
+const { BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const {
+  validateUUID,
+  validateVendorInvitation,
+  validateInvitationAcceptance,
+  validateVendorMemberRole
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Owners manage everyone; managers can only manage staff
+const canManageRole = (actorRole, role) => actorRole === 'owner' || role === 'staff';
+
+// List team members (and pending invitations for members who manage the team)
+router.get('/', authenticateToken, requireVendorCapability('profile.view'), async (req, res, next) => {
+  try {
+    const { vendorId, vendorRole } = req.user;
+
+    const membersResult = await pool.query(
+      `SELECT u.id, u.email, u.first_name, u.last_name, u.is_active, vm.role, vm.created_at as joined_at
+       FROM vendor_members vm
+       JOIN users u ON vm.user_id = u.id
+       WHERE vm.vendor_id = $1
+       ORDER BY vm.created_at`,
+      [vendorId]
+    );
+
+    let invitations = [];
+    if (vendorRole === 'owner' || vendorRole === 'manager') {
+      const invitationsResult = await pool.query(
+        `SELECT id, email, role, expires_at, created_at
+         FROM vendor_invitations
+         WHERE vendor_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY created_at DESC`,
+        [vendorId]
+      );
+      invitations = invitationsResult.rows;
+    }
+
+    respond(res, {
+      members: membersResult.rows,
+      invitations
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Invite someone to join the team by email
+router.post('/invitations', authenticateToken, requireVendorCapability('team.manage'), validateVendorInvitation, async (req, res, next) => {
+  try {
+    const { vendorId, vendorRole } = req.user;
+    const { email, role } = req.body;
+
+    if (!canManageRole(vendorRole, role)) {
+      throw new ForbiddenError('Only the owner can invite managers', { code: 'INSUFFICIENT_TEAM_ROLE' });
+    }
+
+    // Accepting an invitation creates a new account, so the email must be free
+    const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+    if (existingUser.rows.length > 0) {
+      throw new ConflictError('A user with this email already exists', { code: 'EMAIL_TAKEN' });
+    }
+
+    // A new invitation replaces any pending one for the same email
+    await pool.query(
+      `UPDATE vendor_invitations SET revoked_at = NOW()
+       WHERE vendor_id = $1 AND email = $2 AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [vendorId, email]
+    );
+
+    const token = generateToken();
+    const ttlDays = parseInt(process.env.VENDOR_INVITATION_TTL_DAYS) || 7;
+
+    const result = await pool.query(
+      `INSERT INTO vendor_invitations (vendor_id, email, role, token_hash, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + ($6 * INTERVAL '1 day'))
+       RETURNING id, email, role, expires_at, created_at`,
+      [vendorId, email, role, hashToken(token), req.user.id, ttlDays]
+    );
+
+    const profileResult = await pool.query(
+      'SELECT business_name FROM vendor_profiles WHERE user_id = $1',
+      [vendorId]
+    );
+    const businessName = profileResult.rows[0] ? profileResult.rows[0].business_name : 'a vendor';
+
+    const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/vendor-invitation?token=${token}`;
+
+    await sendMail({
+      to: email,
+      subject: `You've been invited to join ${businessName} on Wedding Platform`,
+      text: `Hi,\n\n` +
+        `You've been invited to join ${businessName} as ${role === 'manager' ? 'a manager' : 'a staff member'}. ` +
+        `Open the link below within ${ttlDays} days to create your login:\n\n` +
+        `${acceptUrl}`
+    });
+
+    respond(res, result.rows[0], { status: 201, message: 'Invitation sent successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/invitations/:id', authenticateToken, requireVendorCapability('team.manage'), validateUUID, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `UPDATE vendor_invitations SET revoked_at = NOW()
+       WHERE id = $1 AND vendor_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+      [id, req.user.vendorId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Invitation not found');
+    }
+
+    respond(res, null, { message: 'Invitation revoked successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Accept an invitation - creates the member's account and signs them in
+router.post('/invitations/accept', validateInvitationAcceptance, async (req, res, next) => {
+  try {
+    const { token, password, firstName, lastName, phone } = req.body;
+    const tokenHash = hashToken(token);
+
+    const invitationResult = await pool.query(
+      `SELECT id, email FROM vendor_invitations
+       WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+      [tokenHash]
+    );
+
+    if (invitationResult.rows.length === 0) {
+      throw new BadRequestError('Invalid or expired invitation', { code: 'INVALID_INVITATION' });
+    }
+
+    const existingUser = await pool.query(
+      'SELECT id FROM users WHERE email = $1',
+      [invitationResult.rows[0].email]
+    );
+    if (existingUser.rows.length > 0) {
+      throw new ConflictError('A user with this email already exists', { code: 'EMAIL_TAKEN' });
+    }
+
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+
+    // Claiming the invitation, creating the account and joining the team happen together,
+    // so an invitation is only used up once its member exists
+    const { invitation, user } = await withTransaction(async (client) => {
+      // Claim the invitation atomically so it can only be used once
+      const claimed = await client.query(
+        `UPDATE vendor_invitations SET accepted_at = NOW()
+         WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+         RETURNING vendor_id, email, role, invited_by`,
+        [invitationResult.rows[0].id]
+      );
+
+      if (claimed.rows.length === 0) {
+        throw new BadRequestError('Invalid or expired invitation', { code: 'INVALID_INVITATION' });
+      }
+
+      const claim = claimed.rows[0];
+
+      // The invitation link proves the email address
+      const newUser = await client.query(
+        `INSERT INTO users (email, password_hash, first_name, last_name, user_type, phone, email_verified, email_verified_at)
+         VALUES ($1, $2, $3, $4, 'vendor', $5, true, NOW())
+         RETURNING id, email, first_name, last_name, user_type, email_verified, created_at`,
+        [claim.email, passwordHash, firstName, lastName, phone]
+      );
+
+      await client.query(
+        `INSERT INTO vendor_members (vendor_id, user_id, role, invited_by)
+         VALUES ($1, $2, $3, $4)`,
+        [claim.vendor_id, newUser.rows[0].id, claim.role, claim.invited_by]
+      );
+
+      return { invitation: claim, user: newUser.rows[0] };
+    });
+
+    const { token: accessToken, refreshToken } = await createSession(user, req);
+
+    respond(res, {
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        userType: user.user_type,
+        emailVerified: user.email_verified,
+        vendorRole: invitation.role,
+        createdAt: user.created_at
+      },
+      token: accessToken,
+      refreshToken
+    }, { status: 201, message: 'Invitation accepted successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Look up a member of the current user's team that they're allowed to manage
+const findManageableMember = async (req) => {
+  const memberResult = await pool.query(
+    'SELECT user_id, role FROM vendor_members WHERE user_id = $1 AND vendor_id = $2',
+    [req.params.id, req.user.vendorId]
+  );
+
+  const member = memberResult.rows[0];
+
+  if (!member) {
+    throw new NotFoundError('Team member not found');
+  }
+
+  if (member.role === 'owner') {
+    throw new ForbiddenError('The owner cannot be changed or removed', { code: 'OWNER_IMMUTABLE' });
+  }
+
+  if (!canManageRole(req.user.vendorRole, member.role)) {
+    throw new ForbiddenError('Only the owner can manage managers', { code: 'INSUFFICIENT_TEAM_ROLE' });
+  }
+
+  return member;
+};
+
+// Change a member's role
+router.patch('/members/:id', authenticateToken, requireVendorCapability('team.manage'), validateUUID, validateVendorMemberRole, async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!canManageRole(req.user.vendorRole, role)) {
+      throw new ForbiddenError('Only the owner can make someone a manager', { code: 'INSUFFICIENT_TEAM_ROLE' });
+    }
+
+    const member = await findManageableMember(req);
+
+    const result = await pool.query(
+      `UPDATE vendor_members SET role = $1, updated_at = NOW()
+       WHERE user_id = $2 AND vendor_id = $3
+       RETURNING user_id, role`,
+      [role, member.user_id, req.user.vendorId]
+    );
+
+    respond(res, result.rows[0], { message: 'Team member updated successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a member. Their account only existed for this team, so it is deactivated too
+router.delete('/members/:id', authenticateToken, requireVendorCapability('team.manage'), validateUUID, async (req, res, next) => {
+  try {
+    const member = await findManageableMember(req);
+
+    await pool.query(
+      'DELETE FROM vendor_members WHERE user_id = $1 AND vendor_id = $2',
+      [member.user_id, req.user.vendorId]
+    );
+
+    await pool.query(
+      'UPDATE users SET is_active = false, updated_at = NOW() WHERE id = $1',
+      [member.user_id]
+    );
+
+    await revokeAllUserSessions(member.user_id);
+
+    respond(res, null, { message: 'Team member removed successfully' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,66 @@
 const express = require('express');
 const pool = require('../config/database');
-const { authenticateToken, requireVendor, requireAdmin, requireVendorOrAdmin } = require('../middleware/auth');
-const { validateVendorProfile, validateUUID } = require('../middleware/validation');
+const { authenticateToken, requireVendorCapability, requirePermission } = require('../middleware/auth');
+const { validateVendorProfile, validateUUID, validateListQuery, validateCommissionTier } = require('../middleware/validation');
+const { fetchPage } = require('../utils/listQuery');
+const { PUBLIC_REVIEW_SELECT, PUBLIC_REVIEW_FROM, REVIEW_LIST } = require('../services/reviews');
+const { bayesianScore } = require('../services/ratings');
+const { respond } = require('../utils/respond');
+const { ValidationError, NotFoundError } = require('../utils/errors');
 
 const router = express.Router();
 
+// rating ranks by Bayesian score so a handful of reviews can't top the list
+const VENDOR_SORT_FIELDS = {
+  rating: bayesianScore('vp'),
+  average_rating: 'COALESCE(vp.rating, 0)',
+  review_count: 'COALESCE(vp.review_count, 0)',
+  created_at: 'vp.created_at',
+  business_name: 'vp.business_name'
+};
+
+// Filters and sort fields accepted by GET /vendors
+const VENDOR_LIST = {
+  filters: {
+    category: { column: 'vp.category', match: 'contains' },
+    city: { column: 'vp.city', match: 'contains' },
+    search: { columns: ['vp.business_name', 'vp.description'], match: 'contains' },
+    verified: { column: 'vp.is_verified', type: 'boolean' }
+  },
+  sortFields: VENDOR_SORT_FIELDS,
+  defaultSort: 'rating',
+  idColumn: 'vp.id',
+  defaultLimit: 20
+};
+
+// Filters and sort fields accepted by GET /vendors/admin/all
+const ADMIN_VENDOR_LIST = {
+  filters: {
+    verified: { column: 'vp.is_verified', type: 'boolean' },
+    active: { column: 'u.is_active', type: 'boolean' },
+    search: { columns: ['vp.business_name', 'u.email'], match: 'contains' }
+  },
+  sortFields: VENDOR_SORT_FIELDS,
+  defaultSort: 'created_at',
+  idColumn: 'vp.id',
+  defaultLimit: 50
+};
+
+// Payout and commission details on vendor_profiles are for the vendor's team and staff
+const PRIVATE_PROFILE_COLUMNS = [
+  'commission_tier', 'stripe_account_id', 'stripe_details_submitted', 'stripe_transfers_enabled',
+  'stripe_payouts_enabled', 'stripe_requirements_due', 'stripe_account_synced_at'
+];
+
+const publicProfile = (profile) => Object.fromEntries(
+  Object.entries(profile).filter(([column]) => !PRIVATE_PROFILE_COLUMNS.includes(column))
+);
+
 // Get all vendors (public) - with search and filtering
-router.get('/', async (req, res) => {
+router.get('/', validateListQuery(VENDOR_LIST), async (req, res, next) => {
   try {
-    const { 
-      category, 
-      city, 
-      search, 
-      verified, 
-      page = 1, 
-      limit = 20,
-      sortBy = 'rating',
-      sortOrder = 'DESC'
-    } = req.query;
-
-    let query = `
-      SELECT 
+    const { rows, pagination } = await fetchPage(pool, {
+      select: `
         vp.id,
         vp.business_name,
         vp.description,
@@ -28,122 +68,27 @@ router.get('/', async (req, res) => {
         vp.city,
         vp.rating,
         vp.review_count,
+        ${bayesianScore('vp')} AS rating_score,
         vp.is_verified,
         vp.created_at,
         u.first_name,
         u.last_name,
-        u.email
-      FROM vendor_profiles vp
-      JOIN users u ON vp.user_id = u.id
-      WHERE u.is_active = true
-    `;
-    
-    const queryParams = [];
-    let paramCount = 0;
-
-    // Add filters
-    if (category) {
-      paramCount++;
-      query += ` AND vp.category ILIKE $${paramCount}`;
-      queryParams.push(`%${category}%`);
-    }
-
-    if (city) {
-      paramCount++;
-      query += ` AND vp.city ILIKE $${paramCount}`;
-      queryParams.push(`%${city}%`);
-    }
-
-    if (search) {
-      paramCount++;
-      query += ` AND (vp.business_name ILIKE $${paramCount} OR vp.description ILIKE $${paramCount})`;
-      queryParams.push(`%${search}%`);
-    }
-
-    if (verified !== undefined) {
-      paramCount++;
-      query += ` AND vp.is_verified = $${paramCount}`;
-      queryParams.push(verified === 'true');
-    }
-
-    // Add sorting
-    const validSortFields = ['rating', 'review_count', 'created_at', 'business_name'];
-    const validSortOrders = ['ASC', 'DESC'];
-    
-    if (validSortFields.includes(sortBy) && validSortOrders.includes(sortOrder.toUpperCase())) {
-      query += ` ORDER BY vp.${sortBy} ${sortOrder.toUpperCase()}`;
-    } else {
-      query += ' ORDER BY vp.rating DESC';
-    }
-
-    // Add pagination
-    const offset = (page - 1) * limit;
-    paramCount++;
-    query += ` LIMIT $${paramCount}`;
-    queryParams.push(parseInt(limit));
-    
-    paramCount++;
-    query += ` OFFSET $${paramCount}`;
-    queryParams.push(offset);
+        u.email`,
+      from: `
+        FROM vendor_profiles vp
+        JOIN users u ON vp.user_id = u.id`,
+      where: ['u.is_active = true']
+    }, req.listQuery);
 
-    const result = await pool.query(query, queryParams);
-
-    // Get total count for pagination
-    let countQuery = `
-      SELECT COUNT(*) as total
-      FROM vendor_profiles vp
-      JOIN users u ON vp.user_id = u.id
-      WHERE u.is_active = true
-    `;
-    
-    const countParams = [];
-    paramCount = 0;
-
-    if (category) {
-      paramCount++;
-      countQuery += ` AND vp.category ILIKE $${paramCount}`;
-      countParams.push(`%${category}%`);
-    }
-
-    if (city) {
-      paramCount++;
-      countQuery += ` AND vp.city ILIKE $${paramCount}`;
-      countParams.push(`%${city}%`);
-    }
-
-    if (search) {
-      paramCount++;
-      countQuery += ` AND (vp.business_name ILIKE $${paramCount} OR vp.description ILIKE $${paramCount})`;
-      countParams.push(`%${search}%`);
-    }
-
-    if (verified !== undefined) {
-      paramCount++;
-      countQuery += ` AND vp.is_verified = $${paramCount}`;
-      countParams.push(verified === 'true');
-    }
-
-    const countResult = await pool.query(countQuery, countParams);
-    const total = parseInt(countResult.rows[0].total);
-
-    res.json({
-      vendors: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
+    respond(res, rows, { pagination });
 
   } catch (error) {
-    console.error('Get vendors error:', error);
-    res.status(500).json({ error: 'Failed to fetch vendors' });
+    next(error);
   }
 });
 
 // Get vendor by ID (public)
-router.get('/:id', validateUUID, async (req, res) => {
+router.get('/:id', validateUUID, async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -163,10 +108,10 @@ router.get('/:id', validateUUID, async (req, res) => {
     const vendorResult = await pool.query(vendorQuery, [id]);
     
     if (vendorResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Vendor not found' });
+      throw new NotFoundError('Vendor not found');
     }
 
-    const vendor = vendorResult.rows[0];
+    const vendor = publicProfile(vendorResult.rows[0]);
 
     // Get vendor's services
     const servicesQuery = `
@@ -181,9 +126,8 @@ router.get('/:id', validateUUID, async (req, res) => {
 
     // Get vendor's reviews
     const reviewsQuery = `
-      SELECT r.*, u.first_name, u.last_name
-      FROM reviews r
-      JOIN users u ON r.customer_id = u.id
+      SELECT ${PUBLIC_REVIEW_SELECT}
+      ${PUBLIC_REVIEW_FROM}
       WHERE r.vendor_id = $1 AND r.is_active = true
       ORDER BY r.created_at DESC
       LIMIT 10
@@ -192,18 +136,43 @@ router.get('/:id', validateUUID, async (req, res) => {
     const reviewsResult = await pool.query(reviewsQuery, [vendor.user_id]);
     vendor.reviews = reviewsResult.rows;
 
-    res.json({ vendor });
+    respond(res, vendor);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A vendor's published reviews (public)
+router.get('/:id/reviews', validateUUID, validateListQuery(REVIEW_LIST), async (req, res, next) => {
+  try {
+    const vendorResult = await pool.query(
+      'SELECT user_id FROM vendor_profiles WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (vendorResult.rows.length === 0) {
+      throw new NotFoundError('Vendor not found');
+    }
+
+    const source = {
+      select: PUBLIC_REVIEW_SELECT,
+      from: PUBLIC_REVIEW_FROM,
+      where: ['r.vendor_id = $1', 'r.is_active = true'],
+      params: [vendorResult.rows[0].user_id]
+    };
 
+    const { rows, pagination } = await fetchPage(pool, source, req.listQuery);
+    respond(res, rows, { pagination });
   } catch (error) {
-    console.error('Get vendor error:', error);
-    res.status(500).json({ error: 'Failed to fetch vendor' });
+    next(error);
   }
 });
 
-// Update vendor profile (vendor only)
-router.put('/profile', authenticateToken, requireVendor, validateVendorProfile, async (req, res) => {
+// Update vendor profile (vendor team owners and managers)
+router.put('/profile', authenticateToken, requireVendorCapability('profile.manage'), validateVendorProfile, async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const vendorId = req.user.vendorId;
     const { businessName, description, category, city, website, phone, address } = req.body;
 
     const updateQuery = `
@@ -222,117 +191,73 @@ router.put('/profile', authenticateToken, requireVendor, validateVendorProfile,
     `;
 
     const result = await pool.query(updateQuery, [
-      businessName, description, category, city, website, phone, address, userId
+      businessName, description, category, city, website, phone, address, vendorId
     ]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Vendor profile not found' });
+      throw new NotFoundError('Vendor profile not found');
     }
 
-    res.json({
-      message: 'Vendor profile updated successfully',
-      vendor: result.rows[0]
-    });
+    respond(res, result.rows[0], { message: 'Vendor profile updated successfully' });
 
   } catch (error) {
-    console.error('Update vendor profile error:', error);
-    res.status(500).json({ error: 'Failed to update vendor profile' });
+    next(error);
   }
 });
 
-// Get vendor profile (vendor only)
-router.get('/profile/me', authenticateToken, requireVendor, async (req, res) => {
+// Get vendor profile (any vendor team member)
+router.get('/profile/me', authenticateToken, requireVendorCapability('profile.view'), async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const vendorId = req.user.vendorId;
 
     const profileQuery = `
       SELECT * FROM vendor_profiles WHERE user_id = $1
     `;
 
-    const result = await pool.query(profileQuery, [userId]);
+    const result = await pool.query(profileQuery, [vendorId]);
     
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Vendor profile not found' });
+      throw new NotFoundError('Vendor profile not found');
     }
 
-    res.json({ vendor: result.rows[0] });
+    respond(res, result.rows[0]);
 
   } catch (error) {
-    console.error('Get vendor profile error:', error);
-    res.status(500).json({ error: 'Failed to fetch vendor profile' });
+    next(error);
   }
 });
 
 // Admin: Get all vendors (including unverified)
-router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/admin/all', authenticateToken, requirePermission('vendors.view'), validateListQuery(ADMIN_VENDOR_LIST), async (req, res, next) => {
   try {
-    const { page = 1, limit = 50, verified, active } = req.query;
-
-    let query = `
-      SELECT 
+    const { rows, pagination } = await fetchPage(pool, {
+      select: `
         vp.*,
         u.first_name,
         u.last_name,
         u.email,
         u.is_active as user_active,
-        u.created_at as user_created_at
-      FROM vendor_profiles vp
-      JOIN users u ON vp.user_id = u.id
-      WHERE 1=1
-    `;
-    
-    const queryParams = [];
-    let paramCount = 0;
-
-    if (verified !== undefined) {
-      paramCount++;
-      query += ` AND vp.is_verified = $${paramCount}`;
-      queryParams.push(verified === 'true');
-    }
-
-    if (active !== undefined) {
-      paramCount++;
-      query += ` AND u.is_active = $${paramCount}`;
-      queryParams.push(active === 'true');
-    }
+        u.created_at as user_created_at`,
+      from: `
+        FROM vendor_profiles vp
+        JOIN users u ON vp.user_id = u.id`
+    }, req.listQuery);
 
-    query += ' ORDER BY vp.created_at DESC';
-
-    // Add pagination
-    const offset = (page - 1) * limit;
-    paramCount++;
-    query += ` LIMIT $${paramCount}`;
-    queryParams.push(parseInt(limit));
-    
-    paramCount++;
-    query += ` OFFSET $${paramCount}`;
-    queryParams.push(offset);
-
-    const result = await pool.query(query, queryParams);
-
-    res.json({
-      vendors: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: result.rows.length
-      }
-    });
+    respond(res, rows, { pagination });
 
   } catch (error) {
-    console.error('Admin get vendors error:', error);
-    res.status(500).json({ error: 'Failed to fetch vendors' });
+    next(error);
   }
 });
 
 // Admin: Verify/Unverify vendor
-router.patch('/admin/:id/verify', authenticateToken, requireAdmin, validateUUID, async (req, res) => {
+router.patch('/admin/:id/verify', authenticateToken, requirePermission('vendors.verify'), validateUUID, async (req, res, next) => {
   try {
     const { id } = req.params;
     const { isVerified } = req.body;
 
     if (typeof isVerified !== 'boolean') {
-      return res.status(400).json({ error: 'isVerified must be a boolean' });
+      throw new ValidationError('isVerified must be a boolean');
     }
 
     const updateQuery = `
@@ -345,22 +270,41 @@ router.patch('/admin/:id/verify', authenticateToken, requireAdmin, validateUUID,
     const result = await pool.query(updateQuery, [isVerified, id]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Vendor not found' });
+      throw new NotFoundError('Vendor not found');
+    }
+
+    respond(res, result.rows[0], { message: `Vendor ${isVerified ? 'verified' : 'unverified'} successfully` });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: Set a vendor's commission tier (see config/commission.js). Applies to bookings
+// completed from now on
+router.patch('/admin/:id/commission-tier', authenticateToken, requirePermission('vendors.commission'), validateUUID, validateCommissionTier, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `UPDATE vendor_profiles
+       SET commission_tier = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING id, user_id, business_name, commission_tier`,
+      [req.body.tier, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Vendor not found');
     }
 
-    res.json({
-      message: `Vendor ${isVerified ? 'verified' : 'unverified'} successfully`,
-      vendor: result.rows[0]
-    });
+    respond(res, result.rows[0], { message: 'Commission tier updated' });
 
   } catch (error) {
-    console.error('Verify vendor error:', error);
-    res.status(500).json({ error: 'Failed to update vendor verification status' });
+    next(error);
   }
 });
 
 // Get vendor categories (public)
-router.get('/categories/list', async (req, res) => {
+router.get('/categories/list', async (req, res, next) => {
   try {
     const query = `
       SELECT DISTINCT category, COUNT(*) as vendor_count
@@ -373,11 +317,10 @@ router.get('/categories/list', async (req, res) => {
 
     const result = await pool.query(query);
     
-    res.json({ categories: result.rows });
+    respond(res, result.rows);
 
   } catch (error) {
-    console.error('Get categories error:', error);
-    res.status(500).json({ error: 'Failed to fetch categories' });
+    next(error);
   }
 });
 
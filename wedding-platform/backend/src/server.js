@@ -3,15 +3,31 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const path = require('path');
 require('dotenv').config();
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const vendorRoutes = require('./routes/vendors');
+const vendorTeamRoutes = require('./routes/vendorTeam');
+const vendorPayoutRoutes = require('./routes/vendorPayouts');
 const serviceRoutes = require('./routes/services');
+const availabilityRoutes = require('./routes/availability');
+const serviceMediaRoutes = require('./routes/serviceMedia');
 const bookingRoutes = require('./routes/bookings');
+const quoteRequestRoutes = require('./routes/quoteRequests');
+const conversationRoutes = require('./routes/conversations');
+const reviewRoutes = require('./routes/reviews');
 const paymentRoutes = require('./routes/payments');
+const paymentMethodRoutes = require('./routes/paymentMethods');
+const permissionRoutes = require('./routes/permissions');
+const calendarRoutes = require('./routes/calendar');
+const { PUBLIC_PREFIXES, getStorageDir } = require('./services/mediaStorage');
+const { MEDIA_EXTENSIONS } = require('./services/serviceMedia');
+const { getTransport } = require('./services/mailer');
+const { rateLimitHandler } = require('./middleware/rateLimit');
+const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -31,11 +47,13 @@ app.use(cors({
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  handler: rateLimitHandler('Too many requests from this IP, please try again later.')
 });
 app.use('/api/', limiter);
 
-// Body parsing middleware
+// Body parsing middleware. Stripe signs the webhook's exact bytes, so its body is kept
+// raw; it has to be read before express.json parses it
+app.use('/api/v1/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -44,6 +62,33 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
 }
 
+// Public uploads (service photos and videos) when media is kept on local disk. Point
+// MEDIA_PUBLIC_URL at this path, or at a CDN in front of it. Files are named for the type
+// they were checked as on upload and only served as that type; anything else is a download
+const PUBLIC_MEDIA_TYPES = Object.fromEntries(
+  Object.entries(MEDIA_EXTENSIONS).map(([contentType, extension]) => [extension, contentType])
+);
+
+if ((process.env.MEDIA_STORAGE || 'local') === 'local') {
+  PUBLIC_PREFIXES.forEach(prefix => {
+    app.use(`/media/${prefix}`, express.static(path.join(getStorageDir(), prefix), {
+      index: false,
+      maxAge: '7d',
+      setHeaders: (res, file) => {
+        const contentType = PUBLIC_MEDIA_TYPES[path.extname(file).toLowerCase()];
+        res.set({
+          'Content-Type': contentType || 'application/octet-stream',
+          'X-Content-Type-Options': 'nosniff',
+          'Cross-Origin-Resource-Policy': 'cross-origin'
+        });
+        if (!contentType) {
+          res.attachment();
+        }
+      }
+    }));
+  });
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ 
@@ -57,38 +102,38 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/users', userRoutes);
+app.use('/api/v1/vendors/team', vendorTeamRoutes);
+app.use('/api/v1/vendors/payouts', vendorPayoutRoutes);
 app.use('/api/v1/vendors', vendorRoutes);
+app.use('/api/v1/services/:id/availability', availabilityRoutes);
+app.use('/api/v1/services/:id/media', serviceMediaRoutes);
 app.use('/api/v1/services', serviceRoutes);
 app.use('/api/v1/bookings', bookingRoutes);
+app.use('/api/v1/quote-requests', quoteRequestRoutes);
+app.use('/api/v1/conversations', conversationRoutes);
+app.use('/api/v1/reviews', reviewRoutes);
+app.use('/api/v1/payments/payment-methods', paymentMethodRoutes);
 app.use('/api/v1/payments', paymentRoutes);
+app.use('/api/v1/permissions', permissionRoutes);
+app.use('/api/v1/calendar', calendarRoutes);
 
 // 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ 
-    error: 'Route not found',
-    path: req.originalUrl 
-  });
-});
+app.use('*', notFoundHandler);
 
-// Global error handler
-app.use((err, req, res, next) => {
-  console.error('Global error handler:', err);
-  
-  const statusCode = err.statusCode || 500;
-  const message = err.message || 'Internal Server Error';
-  
-  res.status(statusCode).json({
-    error: message,
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
-  });
-});
+// Global error handler - every error response goes through here
+app.use(errorHandler);
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Wedding Platform API server running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔐 Auth endpoint: http://localhost:${PORT}/api/v1/auth/register`);
-});
+// Start server (skipped when the app is imported, e.g. by supertest)
+if (require.main === module) {
+  // Refuse to start with mail misconfigured rather than fail on the first email
+  getTransport();
+
+  app.listen(PORT, () => {
+    console.log(`🚀 Wedding Platform API server running on port ${PORT}`);
+    console.log(`📊 Environment: ${process.env.NODE_ENV}`);
+    console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+    console.log(`🔐 Auth endpoint: http://localhost:${PORT}/api/v1/auth/register`);
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,94 @@
+// Vendor-managed availability: single slots, weekly rules that expand into slots
+// and blackout dates. Helpers take the pool or a transaction client.
+
+// Booking statuses that hold a slot
+const ACTIVE_BOOKING = "status IN ('pending', 'confirmed', 'in_progress')";
+
+// Create the slots a weekly rule describes between `from` and `to` (both optional,
+// clamped to the rule's own range and to today onwards). Dates that are blacked out or
+// already have an overlapping slot are skipped, so expanding twice is harmless.
+// Returns the number of slots created.
+const expandRule = async (db, rule, { from = null, to = null } = {}) => {
+  const result = await db.query(
+    `INSERT INTO availability (service_id, rule_id, available_date, start_time, end_time, price_modifier)
+     SELECT $1, $2, day::date, $3, $4, $5
+     FROM generate_series(
+       GREATEST($6::date, COALESCE($8::date, $6::date), CURRENT_DATE),
+       LEAST($7::date, COALESCE($9::date, $7::date)),
+       interval '1 day'
+     ) AS day
+     WHERE EXTRACT(DOW FROM day) = ANY($10::int[])
+     AND NOT EXISTS (
+       SELECT 1 FROM availability_blackouts ab
+       WHERE ab.service_id = $1 AND ab.blackout_date = day::date
+     )
+     AND NOT EXISTS (
+       SELECT 1 FROM availability a
+       WHERE a.service_id = $1 AND a.available_date = day::date
+       AND a.start_time < $4 AND a.end_time > $3
+     )`,
+    [
+      rule.service_id, rule.id, rule.start_time, rule.end_time, rule.price_modifier,
+      rule.starts_on, rule.ends_on, from, to, rule.days_of_week
+    ]
+  );
+
+  return result.rowCount;
+};
+
+const isBlackedOut = async (db, serviceId, date) => {
+  const result = await db.query(
+    'SELECT id FROM availability_blackouts WHERE service_id = $1 AND blackout_date = $2',
+    [serviceId, date]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Another slot of the service on that date overlapping the given times
+const findOverlappingSlot = async (db, { serviceId, date, startTime, endTime, excludeSlotId = null }) => {
+  const result = await db.query(
+    `SELECT id FROM availability
+     WHERE service_id = $1 AND available_date = $2
+     AND start_time < $4 AND end_time > $3
+     AND ($5::uuid IS NULL OR id <> $5)
+     LIMIT 1`,
+    [serviceId, date, startTime, endTime, excludeSlotId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Active bookings inside a slot, i.e. the ones that would lose their slot if it changed
+const findSlotBookings = async (db, slot) => {
+  const result = await db.query(
+    `SELECT id, booking_date, start_time, end_time, status FROM bookings
+     WHERE service_id = $1 AND booking_date = $2
+     AND start_time >= $3 AND end_time <= $4
+     AND ${ACTIVE_BOOKING}`,
+    [slot.service_id, slot.available_date, slot.start_time, slot.end_time]
+  );
+
+  return result.rows;
+};
+
+// Active bookings of a service on any of the given dates
+const findBookingsOnDates = async (db, serviceId, dates) => {
+  const result = await db.query(
+    `SELECT id, booking_date, start_time, end_time, status FROM bookings
+     WHERE service_id = $1 AND booking_date = ANY($2::date[])
+     AND ${ACTIVE_BOOKING}
+     ORDER BY booking_date, start_time`,
+    [serviceId, dates]
+  );
+
+  return result.rows;
+};
+
+module.exports = {
+  expandRule,
+  isBlackedOut,
+  findOverlappingSlot,
+  findSlotBookings,
+  findBookingsOnDates
+};
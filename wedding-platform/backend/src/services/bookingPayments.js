@@ -0,0 +1,170 @@
+const stripe = require('../config/stripe');
+const { withTransaction } = require('../utils/transaction');
+const { transitionIfPossible } = require('./bookingStatus');
+const { ensureStripeCustomer } = require('./stripeCustomers');
+const { PAYABLE_STATUSES, createPaymentSchedule, lockNextInstalment } = require('./paymentSchedule');
+const { toPence } = require('./pricing');
+const { ConflictError } = require('../utils/errors');
+
+// PaymentIntent statuses the customer can still complete with its client secret
+const OPEN_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+// Start paying for a booking's next instalment (see services/paymentSchedule.js; the
+// schedule is made here if the booking doesn't have one yet): create its Stripe
+// PaymentIntent and mark it pending. With a payment method the intent is confirmed
+// straight away, and a payment that succeeds confirms the booking; without one the
+// client confirms it using the intent's client secret and the webhook confirms the
+// booking. paymentMethodId may be one of the customer's saved cards.
+//
+// An instalment can still hold the intent of an earlier attempt the customer
+// abandoned. Without a payment method that intent is handed back if it can still be
+// confirmed; otherwise it is cancelled first, so it can't be paid as well as the new one.
+const createBookingPayment = async (db, booking, { paymentMethodId, serviceName } = {}) => {
+  const customer = await ensureStripeCustomer(db, booking.customer_id);
+
+  // Claiming the instalment stops two requests charging it at once
+  let claim = await withTransaction(async (client) => {
+    await client.query('SELECT id FROM bookings WHERE id = $1 FOR UPDATE', [booking.id]);
+    await createPaymentSchedule(client, booking.id);
+
+    const next = await lockNextInstalment(client, booking.id);
+    if (next.stripe_payment_intent_id) {
+      return { earlier: next };
+    }
+
+    const claimed = await client.query(
+      `UPDATE payments SET status = 'pending', payment_method = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [next.id, paymentMethodId || null]
+    );
+
+    return { instalment: claimed.rows[0], previousStatus: next.status };
+  });
+
+  if (claim.earlier) {
+    const reused = await settleEarlierIntent(claim.earlier, paymentMethodId);
+    if (reused) {
+      return { paymentIntent: reused, payment: claim.earlier };
+    }
+    claim = await reclaimInstalment(db, claim.earlier, paymentMethodId);
+  }
+
+  const { instalment, previousStatus } = claim;
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.create({
+      amount: toPence(instalment.amount),
+      currency: 'gbp',
+      // Ties the charge to the vendor's payout transfer (services/payouts.js)
+      transfer_group: `booking-${booking.id}`,
+      metadata: {
+        booking_id: booking.id,
+        customer_id: booking.customer_id,
+        vendor_id: booking.vendor_id,
+        service_name: serviceName,
+        payment_id: instalment.id,
+        sequence: instalment.sequence,
+        kind: instalment.kind
+      },
+      customer,
+      ...(paymentMethodId && {
+        payment_method: paymentMethodId,
+        confirm: true,
+        return_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/confirm`
+      })
+    });
+  } catch (error) {
+    // Hand the instalment back so it can be paid again
+    await db.query(
+      `UPDATE payments SET status = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND status = 'pending'`,
+      [instalment.id, previousStatus]
+    );
+    throw error;
+  }
+
+  const result = await db.query(
+    `UPDATE payments SET stripe_payment_intent_id = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 RETURNING *`,
+    [instalment.id, paymentIntent.id]
+  );
+
+  let payment = result.rows[0] || instalment;
+
+  if (paymentIntent.status === 'succeeded') {
+    await withTransaction(client => transitionIfPossible(client, booking.id, 'confirmed', {
+      actorId: booking.customer_id,
+      reason: 'Payment received'
+    }));
+
+    const completed = await db.query(
+      'UPDATE payments SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      ['completed', payment.id]
+    );
+    payment = completed.rows[0] || payment;
+  }
+
+  return { paymentIntent, payment };
+};
+
+// Returns the instalment's earlier intent if the customer can still complete it, or
+// cancels it. Refuses if that payment has gone through or is going through
+const settleEarlierIntent = async (instalment, paymentMethodId) => {
+  const paymentIntent = await stripe.paymentIntents.retrieve(instalment.stripe_payment_intent_id);
+
+  if (['succeeded', 'processing'].includes(paymentIntent.status)) {
+    throw new ConflictError('Payment already exists for this booking', { code: 'PAYMENT_EXISTS' });
+  }
+  if (instalment.status === 'pending' && !paymentMethodId && OPEN_INTENT_STATUSES.includes(paymentIntent.status)) {
+    return paymentIntent;
+  }
+  if (paymentIntent.status !== 'canceled') {
+    await stripe.paymentIntents.cancel(paymentIntent.id);
+  }
+  return null;
+};
+
+// Claim an instalment whose earlier intent has been cancelled, unless another request
+// got to it first
+const reclaimInstalment = async (db, instalment, paymentMethodId) => {
+  const result = await db.query(
+    `UPDATE payments
+     SET status = 'pending', payment_method = $2, stripe_payment_intent_id = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND stripe_payment_intent_id = $3 AND status = ANY($4)
+     RETURNING *`,
+    [instalment.id, paymentMethodId || null, instalment.stripe_payment_intent_id, ['pending', ...PAYABLE_STATUSES]]
+  );
+
+  if (result.rows.length === 0) {
+    throw new ConflictError('Payment already exists for this booking', { code: 'PAYMENT_EXISTS' });
+  }
+  // An abandoned attempt goes back to being owed; the overdue job catches up if it is late
+  return { instalment: result.rows[0], previousStatus: instalment.status === 'pending' ? 'scheduled' : instalment.status };
+};
+
+// Cancel the PaymentIntents still open on a cancelled or rejected booking's payments,
+// once the cancellation has committed, so the customer can't go on to pay them. One
+// that gets paid regardless is refunded when it succeeds (services/paymentEvents.js)
+const cancelPaymentIntents = async (db, bookingId) => {
+  const result = await db.query(
+    `SELECT id, stripe_payment_intent_id FROM payments
+     WHERE booking_id = $1 AND status = 'cancelled' AND stripe_payment_intent_id IS NOT NULL`,
+    [bookingId]
+  );
+
+  for (const payment of result.rows) {
+    try {
+      const paymentIntent = await stripe.paymentIntents.retrieve(payment.stripe_payment_intent_id);
+      if (OPEN_INTENT_STATUSES.includes(paymentIntent.status)) {
+        await stripe.paymentIntents.cancel(paymentIntent.id);
+      }
+    } catch (error) {
+      console.error(`Cancelling the payment intent of payment ${payment.id} failed:`, error);
+    }
+  }
+};
+
+module.exports = {
+  cancelPaymentIntents,
+  createBookingPayment
+};
@@ -0,0 +1,93 @@
+// Availability slots held by bookings. Each helper takes the transaction client
+// (or the pool) so the check and the update happen on the same connection.
+
+// Availability rows covering a booking's date and times
+const COVERING_SLOT = 'service_id = $1 AND available_date = $2 AND start_time <= $3 AND end_time >= $4';
+
+const OPEN_SLOT = `SELECT id, price_modifier FROM availability
+  WHERE ${COVERING_SLOT} AND is_available = true
+  ORDER BY start_time
+  LIMIT 1`;
+
+// The open slot covering the requested time, without locking it (quotes)
+const findOpenSlot = async (db, { serviceId, date, startTime, endTime }) => {
+  const result = await db.query(OPEN_SLOT, [serviceId, date, startTime, endTime]);
+  return result.rows[0] || null;
+};
+
+// Lock the open slot covering the requested time, or return null if there isn't one.
+// Concurrent requests for the same slot queue on the row lock; once the first one
+// commits the slot is no longer available, so the others get null.
+const lockOpenSlot = async (client, { serviceId, date, startTime, endTime }) => {
+  const result = await client.query(
+    `${OPEN_SLOT}
+  FOR UPDATE`,
+    [serviceId, date, startTime, endTime]
+  );
+
+  return result.rows[0] || null;
+};
+
+const holdSlot = (client, slotId) => client.query(
+  'UPDATE availability SET is_available = false WHERE id = $1',
+  [slotId]
+);
+
+// Make the slot a booking was holding available again. On a blacked-out date it is
+// removed instead, as the blackout would have done had it been open, and one that an
+// imported calendar event overlaps stays closed by that event (calendar sync only
+// closes open slots, so it passed over this one while it was booked)
+const releaseSlot = async (client, booking) => {
+  const params = [booking.service_id, booking.booking_date, booking.start_time, booking.end_time];
+
+  await client.query(
+    `DELETE FROM availability
+     WHERE ${COVERING_SLOT}
+     AND EXISTS (SELECT 1 FROM availability_blackouts b WHERE b.service_id = $1 AND b.blackout_date = $2)`,
+    params
+  );
+  const released = await client.query(`UPDATE availability SET is_available = true WHERE ${COVERING_SLOT}`, params);
+
+  await client.query(
+    `UPDATE availability a
+     SET is_available = false, blocked_by_event_id = e.id, updated_at = NOW()
+     FROM calendar_events e, calendar_sources cs, services s
+     WHERE ${COVERING_SLOT}
+     AND cs.id = e.source_id AND s.id = a.service_id AND s.vendor_id = cs.vendor_id
+     AND tsrange(a.available_date + a.start_time, a.available_date + a.end_time) && tsrange(e.starts_at, e.ends_at)`,
+    params
+  );
+  return released;
+};
+
+// Lock a customer's row so their own bookings are created one at a time
+// and the overlap check can't race
+const lockCustomer = (client, customerId) => client.query(
+  'SELECT id FROM users WHERE id = $1 FOR UPDATE',
+  [customerId]
+);
+
+// The customer's active bookings that overlap the requested time
+const findCustomerOverlap = async (client, { customerId, date, startTime, endTime, excludeBookingId = null }) => {
+  const result = await client.query(
+    `SELECT id FROM bookings
+     WHERE customer_id = $1
+     AND booking_date = $2
+     AND status IN ('pending', 'confirmed', 'in_progress')
+     AND start_time < $4 AND end_time > $3
+     AND ($5::uuid IS NULL OR id <> $5)
+     LIMIT 1`,
+    [customerId, date, startTime, endTime, excludeBookingId]
+  );
+
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  findOpenSlot,
+  lockOpenSlot,
+  holdSlot,
+  releaseSlot,
+  lockCustomer,
+  findCustomerOverlap
+};
@@ -0,0 +1,85 @@
+const { BOOKING_TRANSITIONS, canTransition, roleCanTransition, allowedTransitions } = require('../config/bookingStatus');
+const { releaseSlot } = require('./bookingSlots');
+const { createPaymentSchedule, cancelUnpaidPayments } = require('./paymentSchedule');
+const { recordPayout } = require('./payouts');
+const { ForbiddenError, ConflictError } = require('../utils/errors');
+
+// Booking status changes. Every change goes through changeBookingStatus so the
+// transition rules are enforced and the history is written in the same transaction.
+
+// The transition role of an authenticated user acting on a booking they can access
+const actorRole = (user) => {
+  if (user.userType === 'customer') return 'customer';
+  if (user.userType === 'vendor') return 'vendor';
+  return 'staff';
+};
+
+const recordStatusChange = (client, { bookingId, from = null, to, role, actorId = null, reason = null }) => client.query(
+  `INSERT INTO booking_status_history (booking_id, from_status, to_status, actor_id, actor_role, reason)
+   VALUES ($1, $2, $3, $4, $5, $6)`,
+  [bookingId, from, to, actorId, role, reason]
+);
+
+// Move a booking (already locked FOR UPDATE by the caller) to a new status
+const changeBookingStatus = async (client, booking, to, { role, actorId = null, reason = null }) => {
+  const from = booking.status;
+
+  if (!canTransition(from, to)) {
+    throw new ConflictError(`Cannot change a ${from} booking to ${to}`, {
+      code: 'INVALID_TRANSITION',
+      details: { from, to, allowed: Object.keys(BOOKING_TRANSITIONS[from] || {}) }
+    });
+  }
+  if (!roleCanTransition(from, to, role)) {
+    throw new ForbiddenError(`You cannot change a ${from} booking to ${to}`, {
+      code: 'TRANSITION_NOT_ALLOWED',
+      details: { from, to, allowed: allowedTransitions(from, role) }
+    });
+  }
+
+  const result = await client.query(
+    'UPDATE bookings SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+    [to, booking.id]
+  );
+
+  await recordStatusChange(client, { bookingId: booking.id, from, to, role, actorId, reason });
+
+  // Confirmed bookings get their payment schedule (if paying hasn't already started one)
+  if (to === 'confirmed') {
+    await createPaymentSchedule(client, booking.id);
+  }
+
+  // Completed bookings owe the vendor their payout (transferred after commit)
+  if (to === 'completed') {
+    await recordPayout(client, booking.id);
+  }
+
+  // Cancelled and rejected bookings give their slot back and owe nothing more
+  if (to === 'cancelled' || to === 'rejected') {
+    await releaseSlot(client, booking);
+    await cancelUnpaidPayments(client, booking.id);
+  }
+
+  return result.rows[0];
+};
+
+// Lock a booking and move it to `to` if its current status allows that, for changes the
+// platform makes as a side effect (payments, refunds). Returns the booking, or null if
+// the transition doesn't apply.
+const transitionIfPossible = async (client, bookingId, to, { role = 'system', actorId = null, reason = null } = {}) => {
+  const result = await client.query('SELECT * FROM bookings WHERE id = $1 FOR UPDATE', [bookingId]);
+  const booking = result.rows[0];
+
+  if (!booking || !roleCanTransition(booking.status, to, role)) {
+    return null;
+  }
+
+  return changeBookingStatus(client, booking, to, { role, actorId, reason });
+};
+
+module.exports = {
+  actorRole,
+  recordStatusChange,
+  changeBookingStatus,
+  transitionIfPossible
+};
@@ -0,0 +1,240 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const pool = require('../config/database');
+const { withTransaction } = require('../utils/transaction');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { parseCalendar } = require('../utils/ical');
+
+// Vendor calendar sync. Vendors get a private ICS feed of their bookings to subscribe
+// to, and their own calendars (uploaded files or URLs fetched by jobs/syncCalendars.js)
+// are imported as busy times that close overlapping availability slots.
+//
+// An import replaces everything previously imported from the same source, matched by
+// event UID, so importing the same calendar again changes nothing.
+
+const MAX_CALENDAR_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+const FETCH_TIMEOUT_MS = 10000;
+
+// Addresses a calendar URL may not point at: private networks, loopback, link-local
+// (including cloud metadata services), multicast and reserved ranges. IPv4-mapped IPv6
+// addresses are checked against the IPv4 ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// UIDs of events in our own feed, so a vendor re-importing it doesn't block itself
+const FEED_UID_DOMAIN = '@wedding-platform';
+
+const bookingUid = (bookingId) => `booking-${bookingId}${FEED_UID_DOMAIN}`;
+
+// Issue a new feed token for a vendor, replacing (and so revoking) any previous one
+const rotateFeedToken = async (db, vendorId) => {
+  const token = generateToken();
+
+  await db.query(
+    `INSERT INTO vendor_calendar_feeds (vendor_id, token_hash)
+     VALUES ($1, $2)
+     ON CONFLICT (vendor_id) DO UPDATE SET token_hash = EXCLUDED.token_hash, created_at = NOW()`,
+    [vendorId, hashToken(token)]
+  );
+
+  return token;
+};
+
+const findFeedVendor = async (db, token) => {
+  const result = await db.query(
+    'SELECT vendor_id FROM vendor_calendar_feeds WHERE token_hash = $1',
+    [hashToken(token)]
+  );
+
+  return result.rows[0] ? result.rows[0].vendor_id : null;
+};
+
+// Events that mark the vendor as busy: not cancelled, not "free", not over (event times
+// are local, so a day's margin covers the zone difference) and not one of our own bookings
+const busyEvents = (events, cutoff) => {
+  const unique = new Map();
+
+  events
+    .filter(event => event.status !== 'CANCELLED' && !event.transparent)
+    .filter(event => !event.uid.endsWith(FEED_UID_DOMAIN))
+    .filter(event => event.end > event.start && event.end > cutoff)
+    .forEach(event => unique.set(`${event.uid}\n${event.recurrenceId}`, event));
+
+  return [...unique.values()];
+};
+
+// Reopen the slots a source's events closed
+const releaseSourceSlots = (client, sourceId) => client.query(
+  `UPDATE availability SET is_available = true, blocked_by_event_id = NULL, updated_at = NOW()
+   WHERE blocked_by_event_id IN (SELECT id FROM calendar_events WHERE source_id = $1)`,
+  [sourceId]
+);
+
+// Import a calendar's text into a source inside the caller's transaction.
+// Returns counts of what changed.
+const importCalendar = async (client, source, text) => {
+  const cutoff = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+  const events = busyEvents(parseCalendar(text), cutoff);
+
+  // Reopen the slots this source closed last time; they are closed again below if
+  // an event still covers them
+  const released = await releaseSourceSlots(client, source.id);
+
+  const columns = {
+    uids: events.map(event => event.uid),
+    recurrenceIds: events.map(event => event.recurrenceId),
+    summaries: events.map(event => event.summary.slice(0, 255)),
+    starts: events.map(event => event.start),
+    ends: events.map(event => event.end)
+  };
+
+  await client.query(
+    `INSERT INTO calendar_events (source_id, uid, recurrence_id, summary, starts_at, ends_at)
+     SELECT $1, * FROM unnest($2::text[], $3::text[], $4::text[], $5::timestamp[], $6::timestamp[])
+     ON CONFLICT (source_id, uid, recurrence_id) DO UPDATE
+     SET summary = EXCLUDED.summary, starts_at = EXCLUDED.starts_at, ends_at = EXCLUDED.ends_at, updated_at = NOW()`,
+    [source.id, columns.uids, columns.recurrenceIds, columns.summaries, columns.starts, columns.ends]
+  );
+
+  const removed = await client.query(
+    `DELETE FROM calendar_events
+     WHERE source_id = $1
+     AND (uid, recurrence_id) NOT IN (SELECT * FROM unnest($2::text[], $3::text[]))`,
+    [source.id, columns.uids, columns.recurrenceIds]
+  );
+
+  // Only open slots are closed, so held (booked) slots are never touched; releaseSlot
+  // closes those if their booking ends while an event overlaps them
+  const blocked = await client.query(
+    `UPDATE availability a
+     SET is_available = false, blocked_by_event_id = e.id, updated_at = NOW()
+     FROM calendar_events e, services s
+     WHERE e.source_id = $1
+     AND s.id = a.service_id AND s.vendor_id = $2
+     AND a.is_available = true AND a.available_date >= CURRENT_DATE
+     AND tsrange(a.available_date + a.start_time, a.available_date + a.end_time) && tsrange(e.starts_at, e.ends_at)`,
+    [source.id, source.vendor_id]
+  );
+
+  await client.query(
+    `UPDATE calendar_sources
+     SET last_synced_at = NOW(), last_error = NULL, event_count = $2, updated_at = NOW()
+     WHERE id = $1`,
+    [source.id, events.length]
+  );
+
+  return {
+    events: events.length,
+    eventsRemoved: removed.rowCount,
+    slotsReleased: released.rowCount,
+    slotsBlocked: blocked.rowCount
+  };
+};
+
+// Resolve a calendar URL's host, refusing it if any of its addresses is internal
+const resolvePublicAddress = async (hostname) => {
+  const addresses = await dns.promises.lookup(hostname.replace(/^\[(.*)\]$/, '$1'), { all: true, verbatim: true });
+
+  if (addresses.length === 0 || addresses.some(({ address, family }) => BLOCKED_ADDRESSES.check(address, `ipv${family}`))) {
+    throw new Error('Calendar URL points at a private or reserved address');
+  }
+  return addresses[0];
+};
+
+// GET a calendar over http(s), following a few redirects and refusing oversized bodies.
+// Every hop's host is resolved and checked first, and the connection is pinned to the
+// checked address so a second DNS answer can't swap in an internal one.
+const fetchCalendar = async (url, redirects = 0) => {
+  const target = new URL(url.replace(/^webcal:/i, 'https:'));
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    throw new Error('Calendar URL must use http or https');
+  }
+
+  const { address, family } = await resolvePublicAddress(target.hostname);
+  const lookup = (hostname, options, callback) => (options.all
+    ? callback(null, [{ address, family }])
+    : callback(null, address, family));
+
+  return new Promise((resolve, reject) => {
+    const client = target.protocol === 'https:' ? https : http;
+
+    const request = client.get(target, { timeout: FETCH_TIMEOUT_MS, lookup }, (response) => {
+      if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          return reject(new Error('Too many redirects'));
+        }
+        return resolve(fetchCalendar(new URL(response.headers.location, target).toString(), redirects + 1));
+      }
+      if (response.statusCode !== 200) {
+        response.resume();
+        return reject(new Error(`Calendar request failed with status ${response.statusCode}`));
+      }
+
+      const chunks = [];
+      let size = 0;
+      response.on('data', chunk => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size > MAX_CALENDAR_BYTES) {
+          request.destroy(new Error('Calendar is too large'));
+        }
+      });
+      response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Calendar request timed out')));
+    request.on('error', reject);
+  });
+};
+
+// Fetch and import one URL source, recording the failure on the source if it fails
+const syncSource = async (source) => {
+  try {
+    const text = await fetchCalendar(source.url);
+    const result = await withTransaction(client => importCalendar(client, source, text));
+    return { sourceId: source.id, ...result };
+  } catch (error) {
+    await pool.query(
+      'UPDATE calendar_sources SET last_error = $2, updated_at = NOW() WHERE id = $1',
+      [source.id, error.message.slice(0, 500)]
+    );
+    return { sourceId: source.id, error: error.message };
+  }
+};
+
+// Sync every URL source, one at a time
+const syncUrlSources = async () => {
+  const sources = await pool.query(
+    `SELECT * FROM calendar_sources
+     WHERE source_type = 'url'
+     ORDER BY last_synced_at NULLS FIRST`
+  );
+
+  const results = [];
+  for (const source of sources.rows) {
+    results.push(await syncSource(source));
+  }
+  return results;
+};
+
+module.exports = {
+  MAX_CALENDAR_BYTES,
+  bookingUid,
+  rotateFeedToken,
+  findFeedVendor,
+  importCalendar,
+  releaseSourceSlots,
+  fetchCalendar,
+  syncSource,
+  syncUrlSources
+};
@@ -0,0 +1,110 @@
+const { withTransaction } = require('../utils/transaction');
+const { sendMail } = require('./mailer');
+const { toPounds } = require('./pricing');
+
+// Disputes (chargebacks). Stripe reports a dispute's progress through charge.dispute.*
+// events; each is copied onto the dispute's row, and the booking is flagged with the
+// latest dispute status (bookings.dispute_status). The vendor's owner is emailed when a
+// dispute is first seen, as they hold the evidence Stripe asks for.
+
+const CLOSED_DISPUTE_STATUSES = ['won', 'lost', 'warning_closed'];
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const notifyVendor = (dispute, payment) => sendMail({
+  to: payment.vendor_email,
+  subject: 'A customer has disputed a payment',
+  text: `Hi ${payment.vendor_first_name},\n\n` +
+    `A customer's bank has raised a dispute (${String(dispute.reason || 'general').replace(/_/g, ' ')}) ` +
+    `over £${parseFloat(dispute.amount).toFixed(2)} paid for ${payment.service_name} on ` +
+    `${formatDate(payment.booking_date)}. ` +
+    (dispute.evidence_due_by
+      ? `Please send us anything that shows the service was booked and provided before ${formatDate(dispute.evidence_due_by)}.`
+      : 'We will let you know if any evidence is needed.')
+});
+
+// Record a Stripe dispute (any charge.dispute.* event's object). Returns the dispute,
+// or null when it isn't against one of our payments.
+const recordDispute = async (db, stripeDispute) => {
+  const status = stripeDispute.status;
+  const evidenceDueBy = stripeDispute.evidence_details && stripeDispute.evidence_details.due_by
+    ? new Date(stripeDispute.evidence_details.due_by * 1000)
+    : null;
+
+  const { dispute, payment, opened } = await withTransaction(async (client) => {
+    const paymentResult = await client.query(
+      `SELECT p.id, p.booking_id, b.booking_date, s.name AS service_name,
+              u.email AS vendor_email, u.first_name AS vendor_first_name
+       FROM payments p
+       JOIN bookings b ON p.booking_id = b.id
+       JOIN services s ON b.service_id = s.id
+       JOIN users u ON b.vendor_id = u.id
+       WHERE p.stripe_payment_intent_id = $1`,
+      [stripeDispute.payment_intent]
+    );
+    const payment = paymentResult.rows[0];
+    if (!payment) {
+      return {};
+    }
+
+    const existing = await client.query(
+      'SELECT id FROM disputes WHERE stripe_dispute_id = $1 FOR UPDATE',
+      [stripeDispute.id]
+    );
+
+    const values = [
+      stripeDispute.id,
+      toPounds(stripeDispute.amount),
+      (stripeDispute.currency || 'gbp').toUpperCase(),
+      stripeDispute.reason || null,
+      status,
+      evidenceDueBy,
+      CLOSED_DISPUTE_STATUSES.includes(status)
+    ];
+
+    const result = existing.rows.length > 0
+      ? await client.query(
+        `UPDATE disputes
+         SET amount = $2, currency = $3, reason = $4, status = $5, evidence_due_by = $6,
+             closed_at = CASE WHEN $7 THEN COALESCE(closed_at, CURRENT_TIMESTAMP) END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE stripe_dispute_id = $1
+         RETURNING *`,
+        values
+      )
+      : await client.query(
+        `INSERT INTO disputes
+         (stripe_dispute_id, amount, currency, reason, status, evidence_due_by, closed_at, payment_id, booking_id)
+         VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $7 THEN CURRENT_TIMESTAMP END, $8, $9)
+         RETURNING *`,
+        [...values, payment.id, payment.booking_id]
+      );
+
+    await client.query(
+      'UPDATE bookings SET dispute_status = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [payment.booking_id, status]
+    );
+
+    return { dispute: result.rows[0], payment, opened: existing.rows.length === 0 };
+  });
+
+  if (!dispute) {
+    return null;
+  }
+
+  // The dispute is recorded whether or not the email goes out
+  if (opened) {
+    try {
+      await notifyVendor(dispute, payment);
+    } catch (error) {
+      console.error(`Dispute email for ${dispute.id} failed:`, error);
+    }
+  }
+
+  return dispute;
+};
+
+module.exports = {
+  CLOSED_DISPUTE_STATUSES,
+  recordDispute
+};
@@ -0,0 +1,116 @@
+const { getRedisClient } = require('../config/redis');
+
+// Small key/value store with expiring keys. Uses Redis when it is available and
+// an in-process Map otherwise (single instance / local development).
+
+// Expired in-memory keys are dropped when read, and swept this often so keys that are
+// never read again (e.g. one-off login attempt counters) don't pile up
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const memory = new Map();
+let sweeper = null;
+
+// Drop expired in-memory keys. Returns how many were dropped
+const sweepExpired = () => {
+  const now = Date.now();
+  let removed = 0;
+  memory.forEach((entry, key) => {
+    if (entry.expiresAt <= now) {
+      memory.delete(key);
+      removed += 1;
+    }
+  });
+  return removed;
+};
+
+// The sweep only runs once something is stored in memory, and never keeps the process alive
+const startSweeper = () => {
+  if (!sweeper) {
+    sweeper = setInterval(sweepExpired, SWEEP_INTERVAL_MS);
+    sweeper.unref();
+  }
+};
+
+const memoryEntry = (key) => {
+  const entry = memory.get(key);
+  if (entry && entry.expiresAt <= Date.now()) {
+    memory.delete(key);
+    return undefined;
+  }
+  return entry;
+};
+
+const memoryStore = {
+  increment: async (key, ttlSeconds) => {
+    const entry = memoryEntry(key);
+    if (!entry) {
+      memory.set(key, { value: 1, expiresAt: Date.now() + ttlSeconds * 1000 });
+      startSweeper();
+      return 1;
+    }
+    entry.value += 1;
+    return entry.value;
+  },
+  decrement: async (key) => {
+    const entry = memoryEntry(key);
+    if (entry && entry.value > 0) {
+      entry.value -= 1;
+    }
+  },
+  get: async (key) => {
+    const entry = memoryEntry(key);
+    return entry ? entry.value : null;
+  },
+  set: async (key, value, ttlSeconds) => {
+    memory.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    startSweeper();
+  },
+  ttl: async (key) => {
+    const entry = memoryEntry(key);
+    return entry ? Math.ceil((entry.expiresAt - Date.now()) / 1000) : 0;
+  },
+  del: async (...keys) => {
+    keys.forEach(key => memory.delete(key));
+  }
+};
+
+const redisStore = (client) => ({
+  increment: async (key, ttlSeconds) => {
+    const value = await client.incr(key);
+    if (value === 1) {
+      await client.expire(key, ttlSeconds);
+    }
+    return value;
+  },
+  decrement: async (key) => {
+    await client.decr(key);
+  },
+  get: async (key) => {
+    const value = await client.get(key);
+    return value === null ? null : Number(value);
+  },
+  set: async (key, value, ttlSeconds) => {
+    await client.set(key, String(value), { EX: ttlSeconds });
+  },
+  ttl: async (key) => Math.max(await client.ttl(key), 0),
+  del: async (...keys) => {
+    if (keys.length > 0) {
+      await client.del(keys);
+    }
+  }
+});
+
+const getStore = async () => {
+  const client = await getRedisClient();
+  return client && client.isReady ? redisStore(client) : memoryStore;
+};
+
+module.exports = {
+  increment: async (key, ttlSeconds) => (await getStore()).increment(key, ttlSeconds),
+  decrement: async (key) => (await getStore()).decrement(key),
+  get: async (key) => (await getStore()).get(key),
+  set: async (key, value, ttlSeconds) => (await getStore()).set(key, value, ttlSeconds),
+  ttl: async (key) => (await getStore()).ttl(key),
+  del: async (...keys) => (await getStore()).del(...keys),
+  sweepExpired
+};
@@ -0,0 +1,50 @@
+const pool = require('../config/database');
+const kvStore = require('./kvStore');
+
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const BASE_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60;
+const MAX_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60;
+const FAILURE_WINDOW_SECONDS = 24 * 60 * 60;
+
+// Tracked per email (not per user id) so unknown accounts behave the same as real ones
+const failuresKey = (email) => `login:failures:${email.toLowerCase()}`;
+const lockKey = (email) => `login:lock:${email.toLowerCase()}`;
+
+// Seconds left on an active lockout, or 0 if the account can log in
+const getLockoutSeconds = async (email) => {
+  const locked = await kvStore.get(lockKey(email));
+  return locked ? kvStore.ttl(lockKey(email)) : 0;
+};
+
+// Count a failed attempt. Once MAX_ATTEMPTS is reached each further failure doubles the lockout
+const recordFailure = async (email) => {
+  const failures = await kvStore.increment(failuresKey(email), FAILURE_WINDOW_SECONDS);
+  let lockedFor = 0;
+
+  if (failures >= MAX_ATTEMPTS) {
+    lockedFor = Math.min(BASE_LOCKOUT_SECONDS * 2 ** (failures - MAX_ATTEMPTS), MAX_LOCKOUT_SECONDS);
+    await kvStore.set(lockKey(email), 1, lockedFor);
+  }
+
+  return { failures, lockedFor };
+};
+
+// Successful login or admin unlock
+const clearFailures = async (email) => {
+  await kvStore.del(failuresKey(email), lockKey(email));
+};
+
+const recordLoginAudit = async ({ userId = null, email, req, success, reason = null }) => {
+  await pool.query(
+    `INSERT INTO login_audit (user_id, email, ip_address, user_agent, success, reason)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [userId, email, req.ip || null, (req.get('user-agent') || '').slice(0, 255) || null, success, reason]
+  );
+};
+
+module.exports = {
+  getLockoutSeconds,
+  recordFailure,
+  clearFailures,
+  recordLoginAudit
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// Environments where mail may be printed with its body, which can carry reset and
+// verification links
+const DEBUG_ENVIRONMENTS = ['development', 'test'];
+
+// Logs outgoing mail to the console (default outside production)
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    const body = DEBUG_ENVIRONMENTS.includes(process.env.NODE_ENV || 'development')
+      ? message.text
+      : '(body not logged)';
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${body}`);
+    return { id: null };
+  }
+};
+
+// Writes each message as a JSON file into MAIL_OUTBOX_DIR, handy for local testing
+const fileTransport = {
+  name: 'file',
+  send: async (message) => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || './mail-outbox';
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, `${id}.json`),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { id };
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let activeTransport = null;
+
+// Register a custom transport (e.g. SMTP or a provider SDK) under a name
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transports[name] = { name, ...transport };
+};
+
+// Override the transport picked from MAIL_TRANSPORT (mainly for tests)
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (activeTransport) {
+    return activeTransport;
+  }
+
+  // Production mail must really go somewhere, so it has to be configured
+  if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'Wedding Platform <no-reply@weddingplatform.local>',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  return getTransport().send(message);
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  setTransport,
+  getTransport
+};
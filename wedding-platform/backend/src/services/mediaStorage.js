@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createS3Driver } = require('./s3Storage');
+require('dotenv').config();
+
+// Storage for uploaded files. Files are kept under generated keys by a driver picked
+// with MEDIA_STORAGE: 'local' (the default) writes to UPLOAD_PATH, 's3' to an
+// S3-compatible bucket (see s3Storage.js). Other backends can be added with registerDriver.
+
+const getStorageDir = () => path.resolve(process.env.UPLOAD_PATH || './uploads');
+
+// Keys are generated here, but never let one point outside the storage directory
+const localPath = (key) => {
+  const root = getStorageDir();
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Invalid media key: ${key}`);
+  }
+  return file;
+};
+
+// Public files (see PUBLIC_PREFIXES) are served by the API under MEDIA_PUBLIC_URL
+const localDriver = {
+  name: 'local',
+  save: async (key, buffer) => {
+    const file = localPath(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+  },
+  read: async (key) => fs.promises.readFile(localPath(key)),
+  remove: async (key) => fs.promises.rm(localPath(key), { force: true }),
+  url: (key) => `${(process.env.MEDIA_PUBLIC_URL || '/media').replace(/\/$/, '')}/${key}`
+};
+
+const drivers = {
+  local: localDriver
+};
+
+// Drivers that need configuration are only built when selected
+const driverFactories = {
+  s3: () => createS3Driver()
+};
+
+// Key prefixes whose files anyone may download by URL. Everything else (e.g. message
+// attachments) is only handed out by the routes that check access.
+const PUBLIC_PREFIXES = ['services'];
+
+let activeDriver = null;
+
+// Register a storage driver implementing save(key, buffer, { contentType }), read(key),
+// remove(key) and optionally url(key) for public files
+const registerDriver = (name, driver) => {
+  if (!driver || ['save', 'read', 'remove'].some(method => typeof driver[method] !== 'function')) {
+    throw new Error('Media storage driver must implement save, read and remove');
+  }
+  drivers[name] = { name, ...driver };
+};
+
+// Override the driver picked from MEDIA_STORAGE (mainly for tests)
+const setDriver = (driver) => {
+  activeDriver = driver;
+};
+
+const getDriver = () => {
+  if (activeDriver) {
+    return activeDriver;
+  }
+
+  const name = process.env.MEDIA_STORAGE || 'local';
+  if (!drivers[name] && driverFactories[name]) {
+    drivers[name] = { name, ...driverFactories[name]() };
+  }
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new Error(`Unknown media storage driver: ${name}`);
+  }
+
+  return driver;
+};
+
+// File name safe to echo back in a Content-Disposition header
+const cleanFileName = (name) => (
+  path.basename(String(name || 'file')).replace(/[^\w.\- ]+/g, '_').slice(0, 255) || 'file'
+);
+
+// A new key for a file under `prefix`: prefix/YYYY/MM/<uuid><extension>. Files that are
+// served publicly must take their extension from their checked type, not the upload's name
+const generateKey = (prefix, extension = '') => {
+  const suffix = extension.toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const now = new Date();
+  return `${prefix}/${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}/${crypto.randomUUID()}${suffix}`;
+};
+
+// Store an uploaded (multer memory storage) file under `prefix`.
+// Returns { key, fileName, contentType, size }.
+const storeFile = async (prefix, file) => {
+  const fileName = cleanFileName(file.originalname);
+  const key = generateKey(prefix, path.extname(fileName));
+
+  await getDriver().save(key, file.buffer, { contentType: file.mimetype });
+
+  return { key, fileName, contentType: file.mimetype, size: file.size };
+};
+
+const saveFile = (key, buffer, contentType) => getDriver().save(key, buffer, { contentType });
+
+const readFile = (key) => getDriver().read(key);
+
+const removeFile = (key) => getDriver().remove(key);
+
+// URL of a file under one of PUBLIC_PREFIXES
+const publicUrl = (key) => {
+  const driver = getDriver();
+  return driver.url ? driver.url(key) : localDriver.url(key);
+};
+
+module.exports = {
+  PUBLIC_PREFIXES,
+  getStorageDir,
+  registerDriver,
+  setDriver,
+  getDriver,
+  generateKey,
+  storeFile,
+  saveFile,
+  readFile,
+  removeFile,
+  publicUrl,
+  cleanFileName
+};
@@ -0,0 +1,87 @@
+const { EventEmitter } = require('events');
+const { getRedisClient } = require('../config/redis');
+
+// Fan-out of conversation events (new messages, read receipts) to the event streams
+// open on this server. With Redis the events go through a pub/sub channel so streams
+// on every API instance get them; without it they stay in this process.
+//
+// Events are addressed to channels rather than users: a customer listens on
+// `user:<id>` and every member of a vendor team on `vendor:<vendorId>`.
+
+const PUBSUB_CHANNEL = 'conversation-events';
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const deliver = (event) => {
+  event.channels.forEach(channel => emitter.emit(channel, event));
+};
+
+let subscriberPromise = null;
+
+// Subscribe to the Redis channel once. Resolves to the publishing client, or null
+// when Redis isn't available
+const connectPubSub = () => {
+  if (subscriberPromise) {
+    return subscriberPromise;
+  }
+
+  subscriberPromise = getRedisClient()
+    .then(async (client) => {
+      if (!client) {
+        return null;
+      }
+
+      const subscriber = client.duplicate();
+      subscriber.on('error', (err) => console.error('Redis subscriber error:', err.message));
+      await subscriber.connect();
+      await subscriber.subscribe(PUBSUB_CHANNEL, (raw) => deliver(JSON.parse(raw)));
+      return client;
+    })
+    .catch((err) => {
+      console.warn(`Conversation events staying in-process (${err.message})`);
+      return null;
+    });
+
+  return subscriberPromise;
+};
+
+// The channel a user's stream listens on
+const channelFor = (user) => (
+  user.userType === 'vendor' ? `vendor:${user.vendorId}` : `user:${user.id}`
+);
+
+// Both sides of a conversation
+const conversationChannels = (conversation) => [`user:${conversation.customer_id}`, `vendor:${conversation.vendor_id}`];
+
+const publish = async (channels, type, data) => {
+  const event = { channels, type, data };
+  const client = await connectPubSub();
+
+  if (client) {
+    try {
+      await client.publish(PUBSUB_CHANNEL, JSON.stringify(event));
+      return;
+    } catch (err) {
+      console.error('Failed to publish conversation event:', err.message);
+    }
+  }
+
+  deliver(event);
+};
+
+// Call listener({ type, data }) for every event on a channel. Returns an unsubscribe function
+const subscribe = (channel, listener) => {
+  connectPubSub();
+
+  const handler = (event) => listener({ type: event.type, data: event.data });
+  emitter.on(channel, handler);
+  return () => emitter.off(channel, handler);
+};
+
+module.exports = {
+  channelFor,
+  conversationChannels,
+  publish,
+  subscribe
+};
@@ -0,0 +1,163 @@
+const { vendorRoleCan } = require('../config/vendorRoles');
+const { hasPermission } = require('./permissions');
+const { withTransaction } = require('../utils/transaction');
+const { storeFile, removeFile } = require('./mediaStorage');
+const { conversationChannels, publish } = require('./messageEvents');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Conversations between a customer and a vendor organisation. Customers take part as
+// themselves and vendors as a team (any member with messages.manage). Staff with
+// messages.moderate can read conversations that have been flagged, and nothing else.
+
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+const MAX_ATTACHMENTS = 5;
+const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/heic', 'application/pdf'];
+
+// Messages the user hasn't written: for customers anything not from them, for vendor
+// members anything from the customer (not their teammates)
+const fromOtherSide = (user) => (
+  user.userType === 'customer'
+    ? 'm.sender_id IS DISTINCT FROM c.customer_id'
+    : 'm.sender_id = c.customer_id'
+);
+
+// WHERE condition limiting conversations to the ones the user takes part in
+const participantScope = (user) => {
+  if (user.userType === 'customer') {
+    return { where: 'c.customer_id = $1', params: [user.id] };
+  }
+  if (user.userType === 'vendor' && user.vendorId) {
+    if (!vendorRoleCan(user.vendorRole, 'messages.manage')) {
+      throw new ForbiddenError('Insufficient team role', { code: 'INSUFFICIENT_TEAM_ROLE' });
+    }
+    return { where: 'c.vendor_id = $1', params: [user.vendorId] };
+  }
+  throw new ForbiddenError('Only customers and vendors can use messaging', { code: 'INSUFFICIENT_PERMISSIONS' });
+};
+
+// A conversation the user may read. Participants see their own; moderators see
+// flagged ones (read only, reported through `moderating`)
+const findConversation = async (db, id, user) => {
+  if (user.userType === 'customer' || user.userType === 'vendor') {
+    const scope = participantScope(user);
+    const result = await db.query(
+      `SELECT c.* FROM conversations c WHERE c.id = $2 AND ${scope.where}`,
+      [...scope.params, id]
+    );
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Conversation not found');
+    }
+    return { conversation: result.rows[0], moderating: false };
+  }
+
+  if (!(await hasPermission(user, 'messages.moderate'))) {
+    throw new ForbiddenError('Insufficient permissions', { code: 'INSUFFICIENT_PERMISSIONS' });
+  }
+
+  const result = await db.query(
+    'SELECT c.* FROM conversations c WHERE c.id = $1 AND c.flagged_at IS NOT NULL',
+    [id]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Conversation not found');
+  }
+  return { conversation: result.rows[0], moderating: true };
+};
+
+// A conversation the user takes part in (for sending, reading and flagging)
+const findOwnConversation = async (db, id, user) => {
+  const { conversation, moderating } = await findConversation(db, id, user);
+  if (moderating) {
+    throw new ForbiddenError('Moderators can only read flagged conversations', { code: 'MODERATOR_READ_ONLY' });
+  }
+  return conversation;
+};
+
+// Add a message (text and/or uploaded files) to a conversation and notify both sides.
+// Files are stored first and removed again if the message can't be saved.
+const postMessage = async (conversation, sender, { body, files = [] }) => {
+  const stored = [];
+  try {
+    for (const file of files) {
+      stored.push(await storeFile('messages', file));
+    }
+
+    const message = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO messages (conversation_id, sender_id, body)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [conversation.id, sender.id, body || null]
+      );
+      const inserted = result.rows[0];
+
+      const attachments = [];
+      for (const file of stored) {
+        const attachment = await client.query(
+          `INSERT INTO message_attachments (message_id, storage_key, file_name, content_type, size_bytes)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id, file_name, content_type, size_bytes`,
+          [inserted.id, file.key, file.fileName, file.contentType, file.size]
+        );
+        attachments.push(attachment.rows[0]);
+      }
+
+      await client.query(
+        'UPDATE conversations SET last_message_at = $2 WHERE id = $1',
+        [conversation.id, inserted.created_at]
+      );
+
+      // Writing to a conversation means having read it
+      await markRead(client, conversation.id, sender.id);
+
+      return { ...inserted, attachments, is_read: false };
+    });
+
+    await publish(conversationChannels(conversation), 'message', { conversationId: conversation.id, message });
+    return message;
+  } catch (error) {
+    await Promise.all(stored.map(file => removeFile(file.key).catch(() => {})));
+    throw error;
+  }
+};
+
+// Move the user's read position to now. Returns the new position
+const markRead = async (db, conversationId, userId) => {
+  const result = await db.query(
+    `INSERT INTO conversation_reads (conversation_id, user_id, last_read_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (conversation_id, user_id)
+     DO UPDATE SET last_read_at = GREATEST(conversation_reads.last_read_at, EXCLUDED.last_read_at)
+     RETURNING last_read_at`,
+    [conversationId, userId]
+  );
+
+  return result.rows[0] ? result.rows[0].last_read_at : null;
+};
+
+// When each side last read the conversation. The vendor side has read up to the
+// furthest any team member has
+const readReceipts = async (db, conversation) => {
+  const result = await db.query(
+    `SELECT MAX(last_read_at) FILTER (WHERE user_id = $2) AS customer,
+            MAX(last_read_at) FILTER (WHERE user_id <> $2) AS vendor
+     FROM conversation_reads
+     WHERE conversation_id = $1`,
+    [conversation.id, conversation.customer_id]
+  );
+
+  return result.rows[0] || { customer: null, vendor: null };
+};
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS,
+  ATTACHMENT_TYPES,
+  fromOtherSide,
+  participantScope,
+  findConversation,
+  findOwnConversation,
+  postMessage,
+  markRead,
+  readReceipts
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const jwt = require('jsonwebtoken');
+
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+// Least time between key set fetches prompted by an unknown kid, so tokens with made-up
+// kids can't have us hammer the provider
+const JWKS_REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Providers are configured from env at call time. *_JWKS_URI may be an http(s) URL
+// or a local file path, which is how a local key set is used in development and tests.
+const getProviderConfig = (provider) => {
+  const providers = {
+    google: {
+      clientIds: process.env.GOOGLE_CLIENT_IDS || process.env.GOOGLE_CLIENT_ID,
+      jwksUri: process.env.GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs',
+      issuers: (process.env.GOOGLE_ISSUER || 'https://accounts.google.com,accounts.google.com').split(',')
+    },
+    apple: {
+      clientIds: process.env.APPLE_CLIENT_IDS || process.env.APPLE_CLIENT_ID,
+      jwksUri: process.env.APPLE_JWKS_URI || 'https://appleid.apple.com/auth/keys',
+      issuers: (process.env.APPLE_ISSUER || 'https://appleid.apple.com').split(',')
+    }
+  };
+
+  const config = providers[provider];
+  if (!config || !config.clientIds) {
+    return null;
+  }
+
+  return { ...config, clientIds: config.clientIds.split(',').map(id => id.trim()) };
+};
+
+const jwksCache = new Map();
+const jwksRefreshes = new Map();
+
+const fetchJson = (uri) => new Promise((resolve, reject) => {
+  const client = uri.startsWith('https:') ? https : http;
+  client.get(uri, { timeout: 5000 }, (response) => {
+    if (response.statusCode !== 200) {
+      response.resume();
+      return reject(new Error(`JWKS request failed with status ${response.statusCode}`));
+    }
+    let body = '';
+    response.setEncoding('utf8');
+    response.on('data', chunk => { body += chunk; });
+    response.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (err) {
+        reject(err);
+      }
+    });
+  }).on('error', reject);
+});
+
+const loadJwks = async (jwksUri) => {
+  if (/^https?:\/\//.test(jwksUri)) {
+    return fetchJson(jwksUri);
+  }
+  const filePath = jwksUri.replace(/^file:\/\//, '');
+  return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+};
+
+// Fetch a key set into the cache. Concurrent refreshes of the same one share a fetch
+const refreshJwks = (jwksUri) => {
+  if (!jwksRefreshes.has(jwksUri)) {
+    const refresh = loadJwks(jwksUri)
+      .then((jwks) => {
+        const cached = { keys: jwks.keys || [], fetchedAt: Date.now() };
+        jwksCache.set(jwksUri, cached);
+        return cached;
+      })
+      .finally(() => jwksRefreshes.delete(jwksUri));
+    jwksRefreshes.set(jwksUri, refresh);
+  }
+  return jwksRefreshes.get(jwksUri);
+};
+
+// Find the key for a kid. An unknown kid refreshes the cached key set (key rotation), but
+// not within JWKS_REFRESH_INTERVAL_MS of the last fetch; until then the kid stays unknown
+const getSigningKey = async (jwksUri, kid) => {
+  let cached = jwksCache.get(jwksUri);
+  if (!cached || Date.now() - cached.fetchedAt > JWKS_CACHE_TTL_MS) {
+    cached = await refreshJwks(jwksUri);
+  }
+
+  let jwk = cached.keys.find(key => key.kid === kid);
+  if (!jwk && Date.now() - cached.fetchedAt >= JWKS_REFRESH_INTERVAL_MS) {
+    cached = await refreshJwks(jwksUri);
+    jwk = cached.keys.find(key => key.kid === kid);
+  }
+
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+const toBoolean = (value) => value === true || value === 'true';
+
+// Verify an OIDC ID token and return the identity claims we use.
+// Throws an error with code 'INVALID_ID_TOKEN' or 'PROVIDER_NOT_CONFIGURED'.
+const verifyIdToken = async (provider, idToken) => {
+  const config = getProviderConfig(provider);
+  if (!config) {
+    const error = new Error(`Sign-in with ${provider} is not configured`);
+    error.code = 'PROVIDER_NOT_CONFIGURED';
+    throw error;
+  }
+
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_ID_TOKEN';
+    return error;
+  };
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || !decoded.header.kid) {
+    throw invalid('Malformed ID token');
+  }
+
+  const key = await getSigningKey(config.jwksUri, decoded.header.kid);
+  if (!key) {
+    throw invalid('Unknown ID token signing key');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'ES256'],
+      audience: config.clientIds,
+      issuer: config.issuers
+    });
+  } catch (err) {
+    throw invalid(err.message);
+  }
+
+  if (!claims.sub) {
+    throw invalid('ID token has no subject');
+  }
+
+  return {
+    provider,
+    subject: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : null,
+    emailVerified: toBoolean(claims.email_verified),
+    firstName: claims.given_name || null,
+    lastName: claims.family_name || null
+  };
+};
+
+module.exports = {
+  verifyIdToken
+};
@@ -0,0 +1,64 @@
+const { transitionIfPossible } = require('./bookingStatus');
+const { recordCancellationRefunds } = require('./refunds');
+
+// Instalments not paid by their due date become overdue, including ones whose payment
+// was started and abandoned. Once one has been overdue for longer than
+// PAYMENT_GRACE_DAYS the booking is cancelled, which frees its slot and refunds what
+// was paid by the service's cancellation policy.
+
+const DEFAULT_GRACE_DAYS = 14;
+// A payment attempt left pending this long has been abandoned: the customer never
+// confirmed its PaymentIntent, and Stripe doesn't cancel those on its own
+const ABANDONED_PAYMENT_HOURS = 24;
+
+const getGraceDays = () => {
+  const days = parseInt(process.env.PAYMENT_GRACE_DAYS);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_GRACE_DAYS;
+};
+
+// Returns the newly overdue instalments (with the customer's name and email, for
+// reminders), the IDs of the bookings that were cancelled and the refunds to issue once
+// the transaction has committed
+const processOverduePayments = async (client, { graceDays = getGraceDays() } = {}) => {
+  const overdue = await client.query(
+    `UPDATE payments p
+     SET status = 'overdue', updated_at = CURRENT_TIMESTAMP
+     FROM bookings b, users u
+     WHERE p.booking_id = b.id AND u.id = p.customer_id
+     AND (p.status IN ('scheduled', 'failed')
+          OR (p.status = 'pending' AND p.updated_at < CURRENT_TIMESTAMP - make_interval(hours => $1)))
+     AND p.due_date < CURRENT_DATE
+     AND b.status IN ('pending', 'confirmed', 'in_progress')
+     RETURNING p.id, p.booking_id, p.sequence, p.kind, p.amount, p.due_date,
+               b.booking_date, u.email, u.first_name`,
+    [ABANDONED_PAYMENT_HOURS]
+  );
+
+  const lapsed = await client.query(
+    `SELECT DISTINCT p.booking_id
+     FROM payments p
+     JOIN bookings b ON p.booking_id = b.id
+     WHERE p.status = 'overdue' AND p.due_date < CURRENT_DATE - $1::int
+     AND b.status IN ('pending', 'confirmed')`,
+    [graceDays]
+  );
+
+  const cancelled = [];
+  const refunds = [];
+  for (const { booking_id: bookingId } of lapsed.rows) {
+    const reason = `Payment overdue by more than ${graceDays} days`;
+    const booking = await transitionIfPossible(client, bookingId, 'cancelled', { reason });
+    if (booking) {
+      cancelled.push(booking.id);
+      const cancellation = await recordCancellationRefunds(client, booking.id, { role: 'system', reason });
+      refunds.push(...cancellation.refunds);
+    }
+  }
+
+  return { overdue: overdue.rows, cancelled, refunds };
+};
+
+module.exports = {
+  getGraceDays,
+  processOverduePayments
+};
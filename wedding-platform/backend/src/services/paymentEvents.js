@@ -0,0 +1,215 @@
+const { withTransaction } = require('../utils/transaction');
+const { transitionIfPossible } = require('./bookingStatus');
+const { adoptFirstPaymentMethod } = require('./stripeCustomers');
+const { applyStripeRefund, listChargeRefunds, recordStripeRefunds, recordPaymentRefund, issueRefunds } = require('./refunds');
+const { syncConnectAccount, issueUnpaidPayouts, adjustPayout } = require('./payouts');
+const { CLOSED_DISPUTE_STATUSES, recordDispute } = require('./disputes');
+
+// Stripe webhook events. Every delivery is stored in payment_events under Stripe's event
+// id before it is handled, and claimed for handling by an atomic status change, so a
+// redelivered (or concurrently delivered) event is acknowledged without being applied
+// twice. An event whose handler throws is marked failed with the error; Stripe retries
+// it, and staff can replay it (POST /payments/webhook/events/:eventId/replay).
+//
+// Stripe doesn't guarantee delivery order. Events carry a snapshot of their object, so
+// one created before an event already processed for the same object is stale and is
+// skipped rather than undoing newer state. Handlers also only move payments forward.
+
+// A claim older than this is taken to have died with its process
+const STALE_CLAIM_MINUTES = 10;
+
+// Payments a successful charge completes. A cancelled one was being paid when its
+// booking ended; it is refunded straight away
+const COLLECTABLE_PAYMENT_STATUSES = ['scheduled', 'pending', 'failed', 'overdue', 'cancelled'];
+const ENDED_BOOKING_STATUSES = ['cancelled', 'rejected'];
+
+// Record a dispute. The booking's payout waits while it is open; once it closes, what
+// was lost comes out of the payout and the rest is paid
+const disputeChanged = async (db, stripeDispute) => {
+  const dispute = await recordDispute(db, stripeDispute);
+  if (dispute && CLOSED_DISPUTE_STATUSES.includes(dispute.status)) {
+    await adjustPayout(db, dispute.booking_id);
+    await issueUnpaidPayouts(db, { bookingId: dispute.booking_id });
+  }
+  return dispute;
+};
+
+const EVENT_HANDLERS = {
+  // Complete the payment and confirm the booking, or refund it in full if the booking
+  // has been cancelled or rejected in the meantime
+  'payment_intent.succeeded': async (db, paymentIntent) => {
+    const refunds = await withTransaction(async (client) => {
+      const payment = await client.query(
+        `UPDATE payments
+         SET status = 'completed', updated_at = CURRENT_TIMESTAMP
+         WHERE stripe_payment_intent_id = $1 AND status = ANY($2)
+         RETURNING id, booking_id`,
+        [paymentIntent.id, COLLECTABLE_PAYMENT_STATUSES]
+      );
+      if (payment.rows.length === 0) {
+        return [];
+      }
+
+      const { id: paymentId, booking_id: bookingId } = payment.rows[0];
+      const booking = await client.query('SELECT status FROM bookings WHERE id = $1 FOR UPDATE', [bookingId]);
+      const bookingStatus = booking.rows[0] && booking.rows[0].status;
+
+      if (ENDED_BOOKING_STATUSES.includes(bookingStatus)) {
+        const { refund } = await recordPaymentRefund(client, paymentId, { reason: `Paid after the booking was ${bookingStatus}` });
+        return [refund];
+      }
+
+      await transitionIfPossible(client, bookingId, 'confirmed', { reason: 'Payment received' });
+      return [];
+    });
+
+    await issueRefunds(db, refunds);
+  },
+
+  'payment_intent.payment_failed': (db, paymentIntent) => db.query(
+    `UPDATE payments
+     SET status = 'failed', updated_at = CURRENT_TIMESTAMP
+     WHERE stripe_payment_intent_id = $1 AND status = 'pending'`,
+    [paymentIntent.id]
+  ),
+
+  // An abandoned payment attempt: hand the instalment back so it can be paid again
+  'payment_intent.canceled': (db, paymentIntent) => db.query(
+    `UPDATE payments
+     SET status = CASE WHEN due_date < CURRENT_DATE THEN 'overdue' ELSE 'scheduled' END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE stripe_payment_intent_id = $1 AND status = 'pending'`,
+    [paymentIntent.id]
+  ),
+
+  // Bring refunds made in the Stripe dashboard into the ledger, and take them out of the
+  // vendor's payout. The booking is left as it is: refunds meant to end a booking are
+  // made by cancelling it, which does that
+  'charge.refunded': async (db, charge) => {
+    const stripeRefunds = await listChargeRefunds(charge);
+    const payment = await withTransaction(client => recordStripeRefunds(client, charge.payment_intent, stripeRefunds));
+    if (payment) {
+      await adjustPayout(db, payment.booking_id);
+    }
+  },
+
+  'refund.updated': (db, refund) => applyStripeRefund(db, refund),
+  'refund.failed': (db, refund) => applyStripeRefund(db, refund),
+
+  'charge.dispute.created': (db, dispute) => disputeChanged(db, dispute),
+  'charge.dispute.updated': (db, dispute) => disputeChanged(db, dispute),
+  'charge.dispute.closed': (db, dispute) => disputeChanged(db, dispute),
+  'charge.dispute.funds_withdrawn': (db, dispute) => disputeChanged(db, dispute),
+  'charge.dispute.funds_reinstated': (db, dispute) => disputeChanged(db, dispute),
+
+  // A vendor's Connect account changed; once it can receive transfers, pay out what the
+  // vendor is owed
+  'account.updated': async (db, account) => {
+    const vendorAccount = await syncConnectAccount(db, account);
+    if (vendorAccount && vendorAccount.stripe_transfers_enabled) {
+      await issueUnpaidPayouts(db, { vendorId: vendorAccount.user_id });
+    }
+  },
+
+  // A customer's first saved card becomes their default
+  'setup_intent.succeeded': async (db, setupIntent) => {
+    if (setupIntent.customer && setupIntent.payment_method) {
+      await adoptFirstPaymentMethod(setupIntent.customer, setupIntent.payment_method);
+    }
+  }
+};
+
+// Store an event unless it has been stored already
+const recordEvent = (db, event) => db.query(
+  `INSERT INTO payment_events (id, type, object_id, stripe_created_at, payload)
+   VALUES ($1, $2, $3, $4, $5)
+   ON CONFLICT (id) DO NOTHING`,
+  [
+    event.id,
+    event.type,
+    (event.data && event.data.object && event.data.object.id) || null,
+    event.created ? new Date(event.created * 1000) : new Date(),
+    JSON.stringify(event)
+  ]
+);
+
+// Claim a stored event for handling. Returns it, or null if it has been handled or is
+// being handled
+const claimEvent = async (db, eventId) => {
+  const result = await db.query(
+    `UPDATE payment_events
+     SET status = 'processing', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+       AND (status IN ('received', 'failed')
+            OR (status = 'processing' AND updated_at < CURRENT_TIMESTAMP - make_interval(mins => $2)))
+     RETURNING *`,
+    [eventId, STALE_CLAIM_MINUTES]
+  );
+  return result.rows[0] || null;
+};
+
+const finishEvent = async (db, eventId, status, error = null) => {
+  const result = await db.query(
+    `UPDATE payment_events
+     SET status = $2, last_error = $3,
+         processed_at = CASE WHEN $2 = 'processed' THEN CURRENT_TIMESTAMP ELSE processed_at END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [eventId, status, error]
+  );
+  return result.rows[0];
+};
+
+const isStale = async (db, event) => {
+  if (!event.object_id) {
+    return false;
+  }
+
+  const result = await db.query(
+    `SELECT 1 FROM payment_events
+     WHERE object_id = $1 AND id <> $2 AND status = 'processed' AND stripe_created_at > $3
+     LIMIT 1`,
+    [event.object_id, event.id, event.stripe_created_at]
+  );
+  return result.rows.length > 0;
+};
+
+// Handle a stored event if it can be claimed. Returns the event as it was left, or null
+// if it was already handled (or is being handled); rethrows its handler's error once
+// the event is marked failed.
+const runEvent = async (db, eventId) => {
+  const event = await claimEvent(db, eventId);
+  if (!event) {
+    return null;
+  }
+
+  const handler = EVENT_HANDLERS[event.type];
+  if (!handler) {
+    return finishEvent(db, event.id, 'ignored');
+  }
+  if (await isStale(db, event)) {
+    return finishEvent(db, event.id, 'stale');
+  }
+
+  try {
+    await handler(db, event.payload.data.object);
+  } catch (error) {
+    await finishEvent(db, event.id, 'failed', error.message);
+    throw error;
+  }
+
+  return finishEvent(db, event.id, 'processed');
+};
+
+// Store and handle a verified webhook event
+const processEvent = async (db, event) => {
+  await recordEvent(db, event);
+  return runEvent(db, event.id);
+};
+
+module.exports = {
+  EVENT_HANDLERS,
+  processEvent,
+  runEvent
+};
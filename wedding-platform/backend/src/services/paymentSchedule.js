@@ -0,0 +1,258 @@
+const { toPence, toPounds } = require('./pricing');
+const { ConflictError } = require('../utils/errors');
+
+// A booking is paid in instalments: payments rows numbered by `sequence`, each with a
+// due date. The service's payment terms decide the split:
+//
+//   deposit  - deposit_type 'percentage' (of the total) or 'fixed', due straight away
+//              and non-refundable
+//   balance  - the rest, in balance_instalments monthly parts, the last one due
+//              balance_due_days before the event
+//
+// With no deposit and one instalment the booking is a single 'full' payment. Anything
+// that would fall due before today is due today.
+
+const PAYABLE_STATUSES = ['scheduled', 'failed', 'overdue'];
+// Money that is paid or on its way
+const SETTLED_STATUSES = ['pending', 'completed', 'partially_refunded'];
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// 'YYYY-MM-DD' date arithmetic, in UTC so it never shifts a day
+const parseDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return { year, month: month - 1, day };
+};
+const formatDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+const addDays = (date, days) => {
+  const { year, month, day } = parseDate(date);
+  return formatDate(Date.UTC(year, month, day + days));
+};
+
+// Same day `months` later (or earlier), or the month's last day if it has no such day
+const addMonths = (date, months) => {
+  const { year, month, day } = parseDate(date);
+  const lastDay = new Date(Date.UTC(year, month + months + 1, 0)).getUTCDate();
+  return formatDate(Date.UTC(year, month + months, Math.min(day, lastDay)));
+};
+
+const laterOf = (a, b) => (a > b ? a : b);
+
+const depositPence = (totalPence, { deposit_type: type, deposit_value: value }) => {
+  if (type === 'percentage') {
+    return Math.min(Math.round(totalPence * parseFloat(value) / 100), totalPence);
+  }
+  if (type === 'fixed') {
+    return Math.min(toPence(value), totalPence);
+  }
+  return 0;
+};
+
+// The instalments for a booking of `total` on `eventDate`, from the service's terms
+const buildPaymentSchedule = ({ total, terms, eventDate, today }) => {
+  const totalPence = toPence(total);
+  const deposit = depositPence(totalPence, terms);
+  const balance = totalPence - deposit;
+  const count = Math.max(parseInt(terms.balance_instalments) || 1, 1);
+  const dueDays = terms.balance_due_days === null || terms.balance_due_days === undefined
+    ? 30
+    : parseInt(terms.balance_due_days);
+  const finalDue = laterOf(addDays(eventDate, -dueDays), today);
+
+  const instalments = [];
+  if (deposit > 0) {
+    instalments.push({ kind: 'deposit', amount: deposit, dueDate: today });
+  }
+
+  if (balance > 0) {
+    const part = Math.floor(balance / count);
+    for (let i = 0; i < count; i++) {
+      const last = i === count - 1;
+      instalments.push({
+        kind: last ? 'balance' : 'instalment',
+        amount: last ? balance - part * (count - 1) : part,
+        dueDate: laterOf(addMonths(finalDue, i - (count - 1)), today)
+      });
+    }
+  }
+
+  if (deposit === 0 && instalments.length === 1) {
+    instalments[0].kind = 'full';
+  }
+
+  return instalments.map(instalment => ({ ...instalment, amount: toPounds(instalment.amount) }));
+};
+
+// Take what has already been paid off the front of a schedule
+const deductPaid = (instalments, paid) => {
+  let remaining = toPence(paid);
+
+  return instalments.reduce((unpaid, instalment) => {
+    const amount = toPence(instalment.amount);
+    const covered = Math.min(amount, remaining);
+    remaining -= covered;
+
+    if (amount > covered) {
+      unpaid.push({ ...instalment, amount: toPounds(amount - covered) });
+    }
+    return unpaid;
+  }, []);
+};
+
+const loadBookingTerms = async (client, bookingId) => {
+  const result = await client.query(
+    `SELECT b.id, b.customer_id, b.vendor_id, b.total_amount,
+            b.booking_date::text AS event_date, CURRENT_DATE::text AS today,
+            s.deposit_type, s.deposit_value, s.balance_due_days, s.balance_instalments
+     FROM bookings b
+     JOIN services s ON b.service_id = s.id
+     WHERE b.id = $1`,
+    [bookingId]
+  );
+  return result.rows[0];
+};
+
+const insertInstalments = async (client, booking, instalments, firstSequence) => {
+  const rows = [];
+
+  for (const [index, instalment] of instalments.entries()) {
+    const result = await client.query(
+      `INSERT INTO payments
+       (booking_id, customer_id, vendor_id, amount, currency, status, sequence, kind, due_date)
+       VALUES ($1, $2, $3, $4, 'GBP', 'scheduled', $5, $6, $7)
+       RETURNING *`,
+      [booking.id, booking.customer_id, booking.vendor_id, instalment.amount,
+       firstSequence + index, instalment.kind, instalment.dueDate]
+    );
+    rows.push(result.rows[0]);
+  }
+
+  return rows;
+};
+
+const listSchedule = async (client, bookingId) => {
+  const result = await client.query(
+    'SELECT * FROM payments WHERE booking_id = $1 ORDER BY sequence',
+    [bookingId]
+  );
+  return result.rows;
+};
+
+// Generate a booking's schedule unless it has one. Call with the booking locked
+const createPaymentSchedule = async (client, bookingId) => {
+  const existing = await listSchedule(client, bookingId);
+  if (existing.length > 0) {
+    return existing;
+  }
+
+  const booking = await loadBookingTerms(client, bookingId);
+  if (!booking) {
+    return [];
+  }
+
+  const instalments = buildPaymentSchedule({
+    total: booking.total_amount,
+    terms: booking,
+    eventDate: booking.event_date,
+    today: booking.today
+  });
+
+  return insertInstalments(client, booking, instalments, 1);
+};
+
+// Re-plan the unpaid part of a schedule after the booking's date or total changed.
+// Call with the booking locked
+const reschedulePayments = async (client, bookingId) => {
+  const existing = await listSchedule(client, bookingId);
+  if (existing.length === 0) {
+    return existing;
+  }
+
+  await client.query(
+    'DELETE FROM payments WHERE booking_id = $1 AND status = ANY($2)',
+    [bookingId, PAYABLE_STATUSES]
+  );
+
+  const kept = existing.filter(payment => !PAYABLE_STATUSES.includes(payment.status));
+  const paid = kept
+    .filter(payment => SETTLED_STATUSES.includes(payment.status))
+    .reduce((sum, payment) => sum + parseFloat(payment.amount), 0);
+  const nextSequence = kept.reduce((max, payment) => Math.max(max, payment.sequence), 0) + 1;
+
+  const booking = await loadBookingTerms(client, bookingId);
+  const instalments = deductPaid(buildPaymentSchedule({
+    total: booking.total_amount,
+    terms: booking,
+    eventDate: booking.event_date,
+    today: booking.today
+  }), paid);
+
+  await insertInstalments(client, booking, instalments, nextSequence);
+  return listSchedule(client, bookingId);
+};
+
+// A cancelled or rejected booking's unpaid instalments are no longer owed, including
+// any being paid; their PaymentIntents are cancelled after commit (cancelPaymentIntents
+// in services/bookingPayments.js)
+const cancelUnpaidPayments = (client, bookingId) => client.query(
+  `UPDATE payments SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+   WHERE booking_id = $1 AND status = ANY($2)`,
+  [bookingId, ['pending', ...PAYABLE_STATUSES]]
+);
+
+// The next instalment to pay, locked. Refuses while one is being claimed; one that is
+// pending on a PaymentIntent is returned, as that attempt may have been abandoned (see
+// services/bookingPayments.js)
+const lockNextInstalment = async (client, bookingId) => {
+  const result = await client.query(
+    `SELECT * FROM payments
+     WHERE booking_id = $1 AND status IN ('pending', 'scheduled', 'failed', 'overdue')
+     ORDER BY sequence
+     LIMIT 1
+     FOR UPDATE`,
+    [bookingId]
+  );
+  const instalment = result.rows[0];
+
+  if (!instalment) {
+    throw new ConflictError('This booking is paid in full', { code: 'BOOKING_PAID' });
+  }
+  if (instalment.status === 'pending' && !instalment.stripe_payment_intent_id) {
+    throw new ConflictError('Payment already exists for this booking', { code: 'PAYMENT_EXISTS' });
+  }
+  return instalment;
+};
+
+// Totals for a booking's schedule
+const summariseSchedule = (booking, payments) => {
+  const sum = (rows, field = 'amount') => toPounds(rows.reduce((total, payment) => total + toPence(payment[field] || 0), 0));
+  const paid = payments.filter(payment => PAID_STATUSES.includes(payment.status));
+  const outstanding = payments.filter(payment => PAYABLE_STATUSES.includes(payment.status) || payment.status === 'pending');
+  const overdue = payments.filter(payment => payment.status === 'overdue');
+  const next = payments.find(payment => PAYABLE_STATUSES.includes(payment.status));
+
+  return {
+    booking_id: booking.id,
+    status: booking.status,
+    total_amount: parseFloat(booking.total_amount),
+    amount_paid: sum(paid),
+    amount_refunded: sum(paid, 'amount_refunded'),
+    balance_due: sum(outstanding),
+    overdue_amount: sum(overdue),
+    next_due: next ? { id: next.id, sequence: next.sequence, kind: next.kind, amount: parseFloat(next.amount), due_date: next.due_date } : null,
+    schedule: payments
+  };
+};
+
+module.exports = {
+  PAYABLE_STATUSES,
+  addDays,
+  addMonths,
+  buildPaymentSchedule,
+  deductPaid,
+  createPaymentSchedule,
+  reschedulePayments,
+  cancelUnpaidPayments,
+  lockNextInstalment,
+  summariseSchedule
+};
@@ -0,0 +1,323 @@
+const stripe = require('../config/stripe');
+const {
+  DEFAULT_COMMISSION_PERCENT,
+  CATEGORY_COMMISSION_PERCENT,
+  VENDOR_TIERS
+} = require('../config/commission');
+const { toPence, toPounds } = require('./pricing');
+const { NotFoundError } = require('../utils/errors');
+const { CLOSED_DISPUTE_STATUSES } = require('./disputes');
+
+// Vendor payouts. Customers pay the platform's Stripe account; when a booking is
+// completed a payouts row records what the vendor is owed (recordPayout, in the status
+// change's transaction) and it is transferred to the vendor's Stripe Connect account
+// after commit (issuePayouts). Payouts for vendors who haven't finished onboarding, and
+// transfers Stripe refused, stay unpaid until the payouts job (jobs/processPayouts.js)
+// or the account becoming ready retries them. A booking with an open dispute isn't paid
+// out until the dispute closes.
+//
+// Money that leaves the booking later (a refund, a lost dispute) comes out of its
+// payout (adjustPayout): an unpaid payout is reduced, and a paid one has the
+// difference reversed from its transfer.
+
+const UNPAID_PAYOUT_STATUSES = ['pending', 'failed'];
+
+// What booking b's customer has paid and kept: payments less their refunds and the
+// disputes lost over them
+const NET_PAID_SQL = `((SELECT COALESCE(SUM(CASE WHEN p.status = 'refunded' THEN 0 ELSE p.amount - (
+          SELECT COALESCE(SUM(r.amount), 0) FROM refunds r
+          WHERE r.payment_id = p.id AND r.status IN ('pending', 'succeeded')) END), 0)
+    FROM payments p
+    WHERE p.booking_id = b.id AND p.status IN ('completed', 'partially_refunded', 'refunded'))
+  - (SELECT COALESCE(SUM(d.amount), 0) FROM disputes d WHERE d.booking_id = b.id AND d.status = 'lost'))`;
+
+const commissionPercent = ({ category, tier }) => {
+  const tierRate = VENDOR_TIERS[tier];
+  if (tierRate !== null && tierRate !== undefined) {
+    return tierRate;
+  }
+
+  const categoryRate = category && CATEGORY_COMMISSION_PERCENT[category.trim().toLowerCase()];
+  return categoryRate !== undefined && categoryRate !== null ? categoryRate : DEFAULT_COMMISSION_PERCENT;
+};
+
+// Record what a completed booking owes its vendor. Returns the payout, or null if one
+// was already recorded or nothing was paid
+const recordPayout = async (client, bookingId) => {
+  const result = await client.query(
+    `SELECT b.id, b.vendor_id, s.category, vp.commission_tier, ${NET_PAID_SQL} AS net_paid
+     FROM bookings b
+     JOIN services s ON b.service_id = s.id
+     LEFT JOIN vendor_profiles vp ON vp.user_id = b.vendor_id
+     WHERE b.id = $1`,
+    [bookingId]
+  );
+  const booking = result.rows[0];
+
+  const gross = booking ? toPence(booking.net_paid) : 0;
+  if (gross <= 0) {
+    return null;
+  }
+
+  const percent = commissionPercent({ category: booking.category, tier: booking.commission_tier });
+  const commission = Math.round(gross * percent / 100);
+
+  const inserted = await client.query(
+    `INSERT INTO payouts
+     (booking_id, vendor_id, currency, gross_amount, commission_percent, commission_amount, amount)
+     VALUES ($1, $2, 'GBP', $3, $4, $5, $6)
+     ON CONFLICT (booking_id) DO NOTHING
+     RETURNING *`,
+    [booking.id, booking.vendor_id, toPounds(gross), percent, toPounds(commission), toPounds(gross - commission)]
+  );
+
+  return inserted.rows[0] || null;
+};
+
+const findConnectAccount = async (db, vendorId) => {
+  const result = await db.query(
+    `SELECT stripe_account_id, stripe_transfers_enabled FROM vendor_profiles WHERE user_id = $1`,
+    [vendorId]
+  );
+  return result.rows[0] || null;
+};
+
+// Transfer a payout to its vendor. Leaves it pending if the vendor can't receive
+// transfers yet; a transfer Stripe refuses marks it failed. Never throws for Stripe.
+const issuePayout = async (db, payout) => {
+  const account = await findConnectAccount(db, payout.vendor_id);
+  if (!account || !account.stripe_account_id || !account.stripe_transfers_enabled) {
+    return payout;
+  }
+
+  let transfer;
+  try {
+    transfer = await stripe.transfers.create({
+      amount: toPence(payout.amount),
+      currency: (payout.currency || 'GBP').toLowerCase(),
+      destination: account.stripe_account_id,
+      transfer_group: `booking-${payout.booking_id}`,
+      metadata: {
+        payout_id: payout.id,
+        booking_id: payout.booking_id,
+        vendor_id: payout.vendor_id
+      }
+    }, { idempotencyKey: `payout-${payout.id}` });
+  } catch (error) {
+    console.error(`Payout ${payout.id} failed:`, error);
+    const failed = await db.query(
+      `UPDATE payouts SET status = 'failed', failure_reason = $2, stripe_account_id = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status IN ('pending', 'failed')
+       RETURNING *`,
+      [payout.id, error.message, account.stripe_account_id]
+    );
+    return failed.rows[0] || payout;
+  }
+
+  const paid = await db.query(
+    `UPDATE payouts
+     SET status = 'paid', stripe_transfer_id = $2, stripe_account_id = $3, failure_reason = NULL,
+         paid_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [payout.id, transfer.id, account.stripe_account_id]
+  );
+  return paid.rows[0] || payout;
+};
+
+const issuePayouts = async (db, payouts) => {
+  const issued = [];
+  for (const payout of payouts) {
+    issued.push(await issuePayout(db, payout));
+  }
+  return issued;
+};
+
+// Retry unpaid payouts, oldest first, optionally only a vendor's or a booking's.
+// Bookings with an open dispute are held back
+const issueUnpaidPayouts = async (db, { vendorId = null, bookingId = null } = {}) => {
+  const result = await db.query(
+    `SELECT * FROM payouts
+     WHERE status = ANY($1) AND ($2::uuid IS NULL OR vendor_id = $2) AND ($3::uuid IS NULL OR booking_id = $3)
+     AND NOT EXISTS (
+       SELECT 1 FROM bookings b
+       WHERE b.id = payouts.booking_id AND b.dispute_status IS NOT NULL AND b.dispute_status <> ALL($4)
+     )
+     ORDER BY created_at`,
+    [UNPAID_PAYOUT_STATUSES, vendorId, bookingId, CLOSED_DISPUTE_STATUSES]
+  );
+  return issuePayouts(db, result.rows);
+};
+
+// Take back from a paid payout's transfer what the vendor is no longer owed. The
+// idempotency key is the total reversed, so a retry can't reverse the same money twice
+const reversePayout = async (db, payout, owed) => {
+  const reversed = toPence(payout.reversed_amount);
+  const amount = toPence(payout.amount) - reversed - owed;
+  if (amount <= 0) {
+    return payout;
+  }
+
+  try {
+    await stripe.transfers.createReversal(payout.stripe_transfer_id, {
+      amount,
+      metadata: { payout_id: payout.id, booking_id: payout.booking_id }
+    }, { idempotencyKey: `payout-${payout.id}-reversed-${reversed + amount}` });
+  } catch (error) {
+    console.error(`Reversing payout ${payout.id} failed:`, error);
+    return payout;
+  }
+
+  const result = await db.query(
+    `UPDATE payouts SET reversed_amount = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND reversed_amount = $3
+     RETURNING *`,
+    [payout.id, toPounds(reversed + amount), payout.reversed_amount]
+  );
+  return result.rows[0] || payout;
+};
+
+// Bring a booking's payout in line with what its customer has now paid, after a refund
+// or a dispute. An unpaid payout is recalculated at its commission rate (and cancelled
+// once nothing is owed); a paid one is partly or fully reversed. Returns the payout,
+// or null if the booking has none. Never throws for Stripe.
+const adjustPayout = async (db, bookingId) => {
+  const result = await db.query(
+    `SELECT po.*, ${NET_PAID_SQL} AS net_paid
+     FROM payouts po
+     JOIN bookings b ON po.booking_id = b.id
+     WHERE po.booking_id = $1`,
+    [bookingId]
+  );
+  const payout = result.rows[0];
+  if (!payout || payout.status === 'cancelled') {
+    return payout || null;
+  }
+
+  const gross = Math.max(toPence(payout.net_paid), 0);
+  const commission = Math.round(gross * parseFloat(payout.commission_percent) / 100);
+
+  if (payout.status === 'paid') {
+    return reversePayout(db, payout, gross - commission);
+  }
+  if (gross === toPence(payout.gross_amount)) {
+    return payout;
+  }
+
+  const updated = await db.query(
+    `UPDATE payouts
+     SET gross_amount = $2, commission_amount = $3, amount = $4,
+         status = CASE WHEN $2 > 0 THEN status ELSE 'cancelled' END, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = ANY($5)
+     RETURNING *`,
+    [payout.id, toPounds(gross), toPounds(commission), toPounds(gross - commission), UNPAID_PAYOUT_STATUSES]
+  );
+  return updated.rows[0] || payout;
+};
+
+// Retry the reversals of paid payouts that are more than their booking now owes its
+// vendor (Stripe refused or never answered them)
+const reverseOverpaidPayouts = async (db) => {
+  const result = await db.query(
+    `SELECT po.booking_id
+     FROM payouts po
+     JOIN bookings b ON po.booking_id = b.id
+     WHERE po.status = 'paid'
+     AND po.amount - po.reversed_amount - 0.01 > GREATEST(${NET_PAID_SQL}, 0) * (100 - po.commission_percent) / 100
+     ORDER BY po.created_at`
+  );
+
+  const adjusted = [];
+  for (const { booking_id: bookingId } of result.rows) {
+    adjusted.push(await adjustPayout(db, bookingId));
+  }
+  return adjusted;
+};
+
+// The vendor's Connect account, created (as an Express account) the first time
+const ensureConnectAccount = async (db, vendorId) => {
+  const result = await db.query(
+    `SELECT vp.user_id, vp.business_name, vp.website, vp.stripe_account_id, u.email
+     FROM vendor_profiles vp
+     JOIN users u ON vp.user_id = u.id
+     WHERE vp.user_id = $1`,
+    [vendorId]
+  );
+  const profile = result.rows[0];
+
+  if (!profile) {
+    throw new NotFoundError('Vendor profile not found');
+  }
+  if (profile.stripe_account_id) {
+    return profile.stripe_account_id;
+  }
+
+  // The idempotency key gives concurrent first requests the same account
+  const account = await stripe.accounts.create({
+    type: 'express',
+    country: 'GB',
+    email: profile.email,
+    business_profile: { name: profile.business_name, ...(profile.website && { url: profile.website }) },
+    capabilities: { transfers: { requested: true } },
+    metadata: { vendor_id: vendorId }
+  }, { idempotencyKey: `connect-account-${vendorId}` });
+
+  const saved = await db.query(
+    `UPDATE vendor_profiles SET stripe_account_id = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND stripe_account_id IS NULL
+     RETURNING stripe_account_id`,
+    [vendorId, account.id]
+  );
+
+  if (saved.rows.length > 0) {
+    return account.id;
+  }
+  return (await findConnectAccount(db, vendorId)).stripe_account_id;
+};
+
+// A Stripe hosted onboarding link for the account; links are single use and expire
+const createOnboardingLink = (accountId) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  return stripe.accountLinks.create({
+    account: accountId,
+    refresh_url: `${frontendUrl}/vendor/payouts/refresh`,
+    return_url: `${frontendUrl}/vendor/payouts/return`,
+    type: 'account_onboarding'
+  });
+};
+
+// Copy a Stripe account's onboarding state onto its vendor profile. Returns the
+// vendor's payout account status, or null for accounts that aren't ours
+const syncConnectAccount = async (db, account) => {
+  const result = await db.query(
+    `UPDATE vendor_profiles
+     SET stripe_details_submitted = $2, stripe_transfers_enabled = $3, stripe_payouts_enabled = $4,
+         stripe_requirements_due = $5, stripe_account_synced_at = CURRENT_TIMESTAMP
+     WHERE stripe_account_id = $1
+     RETURNING user_id, stripe_account_id, stripe_details_submitted, stripe_transfers_enabled,
+               stripe_payouts_enabled, stripe_requirements_due, stripe_account_synced_at`,
+    [
+      account.id,
+      Boolean(account.details_submitted),
+      Boolean(account.capabilities && account.capabilities.transfers === 'active'),
+      Boolean(account.payouts_enabled),
+      JSON.stringify((account.requirements && account.requirements.currently_due) || [])
+    ]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  UNPAID_PAYOUT_STATUSES,
+  commissionPercent,
+  recordPayout,
+  issuePayout,
+  issuePayouts,
+  issueUnpaidPayouts,
+  adjustPayout,
+  reverseOverpaidPayouts,
+  ensureConnectAccount,
+  createOnboardingLink,
+  syncConnectAccount
+};
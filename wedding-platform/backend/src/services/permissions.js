@@ -0,0 +1,32 @@
+const pool = require('../config/database');
+const { PERMISSION_NAMES, SUPERUSER_ROLE } = require('../config/permissions');
+
+// Effective permissions for an authenticated user (req.user): role grants plus individual grants
+const getUserPermissions = async (user) => {
+  if (user.userType === SUPERUSER_ROLE) {
+    return [...PERMISSION_NAMES];
+  }
+
+  const result = await pool.query(
+    `SELECT permission FROM role_permissions WHERE role = $1
+     UNION
+     SELECT permission FROM user_permissions WHERE user_id = $2`,
+    [user.userType, user.id]
+  );
+
+  return result.rows.map(row => row.permission);
+};
+
+// Loaded once per request and kept on req.user
+const hasPermission = async (user, permission) => {
+  if (!user.permissions) {
+    user.permissions = await getUserPermissions(user);
+  }
+
+  return user.permissions.includes(permission);
+};
+
+module.exports = {
+  getUserPermissions,
+  hasPermission
+};
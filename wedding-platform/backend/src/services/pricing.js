@@ -0,0 +1,134 @@
+const { ValidationError } = require('../utils/errors');
+
+// The pricing engine is the only place booking amounts are worked out. Bookings store
+// the quote's total, and payments charge what the booking stored.
+//
+//   base     = hourly: base_price x hours (at least duration_hours)
+//              daily:  base_price per day (bookings are within a single day)
+//              fixed:  base_price
+//   adjusted = base x the availability slot's price_modifier
+//   subtotal = adjusted + add-ons
+//   total    = subtotal + tax (BOOKING_TAX_RATE, default 20% VAT)
+//
+// Everything is calculated in pence and returned in pounds.
+
+const CURRENCY = 'GBP';
+const DEFAULT_TAX_RATE = 0.2;
+
+const getTaxRate = () => {
+  const rate = parseFloat(process.env.BOOKING_TAX_RATE);
+  return Number.isFinite(rate) && rate >= 0 ? rate : DEFAULT_TAX_RATE;
+};
+
+const toPence = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const toPounds = (pence) => pence / 100;
+
+// 'HH:MM' or 'HH:MM:SS' -> hours between the two times
+const hoursBetween = (startTime, endTime) => {
+  const minutes = (time) => {
+    const [hours, mins] = String(time).split(':').map(Number);
+    return hours * 60 + mins;
+  };
+
+  return (minutes(endTime) - minutes(startTime)) / 60;
+};
+
+// How many pricing units a booking of `hours` is charged for. Daily and fixed
+// services are one unit, as a booking never spans more than a day
+const billableUnits = (service, hours) => (
+  service.pricing_type === 'hourly'
+    ? Math.max(hours, service.duration_hours || 0)
+    : 1
+);
+
+// Price a booking. `hours` defaults to the service's duration when no times are given
+const calculateQuote = ({ service, startTime, endTime, priceModifier = 1, addons = [] }) => {
+  const hours = startTime && endTime
+    ? hoursBetween(startTime, endTime)
+    : (service.duration_hours || 1);
+
+  const units = billableUnits(service, hours);
+  const unitPrice = toPence(service.base_price);
+  const modifier = parseFloat(priceModifier) || 1;
+
+  const base = Math.round(unitPrice * units);
+  const adjusted = Math.round(base * modifier);
+  const addonLines = addons.map(addon => ({ id: addon.id, name: addon.name, price: toPence(addon.price) }));
+  const subtotal = adjusted + addonLines.reduce((sum, addon) => sum + addon.price, 0);
+
+  const taxRate = getTaxRate();
+  const tax = Math.round(subtotal * taxRate);
+
+  return {
+    currency: CURRENCY,
+    pricingType: service.pricing_type,
+    hours,
+    units,
+    unitPrice: toPounds(unitPrice),
+    base: toPounds(base),
+    priceModifier: modifier,
+    modifierAdjustment: toPounds(adjusted - base),
+    addons: addonLines.map(addon => ({ ...addon, price: toPounds(addon.price) })),
+    subtotal: toPounds(subtotal),
+    taxRate,
+    tax: toPounds(tax),
+    total: toPounds(subtotal + tax)
+  };
+};
+
+// Price a vendor's proposal from its line items ({ description, quantity, unitPrice }),
+// taxed the same way as a booking
+const calculateProposal = ({ lineItems }) => {
+  const lines = lineItems.map(item => {
+    const unitPrice = toPence(item.unitPrice);
+    const quantity = Number(item.quantity) || 1;
+    return { description: item.description, quantity, unitPrice, amount: Math.round(unitPrice * quantity) };
+  });
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+
+  const taxRate = getTaxRate();
+  const tax = Math.round(subtotal * taxRate);
+
+  return {
+    currency: CURRENCY,
+    lineItems: lines.map(line => ({ ...line, unitPrice: toPounds(line.unitPrice), amount: toPounds(line.amount) })),
+    subtotal: toPounds(subtotal),
+    taxRate,
+    tax: toPounds(tax),
+    total: toPounds(subtotal + tax)
+  };
+};
+
+// Load the requested add-ons of a service, rejecting any that don't belong to it
+const loadAddons = async (db, serviceId, addonIds = []) => {
+  const ids = [...new Set(addonIds)];
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const result = await db.query(
+    `SELECT id, name, price FROM service_addons
+     WHERE service_id = $1 AND id = ANY($2::uuid[]) AND is_active = true
+     ORDER BY name`,
+    [serviceId, ids]
+  );
+
+  if (result.rows.length !== ids.length) {
+    const found = result.rows.map(addon => addon.id);
+    throw new ValidationError('Unknown add-on for this service', {
+      code: 'INVALID_ADDON',
+      details: { addons: ids.filter(id => !found.includes(id)) }
+    });
+  }
+
+  return result.rows;
+};
+
+module.exports = {
+  toPence,
+  toPounds,
+  calculateQuote,
+  calculateProposal,
+  loadAddons,
+  hoursBetween
+};
@@ -0,0 +1,165 @@
+const { lockOpenSlot, holdSlot, lockCustomer, findCustomerOverlap } = require('./bookingSlots');
+const { recordStatusChange } = require('./bookingStatus');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// Quote requests. A customer sends event details to a service, the vendor answers with
+// priced proposals (each one a new revision that supersedes the last), and accepting
+// the latest proposal turns it into a booking at the proposed price.
+//
+//   request:  open -> proposed -> accepted
+//             open/proposed -> declined (vendor) or cancelled (customer)
+//   proposal: active -> superseded | accepted | declined | withdrawn
+//
+// A proposal past its expires_at can no longer be accepted; it is reported as
+// 'expired' rather than rewritten, so the revision history stays as it was sent.
+
+const QUOTE_REQUEST_STATUSES = ['open', 'proposed', 'accepted', 'declined', 'cancelled'];
+
+// Requests the vendor can still propose on and the customer can still accept or cancel
+const OPEN_QUOTE_STATUSES = ['open', 'proposed'];
+
+const DEFAULT_PROPOSAL_DAYS = 14;
+
+// Proposal columns with the status as the customer sees it
+const PROPOSAL_COLUMNS = `id, quote_request_id, revision, event_date, start_time, end_time,
+  line_items, subtotal, tax, total_amount, message, expires_at, created_by, responded_at, decline_reason, created_at,
+  CASE WHEN status = 'active' AND expires_at <= NOW() THEN 'expired' ELSE status END AS status`;
+
+// Lock a quote request belonging to the given customer or vendor
+const lockQuoteRequest = async (client, id, { customerId, vendorId }) => {
+  const result = customerId
+    ? await client.query('SELECT * FROM quote_requests WHERE id = $1 AND customer_id = $2 FOR UPDATE', [id, customerId])
+    : await client.query('SELECT * FROM quote_requests WHERE id = $1 AND vendor_id = $2 FOR UPDATE', [id, vendorId]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Quote request not found');
+  }
+
+  return result.rows[0];
+};
+
+const assertOpen = (quoteRequest) => {
+  if (!OPEN_QUOTE_STATUSES.includes(quoteRequest.status)) {
+    throw new ConflictError(`Quote request is ${quoteRequest.status}`, {
+      code: 'QUOTE_REQUEST_CLOSED',
+      details: { status: quoteRequest.status }
+    });
+  }
+};
+
+const listProposals = async (db, quoteRequestId) => {
+  const result = await db.query(
+    `SELECT ${PROPOSAL_COLUMNS}
+     FROM quote_proposals
+     WHERE quote_request_id = $1
+     ORDER BY revision`,
+    [quoteRequestId]
+  );
+
+  return result.rows;
+};
+
+// Close the request's active proposal as superseded, declined or withdrawn
+const closeActiveProposal = (client, quoteRequestId, status) => client.query(
+  `UPDATE quote_proposals SET status = $2, responded_at = NOW()
+   WHERE quote_request_id = $1 AND status = 'active'`,
+  [quoteRequestId, status]
+);
+
+// Lock one of a request's proposals and check it can still be accepted or declined
+const lockActiveProposal = async (client, quoteRequestId, proposalId) => {
+  const result = await client.query(
+    `SELECT *, expires_at <= NOW() AS is_expired
+     FROM quote_proposals
+     WHERE id = $1 AND quote_request_id = $2
+     FOR UPDATE`,
+    [proposalId, quoteRequestId]
+  );
+
+  const proposal = result.rows[0];
+  if (!proposal) {
+    throw new NotFoundError('Proposal not found');
+  }
+  if (proposal.status !== 'active') {
+    throw new ConflictError(`Proposal is ${proposal.status}`, {
+      code: 'PROPOSAL_NOT_ACTIVE',
+      details: { status: proposal.status }
+    });
+  }
+  if (proposal.is_expired) {
+    throw new ConflictError('Proposal has expired', {
+      code: 'PROPOSAL_EXPIRED',
+      details: { expiresAt: proposal.expires_at }
+    });
+  }
+
+  return proposal;
+};
+
+// Create the booking for an accepted proposal inside the caller's transaction. A slot
+// covering the time is held if the vendor publishes one; vendors often quote for times
+// they don't, and the bookings_no_overlap constraint still stops double-booking.
+const createProposalBooking = async (client, quoteRequest, proposal) => {
+  const { customer_id: customerId } = quoteRequest;
+  const times = {
+    date: proposal.event_date,
+    startTime: proposal.start_time,
+    endTime: proposal.end_time
+  };
+
+  await lockCustomer(client, customerId);
+
+  const overlap = await findCustomerOverlap(client, { customerId, ...times });
+  if (overlap) {
+    throw new ConflictError('You already have a booking for this time slot', { code: 'BOOKING_OVERLAP' });
+  }
+
+  const slot = await lockOpenSlot(client, { serviceId: quoteRequest.service_id, ...times });
+  if (slot) {
+    await holdSlot(client, slot.id);
+  }
+
+  const priceBreakdown = {
+    currency: 'GBP',
+    quoteRequestId: quoteRequest.id,
+    proposalId: proposal.id,
+    revision: proposal.revision,
+    lineItems: proposal.line_items,
+    subtotal: parseFloat(proposal.subtotal),
+    tax: parseFloat(proposal.tax),
+    total: parseFloat(proposal.total_amount)
+  };
+
+  const result = await client.query(
+    `INSERT INTO bookings
+     (customer_id, vendor_id, service_id, booking_date, start_time, end_time,
+      special_requests, total_amount, price_breakdown, status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending')
+     RETURNING *`,
+    [customerId, quoteRequest.vendor_id, quoteRequest.service_id, proposal.event_date,
+     proposal.start_time, proposal.end_time, quoteRequest.message, proposal.total_amount,
+     JSON.stringify(priceBreakdown)]
+  );
+
+  const booking = result.rows[0];
+  await recordStatusChange(client, {
+    bookingId: booking.id,
+    to: 'pending',
+    role: 'customer',
+    actorId: customerId,
+    reason: `Accepted proposal revision ${proposal.revision}`
+  });
+
+  return booking;
+};
+
+module.exports = {
+  QUOTE_REQUEST_STATUSES,
+  DEFAULT_PROPOSAL_DAYS,
+  lockQuoteRequest,
+  assertOpen,
+  listProposals,
+  closeActiveProposal,
+  lockActiveProposal,
+  createProposalBooking
+};
@@ -0,0 +1,40 @@
+require('dotenv').config();
+
+// Rating aggregates (services.rating / review_count, vendor_profiles.rating / review_count /
+// total_reviews) are kept up to date by triggers on reviews; see schema.sql.
+//
+// Rankings use a Bayesian average instead of the raw mean: every service or vendor is
+// treated as if it also had RATING_PRIOR_WEIGHT reviews at the platform-wide average, so
+// a single 5-star review can't outrank a long record of 4.8s.
+
+const RATING_PRIOR_WEIGHT = Number(process.env.RATING_PRIOR_WEIGHT) > 0 ? Number(process.env.RATING_PRIOR_WEIGHT) : 5;
+
+// Used as the platform average until there are any reviews
+const DEFAULT_MEAN = 3;
+
+const PLATFORM_MEAN = `(SELECT COALESCE(AVG(rating), ${DEFAULT_MEAN}) FROM reviews WHERE is_active = true)`;
+
+// SQL expression for the Bayesian score of a row with rating and review_count columns
+const bayesianScore = (alias) => `ROUND(
+  (COALESCE(${alias}.rating, 0) * COALESCE(${alias}.review_count, 0) + ${RATING_PRIOR_WEIGHT} * ${PLATFORM_MEAN})
+  / (COALESCE(${alias}.review_count, 0) + ${RATING_PRIOR_WEIGHT}), 4)`;
+
+// Recalculate every aggregate from the reviews table. Returns how many rows had drifted
+const rebuildRatings = async (db) => {
+  const services = await db.query(
+    `SELECT COUNT(*)::int AS total, (COUNT(*) FILTER (WHERE refresh_service_rating(id)))::int AS fixed
+     FROM services`
+  );
+  const vendors = await db.query(
+    `SELECT COUNT(*)::int AS total, (COUNT(*) FILTER (WHERE refresh_vendor_rating(user_id)))::int AS fixed
+     FROM vendor_profiles`
+  );
+
+  return { services: services.rows[0], vendors: vendors.rows[0] };
+};
+
+module.exports = {
+  RATING_PRIOR_WEIGHT,
+  bayesianScore,
+  rebuildRatings
+};
@@ -0,0 +1,370 @@
+const stripe = require('../config/stripe');
+const { CANCELLATION_POLICIES, DEFAULT_CANCELLATION_POLICY } = require('../config/cancellationPolicies');
+const { toPence, toPounds } = require('./pricing');
+const { adjustPayout } = require('./payouts');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+// Refunds. Each is a refunds row against one payment, recorded as pending in the
+// transaction that decides it and sent to Stripe once that has committed (issueRefund /
+// issueRefunds), so concurrent refunds can never add up to more than a payment. A
+// payment's status follows its refunds: partially_refunded, then refunded once they
+// cover all of it. Any left pending without reaching Stripe are sent by the
+// refunds:process job (issueStuckRefunds). Refunding a booking that has been paid out
+// takes the vendor's share back from its payout (services/payouts.js).
+//
+// Cancelling a booking refunds it by its service's cancellation policy
+// (config/cancellationPolicies.js). The deposit is kept, as the payment terms promise,
+// unless the vendor cancelled or rejected the booking, in which case everything paid
+// is refunded.
+
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+// Stripe only accepts these as a refund's reason; any other reason is kept on our row
+const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+const STRIPE_REFUND_STATUSES = { succeeded: 'succeeded', failed: 'failed', canceled: 'cancelled' };
+// Errors by which Stripe has definitely refused a refund. After any other (a timeout, a
+// dropped connection) it may have made it, so the refund stays pending for
+// issueStuckRefunds to check
+const STRIPE_REFUSALS = ['StripeInvalidRequestError', 'StripeCardError'];
+// A pending refund not sent to Stripe by then is taken to have been dropped (the process
+// stopped between commit and the Stripe call, or Stripe's reply was lost); younger ones
+// may still be on their way
+const STUCK_REFUND_MINUTES = 10;
+
+const isRefusal = (error) => STRIPE_REFUSALS.includes(error.type);
+
+// What has been refunded (or is being refunded) from payment p
+const REFUNDED_SQL = `(SELECT COALESCE(SUM(r.amount), 0) FROM refunds r
+  WHERE r.payment_id = p.id AND r.status IN ('pending', 'succeeded'))`;
+
+// A service's refund tiers, longest notice first
+const policyTiers = ({ cancellation_policy: policy, cancellation_tiers: tiers }) => {
+  const list = policy === 'custom'
+    ? tiers || []
+    : CANCELLATION_POLICIES[policy] || CANCELLATION_POLICIES[DEFAULT_CANCELLATION_POLICY];
+  return [...list].sort((a, b) => b.days - a.days);
+};
+
+const refundPercent = (tiers, daysBefore) => {
+  const tier = tiers.find(({ days }) => daysBefore >= days);
+  return tier ? tier.percent : 0;
+};
+
+// Point a payment's status at its refunds
+const syncPaymentStatus = async (db, paymentId) => {
+  const result = await db.query(
+    `UPDATE payments p
+     SET status = CASE WHEN r.refunded >= p.amount THEN 'refunded'
+                       WHEN r.refunded > 0 THEN 'partially_refunded'
+                       ELSE 'completed' END,
+         updated_at = CURRENT_TIMESTAMP
+     FROM (SELECT COALESCE(SUM(amount), 0) AS refunded FROM refunds
+           WHERE payment_id = $1 AND status IN ('pending', 'succeeded')) r
+     WHERE p.id = $1 AND p.status IN ('completed', 'partially_refunded', 'refunded')
+     RETURNING p.*`,
+    [paymentId]
+  );
+  return result.rows[0];
+};
+
+const recordRefund = async (client, payment, amountPence, { reason = null, requestedBy = null } = {}) => {
+  const result = await client.query(
+    `INSERT INTO refunds (payment_id, booking_id, amount, currency, reason, requested_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [payment.id, payment.booking_id, toPounds(amountPence), payment.currency || 'GBP', reason, requestedBy]
+  );
+  const updated = await syncPaymentStatus(client, payment.id);
+
+  return {
+    refund: { ...result.rows[0], stripe_payment_intent_id: payment.stripe_payment_intent_id },
+    payment: updated || payment
+  };
+};
+
+// Refund `amount` (pounds; the rest of the payment if not given) from a payment
+const recordPaymentRefund = async (client, paymentId, { amount, reason, requestedBy } = {}) => {
+  const result = await client.query(
+    `SELECT p.*, ${REFUNDED_SQL} AS amount_refunded
+     FROM payments p
+     WHERE p.id = $1
+     FOR UPDATE`,
+    [paymentId]
+  );
+  const payment = result.rows[0];
+
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    throw new ConflictError('Can only refund completed payments', { code: 'INVALID_PAYMENT_STATE' });
+  }
+
+  const refundable = toPence(payment.amount) - toPence(payment.amount_refunded);
+  const requested = amount === undefined || amount === null ? refundable : toPence(amount);
+
+  if (requested > refundable) {
+    throw new ConflictError(`At most £${toPounds(refundable).toFixed(2)} can be refunded from this payment`, {
+      code: 'REFUND_EXCEEDS_PAYMENT',
+      details: { refundable: toPounds(refundable) }
+    });
+  }
+
+  return recordRefund(client, payment, requested, { reason, requestedBy });
+};
+
+// What cancelling a booking now would refund, and from which payments. `to` is the
+// status the booking is moving to and `role` who is moving it.
+const planCancellation = async (db, bookingId, { role, to = 'cancelled', lock = false }) => {
+  const bookingResult = await db.query(
+    `SELECT b.id, b.booking_date - CURRENT_DATE AS days_before_event,
+            s.cancellation_policy, s.cancellation_tiers
+     FROM bookings b
+     JOIN services s ON b.service_id = s.id
+     WHERE b.id = $1`,
+    [bookingId]
+  );
+  const booking = bookingResult.rows[0];
+  if (!booking) {
+    return null;
+  }
+
+  const paymentsResult = await db.query(
+    `SELECT p.*, ${REFUNDED_SQL} AS amount_refunded
+     FROM payments p
+     WHERE p.booking_id = $1 AND p.status = ANY($2)
+     ORDER BY p.sequence
+     ${lock ? 'FOR UPDATE' : ''}`,
+    [bookingId, REFUNDABLE_PAYMENT_STATUSES]
+  );
+  const payments = paymentsResult.rows;
+
+  const vendorEnded = role === 'vendor' || to === 'rejected';
+  const tiers = policyTiers(booking);
+  const daysBefore = parseInt(booking.days_before_event);
+  const percent = vendorEnded ? 100 : refundPercent(tiers, daysBefore);
+
+  const sum = (rows, field) => rows.reduce((total, payment) => total + toPence(payment[field]), 0);
+  const covered = vendorEnded ? payments : payments.filter(payment => payment.kind !== 'deposit');
+  const entitled = Math.round(sum(covered, 'amount') * percent / 100);
+  const refund = Math.max(entitled - sum(covered, 'amount_refunded'), 0);
+
+  // The latest payments are refunded first
+  const allocations = [];
+  let left = refund;
+  for (const payment of [...covered].reverse()) {
+    const amount = Math.min(left, toPence(payment.amount) - toPence(payment.amount_refunded));
+    if (amount > 0) {
+      allocations.push({ payment, amount });
+      left -= amount;
+    }
+  }
+
+  return {
+    quote: {
+      booking_id: booking.id,
+      policy: booking.cancellation_policy || DEFAULT_CANCELLATION_POLICY,
+      tiers,
+      days_before_event: daysBefore,
+      refund_percent: percent,
+      amount_paid: toPounds(sum(payments, 'amount')),
+      non_refundable: toPounds(sum(payments, 'amount') - sum(covered, 'amount')),
+      amount_refunded: toPounds(sum(payments, 'amount_refunded')),
+      refund_amount: toPounds(refund)
+    },
+    allocations
+  };
+};
+
+const quoteCancellation = async (db, bookingId, options) => {
+  const plan = await planCancellation(db, bookingId, options);
+  return plan && plan.quote;
+};
+
+// Record the refunds for a booking that has just been cancelled or rejected (in the
+// caller's transaction). Returns the quote and the refunds to issue after commit.
+const recordCancellationRefunds = async (client, bookingId, { role, to = 'cancelled', actorId = null, reason = null }) => {
+  const plan = await planCancellation(client, bookingId, { role, to, lock: true });
+  if (!plan) {
+    return { quote: null, refunds: [] };
+  }
+
+  const refunds = [];
+  for (const { payment, amount } of plan.allocations) {
+    const { refund } = await recordRefund(client, payment, amount, {
+      reason: reason || `Booking ${to}`,
+      requestedBy: actorId
+    });
+    refunds.push(refund);
+  }
+
+  return { quote: plan.quote, refunds };
+};
+
+// Apply a Stripe refund's status to our row, its payment and its booking's payout. A row
+// that never got the Stripe refund's id (its reply was lost) is found by the refund_id
+// in its metadata
+const applyStripeRefund = async (db, stripeRefund) => {
+  const result = await db.query(
+    `UPDATE refunds
+     SET status = $2, stripe_refund_id = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE stripe_refund_id = $1 OR (stripe_refund_id IS NULL AND id::text = $3)
+     RETURNING *`,
+    [stripeRefund.id, STRIPE_REFUND_STATUSES[stripeRefund.status] || 'pending',
+     (stripeRefund.metadata && stripeRefund.metadata.refund_id) || null]
+  );
+  const refund = result.rows[0];
+
+  if (refund) {
+    await syncPaymentStatus(db, refund.payment_id);
+    await adjustPayout(db, refund.booking_id);
+  }
+  return refund;
+};
+
+// A charge's refunds, as Stripe has them. Webhook payloads only include them on older
+// API versions
+const listChargeRefunds = async (charge) => {
+  if (charge.refunds && charge.refunds.data) {
+    return charge.refunds.data;
+  }
+  const result = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+  return result.data;
+};
+
+// Add the refunds made outside the API (in the Stripe dashboard) on a payment's charge
+// to the ledger, and point the payment's status at them. Ours carry their refund_id in
+// metadata and are in the ledger already. Returns the payment, or null if it isn't ours
+const recordStripeRefunds = async (client, paymentIntentId, stripeRefunds) => {
+  const result = await client.query(
+    'SELECT * FROM payments WHERE stripe_payment_intent_id = $1 FOR UPDATE',
+    [paymentIntentId]
+  );
+  const payment = result.rows[0];
+  if (!payment) {
+    return null;
+  }
+
+  for (const stripeRefund of stripeRefunds) {
+    if (stripeRefund.metadata && stripeRefund.metadata.refund_id) {
+      continue;
+    }
+    await client.query(
+      `INSERT INTO refunds (payment_id, booking_id, amount, currency, status, reason, stripe_refund_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (stripe_refund_id) DO NOTHING`,
+      [payment.id, payment.booking_id, toPounds(stripeRefund.amount), payment.currency || 'GBP',
+       STRIPE_REFUND_STATUSES[stripeRefund.status] || 'pending', 'Refunded in Stripe', stripeRefund.id]
+    );
+  }
+
+  return (await syncPaymentStatus(client, payment.id)) || payment;
+};
+
+// Link a refund to the Stripe refund made for it and take on its status
+const saveStripeRefund = async (db, refund, stripeRefund) => {
+  await db.query(
+    'UPDATE refunds SET stripe_refund_id = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [refund.id, stripeRefund.id]
+  );
+  return (await applyStripeRefund(db, stripeRefund)) || { ...refund, stripe_refund_id: stripeRefund.id };
+};
+
+// Send a recorded refund to Stripe. If Stripe refuses it the refund is marked failed
+// (giving the amount back to the payment); either way a Stripe error is rethrown.
+const issueRefund = async (db, refund) => {
+  let stripeRefund;
+  try {
+    stripeRefund = await stripe.refunds.create({
+      payment_intent: refund.stripe_payment_intent_id,
+      amount: toPence(refund.amount),
+      reason: STRIPE_REFUND_REASONS.includes(refund.reason) ? refund.reason : 'requested_by_customer',
+      metadata: {
+        refund_id: refund.id,
+        payment_id: refund.payment_id,
+        booking_id: refund.booking_id
+      }
+    }, { idempotencyKey: `refund-${refund.id}` });
+  } catch (error) {
+    if (isRefusal(error)) {
+      await db.query(
+        `UPDATE refunds SET status = 'failed', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [refund.id]
+      );
+      await syncPaymentStatus(db, refund.payment_id);
+    }
+    throw error;
+  }
+
+  return saveStripeRefund(db, refund, stripeRefund);
+};
+
+// Issue several refunds; one failing doesn't stop the rest (it is left marked failed,
+// or pending if Stripe may have made it)
+const issueRefunds = async (db, refunds) => {
+  const issued = [];
+
+  for (const refund of refunds) {
+    try {
+      issued.push(await issueRefund(db, refund));
+    } catch (error) {
+      console.error(`Refund ${refund.id} failed:`, error);
+      issued.push({ ...refund, status: isRefusal(error) ? 'failed' : 'pending' });
+    }
+  }
+
+  return issued;
+};
+
+// Send the refunds that were recorded but never reached Stripe. Stripe only keeps an
+// idempotency key (refund-<id>) for a day, so each is first looked for among its
+// payment's Stripe refunds by metadata, in case Stripe made it and we lost the reply.
+// A refund that can't be checked is left pending for the next run.
+const issueStuckRefunds = async (db) => {
+  const result = await db.query(
+    `SELECT r.*, p.stripe_payment_intent_id
+     FROM refunds r
+     JOIN payments p ON r.payment_id = p.id
+     WHERE r.status = 'pending' AND r.stripe_refund_id IS NULL
+     AND r.created_at < CURRENT_TIMESTAMP - make_interval(mins => $1)
+     ORDER BY r.created_at`,
+    [STUCK_REFUND_MINUTES]
+  );
+
+  const retried = [];
+  for (const refund of result.rows) {
+    let stripeRefund;
+    try {
+      const made = await stripe.refunds.list({ payment_intent: refund.stripe_payment_intent_id, limit: 100 });
+      stripeRefund = made.data.find(candidate => candidate.metadata && candidate.metadata.refund_id === refund.id);
+    } catch (error) {
+      console.error(`Looking up refund ${refund.id} on Stripe failed:`, error);
+      retried.push(refund);
+      continue;
+    }
+
+    try {
+      retried.push(stripeRefund ? await saveStripeRefund(db, refund, stripeRefund) : await issueRefund(db, refund));
+    } catch (error) {
+      console.error(`Retrying refund ${refund.id} failed:`, error);
+      retried.push({ ...refund, status: isRefusal(error) ? 'failed' : 'pending' });
+    }
+  }
+
+  return retried;
+};
+
+module.exports = {
+  REFUNDABLE_PAYMENT_STATUSES,
+  policyTiers,
+  refundPercent,
+  syncPaymentStatus,
+  recordPaymentRefund,
+  quoteCancellation,
+  recordCancellationRefunds,
+  applyStripeRefund,
+  listChargeRefunds,
+  recordStripeRefunds,
+  issueRefund,
+  issueRefunds,
+  issueStuckRefunds
+};
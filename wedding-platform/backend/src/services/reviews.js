@@ -0,0 +1,45 @@
+const { NotFoundError } = require('../utils/errors');
+
+// What everyone can see of a review: no booking or moderation details
+const PUBLIC_REVIEW_SELECT = `r.id, r.vendor_id, r.service_id, r.rating, r.title, r.comment, r.is_verified,
+       r.vendor_reply, r.vendor_replied_at, r.created_at, r.updated_at,
+       u.first_name, u.last_name, s.name as service_name`;
+
+const PUBLIC_REVIEW_FROM = `
+        FROM reviews r
+        JOIN users u ON r.customer_id = u.id
+        LEFT JOIN services s ON r.service_id = s.id`;
+
+// Filters and sort fields for public review lists
+const REVIEW_LIST = {
+  filters: {
+    rating: { column: 'r.rating', type: 'integer' },
+    minRating: { column: 'r.rating', type: 'integer', op: '>=' },
+    serviceId: { column: 'r.service_id', type: 'uuid' },
+    verified: { column: 'r.is_verified', type: 'boolean' }
+  },
+  sortFields: {
+    created_at: 'r.created_at',
+    rating: 'r.rating'
+  },
+  defaultSort: 'created_at',
+  idColumn: 'r.id',
+  defaultLimit: 20
+};
+
+const findReview = async (db, id) => {
+  const result = await db.query('SELECT * FROM reviews WHERE id = $1', [id]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Review not found');
+  }
+
+  return result.rows[0];
+};
+
+module.exports = {
+  PUBLIC_REVIEW_SELECT,
+  PUBLIC_REVIEW_FROM,
+  REVIEW_LIST,
+  findReview
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// Media storage driver for Amazon S3 and S3-compatible services (MinIO, Cloudflare R2,
+// DigitalOcean Spaces...). Requests are signed with AWS Signature Version 4.
+//
+//   S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY   required
+//   S3_REGION             defaults to us-east-1
+//   S3_ENDPOINT           e.g. http://localhost:9000 for MinIO; defaults to AWS
+//   S3_FORCE_PATH_STYLE   'true' for endpoint/bucket/key URLs instead of bucket.endpoint/key
+//   S3_PUBLIC_URL         base URL public files are served from (e.g. a CDN); defaults to the bucket URL
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding of each path segment, as SigV4 expects
+const encodeKey = (key) => key.split('/')
+  .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+const createS3Driver = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  publicUrl = process.env.S3_PUBLIC_URL,
+  now = () => new Date()
+} = {}) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 media storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+  const objectPath = (key) => `${forcePathStyle ? `/${bucket}` : ''}/${encodeKey(key)}`;
+  const objectUrl = (key) => `${base.protocol}//${host}${objectPath(key)}`;
+
+  const send = async (method, key, { body, contentType } = {}) => {
+    const amzDate = now().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const payloadHash = sha256(body || '');
+
+    const headers = {
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...(contentType && { 'content-type': contentType })
+    };
+    const signedHeaders = Object.keys(headers).sort();
+
+    const canonicalRequest = [
+      method,
+      objectPath(key),
+      '',
+      signedHeaders.map(name => `${name}:${headers[name]}\n`).join(''),
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    // fetch sets Host itself
+    const requestHeaders = { ...headers };
+    delete requestHeaders.host;
+    requestHeaders.authorization =
+      `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`;
+
+    return fetch(objectUrl(key), { method, headers: requestHeaders, body });
+  };
+
+  const failed = (action, key, response) => {
+    const error = new Error(`S3 ${action} of ${key} failed with status ${response.status}`);
+    // Same code as a missing local file, so callers can treat both alike
+    if (response.status === 404) {
+      error.code = 'ENOENT';
+    }
+    return error;
+  };
+
+  return {
+    save: async (key, buffer, { contentType } = {}) => {
+      const response = await send('PUT', key, { body: buffer, contentType });
+      if (!response.ok) {
+        throw failed('upload', key, response);
+      }
+    },
+    read: async (key) => {
+      const response = await send('GET', key);
+      if (!response.ok) {
+        throw failed('download', key, response);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    },
+    remove: async (key) => {
+      const response = await send('DELETE', key);
+      if (!response.ok && response.status !== 404) {
+        throw failed('delete', key, response);
+      }
+    },
+    url: (key) => (publicUrl ? `${publicUrl.replace(/\/$/, '')}/${encodeKey(key)}` : objectUrl(key))
+  };
+};
+
+module.exports = { createS3Driver };
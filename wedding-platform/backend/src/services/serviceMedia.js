@@ -0,0 +1,153 @@
+const Jimp = require('jimp-compact');
+const { generateKey, saveFile, removeFile, publicUrl } = require('./mediaStorage');
+const { ValidationError } = require('../utils/errors');
+
+// Photos and videos on a service listing. Photos are decoded, stored re-encoded (which
+// also drops EXIF data such as the GPS position) and resized into VARIANTS; videos are
+// stored as uploaded once their container is recognised. Stored files are named for
+// their checked type, which is what they are served as.
+
+const PHOTO_TYPES = ['image/jpeg', 'image/png'];
+const VIDEO_TYPES = ['video/mp4', 'video/quicktime'];
+const MEDIA_TYPES = [...PHOTO_TYPES, ...VIDEO_TYPES];
+
+const MEDIA_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov'
+};
+
+const MAX_PHOTO_BYTES = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+const MAX_VIDEO_BYTES = parseInt(process.env.MAX_VIDEO_SIZE) || 100 * 1024 * 1024;
+// All the files in one upload request together, as they are held in memory
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_SIZE) || MAX_VIDEO_BYTES;
+const MAX_UPLOADS = 10;
+
+// The first box (atom) type of ISO media files: MP4 starts with ftyp; QuickTime usually
+// does too, but older files can start straight into their other atoms
+const VIDEO_BOXES = {
+  'video/mp4': ['ftyp'],
+  'video/quicktime': ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip', 'pnot']
+};
+
+// cover crops to exactly width x height; fit shrinks to within it (never enlarges)
+const VARIANTS = {
+  thumbnail: { width: 320, height: 320, mode: 'cover' },
+  medium: { width: 1280, height: 1280, mode: 'fit' },
+  large: { width: 2048, height: 2048, mode: 'fit' }
+};
+
+const JPEG_QUALITY = 85;
+
+// services/<serviceId>/2026/05/<uuid>.jpg -> services/<serviceId>/2026/05/<uuid>-thumbnail.jpg
+const variantKey = (key, name) => key.replace(/(\.[a-z0-9]+)?$/, `-${name}$1`);
+
+const resize = (image, { width, height, mode }) => {
+  const copy = image.clone();
+  if (mode === 'cover') {
+    return copy.cover(width, height);
+  }
+  if (copy.bitmap.width > width || copy.bitmap.height > height) {
+    copy.scaleToFit(width, height);
+  }
+  return copy;
+};
+
+const encode = (image, contentType) => image.quality(JPEG_QUALITY).getBufferAsync(contentType);
+
+const decodePhoto = async (buffer) => {
+  try {
+    return await Jimp.read(buffer);
+  } catch (error) {
+    throw new ValidationError('The image could not be read', { code: 'INVALID_IMAGE' });
+  }
+};
+
+const checkVideo = (buffer, contentType) => {
+  const box = buffer.length >= 8 ? buffer.toString('latin1', 4, 8) : '';
+  if (!(VIDEO_BOXES[contentType] || []).includes(box)) {
+    throw new ValidationError('The video could not be read', { code: 'INVALID_VIDEO' });
+  }
+};
+
+// Store an uploaded file (held in memory, within its type's size limit) for a service,
+// with its variants. Returns the columns for a service_media row.
+const storeServiceMedia = async (serviceId, file) => {
+  const isPhoto = PHOTO_TYPES.includes(file.mimetype);
+  const key = generateKey(`services/${serviceId}`, MEDIA_EXTENSIONS[file.mimetype]);
+  const stored = [];
+
+  try {
+    if (!isPhoto) {
+      checkVideo(file.buffer, file.mimetype);
+      await saveFile(key, file.buffer, file.mimetype);
+      stored.push(key);
+
+      return {
+        media_type: 'video',
+        storage_key: key,
+        url: publicUrl(key),
+        content_type: file.mimetype,
+        size_bytes: file.size,
+        width: null,
+        height: null,
+        variants: {}
+      };
+    }
+
+    const image = await decodePhoto(file.buffer);
+    const original = await encode(image.clone(), file.mimetype);
+    await saveFile(key, original, file.mimetype);
+    stored.push(key);
+
+    const variants = {};
+    for (const [name, size] of Object.entries(VARIANTS)) {
+      const resized = resize(image, size);
+      const variant = variantKey(key, name);
+      await saveFile(variant, await encode(resized, file.mimetype), file.mimetype);
+      stored.push(variant);
+
+      variants[name] = {
+        key: variant,
+        url: publicUrl(variant),
+        width: resized.bitmap.width,
+        height: resized.bitmap.height
+      };
+    }
+
+    return {
+      media_type: 'photo',
+      storage_key: key,
+      url: publicUrl(key),
+      content_type: file.mimetype,
+      size_bytes: original.length,
+      width: image.bitmap.width,
+      height: image.bitmap.height,
+      variants
+    };
+  } catch (error) {
+    await Promise.all(stored.map(storedKey => removeFile(storedKey).catch(() => {})));
+    throw error;
+  }
+};
+
+// Remove a stored file and its variants (for uploads that never made it into the database)
+const removeServiceMedia = async (media) => {
+  const keys = [media.storage_key, ...Object.values(media.variants || {}).map(variant => variant.key)];
+  await Promise.all(keys.map(key => removeFile(key).catch(() => {})));
+};
+
+module.exports = {
+  PHOTO_TYPES,
+  VIDEO_TYPES,
+  MEDIA_TYPES,
+  MEDIA_EXTENSIONS,
+  MAX_PHOTO_BYTES,
+  MAX_VIDEO_BYTES,
+  MAX_UPLOAD_BYTES,
+  MAX_UPLOADS,
+  VARIANTS,
+  storeServiceMedia,
+  removeServiceMedia
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Short-lived access token sent as the Bearer token on every request
+const signAccessToken = (user) => jwt.sign(
+  { userId: user.id, email: user.email, userType: user.user_type },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+);
+
+// Store a new refresh token. Rotated tokens share a family so reuse can be traced back
+const issueRefreshToken = async (userId, { familyId, userAgent, ipAddress } = {}) => {
+  const token = generateToken(48);
+
+  const result = await pool.query(
+    `INSERT INTO refresh_tokens (user_id, family_id, token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + ($6 * INTERVAL '1 day'))
+     RETURNING id`,
+    [userId, familyId || crypto.randomUUID(), hashToken(token), userAgent, ipAddress, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return { id: result.rows[0].id, token };
+};
+
+const getClientMeta = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 255) || null,
+  ipAddress: req.ip || null
+});
+
+// Access + refresh token pair for a freshly authenticated user
+const createSession = async (user, req) => {
+  const refreshToken = await issueRefreshToken(user.id, getClientMeta(req));
+
+  return {
+    token: signAccessToken(user),
+    refreshToken: refreshToken.token
+  };
+};
+
+// Exchange a refresh token for a new pair. Returns null if the token can't be used
+const rotateRefreshToken = async (token, req) => {
+  const tokenHash = hashToken(token);
+
+  // Revoke-and-return in one statement so two concurrent refreshes can't both succeed
+  const claimed = await pool.query(
+    `UPDATE refresh_tokens rt
+     SET revoked_at = NOW()
+     FROM users u
+     WHERE rt.user_id = u.id
+     AND rt.token_hash = $1
+     AND rt.revoked_at IS NULL
+     AND rt.expires_at > NOW()
+     AND u.is_active = true
+     RETURNING rt.id, rt.family_id, u.id as user_id, u.email, u.user_type`,
+    [tokenHash]
+  );
+
+  if (claimed.rows.length === 0) {
+    // A revoked token coming back means it was copied - end every session in its family
+    await pool.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = NOW()
+       WHERE revoked_at IS NULL
+       AND family_id = (SELECT family_id FROM refresh_tokens WHERE token_hash = $1)`,
+      [tokenHash]
+    );
+    return null;
+  }
+
+  const previous = claimed.rows[0];
+  const user = { id: previous.user_id, email: previous.email, user_type: previous.user_type };
+
+  const next = await issueRefreshToken(user.id, { familyId: previous.family_id, ...getClientMeta(req) });
+
+  await pool.query(
+    'UPDATE refresh_tokens SET replaced_by = $1 WHERE id = $2',
+    [next.id, previous.id]
+  );
+
+  return {
+    user,
+    token: signAccessToken(user),
+    refreshToken: next.token
+  };
+};
+
+// Revoke a single refresh token (one device)
+const revokeRefreshToken = async (token) => {
+  const result = await pool.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = $1 AND revoked_at IS NULL RETURNING id',
+    [hashToken(token)]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Revoke every refresh token and reject access tokens issued before now (all devices)
+const revokeAllUserSessions = async (userId) => {
+  await pool.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+
+  await pool.query(
+    'UPDATE users SET tokens_revoked_at = NOW() WHERE id = $1',
+    [userId]
+  );
+};
+
+module.exports = {
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserSessions
+};
@@ -0,0 +1,109 @@
+const stripe = require('../config/stripe');
+const { NotFoundError } = require('../utils/errors');
+
+// Our users map to Stripe customers through users.stripe_customer_id. The customer is
+// created the first time a user pays or saves a card.
+
+const findStripeCustomer = async (db, userId) => {
+  const result = await db.query('SELECT stripe_customer_id FROM users WHERE id = $1', [userId]);
+  return result.rows[0] ? result.rows[0].stripe_customer_id : null;
+};
+
+const ensureStripeCustomer = async (db, userId) => {
+  const result = await db.query(
+    'SELECT id, email, first_name, last_name, stripe_customer_id FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  if (user.stripe_customer_id) {
+    return user.stripe_customer_id;
+  }
+
+  // The idempotency key gives concurrent first requests the same customer
+  const customer = await stripe.customers.create({
+    email: user.email,
+    name: `${user.first_name} ${user.last_name}`,
+    metadata: { user_id: user.id }
+  }, { idempotencyKey: `customer-${user.id}` });
+
+  const saved = await db.query(
+    `UPDATE users SET stripe_customer_id = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND stripe_customer_id IS NULL
+     RETURNING stripe_customer_id`,
+    [user.id, customer.id]
+  );
+
+  return saved.rows.length > 0 ? customer.id : findStripeCustomer(db, user.id);
+};
+
+// What the app shows for a saved card
+const summarisePaymentMethod = (paymentMethod, defaultId) => ({
+  id: paymentMethod.id,
+  type: paymentMethod.type,
+  brand: paymentMethod.card ? paymentMethod.card.brand : null,
+  last4: paymentMethod.card ? paymentMethod.card.last4 : null,
+  exp_month: paymentMethod.card ? paymentMethod.card.exp_month : null,
+  exp_year: paymentMethod.card ? paymentMethod.card.exp_year : null,
+  is_default: paymentMethod.id === defaultId,
+  created: paymentMethod.created
+});
+
+const defaultPaymentMethodId = (customer) => {
+  const method = customer.invoice_settings && customer.invoice_settings.default_payment_method;
+  return method && typeof method === 'object' ? method.id : method || null;
+};
+
+// A customer's saved cards, the default first
+const listPaymentMethods = async (customerId) => {
+  const [methods, customer] = await Promise.all([
+    stripe.customers.listPaymentMethods(customerId, { type: 'card', limit: 100 }),
+    stripe.customers.retrieve(customerId)
+  ]);
+  const defaultId = defaultPaymentMethodId(customer);
+
+  return methods.data
+    .map(method => summarisePaymentMethod(method, defaultId))
+    .sort((a, b) => Number(b.is_default) - Number(a.is_default));
+};
+
+// A saved card of this customer's. Stripe answers 404 for cards attached to anyone else
+const findPaymentMethod = async (customerId, paymentMethodId) => {
+  try {
+    return await stripe.customers.retrievePaymentMethod(customerId, paymentMethodId);
+  } catch (error) {
+    if (error.type === 'StripeInvalidRequestError' && (error.code === 'resource_missing' || error.statusCode === 404)) {
+      throw new NotFoundError('Payment method not found');
+    }
+    throw error;
+  }
+};
+
+const setDefaultPaymentMethod = (customerId, paymentMethodId) => stripe.customers.update(customerId, {
+  invoice_settings: { default_payment_method: paymentMethodId }
+});
+
+// The first card a customer saves becomes their default
+const adoptFirstPaymentMethod = async (customerId, paymentMethodId) => {
+  const customer = await stripe.customers.retrieve(customerId);
+
+  if (customer.deleted || defaultPaymentMethodId(customer)) {
+    return false;
+  }
+
+  await setDefaultPaymentMethod(customerId, paymentMethodId);
+  return true;
+};
+
+module.exports = {
+  findStripeCustomer,
+  ensureStripeCustomer,
+  summarisePaymentMethod,
+  listPaymentMethods,
+  findPaymentMethod,
+  setDefaultPaymentMethod,
+  adoptFirstPaymentMethod
+};
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const { generateSecret, verifyCode, provisioningUri } = require('../utils/totp');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Wedding Platform';
+const RECOVERY_CODE_COUNT = 10;
+
+const userTypeList = (value) => value.split(',').map(type => type.trim()).filter(Boolean);
+
+// Policy: mandatory for TWO_FACTOR_REQUIRED_FOR, optional for TWO_FACTOR_ALLOWED_FOR
+const isTwoFactorRequired = (userType) =>
+  userTypeList(process.env.TWO_FACTOR_REQUIRED_FOR ?? 'admin,support').includes(userType);
+
+const isTwoFactorAllowed = (userType) =>
+  isTwoFactorRequired(userType) ||
+  userTypeList(process.env.TWO_FACTOR_ALLOWED_FOR ?? 'vendor').includes(userType);
+
+// TOTP secrets are encrypted at rest (AES-256-GCM) since they can't be hashed
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = value.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Challenge tokens carry no userId, so authenticateToken never accepts them as access tokens
+const createChallengeToken = (user, purpose) => jwt.sign(
+  { sub: user.id, purpose: `2fa_${purpose}` },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.TWO_FACTOR_CHALLENGE_TTL || '10m' }
+);
+
+// Returns the user id for a valid challenge token of the given purpose, or null
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === `2fa_${purpose}` ? decoded.sub : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// What /auth/login returns instead of tokens when a second step is needed, or null
+const getLoginChallenge = (user) => {
+  if (user.two_factor_enabled) {
+    return {
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(user, 'verify')
+    };
+  }
+
+  if (isTwoFactorRequired(user.user_type)) {
+    return {
+      message: 'Two-factor authentication setup required',
+      twoFactorSetupRequired: true,
+      challengeToken: createChallengeToken(user, 'setup')
+    };
+  }
+
+  return null;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+// Replace all recovery codes for the user and return the new ones (shown once)
+const replaceRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+
+  await pool.query(
+    `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::text[])`,
+    [userId, codes.map(code => hashToken(normalizeRecoveryCode(code)))]
+  );
+
+  return codes;
+};
+
+// Start (or restart) enrollment with a fresh secret that isn't active until confirmed
+const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+
+  await pool.query(
+    'UPDATE users SET two_factor_pending_secret = $1, updated_at = NOW() WHERE id = $2',
+    [encryptSecret(secret), user.id]
+  );
+
+  return {
+    secret,
+    otpauthUrl: provisioningUri(secret, user.email, ISSUER)
+  };
+};
+
+// Activate the pending secret if the code matches. Returns recovery codes, or null
+const confirmEnrollment = async (userId, code) => {
+  const result = await pool.query(
+    'SELECT two_factor_pending_secret FROM users WHERE id = $1',
+    [userId]
+  );
+
+  const pendingSecret = result.rows[0] && result.rows[0].two_factor_pending_secret;
+  if (!pendingSecret) {
+    return null;
+  }
+
+  const step = verifyCode(decryptSecret(pendingSecret), code);
+  if (step === null) {
+    return null;
+  }
+
+  await pool.query(
+    `UPDATE users
+     SET two_factor_enabled = true,
+         two_factor_secret = two_factor_pending_secret,
+         two_factor_pending_secret = NULL,
+         two_factor_last_step = $1,
+         two_factor_enabled_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $2`,
+    [step, userId]
+  );
+
+  return replaceRecoveryCodes(userId);
+};
+
+// Check an authenticator code or an unused recovery code.
+// Returns 'totp' or 'recovery' for the method used, or null if neither is valid.
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  if (code) {
+    const result = await pool.query(
+      'SELECT two_factor_secret FROM users WHERE id = $1 AND two_factor_enabled = true',
+      [userId]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].two_factor_secret) {
+      return null;
+    }
+
+    const step = verifyCode(decryptSecret(result.rows[0].two_factor_secret), code);
+    if (step === null) {
+      return null;
+    }
+
+    // Only move forward in time so the same code can't be used twice
+    const claimed = await pool.query(
+      `UPDATE users SET two_factor_last_step = $1
+       WHERE id = $2 AND (two_factor_last_step IS NULL OR two_factor_last_step < $1)
+       RETURNING id`,
+      [step, userId]
+    );
+
+    return claimed.rows.length > 0 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const claimed = await pool.query(
+      `UPDATE two_factor_recovery_codes
+       SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, hashToken(normalizeRecoveryCode(recoveryCode))]
+    );
+
+    return claimed.rows.length > 0 ? 'recovery' : null;
+  }
+
+  return null;
+};
+
+const countRecoveryCodes = async (userId) => {
+  const result = await pool.query(
+    'SELECT COUNT(*) FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  return parseInt(result.rows[0].count);
+};
+
+const disableTwoFactor = async (userId) => {
+  await pool.query(
+    `UPDATE users
+     SET two_factor_enabled = false,
+         two_factor_secret = NULL,
+         two_factor_pending_secret = NULL,
+         two_factor_last_step = NULL,
+         two_factor_enabled_at = NULL,
+         updated_at = NOW()
+     WHERE id = $1`,
+    [userId]
+  );
+
+  await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  isTwoFactorAllowed,
+  createChallengeToken,
+  verifyChallengeToken,
+  getLoginChallenge,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  countRecoveryCodes,
+  disableTwoFactor
+};
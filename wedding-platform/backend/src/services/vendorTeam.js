@@ -0,0 +1,18 @@
+// New vendor account: its profile plus the owner membership of its own organisation.
+// Run it in the transaction that creates the user, so a vendor never exists without one
+const createVendorOrganisation = async (client, userId, businessName) => {
+  await client.query(
+    'INSERT INTO vendor_profiles (user_id, business_name) VALUES ($1, $2)',
+    [userId, businessName]
+  );
+
+  await client.query(
+    `INSERT INTO vendor_members (vendor_id, user_id, role)
+     VALUES ($1, $1, 'owner')`,
+    [userId]
+  );
+};
+
+module.exports = {
+  createVendorOrganisation
+};
@@ -0,0 +1,83 @@
+// Typed API errors. Routes throw (or pass to next) one of these and the central
+// error handler in middleware/errorHandler.js turns it into the error envelope:
+//
+//   { success: false, message: 'Service not found', error: { code: 'NOT_FOUND' } }
+//
+// `code` is stable and machine-readable; `message` is for humans and may change.
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, headers } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed', { code = 'VALIDATION_ERROR', details } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+// A well-formed request that can't be carried out (expired token, wrong state, ...)
+class BadRequestError extends AppError {
+  constructor(message = 'Bad request', { code = 'BAD_REQUEST', details } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+class AuthenticationError extends AppError {
+  constructor(message = 'Authentication required', { code = 'UNAUTHENTICATED', details } = {}) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Insufficient permissions', { code = 'FORBIDDEN', details } = {}) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', { code = 'NOT_FOUND', details } = {}) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Conflict', { code = 'CONFLICT', details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+class RateLimitError extends AppError {
+  constructor(message = 'Too many requests', { code = 'RATE_LIMITED', details, retryAfter } = {}) {
+    super(message, {
+      status: 429,
+      code,
+      details: retryAfter !== undefined ? { retryAfter, ...details } : details,
+      headers: retryAfter !== undefined ? { 'Retry-After': String(retryAfter) } : undefined
+    });
+  }
+}
+
+class PaymentError extends AppError {
+  constructor(message = 'Payment failed', { status = 402, code = 'PAYMENT_FAILED', details } = {}) {
+    super(message, { status, code, details });
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  BadRequestError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  PaymentError
+};
@@ -0,0 +1,296 @@
+// Minimal iCalendar (RFC 5545) reading and writing for vendor calendar sync.
+//
+// Times on the platform are wall-clock times in CALENDAR_TIMEZONE (availability and
+// bookings store a date and a time without a zone), so parsed events come back as
+// 'YYYY-MM-DD HH:MM:SS' strings in that zone, ready for a TIMESTAMP column.
+// Recurring events (RRULE) are not expanded; only their first occurrence is read.
+
+const DEFAULT_TIMEZONE = 'Europe/London';
+const MAX_LINE_OCTETS = 75;
+
+const getCalendarTimeZone = () => process.env.CALENDAR_TIMEZONE || DEFAULT_TIMEZONE;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Wall-clock parts of a UTC instant in a time zone
+const zonedParts = (ms, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(ms));
+
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+};
+
+const partsToUtc = (parts) => Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+// The UTC instant of a wall-clock time in a time zone (DST gaps resolve forwards)
+const zonedToUtc = (parts, timeZone) => {
+  const guess = partsToUtc(parts);
+  const offset = partsToUtc(zonedParts(guess, timeZone)) - guess;
+  const utc = guess - offset;
+  const correction = partsToUtc(zonedParts(utc, timeZone)) - utc;
+  return correction === offset ? utc : guess - correction;
+};
+
+const formatLocal = (parts) =>
+  `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Parse a DATE or DATE-TIME value into wall-clock parts in the calendar time zone.
+// Floating times and unknown TZIDs (e.g. Outlook's Windows zone names) are taken as-is.
+const parseDateValue = (value, params, timeZone) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const parts = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour || 0),
+    minute: Number(minute || 0),
+    second: Number(second || 0)
+  };
+  const allDay = hour === undefined || params.VALUE === 'DATE';
+
+  if (allDay) {
+    return { parts, allDay: true };
+  }
+  if (utc) {
+    return { parts: zonedParts(partsToUtc(parts), timeZone), allDay: false };
+  }
+  if (params.TZID && params.TZID !== timeZone && isValidTimeZone(params.TZID)) {
+    return { parts: zonedParts(zonedToUtc(parts, params.TZID), timeZone), allDay: false };
+  }
+  return { parts, allDay: false };
+};
+
+// ISO 8601 duration (P1D, PT2H30M, P1W) -> milliseconds
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+  const ms = ((Number(weeks) * 7 + Number(days)) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+// Wall-clock arithmetic, done in UTC so no zone rules apply
+const addToParts = (parts, ms) => {
+  const date = new Date(partsToUtc(parts) + ms);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds()
+  };
+};
+
+const unescapeText = (value) => value
+  .replace(/\\[nN]/g, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/([,;])/g, '\\$1')
+  .replace(/\r?\n/g, '\\n');
+
+// 'NAME;PARAM=a;PARAM2="b:c":value' -> { name, params, value }
+const parseLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// Parse the VEVENTs of a calendar. Returns
+//   [{ uid, recurrenceId, summary, status, transparent, allDay, start, end }]
+// with start/end as 'YYYY-MM-DD HH:MM:SS' in the calendar time zone. Events without
+// a UID or a usable start are skipped.
+const parseCalendar = (text, { timeZone = getCalendarTimeZone() } = {}) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  const stack = [];
+  let current = null;
+
+  lines.forEach(line => {
+    const property = parseLine(line);
+    if (!property) {
+      return;
+    }
+
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') {
+        current = {};
+      }
+      return;
+    }
+    if (property.name === 'END') {
+      if (stack.pop() === 'VEVENT' && current) {
+        events.push(current);
+        current = null;
+      }
+      return;
+    }
+
+    // Only the event's own properties, not those of nested alarms
+    if (current && stack[stack.length - 1] === 'VEVENT') {
+      current[property.name] = property;
+    }
+  });
+
+  return events.flatMap(raw => {
+    const uid = raw.UID && raw.UID.value.trim();
+    const start = raw.DTSTART && parseDateValue(raw.DTSTART.value, raw.DTSTART.params, timeZone);
+    if (!uid || !start) {
+      return [];
+    }
+
+    let endParts = null;
+    if (raw.DTEND) {
+      const end = parseDateValue(raw.DTEND.value, raw.DTEND.params, timeZone);
+      endParts = end && end.parts;
+    } else if (raw.DURATION) {
+      const duration = parseDuration(raw.DURATION.value);
+      endParts = duration !== null ? addToParts(start.parts, duration) : null;
+    }
+    if (!endParts) {
+      // All-day events without an end last the day; timed ones are instants
+      endParts = start.allDay ? addToParts(start.parts, 86400000) : start.parts;
+    }
+
+    return [{
+      uid,
+      recurrenceId: raw['RECURRENCE-ID'] ? raw['RECURRENCE-ID'].value.trim() : '',
+      summary: raw.SUMMARY ? unescapeText(raw.SUMMARY.value) : '',
+      status: raw.STATUS ? raw.STATUS.value.trim().toUpperCase() : 'CONFIRMED',
+      transparent: Boolean(raw.TRANSP && raw.TRANSP.value.trim().toUpperCase() === 'TRANSPARENT'),
+      allDay: start.allDay,
+      start: formatLocal(start.parts),
+      end: formatLocal(endParts)
+    }];
+  });
+};
+
+// Fold a content line at 75 octets without splitting a UTF-8 character
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+};
+
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 'YYYY-MM-DD' (or a Date, as pg returns DATE columns) + 'HH:MM[:SS]' -> 'YYYYMMDDTHHMMSS'
+const formatDateTime = (date, time) => {
+  const day = date instanceof Date
+    ? `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+    : String(date).slice(0, 10).replace(/-/g, '');
+  const [hours, minutes, seconds = '00'] = String(time).split(':');
+  return `${day}T${pad(hours)}${pad(minutes)}${pad(seconds)}`;
+};
+
+// Build a calendar from events of the shape
+//   { uid, date, startTime, endTime, summary, description?, location?, status?, updatedAt? }
+// where date and times are wall-clock values in `timeZone`.
+const buildCalendar = ({ name, events, timeZone = getCalendarTimeZone(), now = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Wedding Platform//Vendor Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`
+  ];
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatUtc(event.updatedAt ? new Date(event.updatedAt) : now)}`,
+      `DTSTART;TZID=${timeZone}:${formatDateTime(event.date, event.startTime)}`,
+      `DTEND;TZID=${timeZone}:${formatDateTime(event.date, event.endTime)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.location) {
+      lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    lines.push(`STATUS:${event.status || 'CONFIRMED'}`, 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseCalendar,
+  buildCalendar,
+  getCalendarTimeZone
+};
@@ -0,0 +1,293 @@
+// Shared pagination, filtering and sorting for list endpoints.
+//
+// Each route describes what it can be filtered and sorted by in a spec:
+//
+//   {
+//     filters: {
+//       category: { column: 's.category', match: 'contains' },
+//       search: { columns: ['s.name', 's.description'], match: 'contains' },
+//       minPrice: { column: 's.base_price', type: 'number', op: '>=' },
+//       pricingType: { column: 's.pricing_type', type: 'enum', values: ['hourly', 'daily', 'fixed'] }
+//     },
+//     sortFields: { rating: 's.rating', created_at: 's.created_at' },
+//     defaultSort: 'rating',
+//     defaultOrder: 'DESC',
+//     idColumn: 's.id',
+//     defaultLimit: 20
+//   }
+//
+// parseListQuery turns req.query into a typed list request (or validation errors),
+// buildListQuery renders the page and count SQL from it and fetchPage runs both.
+// Pages are addressed either by ?page= (offset) or by the opaque ?cursor= returned as
+// pagination.next / pagination.prev (keyset, stable while rows are being added).
+
+const MAX_LIMIT = 100;
+const SORT_ORDERS = ['ASC', 'DESC'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Convert a raw query string value to the filter's type, or undefined if it doesn't fit
+const parseFilterValue = (filter, raw) => {
+  const value = String(raw).trim();
+
+  switch (filter.type) {
+    case 'number': {
+      const number = Number(value);
+      return value !== '' && Number.isFinite(number) ? number : undefined;
+    }
+    case 'integer': {
+      const number = Number(value);
+      return Number.isInteger(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      return undefined;
+    case 'uuid':
+      return UUID_PATTERN.test(value) ? value : undefined;
+    case 'date':
+      return DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value)) ? value : undefined;
+    case 'enum':
+      return filter.values.includes(value) ? value : undefined;
+    default:
+      return value !== '' ? value : undefined;
+  }
+};
+
+const describeType = (filter) => {
+  switch (filter.type) {
+    case 'enum':
+      return `one of: ${filter.values.join(', ')}`;
+    case 'boolean':
+      return 'true or false';
+    case 'uuid':
+      return 'a valid UUID';
+    case 'date':
+      return 'a valid ISO 8601 date';
+    case 'integer':
+      return 'an integer';
+    case 'number':
+      return 'a number';
+    default:
+      return 'a non-empty string';
+  }
+};
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    const valid = cursor && typeof cursor === 'object' &&
+      ['next', 'prev'].includes(cursor.d) &&
+      typeof cursor.s === 'string' &&
+      (cursor.k === null || typeof cursor.k === 'string') &&
+      cursor.id !== undefined;
+
+    return valid ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Parse req.query against a spec. Returns { list } or { errors } in express-validator's shape
+const parseListQuery = (query, spec) => {
+  const errors = [];
+  const error = (path, value, msg) => errors.push({ type: 'field', location: 'query', path, value, msg });
+
+  // Filters
+  const filters = [];
+  Object.entries(spec.filters || {}).forEach(([name, filter]) => {
+    const raw = query[name];
+    if (raw === undefined || raw === '') {
+      return;
+    }
+
+    if (Array.isArray(raw) || typeof raw === 'object') {
+      error(name, raw, `${name} must be a single value`);
+      return;
+    }
+
+    const value = parseFilterValue(filter, raw);
+    if (value === undefined) {
+      error(name, raw, `${name} must be ${describeType(filter)}`);
+      return;
+    }
+
+    filters.push({ ...filter, name, value });
+  });
+
+  // Sorting (sortBy / sortOrder)
+  const sortFields = spec.sortFields || {};
+  const sortBy = query.sortBy || spec.defaultSort;
+  if (!Object.prototype.hasOwnProperty.call(sortFields, sortBy)) {
+    error('sortBy', query.sortBy, `sortBy must be one of: ${Object.keys(sortFields).join(', ')}`);
+  }
+
+  const order = String(query.sortOrder || spec.defaultOrder || 'DESC').toUpperCase();
+  if (!SORT_ORDERS.includes(order)) {
+    error('sortOrder', query.sortOrder, 'sortOrder must be ASC or DESC');
+  }
+
+  // Page size
+  const maxLimit = spec.maxLimit || MAX_LIMIT;
+  const limit = query.limit === undefined ? (spec.defaultLimit || 20) : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    error('limit', query.limit, `limit must be an integer between 1 and ${maxLimit}`);
+  }
+
+  // Position: a cursor takes precedence over page
+  let cursor = null;
+  let page = 1;
+  const sortKey = `${sortBy}:${order}`;
+
+  if (query.cursor !== undefined) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      error('cursor', query.cursor, 'cursor is invalid');
+    } else if (cursor.s !== sortKey) {
+      error('cursor', query.cursor, 'cursor does not match the requested sort order');
+    }
+  } else if (query.page !== undefined) {
+    page = Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      error('page', query.page, 'page must be a positive integer');
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    list: {
+      filters,
+      sort: { field: sortBy, column: sortFields[sortBy], order, key: sortKey },
+      idColumn: spec.idColumn,
+      limit,
+      page: cursor ? null : page,
+      cursor
+    }
+  };
+};
+
+// SQL for a single filter, adding its values through param()
+const filterCondition = (filter, param) => {
+  const columns = filter.columns || [filter.column];
+
+  if (filter.match === 'contains') {
+    const placeholder = param(`%${filter.value}%`);
+    const conditions = columns.map(column => `${column} ILIKE ${placeholder}`);
+    return conditions.length > 1 ? `(${conditions.join(' OR ')})` : conditions[0];
+  }
+
+  return `${columns[0]} ${filter.op || '='} ${param(filter.value)}`;
+};
+
+// Render the page and count queries.
+// source: { select, from, where = [], params = [] } where select is the column list,
+// from is everything from FROM up to (not including) WHERE, and where holds fixed conditions
+// that may reference params as $1..$n.
+const buildListQuery = (source, list) => {
+  const values = [...(source.params || [])];
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  const conditions = [...(source.where || [])];
+  list.filters.forEach(filter => conditions.push(filterCondition(filter, param)));
+
+  const whereSql = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countText = `SELECT COUNT(*) AS total ${source.from} ${whereSql}`;
+  const countValues = [...values];
+
+  const { column, order } = list.sort;
+  const { cursor } = list;
+
+  // Walking backwards from a prev cursor flips the order; rows are reversed afterwards
+  const backwards = Boolean(cursor && cursor.d === 'prev');
+  const effectiveOrder = backwards ? (order === 'ASC' ? 'DESC' : 'ASC') : order;
+
+  const pageConditions = [...conditions];
+  if (cursor) {
+    const comparison = effectiveOrder === 'ASC' ? '>' : '<';
+    pageConditions.push(
+      `(${column}, ${list.idColumn}) ${comparison} (${param(cursor.k)}, ${param(cursor.id)})`
+    );
+  }
+
+  const pageWhereSql = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+
+  // Fetch one extra row to know whether there is another page in this direction
+  let text = `SELECT ${source.select},
+      ${column}::text AS _cursor_key,
+      ${list.idColumn} AS _cursor_id
+    ${source.from}
+    ${pageWhereSql}
+    ORDER BY ${column} ${effectiveOrder}, ${list.idColumn} ${effectiveOrder}
+    LIMIT ${param(list.limit + 1)}`;
+
+  if (!cursor) {
+    text += ` OFFSET ${param((list.page - 1) * list.limit)}`;
+  }
+
+  return { text, values, countText, countValues, backwards };
+};
+
+// Trim the look-ahead row, restore order and work out the pagination block
+const paginate = (rows, total, list, backwards) => {
+  const hasMore = rows.length > list.limit;
+  const pageRows = rows.slice(0, list.limit);
+  if (backwards) {
+    pageRows.reverse();
+  }
+
+  const cursorFor = (row, d) => row
+    ? encodeCursor({ s: list.sort.key, k: row._cursor_key, id: row._cursor_id, d })
+    : null;
+
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+
+  let hasNext;
+  let hasPrev;
+  if (list.cursor) {
+    hasNext = backwards ? true : hasMore;
+    hasPrev = backwards ? hasMore : true;
+  } else {
+    hasNext = hasMore;
+    hasPrev = list.page > 1;
+  }
+
+  return {
+    rows: pageRows.map(({ _cursor_key, _cursor_id, ...row }) => row),
+    pagination: {
+      page: list.page,
+      limit: list.limit,
+      total,
+      total_pages: Math.ceil(total / list.limit),
+      next: hasNext ? cursorFor(last, 'next') : null,
+      prev: hasPrev ? cursorFor(first, 'prev') : null
+    }
+  };
+};
+
+// Run the page and count queries for a list request
+const fetchPage = async (db, source, list) => {
+  const { text, values, countText, countValues, backwards } = buildListQuery(source, list);
+
+  const result = await db.query(text, values);
+  const countResult = await db.query(countText, countValues);
+  const total = parseInt(countResult.rows[0].total);
+
+  return paginate(result.rows, total, list, backwards);
+};
+
+module.exports = {
+  parseListQuery,
+  buildListQuery,
+  fetchPage,
+  encodeCursor,
+  decodeCursor
+};
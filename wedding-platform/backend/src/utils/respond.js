@@ -0,0 +1,23 @@
+// Success envelope shared by every route:
+//
+//   { success: true, data, message?, pagination? }
+//
+// `data` is the resource itself (or an object of related values); list endpoints put
+// the rows in `data` and the page details from utils/listQuery.js in `pagination`.
+const respond = (res, data, { status = 200, message, pagination } = {}) => {
+  const body = { success: true };
+
+  if (message !== undefined) {
+    body.message = message;
+  }
+
+  body.data = data === undefined ? null : data;
+
+  if (pagination !== undefined) {
+    body.pagination = pagination;
+  }
+
+  return res.status(status).json(body);
+};
+
+module.exports = { respond };
@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Generate a random, URL-safe token to hand out to a user (email links, etc.)
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Only a hash of each token is stored, so a leaked table can't be replayed
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  generateToken,
+  hashToken
+};
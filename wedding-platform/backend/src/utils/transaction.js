@@ -0,0 +1,25 @@
+const pool = require('../config/database');
+
+// Run fn(client) between BEGIN and COMMIT on one pooled connection.
+// Anything fn throws rolls the transaction back and is rethrown.
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('Rollback failed:', rollbackError);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { withTransaction };
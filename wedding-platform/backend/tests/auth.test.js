@@ -0,0 +1,854 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+const mailer = require('../src/services/mailer');
+const { hashToken } = require('../src/utils/tokens');
+const { generateSecret, generateCode } = require('../src/utils/totp');
+const twoFactor = require('../src/services/twoFactor');
+const { verifyIdToken } = require('../src/services/oidc');
+
+// Mock the database pool
+jest.mock('../src/config/database');
+
+describe('Auth Routes', () => {
+  let mockPool;
+  let mockTransport;
+
+  beforeEach(() => {
+    mockPool = {
+      query: jest.fn()
+    };
+    pool.query = mockPool.query;
+
+    // Transactions run their statements through mockPool.query too; BEGIN, COMMIT and
+    // ROLLBACK are recorded separately so call positions match non-transactional code
+    mockPool.client = {
+      query: jest.fn((sql, params) => (/^(BEGIN|COMMIT|ROLLBACK)$/.test(sql) ? {} : mockPool.query(sql, params))),
+      release: jest.fn()
+    };
+    pool.connect = jest.fn().mockResolvedValue(mockPool.client);
+
+    mockTransport = { name: 'test', send: jest.fn().mockResolvedValue({ id: 'mail-1' }) };
+    mailer.setTransport(mockTransport);
+  });
+
+  afterEach(() => {
+    mailer.setTransport(null);
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/v1/auth/forgot-password', () => {
+    it('should store a hashed token and email a reset link', async () => {
+      const mockUser = {
+        id: '123e4567-e89b-12d3-a456-426614174000',
+        email: 'test@example.com',
+        first_name: 'Test',
+        is_active: true
+      };
+
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [mockUser] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const response = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toMatch(/reset link has been sent/);
+
+      expect(mockTransport.send).toHaveBeenCalledTimes(1);
+      const message = mockTransport.send.mock.calls[0][0];
+      expect(message.to).toBe('test@example.com');
+
+      const token = message.text.match(/token=([a-f0-9]+)/)[1];
+      expect(mockPool.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO password_reset_tokens'),
+        [mockUser.id, hashToken(token), expect.any(Number)]
+      );
+    });
+
+    it('should respond the same way for unknown emails without sending mail', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toMatch(/reset link has been sent/);
+      expect(mockTransport.send).not.toHaveBeenCalled();
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should validate the email', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'not-an-email' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Validation failed');
+    });
+  });
+
+  describe('POST /api/v1/auth/reset-password', () => {
+    it('should consume the token and update the password', async () => {
+      const userId = '123e4567-e89b-12d3-a456-426614174000';
+
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ user_id: userId }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const response = await request(app)
+        .post('/api/v1/auth/reset-password')
+        .send({ token: 'abc123', password: 'NewPassword1' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Password has been reset successfully');
+      expect(mockPool.query).toHaveBeenNthCalledWith(
+        1,
+        expect.stringContaining('UPDATE password_reset_tokens'),
+        [hashToken('abc123')]
+      );
+      expect(mockPool.query).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('UPDATE users SET password_hash'),
+        [expect.any(String), userId]
+      );
+    });
+
+    it('should reject an invalid, used or expired token', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/v1/auth/reset-password')
+        .send({ token: 'used-token', password: 'NewPassword1' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Invalid or expired reset token');
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should enforce password strength rules', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/reset-password')
+        .send({ token: 'abc123', password: 'weak' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Validation failed');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/v1/auth/login', () => {
+    it('should return an access token and a stored refresh token', async () => {
+      const bcrypt = require('bcryptjs');
+      const mockUser = {
+        id: '123e4567-e89b-12d3-a456-426614174000',
+        email: 'test@example.com',
+        password_hash: await bcrypt.hash('Password1', 4),
+        first_name: 'Test',
+        last_name: 'User',
+        user_type: 'customer',
+        is_active: true
+      };
+
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [mockUser] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 'refresh-1' }] });
+
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'test@example.com', password: 'Password1' });
+
+      expect(response.status).toBe(200);
+      expect(jwt.verify(response.body.data.token, process.env.JWT_SECRET).userId).toBe(mockUser.id);
+      expect(response.body.data.refreshToken).toEqual(expect.any(String));
+      expect(mockPool.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO refresh_tokens'),
+        [mockUser.id, expect.any(String), hashToken(response.body.data.refreshToken), null, expect.any(String), expect.any(Number)]
+      );
+    });
+
+    it('should audit failed logins and lock the account after repeated failures', async () => {
+      // Unknown email: every attempt is a failure
+      mockPool.query.mockResolvedValue({ rows: [] });
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const response = await request(app)
+          .post('/api/v1/auth/login')
+          .send({ email: 'locked@example.com', password: 'WrongPassword1' });
+
+        expect(response.status).toBe(401);
+      }
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO login_audit'),
+        [null, 'locked@example.com', expect.any(String), null, false, 'unknown_email']
+      );
+
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'locked@example.com', password: 'WrongPassword1' });
+
+      expect(response.status).toBe(423);
+      expect(response.headers['retry-after']).toBe('60');
+      expect(mockPool.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO login_audit'),
+        [null, 'locked@example.com', expect.any(String), null, false, 'locked']
+      );
+    });
+
+    it('should let an admin unlock a locked account', async () => {
+      const adminId = '223e4567-e89b-12d3-a456-426614174000';
+      const lockedUserId = '323e4567-e89b-12d3-a456-426614174000';
+      const adminToken = jwt.sign({ userId: adminId, email: 'admin@example.com', userType: 'admin' }, process.env.JWT_SECRET);
+
+      mockPool.query.mockResolvedValue({ rows: [] });
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await request(app)
+          .post('/api/v1/auth/login')
+          .send({ email: 'unlock@example.com', password: 'WrongPassword1' });
+      }
+
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: adminId, email: 'admin@example.com', user_type: 'admin', is_active: true, two_factor_enabled: true }] })
+        .mockResolvedValueOnce({ rows: [{ id: lockedUserId, email: 'unlock@example.com' }] });
+
+      const unlock = await request(app)
+        .patch(`/api/v1/users/admin/${lockedUserId}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(unlock.status).toBe(200);
+
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'unlock@example.com', password: 'WrongPassword1' });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should rate limit login attempts per email and IP', async () => {
+      mockPool.query.mockResolvedValue({ rows: [] });
+
+      const statuses = [];
+      for (let attempt = 0; attempt < 11; attempt++) {
+        const response = await request(app)
+          .post('/api/v1/auth/login')
+          .send({ email: 'limited@example.com', password: 'WrongPassword1' });
+        statuses.push(response.status);
+      }
+
+      expect(statuses[statuses.length - 1]).toBe(429);
+
+      // A different account from the same IP is unaffected
+      const other = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'other@example.com', password: 'WrongPassword1' });
+
+      expect(other.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/v1/auth/refresh', () => {
+    it('should rotate the refresh token within the same family', async () => {
+      const claimed = {
+        id: 'refresh-1',
+        family_id: 'family-1',
+        user_id: '123e4567-e89b-12d3-a456-426614174000',
+        email: 'test@example.com',
+        user_type: 'customer'
+      };
+
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [claimed] })
+        .mockResolvedValueOnce({ rows: [{ id: 'refresh-2' }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const response = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: 'old-refresh-token' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.token).toEqual(expect.any(String));
+      expect(response.body.data.refreshToken).not.toBe('old-refresh-token');
+      expect(mockPool.query).toHaveBeenNthCalledWith(
+        1,
+        expect.stringContaining('UPDATE refresh_tokens rt'),
+        [hashToken('old-refresh-token')]
+      );
+      expect(mockPool.query.mock.calls[1][1][1]).toBe('family-1');
+      expect(mockPool.query).toHaveBeenNthCalledWith(
+        3,
+        expect.stringContaining('SET replaced_by'),
+        ['refresh-2', 'refresh-1']
+      );
+    });
+
+    it('should revoke the whole family when a used token is replayed', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rowCount: 2 });
+
+      const response = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: 'replayed-token' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('Invalid or expired refresh token');
+      expect(mockPool.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('family_id = (SELECT family_id FROM refresh_tokens'),
+        [hashToken('replayed-token')]
+      );
+    });
+
+    it('should require a refresh token', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Validation failed');
+    });
+  });
+
+  describe('POST /api/v1/auth/logout', () => {
+    it('should revoke the given refresh token', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 'refresh-1' }] });
+
+      const response = await request(app)
+        .post('/api/v1/auth/logout')
+        .send({ refreshToken: 'refresh-token' });
+
+      expect(response.status).toBe(200);
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE refresh_tokens SET revoked_at'),
+        [hashToken('refresh-token')]
+      );
+    });
+  });
+
+  describe('POST /api/v1/auth/logout-all', () => {
+    const userId = '123e4567-e89b-12d3-a456-426614174000';
+
+    it('should revoke every session for the current user', async () => {
+      const token = jwt.sign({ userId, email: 'test@example.com', userType: 'customer' }, process.env.JWT_SECRET);
+
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: userId, email: 'test@example.com', user_type: 'customer', is_active: true }] })
+        .mockResolvedValueOnce({ rowCount: 3 })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const response = await request(app)
+        .post('/api/v1/auth/logout-all')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1'),
+        [userId]
+      );
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE users SET tokens_revoked_at = NOW()'),
+        [userId]
+      );
+    });
+
+    it('should reject access tokens issued before a sign-out of all devices', async () => {
+      const issuedAt = Math.floor(Date.now() / 1000) - 60;
+      const token = jwt.sign({ userId, email: 'test@example.com', userType: 'customer', iat: issuedAt }, process.env.JWT_SECRET);
+
+      mockPool.query.mockResolvedValueOnce({
+        rows: [{ id: userId, email: 'test@example.com', user_type: 'customer', is_active: true, tokens_revoked_at: new Date() }]
+      });
+
+      const response = await request(app)
+        .post('/api/v1/auth/logout-all')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('Token has been revoked');
+    });
+  });
+
+  describe('Email verification', () => {
+    const userId = '123e4567-e89b-12d3-a456-426614174000';
+    const authUser = { id: userId, email: 'test@example.com', user_type: 'customer', is_active: true, email_verified: false };
+    const signToken = (userType = 'customer') =>
+      jwt.sign({ userId, email: 'test@example.com', userType }, process.env.JWT_SECRET);
+
+    it('should verify the email for a valid token', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ user_id: userId }] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rowCount: 0 });
+
+      const response = await request(app)
+        .post('/api/v1/auth/verify-email')
+        .send({ token: 'verify-token' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Email verified successfully');
+      expect(mockPool.query).toHaveBeenNthCalledWith(
+        1,
+        expect.stringContaining('UPDATE email_verification_tokens'),
+        [hashToken('verify-token')]
+      );
+      expect(mockPool.query).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('SET email_verified = true'),
+        [userId]
+      );
+    });
+
+    it('should reject an invalid or expired verification token', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/v1/auth/verify-email')
+        .send({ token: 'expired-token' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Invalid or expired verification token');
+    });
+
+    it('should resend the verification email when not throttled', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [authUser] })
+        .mockResolvedValueOnce({ rows: [{ id: userId, email: 'test@example.com', first_name: 'Test', email_verified: false }] })
+        .mockResolvedValueOnce({ rows: [{ recent_count: '0', hourly_count: '1' }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const response = await request(app)
+        .post('/api/v1/auth/resend-verification')
+        .set('Authorization', `Bearer ${signToken()}`);
+
+      expect(response.status).toBe(200);
+      expect(mockTransport.send).toHaveBeenCalledTimes(1);
+      expect(mockTransport.send.mock.calls[0][0].text).toMatch(/verify-email\?token=/);
+    });
+
+    it('should throttle repeated resend requests', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [authUser] })
+        .mockResolvedValueOnce({ rows: [{ id: userId, email: 'test@example.com', first_name: 'Test', email_verified: false }] })
+        .mockResolvedValueOnce({ rows: [{ recent_count: '1', hourly_count: '1' }] });
+
+      const response = await request(app)
+        .post('/api/v1/auth/resend-verification')
+        .set('Authorization', `Bearer ${signToken()}`);
+
+      expect(response.status).toBe(429);
+      expect(mockTransport.send).not.toHaveBeenCalled();
+    });
+
+    it('should block unverified vendors from creating services', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ ...authUser, user_type: 'vendor', vendor_id: authUser.id, vendor_role: 'owner' }] });
+
+      const response = await request(app)
+        .post('/api/v1/services')
+        .set('Authorization', `Bearer ${signToken('vendor')}`)
+        .send({ name: 'Photography', category: 'Photography', basePrice: 100, pricingType: 'fixed' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('Email verification required');
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('POST /api/v1/auth/oauth/:provider', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwksPath = path.join(os.tmpdir(), `test-google-jwks-${process.pid}.json`);
+
+    const signIdToken = (claims, options = {}) => jwt.sign(
+      { sub: 'google-sub-1', email: 'Jane.Doe@gmail.com', email_verified: true, given_name: 'Jane', family_name: 'Doe', ...claims },
+      privateKey,
+      { algorithm: 'RS256', keyid: 'test-key', audience: 'test-client-id', issuer: 'https://accounts.google.com', expiresIn: '5m', ...options }
+    );
+
+    beforeAll(() => {
+      fs.writeFileSync(jwksPath, JSON.stringify({
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' }]
+      }));
+      process.env.GOOGLE_CLIENT_ID = 'test-client-id';
+      process.env.GOOGLE_JWKS_URI = jwksPath;
+    });
+
+    afterAll(() => {
+      fs.unlinkSync(jwksPath);
+      delete process.env.GOOGLE_CLIENT_ID;
+      delete process.env.GOOGLE_JWKS_URI;
+    });
+
+    it('should create a password-less user on first sign-in', async () => {
+      const newUser = {
+        id: '123e4567-e89b-12d3-a456-426614174000',
+        email: 'janedoe@gmail.com',
+        first_name: 'Jane',
+        last_name: 'Doe',
+        user_type: 'customer',
+        is_active: true,
+        email_verified: true
+      };
+
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [newUser] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 'refresh-1' }] });
+
+      const response = await request(app)
+        .post('/api/v1/auth/oauth/google')
+        .send({ idToken: signIdToken() });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.isNewUser).toBe(true);
+      expect(response.body.data.token).toEqual(expect.any(String));
+      // Email is normalised the same way as password registration
+      expect(mockPool.query).toHaveBeenNthCalledWith(2, expect.any(String), ['janedoe@gmail.com']);
+      expect(mockPool.query).toHaveBeenNthCalledWith(
+        3,
+        expect.stringContaining('INSERT INTO users (email, first_name, last_name, user_type'),
+        ['janedoe@gmail.com', 'Jane', 'Doe', 'customer', true]
+      );
+      expect(mockPool.query).toHaveBeenNthCalledWith(
+        4,
+        expect.stringContaining('INSERT INTO user_identities'),
+        [newUser.id, 'google', 'google-sub-1', 'jane.doe@gmail.com']
+      );
+    });
+
+    it('should log in a user already linked to the provider', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({
+          rows: [{ id: 'user-1', email: 'janedoe@gmail.com', first_name: 'Jane', last_name: 'Doe', user_type: 'vendor', is_active: true, email_verified: true }]
+        })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 'refresh-1' }] });
+
+      const response = await request(app)
+        .post('/api/v1/auth/oauth/google')
+        .send({ idToken: signIdToken() });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.isNewUser).toBe(false);
+      expect(response.body.data.user.userType).toBe('vendor');
+    });
+
+    it('should not link an existing account when the provider has not verified the email', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-1', email: 'janedoe@gmail.com', is_active: true }] });
+
+      const response = await request(app)
+        .post('/api/v1/auth/oauth/google')
+        .send({ idToken: signIdToken({ email_verified: false }) });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should reject tokens for another audience or signed by an unknown key', async () => {
+      const wrongAudience = await request(app)
+        .post('/api/v1/auth/oauth/google')
+        .send({ idToken: signIdToken({}, { audience: 'someone-else' }) });
+
+      expect(wrongAudience.status).toBe(401);
+
+      const unknownKey = await request(app)
+        .post('/api/v1/auth/oauth/google')
+        .send({ idToken: signIdToken({}, { keyid: 'rotated-key' }) });
+
+      expect(unknownKey.status).toBe(401);
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('should refetch the key set for unknown keys at most once a minute', async () => {
+      const rotated = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const original = fs.readFileSync(jwksPath, 'utf8');
+      const readFile = jest.spyOn(fs.promises, 'readFile');
+      const jwksReads = () => readFile.mock.calls.filter(([file]) => file === jwksPath).length;
+      const signRotated = () => jwt.sign({ sub: 'google-sub-1' }, rotated.privateKey, {
+        algorithm: 'RS256', keyid: 'rotated-key', audience: 'test-client-id', issuer: 'https://accounts.google.com', expiresIn: '5m'
+      });
+
+      // Start past the cache's lifetime, so the key set is fetched afresh
+      const start = Date.now() + 2 * 60 * 60 * 1000;
+      const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+
+      try {
+        await verifyIdToken('google', signIdToken());
+        expect(jwksReads()).toBe(1);
+
+        fs.writeFileSync(jwksPath, JSON.stringify({
+          keys: [
+            ...JSON.parse(original).keys,
+            { ...rotated.publicKey.export({ format: 'jwk' }), kid: 'rotated-key', alg: 'RS256', use: 'sig' }
+          ]
+        }));
+
+        now.mockReturnValue(start + 30 * 1000);
+        await expect(verifyIdToken('google', signRotated())).rejects.toMatchObject({ code: 'INVALID_ID_TOKEN' });
+        await expect(verifyIdToken('google', signRotated())).rejects.toMatchObject({ code: 'INVALID_ID_TOKEN' });
+        expect(jwksReads()).toBe(1);
+
+        now.mockReturnValue(start + 61 * 1000);
+        await expect(verifyIdToken('google', signRotated())).resolves.toMatchObject({ subject: 'google-sub-1' });
+        expect(jwksReads()).toBe(2);
+      } finally {
+        now.mockRestore();
+        readFile.mockRestore();
+        fs.writeFileSync(jwksPath, original);
+      }
+    });
+
+    it('should report providers that are not configured', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/oauth/apple')
+        .send({ idToken: signIdToken() });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    const bcrypt = require('bcryptjs');
+    let passwordHash;
+
+    beforeAll(async () => {
+      passwordHash = await bcrypt.hash('Password1', 4);
+    });
+
+    // Encrypted form of a secret, as beginEnrollment stores it
+    const encryptedSecret = async (secret) => {
+      const query = jest.fn().mockResolvedValue({ rowCount: 1 });
+      pool.query = query;
+      const { otpauthUrl } = await twoFactor.beginEnrollment({ id: 'user-1', email: 'x@example.com' });
+      pool.query = mockPool.query;
+      return { secret: new URL(otpauthUrl).searchParams.get('secret'), encrypted: query.mock.calls[0][1][0] };
+    };
+
+    it('should make admins without 2FA enroll before issuing tokens', async () => {
+      const admin = {
+        id: 'admin-1',
+        email: 'admin2fa@example.com',
+        password_hash: passwordHash,
+        first_name: 'Ada',
+        last_name: 'Admin',
+        user_type: 'admin',
+        is_active: true,
+        email_verified: true,
+        two_factor_enabled: false
+      };
+
+      mockPool.query.mockResolvedValueOnce({ rows: [admin] });
+
+      const login = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: admin.email, password: 'Password1' });
+
+      expect(login.status).toBe(200);
+      expect(login.body.data.twoFactorSetupRequired).toBe(true);
+      expect(login.body.data.token).toBeUndefined();
+
+      const { challengeToken } = login.body.data;
+
+      // The challenge is not an access token
+      const misuse = await request(app)
+        .get('/api/v1/users/profile/me')
+        .set('Authorization', `Bearer ${challengeToken}`);
+
+      expect(misuse.status).toBe(401);
+
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [admin] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const setup = await request(app)
+        .post('/api/v1/auth/2fa/setup')
+        .send({ challengeToken });
+
+      expect(setup.status).toBe(200);
+      expect(setup.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\/Wedding%20Platform%3Aadmin2fa%40example\.com\?secret=/);
+      const pendingSecret = mockPool.query.mock.calls[2][1][0];
+
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [admin] })
+        .mockResolvedValueOnce({ rows: [{ two_factor_pending_secret: pendingSecret }] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rowCount: 0 })
+        .mockResolvedValueOnce({ rowCount: 10 })
+        .mockResolvedValueOnce({ rows: [admin] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 'refresh-1' }] });
+
+      const enable = await request(app)
+        .post('/api/v1/auth/2fa/enable')
+        .send({ challengeToken, code: generateCode(setup.body.data.secret) });
+
+      expect(enable.status).toBe(200);
+      expect(enable.body.data.recoveryCodes).toHaveLength(10);
+      expect(jwt.verify(enable.body.data.token, process.env.JWT_SECRET).userId).toBe(admin.id);
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO two_factor_recovery_codes'),
+        [admin.id, enable.body.data.recoveryCodes.map(code => hashToken(code.replace('-', '')))]
+      );
+    });
+
+    it('should block admin routes for admin sessions without 2FA', async () => {
+      const adminToken = jwt.sign({ userId: 'admin-1', email: 'admin@example.com', userType: 'admin' }, process.env.JWT_SECRET);
+
+      mockPool.query.mockResolvedValueOnce({
+        rows: [{ id: 'admin-1', email: 'admin@example.com', user_type: 'admin', is_active: true, two_factor_enabled: false }]
+      });
+
+      const response = await request(app)
+        .get('/api/v1/users/admin/all')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+    });
+
+    describe('with 2FA enabled', () => {
+      const vendor = {
+        id: 'vendor-1',
+        email: 'vendor2fa@example.com',
+        first_name: 'Vera',
+        last_name: 'Vendor',
+        user_type: 'vendor',
+        is_active: true,
+        email_verified: true,
+        two_factor_enabled: true
+      };
+
+      const startLogin = async () => {
+        mockPool.query.mockResolvedValueOnce({ rows: [{ ...vendor, password_hash: passwordHash }] });
+
+        const login = await request(app)
+          .post('/api/v1/auth/login')
+          .send({ email: vendor.email, password: 'Password1' });
+
+        expect(login.status).toBe(200);
+        expect(login.body.data.twoFactorRequired).toBe(true);
+        expect(login.body.data.token).toBeUndefined();
+        return login.body.data.challengeToken;
+      };
+
+      it('should complete the login with an authenticator code', async () => {
+        const { secret, encrypted } = await encryptedSecret(generateSecret());
+        const challengeToken = await startLogin();
+
+        mockPool.query
+          .mockResolvedValueOnce({ rows: [vendor] })
+          .mockResolvedValueOnce({ rows: [{ two_factor_secret: encrypted }] })
+          .mockResolvedValueOnce({ rows: [{ id: vendor.id }] })
+          .mockResolvedValueOnce({ rowCount: 1 })
+          .mockResolvedValueOnce({ rows: [{ id: 'refresh-1' }] });
+
+        const response = await request(app)
+          .post('/api/v1/auth/2fa/verify')
+          .send({ challengeToken, code: generateCode(secret) });
+
+        expect(response.status).toBe(200);
+        expect(jwt.verify(response.body.data.token, process.env.JWT_SECRET).userId).toBe(vendor.id);
+        expect(response.body.data.refreshToken).toEqual(expect.any(String));
+        expect(mockPool.query).toHaveBeenCalledWith(
+          expect.stringContaining('INSERT INTO login_audit'),
+          [vendor.id, vendor.email, expect.any(String), null, true, '2fa_totp']
+        );
+      });
+
+      it('should reject wrong and replayed codes', async () => {
+        const { secret, encrypted } = await encryptedSecret(generateSecret());
+        const challengeToken = await startLogin();
+
+        mockPool.query
+          .mockResolvedValueOnce({ rows: [vendor] })
+          .mockResolvedValueOnce({ rows: [{ two_factor_secret: encrypted }] })
+          .mockResolvedValueOnce({ rowCount: 1 });
+
+        const wrong = await request(app)
+          .post('/api/v1/auth/2fa/verify')
+          .send({ challengeToken, code: generateCode(secret) === '000000' ? '111111' : '000000' });
+
+        expect(wrong.status).toBe(401);
+        expect(mockPool.query).toHaveBeenLastCalledWith(
+          expect.stringContaining('INSERT INTO login_audit'),
+          [vendor.id, vendor.email, expect.any(String), null, false, 'invalid_2fa_code']
+        );
+
+        // The time step was already used, so the claim matches no row
+        mockPool.query
+          .mockResolvedValueOnce({ rows: [vendor] })
+          .mockResolvedValueOnce({ rows: [{ two_factor_secret: encrypted }] })
+          .mockResolvedValueOnce({ rows: [] })
+          .mockResolvedValueOnce({ rowCount: 1 });
+
+        const replayed = await request(app)
+          .post('/api/v1/auth/2fa/verify')
+          .send({ challengeToken, code: generateCode(secret) });
+
+        expect(replayed.status).toBe(401);
+      });
+
+      it('should accept a single-use recovery code', async () => {
+        const challengeToken = await startLogin();
+
+        mockPool.query
+          .mockResolvedValueOnce({ rows: [vendor] })
+          .mockResolvedValueOnce({ rows: [{ id: 'code-1' }] })
+          .mockResolvedValueOnce({ rowCount: 1 })
+          .mockResolvedValueOnce({ rows: [{ id: 'refresh-1' }] })
+          .mockResolvedValueOnce({ rows: [{ count: '9' }] });
+
+        const response = await request(app)
+          .post('/api/v1/auth/2fa/verify')
+          .send({ challengeToken, recoveryCode: 'ABCDE-12345' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.recoveryCodesRemaining).toBe(9);
+        expect(mockPool.query).toHaveBeenNthCalledWith(
+          3,
+          expect.stringContaining('UPDATE two_factor_recovery_codes'),
+          [vendor.id, hashToken('abcde12345')]
+        );
+      });
+
+      it('should not accept a setup challenge as a verify challenge', async () => {
+        const setupChallenge = twoFactor.createChallengeToken(vendor, 'setup');
+
+        const response = await request(app)
+          .post('/api/v1/auth/2fa/verify')
+          .send({ challengeToken: setupChallenge, code: '123456' });
+
+        expect(response.status).toBe(401);
+        expect(mockPool.query).not.toHaveBeenCalled();
+      });
+
+      it('should not let admins disable 2FA', async () => {
+        const adminToken = jwt.sign({ userId: 'admin-1', email: 'admin@example.com', userType: 'admin' }, process.env.JWT_SECRET);
+
+        mockPool.query.mockResolvedValueOnce({
+          rows: [{ id: 'admin-1', email: 'admin@example.com', user_type: 'admin', is_active: true, two_factor_enabled: true }]
+        });
+
+        const response = await request(app)
+          .post('/api/v1/auth/2fa/disable')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ code: '123456' });
+
+        expect(response.status).toBe(403);
+      });
+    });
+  });
+});
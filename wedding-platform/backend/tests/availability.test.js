@@ -0,0 +1,297 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+
+// Mock the database pool
+jest.mock('../src/config/database');
+
+const SERVICE_ID = '323e4567-e89b-12d3-a456-426614174000';
+const VENDOR_ID = '423e4567-e89b-12d3-a456-426614174000';
+const SLOT_ID = '523e4567-e89b-12d3-a456-426614174000';
+const RULE_ID = '623e4567-e89b-12d3-a456-426614174000';
+const BLACKOUT_ID = '723e4567-e89b-12d3-a456-426614174000';
+const BOOKING_ID = '823e4567-e89b-12d3-a456-426614174000';
+
+const base = `/api/v1/services/${SERVICE_ID}/availability`;
+
+const tokenFor = (role) => jwt.sign({ userId: VENDOR_ID, email: `${role}@example.com`, userType: 'vendor' }, process.env.JWT_SECRET);
+
+// Auth lookup for a vendor team member, the service ownership check, then `handler`
+const mockDatabase = (handler = () => undefined, { vendorRole = 'owner' } = {}) => {
+  pool.query = jest.fn(async (sql, params) => {
+    if (sql.includes('LEFT JOIN vendor_members')) {
+      return { rows: [{ id: params[0], email: 'vendor@example.com', user_type: 'vendor', is_active: true, email_verified: true, vendor_id: VENDOR_ID, vendor_role: vendorRole }] };
+    }
+    if (sql.includes('FROM services WHERE id = $1 AND vendor_id = $2')) {
+      return { rows: [{ id: SERVICE_ID }] };
+    }
+    return handler(sql, params) || { rows: [], rowCount: 0 };
+  });
+};
+
+// A transaction client whose queries go to `handler`
+const mockTransaction = (handler = () => undefined) => {
+  const client = {
+    query: jest.fn(async (sql, params) => handler(sql, params) || { rows: [], rowCount: 0 }),
+    release: jest.fn()
+  };
+  pool.connect = jest.fn().mockResolvedValue(client);
+  return client;
+};
+
+const statementsOf = (client) => client.query.mock.calls.map(([sql]) => sql.replace(/\s+/g, ' ').trim());
+
+describe('Availability', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('slots', () => {
+    const slot = { date: '2026-06-20', startTime: '10:00', endTime: '18:00', priceModifier: 1.2 };
+
+    it('should list slots publicly in date order', async () => {
+      pool.query = jest.fn(async (sql) => (
+        sql.includes('COUNT(*)') ? { rows: [{ total: '1' }] } : { rows: [{ id: SLOT_ID, available_date: '2026-06-20' }] }
+      ));
+
+      const response = await request(app).get(base).query({ from: '2026-06-01', isAvailable: 'true' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('a.service_id = $1');
+      expect(sql).toContain('ORDER BY a.available_date ASC');
+      expect(params.slice(0, 3)).toEqual([SERVICE_ID, '2026-06-01', true]);
+    });
+
+    it('should create a slot', async () => {
+      mockDatabase((sql, params) => {
+        if (sql.includes('INSERT INTO availability')) {
+          return { rows: [{ id: SLOT_ID, available_date: params[1], price_modifier: params[4] }] };
+        }
+      });
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .send(slot);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ id: SLOT_ID, price_modifier: 1.2 });
+    });
+
+    it('should reject overlapping slots and blacked-out dates', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM availability') && sql.includes('end_time > $3')) {
+          return { rows: [{ id: SLOT_ID }] };
+        }
+      });
+
+      const overlap = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .send(slot);
+
+      expect(overlap.status).toBe(409);
+      expect(overlap.body.error).toEqual({ code: 'SLOT_OVERLAP', details: { slotId: SLOT_ID } });
+
+      mockDatabase((sql) => {
+        if (sql.includes('FROM availability_blackouts')) {
+          return { rows: [{ id: BLACKOUT_ID }] };
+        }
+      });
+
+      const blackedOut = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .send(slot);
+
+      expect(blackedOut.status).toBe(409);
+      expect(blackedOut.body.error.code).toBe('DATE_BLACKED_OUT');
+    });
+
+    it('should not delete a slot with active bookings', async () => {
+      mockDatabase();
+      const client = mockTransaction((sql) => {
+        if (sql.includes('FROM availability WHERE id = $1')) {
+          return { rows: [{ id: SLOT_ID, service_id: SERVICE_ID, available_date: '2026-06-20', start_time: '10:00:00', end_time: '18:00:00' }] };
+        }
+        if (sql.includes('FROM bookings')) {
+          return { rows: [{ id: BOOKING_ID }] };
+        }
+      });
+
+      const response = await request(app)
+        .delete(`${base}/${SLOT_ID}`)
+        .set('Authorization', `Bearer ${tokenFor('owner')}`);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toEqual({ code: 'SLOT_BOOKED', details: { bookings: [BOOKING_ID] } });
+      expect(statementsOf(client)).not.toContain('DELETE FROM availability WHERE id = $1');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('should only let team members who manage services change availability', async () => {
+      mockDatabase(undefined, { vendorRole: 'staff' });
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${tokenFor('staff')}`)
+        .send(slot);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('INSUFFICIENT_TEAM_ROLE');
+    });
+  });
+
+  describe('weekly rules', () => {
+    const rule = { daysOfWeek: [6], startTime: '10:00', endTime: '23:00', startsOn: '2026-05-01', endsOn: '2026-09-30' };
+
+    it('should create a rule and expand it into slots', async () => {
+      mockDatabase();
+      const client = mockTransaction((sql, params) => {
+        if (sql.includes('INSERT INTO availability_rules')) {
+          return { rows: [{ id: RULE_ID, service_id: params[0], days_of_week: params[1], start_time: params[2], end_time: params[3], starts_on: params[4], ends_on: params[5], price_modifier: params[6] }] };
+        }
+        if (sql.includes('INSERT INTO availability')) {
+          return { rows: [], rowCount: 22 };
+        }
+      });
+
+      const response = await request(app)
+        .post(`${base}/rules`)
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .send(rule);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ id: RULE_ID, days_of_week: [6], slotsCreated: 22 });
+
+      const [expandSql, expandParams] = client.query.mock.calls.find(([sql]) => sql.includes('generate_series'));
+      expect(expandSql).toContain('availability_blackouts');
+      expect(expandParams).toEqual([SERVICE_ID, RULE_ID, '10:00', '23:00', 1, '2026-05-01', '2026-09-30', null, null, [6]]);
+      expect(statementsOf(client)[statementsOf(client).length - 1]).toBe('COMMIT');
+    });
+
+    it('should reject rules spanning more than a year or with invalid days', async () => {
+      mockDatabase();
+
+      const response = await request(app)
+        .post(`${base}/rules`)
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .send({ ...rule, daysOfWeek: [7], endsOn: '2027-09-30' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details.map(detail => detail.path)).toEqual(['daysOfWeek[0]', 'endsOn']);
+    });
+
+    it('should delete a rule with its future open slots only', async () => {
+      mockDatabase();
+      const client = mockTransaction((sql) => {
+        if (sql.includes('DELETE FROM availability_rules')) {
+          return { rows: [{ id: RULE_ID }] };
+        }
+        if (sql.includes('DELETE FROM availability')) {
+          return { rows: [], rowCount: 12 };
+        }
+      });
+
+      const response = await request(app)
+        .delete(`${base}/rules/${RULE_ID}`)
+        .set('Authorization', `Bearer ${tokenFor('owner')}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ slotsRemoved: 12 });
+      const removal = statementsOf(client).find(sql => sql.startsWith('DELETE FROM availability WHERE'));
+      expect(removal).toContain('is_available = true AND available_date >= CURRENT_DATE');
+    });
+  });
+
+  describe('blackouts', () => {
+    it('should black out dates, remove open slots and report existing bookings', async () => {
+      mockDatabase();
+      const client = mockTransaction((sql, params) => {
+        if (sql.includes('INSERT INTO availability_blackouts')) {
+          return { rows: params[1].map(date => ({ id: BLACKOUT_ID, blackout_date: date })) };
+        }
+        if (sql.includes('DELETE FROM availability')) {
+          return { rows: [], rowCount: 3 };
+        }
+        if (sql.includes('FROM bookings')) {
+          return { rows: [{ id: BOOKING_ID, booking_date: '2026-06-20' }] };
+        }
+      });
+
+      const response = await request(app)
+        .post(`${base}/blackouts`)
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .send({ dates: ['2026-06-20', '2026-06-21', '2026-06-20'], reason: 'Family wedding' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.blackouts).toHaveLength(2);
+      expect(response.body.data.slotsRemoved).toBe(3);
+      expect(response.body.data.bookings).toEqual([{ id: BOOKING_ID, booking_date: '2026-06-20' }]);
+
+      const removal = statementsOf(client).find(sql => sql.startsWith('DELETE FROM availability WHERE'));
+      expect(removal).toContain('is_available = true');
+    });
+
+    it('should refill the date from weekly rules when a blackout is lifted', async () => {
+      mockDatabase();
+      const client = mockTransaction((sql) => {
+        if (sql.includes('DELETE FROM availability_blackouts')) {
+          return { rows: [{ blackout_date: '2026-06-20' }] };
+        }
+        if (sql.includes('FROM availability_rules')) {
+          return { rows: [{ id: RULE_ID, service_id: SERVICE_ID, days_of_week: [6] }] };
+        }
+        if (sql.includes('generate_series')) {
+          return { rows: [], rowCount: 1 };
+        }
+      });
+
+      const response = await request(app)
+        .delete(`${base}/blackouts/${BLACKOUT_ID}`)
+        .set('Authorization', `Bearer ${tokenFor('owner')}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ slotsCreated: 1 });
+      const [, params] = client.query.mock.calls.find(([sql]) => sql.includes('generate_series'));
+      expect(params.slice(7, 9)).toEqual(['2026-06-20', '2026-06-20']);
+    });
+  });
+
+  describe('price modifiers', () => {
+    it('should set the modifier on every slot of the given dates', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('UPDATE availability SET price_modifier')) {
+          return { rows: [], rowCount: 4 };
+        }
+      });
+
+      const response = await request(app)
+        .patch(`${base}/price-modifiers`)
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .send({ dates: ['2026-06-20', '2026-08-29'], priceModifier: 1.5 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ updated: 4 });
+      const [, params] = pool.query.mock.calls.find(([sql]) => sql.includes('UPDATE availability'));
+      expect(params).toEqual([SERVICE_ID, ['2026-06-20', '2026-08-29'], 1.5]);
+    });
+
+    it('should reject modifiers out of range', async () => {
+      mockDatabase();
+
+      const response = await request(app)
+        .patch(`${base}/price-modifiers`)
+        .set('Authorization', `Bearer ${tokenFor('owner')}`)
+        .send({ dates: ['2026-06-20'], priceModifier: 0 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details[0].path).toBe('priceModifier');
+    });
+  });
+});
@@ -0,0 +1,220 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+const { canTransition, roleCanTransition, allowedTransitions } = require('../src/config/bookingStatus');
+
+// Mock the database pool
+jest.mock('../src/config/database');
+
+const SERVICE_ID = '323e4567-e89b-12d3-a456-426614174000';
+const VENDOR_ID = '423e4567-e89b-12d3-a456-426614174000';
+const BOOKING_ID = '523e4567-e89b-12d3-a456-426614174000';
+const CUSTOMER_ID = '623e4567-e89b-12d3-a456-426614174000';
+
+const tokenFor = (userId, userType) => jwt.sign({ userId, email: `${userType}@example.com`, userType }, process.env.JWT_SECRET);
+
+const bookingWith = (status) => ({
+  id: BOOKING_ID,
+  customer_id: CUSTOMER_ID,
+  vendor_id: VENDOR_ID,
+  service_id: SERVICE_ID,
+  booking_date: '2026-06-20',
+  start_time: '10:00:00',
+  end_time: '12:00:00',
+  status
+});
+
+// Auth lookup for a customer or a vendor owner
+const mockAuth = (handler = () => undefined) => {
+  pool.query = jest.fn(async (sql, params) => {
+    if (sql.includes('LEFT JOIN vendor_members')) {
+      const isVendor = params[0] === VENDOR_ID;
+      return {
+        rows: [{
+          id: params[0],
+          email: 'user@example.com',
+          user_type: isVendor ? 'vendor' : 'customer',
+          is_active: true,
+          email_verified: true,
+          vendor_id: isVendor ? VENDOR_ID : null,
+          vendor_role: isVendor ? 'owner' : null
+        }]
+      };
+    }
+    return handler(sql, params) || { rows: [] };
+  });
+};
+
+// A transaction client holding a booking in `status`
+const mockBooking = (status) => {
+  const client = {
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('FROM bookings') && sql.includes('FOR UPDATE')) {
+        return { rows: [bookingWith(status)] };
+      }
+      if (sql.includes('UPDATE bookings SET status')) {
+        return { rows: [{ ...bookingWith(params[0]) }] };
+      }
+      return { rows: [], rowCount: 0 };
+    }),
+    release: jest.fn()
+  };
+  pool.connect = jest.fn().mockResolvedValue(client);
+  return client;
+};
+
+const changeStatus = (userId, userType, body) => request(app)
+  .patch(`/api/v1/bookings/${BOOKING_ID}/status`)
+  .set('Authorization', `Bearer ${tokenFor(userId, userType)}`)
+  .send(body);
+
+describe('Booking status', () => {
+  beforeEach(() => {
+    mockAuth();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('transition table', () => {
+    it('should only allow moves listed for the current status', () => {
+      expect(canTransition('pending', 'confirmed')).toBe(true);
+      expect(canTransition('confirmed', 'in_progress')).toBe(true);
+      expect(canTransition('in_progress', 'completed')).toBe(true);
+      expect(canTransition('completed', 'pending')).toBe(false);
+      expect(canTransition('cancelled', 'confirmed')).toBe(false);
+    });
+
+    it('should decide who may make each move', () => {
+      expect(roleCanTransition('pending', 'confirmed', 'customer')).toBe(false);
+      expect(roleCanTransition('pending', 'cancelled', 'customer')).toBe(true);
+      expect(allowedTransitions('pending', 'vendor')).toEqual(['confirmed', 'rejected', 'cancelled']);
+      expect(allowedTransitions('completed', 'vendor')).toEqual([]);
+    });
+  });
+
+  describe('PATCH /api/v1/bookings/:id/status', () => {
+    it('should confirm a pending booking and record who did it', async () => {
+      const client = mockBooking('pending');
+
+      const response = await changeStatus(VENDOR_ID, 'vendor', { status: 'confirmed', reason: 'See you there' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('confirmed');
+
+      const [, params] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO booking_status_history'));
+      expect(params).toEqual([BOOKING_ID, 'pending', 'confirmed', VENDOR_ID, 'vendor', 'See you there']);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should refuse transitions that are not in the table', async () => {
+      const client = mockBooking('completed');
+
+      const response = await changeStatus(VENDOR_ID, 'vendor', { status: 'pending' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toEqual({
+        code: 'INVALID_TRANSITION',
+        details: { from: 'completed', to: 'pending', allowed: [] }
+      });
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('should not let customers confirm their own bookings', async () => {
+      const client = mockBooking('pending');
+
+      const response = await changeStatus(CUSTOMER_ID, 'customer', { status: 'confirmed' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toEqual({
+        code: 'TRANSITION_NOT_ALLOWED',
+        details: { from: 'pending', to: 'confirmed', allowed: ['cancelled'] }
+      });
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('UPDATE bookings'))).toBe(false);
+    });
+
+    it('should release the slot when a vendor rejects a booking', async () => {
+      const client = mockBooking('pending');
+
+      const response = await changeStatus(VENDOR_ID, 'vendor', { status: 'rejected', reason: 'Fully booked' });
+
+      expect(response.status).toBe(200);
+      const [, params] = client.query.mock.calls.find(([sql]) => sql.includes('SET is_available = true'));
+      expect(params).toEqual([SERVICE_ID, '2026-06-20', '10:00:00', '12:00:00']);
+    });
+
+    it('should remove the slot instead when its date has been blacked out', async () => {
+      const client = mockBooking('pending');
+
+      const response = await changeStatus(VENDOR_ID, 'vendor', { status: 'rejected' });
+
+      expect(response.status).toBe(200);
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      const remove = statements.findIndex(sql => sql.includes('DELETE FROM availability'));
+      expect(statements[remove]).toContain('FROM availability_blackouts b WHERE b.service_id = $1 AND b.blackout_date = $2');
+      expect(remove).toBeLessThan(statements.findIndex(sql => sql.includes('SET is_available = true')));
+    });
+
+    it('should keep the slot closed while an imported calendar event overlaps it', async () => {
+      const client = mockBooking('confirmed');
+
+      const response = await changeStatus(VENDOR_ID, 'vendor', { status: 'cancelled' });
+
+      expect(response.status).toBe(200);
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      const release = statements.findIndex(sql => sql.includes('SET is_available = true'));
+      const block = statements.findIndex(sql => sql.includes('blocked_by_event_id = e.id'));
+      expect(block).toBeGreaterThan(release);
+      expect(statements[block]).toContain('tsrange(e.starts_at, e.ends_at)');
+      expect(statements[block]).toContain('s.vendor_id = cs.vendor_id');
+      expect(client.query.mock.calls[block][1]).toEqual([SERVICE_ID, '2026-06-20', '10:00:00', '12:00:00']);
+    });
+
+    it('should reject unknown statuses', async () => {
+      const response = await changeStatus(VENDOR_ID, 'vendor', { status: 'archived' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('GET /api/v1/bookings/:id/history', () => {
+    it('should return the history oldest first', async () => {
+      const history = [
+        { id: 1, from_status: null, to_status: 'pending', actor_role: 'customer' },
+        { id: 2, from_status: 'pending', to_status: 'confirmed', actor_role: 'vendor' }
+      ];
+      mockAuth((sql) => {
+        if (sql.includes('FROM bookings')) {
+          return { rows: [{ id: BOOKING_ID }] };
+        }
+        if (sql.includes('FROM booking_status_history')) {
+          return { rows: history };
+        }
+      });
+
+      const response = await request(app)
+        .get(`/api/v1/bookings/${BOOKING_ID}/history`)
+        .set('Authorization', `Bearer ${tokenFor(CUSTOMER_ID, 'customer')}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(history);
+      const [sql, params] = pool.query.mock.calls.find(([query]) => query.includes('FROM bookings'));
+      expect(sql).toContain('customer_id = $2');
+      expect(params).toEqual([BOOKING_ID, CUSTOMER_ID]);
+    });
+
+    it('should not show the history of someone else\'s booking', async () => {
+      const response = await request(app)
+        .get(`/api/v1/bookings/${BOOKING_ID}/history`)
+        .set('Authorization', `Bearer ${tokenFor(CUSTOMER_ID, 'customer')}`);
+
+      expect(response.status).toBe(404);
+      expect(pool.query.mock.calls.some(([sql]) => sql.includes('booking_status_history'))).toBe(false);
+    });
+  });
+});
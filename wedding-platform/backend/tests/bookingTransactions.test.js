@@ -0,0 +1,273 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+
+// Mock the database pool
+jest.mock('../src/config/database');
+
+const SERVICE_ID = '323e4567-e89b-12d3-a456-426614174000';
+const VENDOR_ID = '423e4567-e89b-12d3-a456-426614174000';
+const BOOKING_ID = '523e4567-e89b-12d3-a456-426614174000';
+
+const customerId = (n) => `623e4567-e89b-12d3-a456-42661417400${n}`;
+const tokenFor = (userId) => jwt.sign({ userId, email: `${userId}@example.com`, userType: 'customer' }, process.env.JWT_SECRET);
+
+const bookingBody = {
+  service_id: SERVICE_ID,
+  booking_date: '2026-06-20',
+  start_time: '10:00',
+  end_time: '12:00'
+};
+
+const service = { id: SERVICE_ID, vendor_id: VENDOR_ID, is_active: true, base_price: '250.00', pricing_type: 'hourly', duration_hours: 2 };
+
+// Lookups made outside the transaction: auth, the service and its vendor
+const mockLookups = () => {
+  pool.query = jest.fn(async (sql, params) => {
+    if (sql.includes('LEFT JOIN vendor_members')) {
+      return { rows: [{ id: params[0], email: `${params[0]}@example.com`, user_type: 'customer', is_active: true, email_verified: true }] };
+    }
+    if (sql.includes('FROM services')) {
+      return { rows: [service] };
+    }
+    if (sql.includes('FROM vendor_profiles')) {
+      return { rows: [{ is_verified: true }] };
+    }
+    return { rows: [] };
+  });
+};
+
+// In-memory stand-in for PostgreSQL row locks: SELECT ... FOR UPDATE waits until the
+// transaction holding the row commits or rolls back, then sees the committed state
+const createLockingDatabase = () => {
+  const state = { slotAvailable: true, bookings: [], released: 0 };
+  const locks = new Map();
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  const acquire = async (key, owner) => {
+    while (locks.has(key) && locks.get(key).owner !== owner) {
+      await locks.get(key).released;
+    }
+    if (!locks.has(key)) {
+      let release;
+      const released = new Promise(resolve => { release = resolve; });
+      locks.set(key, { owner, released, release });
+    }
+  };
+
+  const releaseAll = (owner) => {
+    for (const [key, lock] of locks) {
+      if (lock.owner === owner) {
+        locks.delete(key);
+        lock.release();
+      }
+    }
+  };
+
+  const connect = async () => {
+    const client = {
+      pending: {},
+      query: jest.fn(async (sql, params) => {
+        await tick();
+
+        if (sql === 'COMMIT') {
+          Object.assign(state, client.pending);
+          releaseAll(client);
+        } else if (sql === 'ROLLBACK') {
+          releaseAll(client);
+        } else if (sql.includes('FROM users') && sql.includes('FOR UPDATE')) {
+          await acquire(`user:${params[0]}`, client);
+          return { rows: [{ id: params[0] }] };
+        } else if (sql.includes('FROM availability') && sql.includes('FOR UPDATE')) {
+          await acquire('slot-1', client);
+          const available = 'slotAvailable' in client.pending ? client.pending.slotAvailable : state.slotAvailable;
+          return { rows: available ? [{ id: 'slot-1', price_modifier: '1.00' }] : [] };
+        } else if (sql.includes('INSERT INTO bookings')) {
+          client.pending.bookings = [...state.bookings, { id: `booking-${state.bookings.length + 1}`, customer_id: params[0] }];
+          return { rows: [client.pending.bookings[client.pending.bookings.length - 1]] };
+        } else if (sql.includes('UPDATE availability SET is_available = false')) {
+          client.pending.slotAvailable = false;
+        }
+
+        return { rows: [] };
+      }),
+      release: jest.fn(() => { state.released++; })
+    };
+    return client;
+  };
+
+  return { state, connect };
+};
+
+describe('Booking transactions', () => {
+  beforeEach(() => {
+    mockLookups();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should let only one of several simultaneous requests book a slot', async () => {
+    const db = createLockingDatabase();
+    pool.connect = jest.fn(db.connect);
+
+    const responses = await Promise.all([1, 2, 3, 4, 5].map(n =>
+      request(app)
+        .post('/api/v1/bookings')
+        .set('Authorization', `Bearer ${tokenFor(customerId(n))}`)
+        .send(bookingBody)
+    ));
+
+    const statuses = responses.map(response => response.status).sort();
+    expect(statuses).toEqual([201, 409, 409, 409, 409]);
+    responses
+      .filter(response => response.status === 409)
+      .forEach(response => expect(response.body.error.code).toBe('SLOT_UNAVAILABLE'));
+
+    expect(db.state.bookings).toHaveLength(1);
+    expect(db.state.slotAvailable).toBe(false);
+    expect(db.state.released).toBe(5);
+  });
+
+  it('should roll back and keep the slot if the insert fails', async () => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM availability')) {
+          return { rows: [{ id: 'slot-1' }] };
+        }
+        if (sql.includes('INSERT INTO bookings')) {
+          throw new Error('connection lost');
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    pool.connect = jest.fn().mockResolvedValue(client);
+
+    const response = await request(app)
+      .post('/api/v1/bookings')
+      .set('Authorization', `Bearer ${tokenFor(customerId(1))}`)
+      .send(bookingBody);
+
+    expect(response.status).toBe(500);
+    const statements = client.query.mock.calls.map(([sql]) => sql);
+    expect(statements).toContain('ROLLBACK');
+    expect(statements).not.toContain('COMMIT');
+    expect(statements.some(sql => sql.includes('UPDATE availability'))).toBe(false);
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject a customer overlapping their own booking', async () => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM availability')) {
+          return { rows: [{ id: 'slot-1' }] };
+        }
+        if (sql.includes('FROM bookings')) {
+          return { rows: [{ id: BOOKING_ID }] };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    pool.connect = jest.fn().mockResolvedValue(client);
+
+    const response = await request(app)
+      .post('/api/v1/bookings')
+      .set('Authorization', `Bearer ${tokenFor(customerId(1))}`)
+      .send(bookingBody);
+
+    expect(response.status).toBe(409);
+    expect(response.body.error.code).toBe('BOOKING_OVERLAP');
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  it('should release the old slot before taking the new one when rescheduling', async () => {
+    const booking = {
+      id: BOOKING_ID,
+      customer_id: customerId(1),
+      service_id: SERVICE_ID,
+      booking_date: '2026-06-20',
+      start_time: '10:00:00',
+      end_time: '12:00:00',
+      status: 'pending'
+    };
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM bookings WHERE id = $1')) {
+          return { rows: [booking] };
+        }
+        if (sql.includes('FROM services')) {
+          return { rows: [service] };
+        }
+        if (sql.includes('FROM availability')) {
+          return { rows: [{ id: 'slot-2' }] };
+        }
+        if (sql.includes('UPDATE bookings')) {
+          return { rows: [{ ...booking, start_time: '14:00:00', end_time: '16:00:00' }] };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    pool.connect = jest.fn().mockResolvedValue(client);
+
+    const response = await request(app)
+      .put(`/api/v1/bookings/${BOOKING_ID}`)
+      .set('Authorization', `Bearer ${tokenFor(customerId(1))}`)
+      .send({ ...bookingBody, start_time: '14:00', end_time: '16:00' });
+
+    expect(response.status).toBe(200);
+
+    const statements = client.query.mock.calls.map(([sql]) => sql.replace(/\s+/g, ' ').trim());
+    const lockBooking = statements.findIndex(sql => sql.includes('FROM bookings WHERE id = $1 AND customer_id = $2 FOR UPDATE'));
+    const release = statements.findIndex(sql => sql.startsWith('UPDATE availability SET is_available = true'));
+    const lockSlot = statements.findIndex(sql => sql.includes('FROM availability') && sql.includes('FOR UPDATE'));
+    const hold = statements.findIndex(sql => sql.startsWith('UPDATE availability SET is_available = false'));
+
+    expect(statements[0]).toBe('BEGIN');
+    expect(lockBooking).toBeGreaterThan(0);
+    expect(release).toBeGreaterThan(lockBooking);
+    expect(lockSlot).toBeGreaterThan(release);
+    expect(hold).toBeGreaterThan(lockSlot);
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+  });
+
+  it('should cancel and free the slot in one transaction', async () => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM bookings WHERE id = $1')) {
+          return { rows: [{ id: BOOKING_ID, service_id: SERVICE_ID, booking_date: '2026-06-20', start_time: '10:00:00', end_time: '12:00:00', status: 'confirmed' }] };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    pool.connect = jest.fn().mockResolvedValue(client);
+
+    const response = await request(app)
+      .delete(`/api/v1/bookings/${BOOKING_ID}`)
+      .set('Authorization', `Bearer ${tokenFor(customerId(1))}`);
+
+    expect(response.status).toBe(200);
+    const statements = client.query.mock.calls.map(([sql]) => sql);
+    expect(statements[0]).toBe('BEGIN');
+    expect(statements.some(sql => sql.includes("UPDATE bookings SET status = $1"))).toBe(true);
+    expect(statements.some(sql => sql.includes('SET is_available = true'))).toBe(true);
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+  });
+
+  it('should reject bookings that end before they start', async () => {
+    const response = await request(app)
+      .post('/api/v1/bookings')
+      .set('Authorization', `Bearer ${tokenFor(customerId(1))}`)
+      .send({ ...bookingBody, start_time: '12:00', end_time: '10:00' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details[0].path).toBe('end_time');
+  });
+});
@@ -0,0 +1,306 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.CALENDAR_TIMEZONE = 'Europe/London';
+
+const dns = require('dns');
+const http = require('http');
+const { EventEmitter } = require('events');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+const { parseCalendar, buildCalendar } = require('../src/utils/ical');
+const { hashToken } = require('../src/utils/tokens');
+const { fetchCalendar } = require('../src/services/calendarSync');
+
+// Mock the database pool
+jest.mock('../src/config/database');
+
+const VENDOR_ID = '423e4567-e89b-12d3-a456-426614174000';
+const SOURCE_ID = '923e4567-e89b-12d3-a456-426614174000';
+const BOOKING_ID = '523e4567-e89b-12d3-a456-426614174000';
+const FEED_TOKEN = 'a'.repeat(64);
+
+const token = jwt.sign({ userId: VENDOR_ID, email: 'vendor@example.com', userType: 'vendor' }, process.env.JWT_SECRET);
+
+const ics = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Example//EN',
+  ...events.flatMap(event => ['BEGIN:VEVENT', ...event, 'END:VEVENT']),
+  'END:VCALENDAR'
+].join('\r\n');
+
+const busyEvent = [
+  'UID:diary-1@example.com',
+  'DTSTART:20300615T090000Z',
+  'DTEND:20300615T110000Z',
+  'SUMMARY:Site visit'
+];
+
+// Auth lookup for a vendor owner
+const mockVendor = () => {
+  pool.query = jest.fn(async (sql, params) => {
+    if (sql.includes('LEFT JOIN vendor_members')) {
+      return { rows: [{ id: params[0], email: 'vendor@example.com', user_type: 'vendor', is_active: true, email_verified: true, vendor_id: VENDOR_ID, vendor_role: 'owner' }] };
+    }
+    return { rows: [], rowCount: 0 };
+  });
+};
+
+// A transaction client for imports into a file source
+const mockImport = () => {
+  const client = {
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('INSERT INTO calendar_sources')) {
+        return { rows: [{ id: SOURCE_ID, vendor_id: VENDOR_ID, name: params[1], source_type: 'file' }] };
+      }
+      if (sql.includes('SET is_available = false')) {
+        return { rows: [], rowCount: 2 };
+      }
+      return { rows: [], rowCount: 0 };
+    }),
+    release: jest.fn()
+  };
+  pool.connect = jest.fn().mockResolvedValue(client);
+  return client;
+};
+
+describe('Calendar sync', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseCalendar', () => {
+    it('should convert UTC and other zones to calendar wall-clock time', () => {
+      const events = parseCalendar(ics(
+        busyEvent,
+        ['UID:ny', 'DTSTART;TZID=America/New_York:20300615T090000', 'DTEND;TZID=America/New_York:20300615T100000']
+      ));
+
+      expect(events).toEqual([
+        expect.objectContaining({ uid: 'diary-1@example.com', start: '2030-06-15 10:00:00', end: '2030-06-15 12:00:00', summary: 'Site visit' }),
+        expect.objectContaining({ uid: 'ny', start: '2030-06-15 14:00:00', end: '2030-06-15 15:00:00' })
+      ]);
+    });
+
+    it('should read all-day events, durations, folded lines and escaped text', () => {
+      const [allDay, withDuration] = parseCalendar(ics(
+        ['UID:holiday', 'DTSTART;VALUE=DATE:20300801', 'SUMMARY:Family\\, holiday'],
+        ['UID:long-', ' uid', 'DTSTART:20300615T220000', 'DURATION:PT3H', 'TRANSP:TRANSPARENT', 'STATUS:CANCELLED']
+      ));
+
+      expect(allDay).toMatchObject({ allDay: true, start: '2030-08-01 00:00:00', end: '2030-08-02 00:00:00', summary: 'Family, holiday' });
+      expect(withDuration).toMatchObject({ uid: 'long-uid', start: '2030-06-15 22:00:00', end: '2030-06-16 01:00:00', transparent: true, status: 'CANCELLED' });
+    });
+
+    it('should ignore alarm properties and events without a UID', () => {
+      const events = parseCalendar(ics(
+        ['UID:with-alarm', 'DTSTART:20300615T090000', 'BEGIN:VALARM', 'UID:alarm', 'TRIGGER:-PT15M', 'END:VALARM'],
+        ['DTSTART:20300615T090000']
+      ));
+
+      expect(events.map(event => event.uid)).toEqual(['with-alarm']);
+    });
+  });
+
+  describe('buildCalendar', () => {
+    it('should write escaped, folded events with CRLF line endings', () => {
+      const calendar = buildCalendar({
+        name: 'Bookings',
+        timeZone: 'Europe/London',
+        now: new Date('2030-01-01T00:00:00Z'),
+        events: [{ uid: 'booking-1@wedding-platform', date: '2030-06-15', startTime: '14:00:00', endTime: '18:30:00', summary: 'Photography; full day, with drone', description: 'x'.repeat(100) }]
+      });
+
+      const lines = calendar.split('\r\n');
+      expect(lines).toContain('DTSTART;TZID=Europe/London:20300615T140000');
+      expect(lines).toContain('DTEND;TZID=Europe/London:20300615T183000');
+      expect(lines).toContain('SUMMARY:Photography\\; full day\\, with drone');
+      expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+      expect(parseCalendar(calendar)[0]).toMatchObject({ uid: 'booking-1@wedding-platform', start: '2030-06-15 14:00:00' });
+    });
+  });
+
+  describe('GET /api/v1/calendar/feeds/:token.ics', () => {
+    it('should serve the vendor\'s confirmed bookings as ICS', async () => {
+      pool.query = jest.fn(async (sql, params) => {
+        if (sql.includes('FROM vendor_calendar_feeds')) {
+          return { rows: params[0] === hashToken(FEED_TOKEN) ? [{ vendor_id: VENDOR_ID }] : [] };
+        }
+        return {
+          rows: [{
+            id: BOOKING_ID,
+            booking_date: '2030-06-15',
+            start_time: '14:00:00',
+            end_time: '18:00:00',
+            service_name: 'Photography',
+            first_name: 'Sam',
+            last_name: 'Jones',
+            business_name: 'Bright Lens'
+          }]
+        };
+      });
+
+      const response = await request(app).get(`/api/v1/calendar/feeds/${FEED_TOKEN}.ics`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/calendar/);
+      expect(response.text).toContain(`UID:booking-${BOOKING_ID}@wedding-platform`);
+      expect(response.text).toContain('SUMMARY:Photography - Sam Jones');
+      expect(response.text).toContain('X-WR-CALNAME:Bright Lens bookings');
+
+      const [sql, params] = pool.query.mock.calls[1];
+      expect(sql).toContain("b.status IN ('confirmed', 'in_progress', 'completed')");
+      expect(params[0]).toBe(VENDOR_ID);
+    });
+
+    it('should not reveal whether a feed exists for a wrong token', async () => {
+      pool.query = jest.fn().mockResolvedValue({ rows: [] });
+
+      const response = await request(app).get(`/api/v1/calendar/feeds/${'b'.repeat(64)}.ics`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+  });
+
+  describe('POST /api/v1/calendar/feed', () => {
+    it('should store only a hash of the new feed token', async () => {
+      mockVendor();
+
+      const response = await request(app)
+        .post('/api/v1/calendar/feed')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(201);
+      const feedToken = response.body.data.url.match(/feeds\/([0-9a-f]{64})\.ics$/)[1];
+      const [, params] = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO vendor_calendar_feeds'));
+      expect(params).toEqual([VENDOR_ID, hashToken(feedToken)]);
+    });
+  });
+
+  describe('POST /api/v1/calendar/import', () => {
+    it('should import busy events by UID and close overlapping open slots', async () => {
+      mockVendor();
+      const client = mockImport();
+
+      const response = await request(app)
+        .post('/api/v1/calendar/import')
+        .set('Authorization', `Bearer ${token}`)
+        .attach('file', Buffer.from(ics(
+          busyEvent,
+          ['UID:free', 'DTSTART:20300616T090000Z', 'DTEND:20300616T110000Z', 'TRANSP:TRANSPARENT'],
+          ['UID:cancelled', 'DTSTART:20300617T090000Z', 'DTEND:20300617T110000Z', 'STATUS:CANCELLED'],
+          [`UID:booking-${BOOKING_ID}@wedding-platform`, 'DTSTART:20300618T090000Z', 'DTEND:20300618T110000Z']
+        )), 'diary.ics');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ sourceId: SOURCE_ID, events: 1, slotsBlocked: 2 });
+
+      const [upsert, params] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO calendar_events'));
+      expect(upsert).toContain('ON CONFLICT (source_id, uid, recurrence_id) DO UPDATE');
+      expect(params).toEqual([SOURCE_ID, ['diary-1@example.com'], [''], ['Site visit'], ['2030-06-15 10:00:00'], ['2030-06-15 12:00:00']]);
+
+      const [source] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO calendar_sources'));
+      expect(source).toContain('ON CONFLICT (vendor_id, name)');
+    });
+
+    it('should issue the same statements when the same calendar is imported twice', async () => {
+      mockVendor();
+      const runs = [];
+
+      for (let i = 0; i < 2; i++) {
+        const client = mockImport();
+        await request(app)
+          .post('/api/v1/calendar/import')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'Google', calendar: ics(busyEvent) })
+          .expect(200);
+        runs.push(client.query.mock.calls);
+      }
+
+      expect(runs[1]).toEqual(runs[0]);
+      // Slots closed last time are reopened before the events are re-applied
+      const statements = runs[0].map(([sql]) => sql);
+      const release = statements.findIndex(sql => sql.includes('SET is_available = true'));
+      const block = statements.findIndex(sql => sql.includes('SET is_available = false'));
+      expect(release).toBeGreaterThan(-1);
+      expect(block).toBeGreaterThan(release);
+    });
+
+    it('should reject files that are not calendars', async () => {
+      mockVendor();
+
+      const response = await request(app)
+        .post('/api/v1/calendar/import')
+        .set('Authorization', `Bearer ${token}`)
+        .attach('file', Buffer.from('not a calendar'), 'notes.txt');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('INVALID_CALENDAR');
+    });
+  });
+
+  describe('fetchCalendar', () => {
+    // Answer http.get with a response of the given status and headers
+    const mockHttpResponse = (statusCode, headers = {}) => jest.spyOn(http, 'get').mockImplementation((url, options, callback) => {
+      const req = Object.assign(new EventEmitter(), { destroy: jest.fn() });
+      const response = Object.assign(new EventEmitter(), { statusCode, headers, resume: jest.fn() });
+      process.nextTick(() => callback(response));
+      return req;
+    });
+
+    // Resolve the given hosts to the given addresses, and anything else as usual
+    const mockDns = (hosts) => {
+      const lookup = dns.promises.lookup;
+      return jest.spyOn(dns.promises, 'lookup').mockImplementation((hostname, options) => (hosts[hostname]
+        ? Promise.resolve([{ address: hosts[hostname], family: 4 }])
+        : lookup(hostname, options)));
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should refuse URLs whose host resolves to a private address', async () => {
+      mockDns({ 'intranet.example.com': '10.1.2.3' });
+      const get = jest.spyOn(http, 'get');
+
+      await expect(fetchCalendar('http://intranet.example.com/diary.ics')).rejects.toThrow('private or reserved address');
+      expect(get).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      'http://127.0.0.1:5432/',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://[::1]/diary.ics',
+      'http://[::ffff:127.0.0.1]/diary.ics',
+      'webcal://0.0.0.0/diary.ics'
+    ])('should refuse the internal address %s', async (url) => {
+      const get = jest.spyOn(http, 'get');
+
+      await expect(fetchCalendar(url)).rejects.toThrow('private or reserved address');
+      expect(get).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a redirect to an internal address', async () => {
+      mockDns({ 'calendar.example.com': '93.184.216.34' });
+      const get = mockHttpResponse(302, { location: 'http://169.254.169.254/latest/meta-data/' });
+
+      await expect(fetchCalendar('http://calendar.example.com/diary.ics')).rejects.toThrow('private or reserved address');
+      expect(get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should connect to the address that was checked', async () => {
+      mockDns({ 'calendar.example.com': '93.184.216.34' });
+      const get = mockHttpResponse(404);
+
+      await expect(fetchCalendar('http://calendar.example.com/diary.ics')).rejects.toThrow('status 404');
+
+      const { lookup } = get.mock.calls[0][1];
+      const callback = jest.fn();
+      lookup('calendar.example.com', { all: true }, callback);
+      expect(callback).toHaveBeenCalledWith(null, [{ address: '93.184.216.34', family: 4 }]);
+    });
+  });
+});
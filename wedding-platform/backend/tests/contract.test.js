@@ -0,0 +1,183 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+// Every route is called twice; keep the global limiter out of the way
+process.env.RATE_LIMIT_MAX_REQUESTS = '100000';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+const mailer = require('../src/services/mailer');
+
+// Mock the database pool and Stripe
+jest.mock('../src/config/database');
+jest.mock('stripe', () => {
+  const stripeError = () => Object.assign(new Error('No such customer'), { type: 'StripeInvalidRequestError' });
+  const reject = () => jest.fn().mockRejectedValue(stripeError());
+
+  return jest.fn(() => ({
+    paymentIntents: { create: reject() },
+    refunds: { create: reject() },
+    paymentMethods: { list: reject(), detach: reject() },
+    customers: {
+      create: reject(),
+      retrieve: reject(),
+      update: reject(),
+      listPaymentMethods: reject(),
+      retrievePaymentMethod: reject()
+    },
+    setupIntents: { create: reject() },
+    accounts: { create: reject(), retrieve: reject() },
+    accountLinks: { create: reject() },
+    transfers: { create: reject() },
+    webhooks: {
+      constructEvent: jest.fn(() => {
+        throw Object.assign(new Error('No signatures found'), { type: 'StripeSignatureVerificationError' });
+      })
+    }
+  }));
+});
+
+// Mount points from server.js
+const MOUNTS = {
+  '/api/v1/auth': require('../src/routes/auth'),
+  '/api/v1/users': require('../src/routes/users'),
+  '/api/v1/vendors/team': require('../src/routes/vendorTeam'),
+  '/api/v1/vendors/payouts': require('../src/routes/vendorPayouts'),
+  '/api/v1/vendors': require('../src/routes/vendors'),
+  '/api/v1/services/:id/availability': require('../src/routes/availability'),
+  '/api/v1/services/:id/media': require('../src/routes/serviceMedia'),
+  '/api/v1/services': require('../src/routes/services'),
+  '/api/v1/bookings': require('../src/routes/bookings'),
+  '/api/v1/quote-requests': require('../src/routes/quoteRequests'),
+  '/api/v1/conversations': require('../src/routes/conversations'),
+  '/api/v1/reviews': require('../src/routes/reviews'),
+  '/api/v1/payments/payment-methods': require('../src/routes/paymentMethods'),
+  '/api/v1/payments': require('../src/routes/payments'),
+  '/api/v1/permissions': require('../src/routes/permissions'),
+  '/api/v1/calendar': require('../src/routes/calendar')
+};
+
+const ID = '123e4567-e89b-12d3-a456-426614174000';
+const PARAMS = { provider: 'google', role: 'support', permission: 'bookings.view' };
+
+const ROUTES = Object.entries(MOUNTS).flatMap(([mount, router]) =>
+  router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+      method,
+      path: (mount + layer.route.path.replace(/^\/$/, ''))
+        .replace(/:(\w+)/g, (match, name) => PARAMS[name] || ID)
+    })))
+);
+
+const SUCCESS_KEYS = ['success', 'message', 'data', 'pagination'];
+const ERROR_KEYS = ['success', 'message', 'error'];
+
+const expectEnvelope = (response) => {
+  expect(response.headers['content-type']).toMatch(/application\/json/);
+
+  if (response.body.success === true) {
+    expect(response.status).toBeLessThan(400);
+    expect(response.body).toHaveProperty('data');
+    expect(SUCCESS_KEYS).toEqual(expect.arrayContaining(Object.keys(response.body)));
+  } else {
+    expect(response.body.success).toBe(false);
+    expect(response.status).toBeGreaterThanOrEqual(400);
+    expect(typeof response.body.message).toBe('string');
+    expect(response.body.error.code).toMatch(/^[A-Z][A-Z0-9_]*$/);
+    expect(ERROR_KEYS).toEqual(expect.arrayContaining(Object.keys(response.body)));
+  }
+};
+
+const send = (route, token) => {
+  const req = request(app)[route.method](route.path);
+  if (token) {
+    req.set('Authorization', `Bearer ${token}`);
+  }
+  return req.send({});
+};
+
+describe('Response envelope contract', () => {
+  beforeAll(() => {
+    mailer.setTransport({ name: 'test', send: jest.fn().mockResolvedValue({ id: null }) });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    mailer.setTransport(null);
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    pool.query = jest.fn().mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  it('should find the routes of every router', () => {
+    expect(ROUTES.length).toBeGreaterThan(50);
+    expect(ROUTES).toContainEqual({ method: 'get', path: '/api/v1/bookings' });
+  });
+
+  it.each(ROUTES.map(route => [route.method.toUpperCase(), route.path, route]))(
+    '%s %s should use the envelope for anonymous requests',
+    async (method, path, route) => {
+      expectEnvelope(await send(route));
+    }
+  );
+
+  it.each(ROUTES.map(route => [route.method.toUpperCase(), route.path, route]))(
+    '%s %s should use the envelope for staff requests',
+    async (method, path, route) => {
+      // The admin account exists; every other lookup finds nothing
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('LEFT JOIN vendor_members vm ON vm.user_id = u.id')) {
+          return { rows: [{ id: ID, email: 'admin@example.com', user_type: 'admin', is_active: true, email_verified: true, two_factor_enabled: true }] };
+        }
+        if (sql.includes('COUNT(*) AS total')) {
+          return { rows: [{ total: '0' }] };
+        }
+        return { rows: [], rowCount: 0 };
+      });
+
+      const token = jwt.sign({ userId: ID, email: 'admin@example.com', userType: 'admin' }, process.env.JWT_SECRET);
+      expectEnvelope(await send(route, token));
+    }
+  );
+
+  it('should use the envelope for unknown routes and malformed JSON', async () => {
+    const missing = await request(app).get('/api/v1/nope');
+    expectEnvelope(missing);
+    expect(missing.body.error.code).toBe('ROUTE_NOT_FOUND');
+
+    const malformed = await request(app)
+      .post('/api/v1/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email":');
+    expectEnvelope(malformed);
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error.code).toBe('INVALID_JSON');
+  });
+
+  it('should map Stripe errors to payment codes', async () => {
+    const response = await request(app)
+      .post('/api/v1/payments/webhook')
+      .set('stripe-signature', 'bad')
+      .send({});
+
+    expectEnvelope(response);
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('INVALID_SIGNATURE');
+  });
+
+  it('should map unique violations to conflicts', async () => {
+    pool.query.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505', constraint: 'users_email_key' }));
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ email: 'new@example.com', password: 'Password1', firstName: 'New', lastName: 'User', userType: 'customer' });
+
+    expectEnvelope(response);
+    expect(response.status).toBe(409);
+    expect(response.body.error.code).toBe('CONFLICT');
+  });
+});
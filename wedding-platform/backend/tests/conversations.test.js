@@ -0,0 +1,345 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+const mediaStorage = require('../src/services/mediaStorage');
+const { subscribe } = require('../src/services/messageEvents');
+
+// Mock the database pool
+jest.mock('../src/config/database');
+
+const VENDOR_ID = '423e4567-e89b-12d3-a456-426614174000';
+const BOOKING_ID = '523e4567-e89b-12d3-a456-426614174000';
+const CUSTOMER_ID = '623e4567-e89b-12d3-a456-426614174000';
+const CONVERSATION_ID = '723e4567-e89b-12d3-a456-426614174000';
+const MESSAGE_ID = '823e4567-e89b-12d3-a456-426614174000';
+const ATTACHMENT_ID = '923e4567-e89b-12d3-a456-426614174000';
+const SUPPORT_ID = 'a23e4567-e89b-12d3-a456-426614174000';
+
+const base = '/api/v1/conversations';
+
+const tokenFor = (userId, userType) => jwt.sign({ userId, email: `${userType}@example.com`, userType }, process.env.JWT_SECRET);
+const customerToken = tokenFor(CUSTOMER_ID, 'customer');
+const vendorToken = tokenFor(VENDOR_ID, 'vendor');
+const supportToken = tokenFor(SUPPORT_ID, 'support');
+
+const conversation = {
+  id: CONVERSATION_ID,
+  customer_id: CUSTOMER_ID,
+  vendor_id: VENDOR_ID,
+  booking_id: null,
+  subject: 'Engagement shoot',
+  flagged_at: null
+};
+
+const USER_TYPES = { [VENDOR_ID]: 'vendor', [CUSTOMER_ID]: 'customer', [SUPPORT_ID]: 'support' };
+
+// Auth lookup for the customer, a vendor team member or a support user, then `handler`
+const mockDatabase = (handler = () => undefined, { vendorRole = 'owner' } = {}) => {
+  pool.query = jest.fn(async (sql, params) => {
+    if (sql.includes('LEFT JOIN vendor_members')) {
+      const isVendor = params[0] === VENDOR_ID;
+      return {
+        rows: [{
+          id: params[0],
+          email: 'user@example.com',
+          user_type: USER_TYPES[params[0]],
+          is_active: true,
+          email_verified: true,
+          two_factor_enabled: true,
+          vendor_id: isVendor ? VENDOR_ID : null,
+          vendor_role: isVendor ? vendorRole : null
+        }]
+      };
+    }
+    return handler(sql, params) || { rows: [], rowCount: 0 };
+  });
+};
+
+// A transaction client whose queries go to `handler`
+const mockTransaction = (handler = () => undefined) => {
+  const client = {
+    query: jest.fn(async (sql, params) => handler(sql, params) || { rows: [], rowCount: 0 }),
+    release: jest.fn()
+  };
+  pool.connect = jest.fn().mockResolvedValue(client);
+  return client;
+};
+
+const messageTransaction = () => mockTransaction((sql) => {
+  if (sql.includes('INSERT INTO messages')) {
+    return { rows: [{ id: MESSAGE_ID, conversation_id: CONVERSATION_ID, sender_id: CUSTOMER_ID, body: 'Hello', created_at: '2026-05-01T10:00:00.000Z' }] };
+  }
+  if (sql.includes('INSERT INTO message_attachments')) {
+    return { rows: [{ id: ATTACHMENT_ID, file_name: 'moodboard.pdf', content_type: 'application/pdf', size_bytes: 9 }] };
+  }
+  if (sql.includes('INSERT INTO conversation_reads')) {
+    return { rows: [{ last_read_at: '2026-05-01T10:00:00.000Z' }] };
+  }
+});
+
+const callFor = (mock, text) => mock.mock.calls.find(([sql]) => sql.includes(text));
+
+describe('Conversations', () => {
+  let files;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    files = new Map();
+    mediaStorage.setDriver({
+      name: 'memory',
+      save: jest.fn(async (key, buffer) => { files.set(key, buffer); }),
+      read: jest.fn(async (key) => files.get(key)),
+      remove: jest.fn(async (key) => { files.delete(key); })
+    });
+  });
+
+  afterAll(() => {
+    mediaStorage.setDriver(null);
+  });
+
+  describe('POST /conversations', () => {
+    it('should start a thread with a vendor and post the first message', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM vendor_profiles WHERE user_id')) {
+          return { rows: [{ user_id: VENDOR_ID }] };
+        }
+        if (sql.includes('INSERT INTO conversations')) {
+          return { rows: [conversation] };
+        }
+      });
+      const client = messageTransaction();
+
+      const events = [];
+      const unsubscribe = subscribe(`vendor:${VENDOR_ID}`, event => events.push(event));
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ vendorId: VENDOR_ID, subject: 'Engagement shoot', body: 'Hello' });
+      unsubscribe();
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.message.body).toBe('Hello');
+
+      const insert = callFor(pool.query, 'INSERT INTO conversations');
+      expect(insert[0]).toContain('ON CONFLICT');
+      expect(insert[1]).toEqual([CUSTOMER_ID, VENDOR_ID, null, 'Engagement shoot']);
+
+      // The sender has read their own message
+      expect(callFor(client.query, 'INSERT INTO conversation_reads')[1]).toEqual([CONVERSATION_ID, CUSTOMER_ID]);
+      expect(events).toEqual([expect.objectContaining({ type: 'message', data: expect.objectContaining({ conversationId: CONVERSATION_ID }) })]);
+    });
+
+    it('should require vendors to start from one of their bookings', async () => {
+      mockDatabase();
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ body: 'Hello' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('RECIPIENT_REQUIRED');
+    });
+
+    it('should reject an empty message', async () => {
+      mockDatabase();
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ vendorId: VENDOR_ID });
+
+      expect(response.status).toBe(400);
+      expect(callFor(pool.query, 'INSERT INTO conversations')).toBeUndefined();
+    });
+  });
+
+  describe('POST /conversations/:id/messages', () => {
+    it('should store attachments and record them with the message', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM conversations c WHERE c.id = $2')) {
+          return { rows: [conversation] };
+        }
+      });
+      const client = messageTransaction();
+
+      const response = await request(app)
+        .post(`${base}/${CONVERSATION_ID}/messages`)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .field('body', 'Our moodboard')
+        .attach('attachments', Buffer.from('%PDF-1.4\n'), { filename: 'moodboard.pdf', contentType: 'application/pdf' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.attachments).toHaveLength(1);
+
+      const [key] = [...files.keys()];
+      expect(key).toMatch(/^messages\/\d{4}\/\d{2}\/[0-9a-f-]+\.pdf$/);
+      const attachment = callFor(client.query, 'INSERT INTO message_attachments');
+      expect(attachment[1]).toEqual([MESSAGE_ID, key, 'moodboard.pdf', 'application/pdf', 9]);
+    });
+
+    it('should reject unsupported file types', async () => {
+      mockDatabase();
+
+      const response = await request(app)
+        .post(`${base}/${CONVERSATION_ID}/messages`)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .attach('attachments', Buffer.from('MZ'), { filename: 'setup.exe', contentType: 'application/x-msdownload' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('UNSUPPORTED_FILE_TYPE');
+      expect(files.size).toBe(0);
+    });
+
+    it('should remove stored files when the message cannot be saved', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM conversations c WHERE c.id = $2')) {
+          return { rows: [conversation] };
+        }
+      });
+      mockTransaction((sql) => {
+        if (sql.includes('INSERT INTO messages')) {
+          throw new Error('connection lost');
+        }
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post(`${base}/${CONVERSATION_ID}/messages`)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .attach('attachments', Buffer.from('png'), { filename: 'venue.png', contentType: 'image/png' });
+
+      expect(response.status).toBe(500);
+      expect(files.size).toBe(0);
+      console.error.mockRestore();
+    });
+
+    it('should not let vendor members without messaging rights post', async () => {
+      mockDatabase(undefined, { vendorRole: 'viewer' });
+
+      const response = await request(app)
+        .post(`${base}/${CONVERSATION_ID}/messages`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ body: 'Hello' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('INSUFFICIENT_TEAM_ROLE');
+    });
+  });
+
+  describe('reading', () => {
+    it('should count unread messages from the other side', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('COUNT(*)::int AS unread')) {
+          return { rows: [{ unread: 3, conversations: 2 }] };
+        }
+      });
+
+      const response = await request(app)
+        .get(`${base}/unread-count`)
+        .set('Authorization', `Bearer ${vendorToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ unread: 3, conversations: 2 });
+
+      const [sql, params] = callFor(pool.query, 'AS unread');
+      expect(sql).toContain('c.vendor_id = $1');
+      expect(sql).toContain('m.sender_id = c.customer_id');
+      expect(params).toEqual([VENDOR_ID, VENDOR_ID]);
+    });
+
+    it('should poll for messages newer than a timestamp', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM conversations c WHERE c.id = $2')) {
+          return { rows: [conversation] };
+        }
+        if (sql.includes('COUNT(*) AS total')) {
+          return { rows: [{ total: '0' }] };
+        }
+      });
+
+      const response = await request(app)
+        .get(`${base}/${CONVERSATION_ID}/messages?since=2026-05-01T10:00:00Z`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(200);
+      const [sql, params] = callFor(pool.query, 'FROM messages m');
+      expect(sql).toContain('m.created_at > $2');
+      expect(params.slice(0, 2)).toEqual([CONVERSATION_ID, '2026-05-01T10:00:00Z']);
+    });
+
+    it('should mark a conversation read and notify the other side', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM conversations c WHERE c.id = $2')) {
+          return { rows: [conversation] };
+        }
+        if (sql.includes('INSERT INTO conversation_reads')) {
+          return { rows: [{ last_read_at: '2026-05-01T11:00:00.000Z' }] };
+        }
+      });
+
+      const events = [];
+      const unsubscribe = subscribe(`user:${CUSTOMER_ID}`, event => events.push(event));
+
+      const response = await request(app)
+        .post(`${base}/${CONVERSATION_ID}/read`)
+        .set('Authorization', `Bearer ${vendorToken}`);
+      unsubscribe();
+
+      expect(response.status).toBe(200);
+      expect(callFor(pool.query, 'INSERT INTO conversation_reads')[1]).toEqual([CONVERSATION_ID, VENDOR_ID]);
+      expect(events).toEqual([{
+        type: 'read',
+        data: { conversationId: CONVERSATION_ID, side: 'vendor', readAt: '2026-05-01T11:00:00.000Z' }
+      }]);
+    });
+  });
+
+  describe('moderation', () => {
+    it('should let support read flagged conversations but not post in them', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM role_permissions')) {
+          return { rows: [{ permission: 'messages.moderate' }] };
+        }
+        if (sql.includes('c.flagged_at IS NOT NULL')) {
+          return { rows: [{ ...conversation, flagged_at: '2026-05-02T09:00:00.000Z' }] };
+        }
+      });
+
+      const read = await request(app)
+        .get(`${base}/${CONVERSATION_ID}`)
+        .set('Authorization', `Bearer ${supportToken}`);
+      expect(read.status).toBe(200);
+
+      const post = await request(app)
+        .post(`${base}/${CONVERSATION_ID}/messages`)
+        .set('Authorization', `Bearer ${supportToken}`)
+        .send({ body: 'Hello' });
+      expect(post.status).toBe(403);
+      expect(post.body.error.code).toBe('MODERATOR_READ_ONLY');
+    });
+
+    it('should let a participant flag a conversation', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM conversations c WHERE c.id = $2')) {
+          return { rows: [conversation] };
+        }
+        if (sql.includes('UPDATE conversations SET flagged_at = NOW()')) {
+          return { rows: [{ ...conversation, flagged_at: '2026-05-02T09:00:00.000Z' }] };
+        }
+      });
+
+      const response = await request(app)
+        .post(`${base}/${CONVERSATION_ID}/flag`)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ reason: 'Asked me to pay off the platform' });
+
+      expect(response.status).toBe(200);
+      expect(callFor(pool.query, 'SET flagged_at = NOW()')[1]).toEqual([CONVERSATION_ID, CUSTOMER_ID, 'Asked me to pay off the platform']);
+    });
+  });
+});
@@ -32,8 +32,8 @@ describe('API Integration Tests', () => {
         .send({});
 
       expect(response.status).toBe(400);
-      expect(response.body).toHaveProperty('error');
-      expect(response.body.error).toBe('Validation failed');
+      expect(response.body.message).toBe('Validation failed');
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
     });
 
     it('should reject login without credentials', async () => {
@@ -42,8 +42,8 @@ describe('API Integration Tests', () => {
         .send({});
 
       expect(response.status).toBe(400);
-      expect(response.body).toHaveProperty('error');
-      expect(response.body.error).toBe('Validation failed');
+      expect(response.body.message).toBe('Validation failed');
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
     });
   });
 
@@ -0,0 +1,33 @@
+const kvStore = require('../src/services/kvStore');
+
+// Without Redis (as in tests) keys are kept in memory
+describe('kvStore (in memory)', () => {
+  // The sweep is scheduled on first use, so the clock is faked for the whole suite
+  beforeAll(() => {
+    jest.useFakeTimers();
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  it('should drop expired keys that are never read again', async () => {
+    await kvStore.set('short', 1, 1);
+    await kvStore.set('long', 2, 600);
+
+    jest.setSystemTime(Date.now() + 2000);
+
+    expect(kvStore.sweepExpired()).toBe(1);
+    expect(await kvStore.get('long')).toBe(2);
+    await kvStore.del('long');
+  });
+
+  it('should sweep expired keys every minute in the background', async () => {
+    await kvStore.increment('login:attempt', 1);
+
+    jest.advanceTimersByTime(61 * 1000);
+
+    // Already swept by the timer
+    expect(kvStore.sweepExpired()).toBe(0);
+  });
+});
@@ -0,0 +1,225 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+const { parseListQuery, buildListQuery, fetchPage, encodeCursor, decodeCursor } = require('../src/utils/listQuery');
+
+// Mock the database pool
+jest.mock('../src/config/database');
+
+const spec = {
+  filters: {
+    category: { column: 's.category', match: 'contains' },
+    search: { columns: ['s.name', 's.description'], match: 'contains' },
+    minPrice: { column: 's.base_price', type: 'number', op: '>=' },
+    verified: { column: 'vp.is_verified', type: 'boolean' },
+    pricingType: { column: 's.pricing_type', type: 'enum', values: ['hourly', 'fixed'] }
+  },
+  sortFields: { rating: 's.rating', name: 's.name' },
+  defaultSort: 'rating',
+  idColumn: 's.id',
+  defaultLimit: 2
+};
+
+const source = {
+  select: 's.*',
+  from: 'FROM services s JOIN vendor_profiles vp ON s.vendor_id = vp.user_id',
+  where: ['s.vendor_id = $1'],
+  params: ['vendor-1']
+};
+
+const row = (id, key) => ({ id, _cursor_key: key, _cursor_id: id });
+
+describe('List queries', () => {
+  describe('parseListQuery', () => {
+    it('should apply defaults', () => {
+      const { list } = parseListQuery({}, spec);
+
+      expect(list.filters).toEqual([]);
+      expect(list.sort).toMatchObject({ field: 'rating', column: 's.rating', order: 'DESC' });
+      expect(list.limit).toBe(2);
+      expect(list.page).toBe(1);
+      expect(list.cursor).toBeNull();
+    });
+
+    it('should type filter values', () => {
+      const { list } = parseListQuery({ minPrice: '99.5', verified: 'false', pricingType: 'fixed' }, spec);
+
+      expect(list.filters.map(filter => [filter.name, filter.value])).toEqual([
+        ['minPrice', 99.5],
+        ['verified', false],
+        ['pricingType', 'fixed']
+      ]);
+    });
+
+    it('should reject invalid filters, sorts and page sizes', () => {
+      const { errors } = parseListQuery({
+        minPrice: 'cheap',
+        verified: 'yes',
+        pricingType: 'daily',
+        sortBy: 'password_hash',
+        sortOrder: 'sideways',
+        limit: '1000'
+      }, spec);
+
+      expect(errors.map(error => error.path)).toEqual([
+        'minPrice', 'verified', 'pricingType', 'sortBy', 'sortOrder', 'limit'
+      ]);
+    });
+
+    it('should reject cursors issued for a different sort', () => {
+      const { list } = parseListQuery({}, spec);
+      const next = encodeCursor({ s: list.sort.key, k: '4', id: 'b', d: 'next' });
+
+      expect(parseListQuery({ cursor: next }, spec).list.cursor).toMatchObject({ k: '4', id: 'b' });
+      expect(parseListQuery({ cursor: next, sortBy: 'name' }, spec).errors[0].path).toBe('cursor');
+      expect(parseListQuery({ cursor: 'not-a-cursor' }, spec).errors[0].path).toBe('cursor');
+    });
+  });
+
+  describe('buildListQuery', () => {
+    it('should share filter conditions between the page and count queries', () => {
+      const { list } = parseListQuery({ category: 'photo', search: 'wedding', minPrice: '100' }, spec);
+      const query = buildListQuery(source, list);
+
+      const where = "WHERE s.vendor_id = $1 AND s.category ILIKE $2 AND (s.name ILIKE $3 OR s.description ILIKE $3) AND s.base_price >= $4";
+      expect(query.countText).toContain(where);
+      expect(query.text).toContain(where);
+      expect(query.countValues).toEqual(['vendor-1', '%photo%', '%wedding%', 100]);
+      expect(query.text).toContain('ORDER BY s.rating DESC, s.id DESC');
+      expect(query.values.slice(-2)).toEqual([3, 0]);
+    });
+
+    it('should use keyset conditions instead of offsets for cursors', () => {
+      const { list } = parseListQuery({}, spec);
+      const next = encodeCursor({ s: list.sort.key, k: '4.50', id: 'b', d: 'next' });
+      const query = buildListQuery(source, parseListQuery({ cursor: next }, spec).list);
+
+      expect(query.text).toContain('(s.rating, s.id) < ($2, $3)');
+      expect(query.text).not.toContain('OFFSET');
+      expect(query.values).toEqual(['vendor-1', '4.50', 'b', 3]);
+    });
+
+    it('should walk backwards for prev cursors', () => {
+      const { list } = parseListQuery({ sortOrder: 'asc' }, spec);
+      const prev = encodeCursor({ s: list.sort.key, k: '4.50', id: 'b', d: 'prev' });
+      const query = buildListQuery(source, parseListQuery({ sortOrder: 'asc', cursor: prev }, spec).list);
+
+      expect(query.text).toContain('(s.rating, s.id) < ($2, $3)');
+      expect(query.text).toContain('ORDER BY s.rating DESC, s.id DESC');
+      expect(query.backwards).toBe(true);
+    });
+  });
+
+  describe('fetchPage', () => {
+    it('should report the real total and cursors for the next page', async () => {
+      const db = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [row('a', '5'), row('b', '4'), row('c', '3')] })
+          .mockResolvedValueOnce({ rows: [{ total: '7' }] })
+      };
+
+      const { list } = parseListQuery({}, spec);
+      const { rows, pagination } = await fetchPage(db, source, list);
+
+      expect(rows).toEqual([{ id: 'a' }, { id: 'b' }]);
+      expect(pagination).toMatchObject({ page: 1, limit: 2, total: 7, total_pages: 4, prev: null });
+      expect(decodeCursor(pagination.next)).toMatchObject({ k: '4', id: 'b', d: 'next' });
+    });
+
+    it('should restore order and offer both directions after walking backwards', async () => {
+      const db = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [row('d', '6'), row('e', '7')] })
+          .mockResolvedValueOnce({ rows: [{ total: '7' }] })
+      };
+
+      const { list } = parseListQuery({}, spec);
+      const prev = encodeCursor({ s: list.sort.key, k: '5', id: 'a', d: 'prev' });
+      const { rows, pagination } = await fetchPage(db, source, parseListQuery({ cursor: prev }, spec).list);
+
+      expect(rows).toEqual([{ id: 'e' }, { id: 'd' }]);
+      expect(pagination.page).toBeNull();
+      expect(pagination.prev).toBeNull();
+      expect(decodeCursor(pagination.next)).toMatchObject({ k: '6', id: 'd', d: 'next' });
+    });
+  });
+
+  describe('List routes', () => {
+    let mockPool;
+
+    const adminId = '123e4567-e89b-12d3-a456-426614174000';
+    const customerId = '223e4567-e89b-12d3-a456-426614174000';
+
+    const tokenFor = (userId, userType) => jwt.sign({ userId, email: `${userType}@example.com`, userType }, process.env.JWT_SECRET);
+    const authRow = (id, userType) => ({
+      rows: [{ id, email: `${userType}@example.com`, user_type: userType, is_active: true, two_factor_enabled: true }]
+    });
+
+    beforeEach(() => {
+      mockPool = {
+        query: jest.fn()
+      };
+      pool.query = mockPool.query;
+    });
+
+    afterEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it('should reject unknown sort fields on service search', async () => {
+      const response = await request(app)
+        .get('/api/v1/services/search?sortBy=password_hash');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details[0].path).toBe('sortBy');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('should count all matching users for the admin total', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(authRow(adminId, 'admin'))
+        .mockResolvedValueOnce({ rows: [row(customerId, '2026-01-02 10:00:00'), row(adminId, '2026-01-01 10:00:00')] })
+        .mockResolvedValueOnce({ rows: [{ total: '120' }] });
+
+      const response = await request(app)
+        .get('/api/v1/users/admin/all?userType=customer&limit=1')
+        .set('Authorization', `Bearer ${tokenFor(adminId, 'admin')}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([{ id: customerId }]);
+      expect(response.body.pagination).toMatchObject({ page: 1, limit: 1, total: 120, total_pages: 120, prev: null });
+      expect(decodeCursor(response.body.pagination.next)).toMatchObject({ k: '2026-01-02 10:00:00', id: customerId });
+      expect(mockPool.query.mock.calls[2][0]).toContain('u.user_type = $1');
+      expect(mockPool.query.mock.calls[2][1]).toEqual(['customer']);
+    });
+
+    it('should paginate bookings', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(authRow(customerId, 'customer'))
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ total: '45' }] });
+
+      const response = await request(app)
+        .get('/api/v1/bookings?page=3&limit=20&status=confirmed')
+        .set('Authorization', `Bearer ${tokenFor(customerId, 'customer')}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.pagination).toMatchObject({ page: 3, limit: 20, total: 45, total_pages: 3 });
+      expect(mockPool.query.mock.calls[1][1]).toEqual([customerId, 'confirmed', 21, 40]);
+    });
+
+    it('should validate payment filters', async () => {
+      mockPool.query.mockResolvedValueOnce(authRow(customerId, 'customer'));
+
+      const response = await request(app)
+        .get('/api/v1/payments?status=stolen')
+        .set('Authorization', `Bearer ${tokenFor(customerId, 'customer')}`);
+
+      expect(response.status).toBe(400);
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
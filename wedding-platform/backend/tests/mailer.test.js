@@ -0,0 +1,47 @@
+const { sendMail, getTransport } = require('../src/services/mailer');
+
+describe('Mailer', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  const message = {
+    to: 'guest@example.com',
+    subject: 'Reset your password',
+    text: 'Reset it at https://example.com/reset?token=secret-token'
+  };
+
+  it('should require a transport to be configured in production', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.MAIL_TRANSPORT;
+
+    expect(() => getTransport()).toThrow('MAIL_TRANSPORT must be set in production');
+  });
+
+  it('should print message bodies to the console in development', async () => {
+    process.env.NODE_ENV = 'development';
+    process.env.MAIL_TRANSPORT = 'console';
+
+    await sendMail(message);
+
+    expect(console.log.mock.calls[0][0]).toContain('secret-token');
+  });
+
+  it('should not print message bodies to the console elsewhere', async () => {
+    process.env.NODE_ENV = 'staging';
+    process.env.MAIL_TRANSPORT = 'console';
+
+    await sendMail(message);
+
+    const [output] = console.log.mock.calls[0];
+    expect(output).toContain('Reset your password');
+    expect(output).not.toContain('secret-token');
+  });
+});
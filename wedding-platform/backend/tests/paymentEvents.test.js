@@ -0,0 +1,352 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test_webhook_secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+const stripe = require('../src/config/stripe');
+const mailer = require('../src/services/mailer');
+
+// Mock the database pool and Stripe
+jest.mock('../src/config/database');
+jest.mock('stripe', () => {
+  const client = {
+    // Real signature checks
+    webhooks: jest.requireActual('stripe').webhooks
+  };
+  return jest.fn(() => client);
+});
+
+const VENDOR_ID = '423e4567-e89b-12d3-a456-426614174000';
+const BOOKING_ID = '523e4567-e89b-12d3-a456-426614174000';
+const PAYMENT_ID = '723e4567-e89b-12d3-a456-426614174000';
+const ADMIN_ID = '823e4567-e89b-12d3-a456-426614174000';
+
+const tokenFor = (userId, userType) => jwt.sign({ userId, email: `${userType}@example.com`, userType }, process.env.JWT_SECRET);
+const vendorToken = tokenFor(VENDOR_ID, 'vendor');
+const adminToken = tokenFor(ADMIN_ID, 'admin');
+
+const dispute = (status, overrides = {}) => ({
+  id: 'dp_1',
+  object: 'dispute',
+  payment_intent: 'pi_1',
+  amount: 30000,
+  currency: 'gbp',
+  reason: 'product_not_received',
+  status,
+  evidence_details: { due_by: 1800000000 },
+  ...overrides
+});
+
+// An in-memory payment_events table, so claims behave as they would in Postgres
+let events;
+const eventHandler = (sql, params) => {
+  if (sql.includes('INSERT INTO payment_events')) {
+    if (!events.has(params[0])) {
+      events.set(params[0], { id: params[0], type: params[1], object_id: params[2], status: 'received', attempts: 0, payload: JSON.parse(params[4]) });
+    }
+    return { rows: [] };
+  }
+  if (sql.includes("SET status = 'processing'")) {
+    const event = events.get(params[0]);
+    if (!event || !['received', 'failed'].includes(event.status)) {
+      return { rows: [] };
+    }
+    Object.assign(event, { status: 'processing', attempts: event.attempts + 1 });
+    return { rows: [{ ...event }] };
+  }
+  if (sql.includes('UPDATE payment_events')) {
+    const event = Object.assign(events.get(params[0]), { status: params[1], last_error: params[2] });
+    return { rows: [{ ...event }] };
+  }
+  if (sql.includes('SELECT id, status FROM payment_events')) {
+    const event = events.get(params[0]);
+    return { rows: event ? [{ id: event.id, status: event.status }] : [] };
+  }
+};
+
+// Auth lookup for the vendor owner or an admin, the event store, then `handler`
+const mockDatabase = (handler = () => undefined) => {
+  pool.query = jest.fn(async (sql, params) => {
+    if (sql.includes('LEFT JOIN vendor_members')) {
+      const isVendor = params[0] === VENDOR_ID;
+      return {
+        rows: [{
+          id: params[0],
+          email: 'user@example.com',
+          user_type: isVendor ? 'vendor' : 'admin',
+          is_active: true,
+          email_verified: true,
+          vendor_id: isVendor ? VENDOR_ID : null,
+          vendor_role: isVendor ? 'owner' : null,
+          two_factor_enabled: !isVendor
+        }]
+      };
+    }
+    return eventHandler(sql, params) || handler(sql, params) || { rows: [], rowCount: 0 };
+  });
+};
+
+// A transaction client whose queries go to `handler`
+const mockTransaction = (handler = () => undefined) => {
+  const client = {
+    query: jest.fn(async (sql, params) => handler(sql, params) || { rows: [], rowCount: 0 }),
+    release: jest.fn()
+  };
+  pool.connect = jest.fn().mockResolvedValue(client);
+  return client;
+};
+
+// A dispute against our payment, already on record or not
+const disputeHandler = ({ existing = false } = {}) => (sql, params) => {
+  if (sql.includes('WHERE p.stripe_payment_intent_id = $1')) {
+    return {
+      rows: [{
+        id: PAYMENT_ID,
+        booking_id: BOOKING_ID,
+        booking_date: '2027-06-12',
+        service_name: 'Wedding photography',
+        vendor_email: 'vendor@example.com',
+        vendor_first_name: 'Nia'
+      }]
+    };
+  }
+  if (sql.includes('FROM disputes WHERE stripe_dispute_id')) {
+    return { rows: existing ? [{ id: 'dispute-1' }] : [] };
+  }
+  if (sql.includes('INSERT INTO disputes') || sql.includes('UPDATE disputes')) {
+    return { rows: [{ id: 'dispute-1', stripe_dispute_id: params[0], amount: String(params[1]), reason: params[3], status: params[4], evidence_due_by: params[5] }] };
+  }
+};
+
+// Deliver an event as Stripe does: the raw JSON, signed with the webhook secret
+const webhook = (event) => {
+  const payload = JSON.stringify(event);
+  return request(app)
+    .post('/api/v1/payments/webhook')
+    .set('stripe-signature', stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET }))
+    .set('Content-Type', 'application/json')
+    .send(payload);
+};
+
+const callsFor = (mock, text) => mock.mock.calls.filter(([sql]) => sql.includes(text));
+
+describe('Stripe webhook events', () => {
+  let transport;
+
+  beforeEach(() => {
+    events = new Map();
+    transport = { name: 'test', send: jest.fn().mockResolvedValue({ id: 'mail-1' }) };
+    mailer.setTransport(transport);
+  });
+
+  afterEach(() => {
+    mailer.setTransport(null);
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/v1/payments/webhook', () => {
+    const failedPayment = { id: 'evt_failed', type: 'payment_intent.payment_failed', created: 1760000000, data: { object: { id: 'pi_1' } } };
+
+    it('should reject events whose signature doesn\'t match the raw body', async () => {
+      mockDatabase();
+      const payload = JSON.stringify(failedPayment);
+      const signature = stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+
+      const response = await request(app)
+        .post('/api/v1/payments/webhook')
+        .set('stripe-signature', signature)
+        .set('Content-Type', 'application/json')
+        .send(JSON.stringify(failedPayment, null, 2));
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('INVALID_SIGNATURE');
+      expect(callsFor(pool.query, 'payment_events')).toHaveLength(0);
+    });
+
+    it('should store each event and apply a redelivery only once', async () => {
+      mockDatabase();
+
+      const first = await webhook(failedPayment);
+      const second = await webhook(failedPayment);
+
+      expect(first.status).toBe(200);
+      expect(first.body.data).toEqual({ received: true, duplicate: false });
+      expect(second.body.data).toEqual({ received: true, duplicate: true });
+      expect(callsFor(pool.query, 'INSERT INTO payment_events')[0][1].slice(0, 4)).toEqual([
+        'evt_failed', 'payment_intent.payment_failed', 'pi_1', new Date(1760000000 * 1000)
+      ]);
+      expect(callsFor(pool.query, 'UPDATE payments')).toHaveLength(1);
+      expect(events.get('evt_failed').status).toBe('processed');
+    });
+
+    it('should only fail a payment that is being paid', async () => {
+      mockDatabase();
+
+      await webhook(failedPayment);
+
+      const [sql, params] = callsFor(pool.query, 'UPDATE payments')[0];
+      expect(sql).toContain("status = 'pending'");
+      expect(params).toEqual(['pi_1']);
+    });
+
+    it('should hand a cancelled payment attempt\'s instalment back', async () => {
+      mockDatabase();
+
+      const response = await webhook({ id: 'evt_canceled', type: 'payment_intent.canceled', data: { object: { id: 'pi_1' } } });
+
+      expect(response.status).toBe(200);
+      const [sql, params] = callsFor(pool.query, 'UPDATE payments')[0];
+      expect(sql).toContain("CASE WHEN due_date < CURRENT_DATE THEN 'overdue' ELSE 'scheduled' END");
+      expect(params).toEqual(['pi_1']);
+    });
+
+    it('should skip events older than one already processed for the same object', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('SELECT 1 FROM payment_events')) {
+          return { rows: [{ '?column?': 1 }] };
+        }
+      });
+
+      const response = await webhook(failedPayment);
+
+      expect(response.status).toBe(200);
+      expect(callsFor(pool.query, 'UPDATE payments')).toHaveLength(0);
+      expect(events.get('evt_failed').status).toBe('stale');
+    });
+
+    it('should ignore events it has no handler for', async () => {
+      mockDatabase();
+
+      const response = await webhook({ id: 'evt_other', type: 'invoice.paid', data: { object: { id: 'in_1' } } });
+
+      expect(response.status).toBe(200);
+      expect(events.get('evt_other').status).toBe('ignored');
+    });
+
+    it('should mark an event failed when its handler throws, so Stripe retries it', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('UPDATE payments')) {
+          throw new Error('connection reset');
+        }
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await webhook(failedPayment);
+
+      expect(response.status).toBe(500);
+      expect(events.get('evt_failed')).toMatchObject({ status: 'failed', last_error: 'connection reset', attempts: 1 });
+      console.error.mockRestore();
+    });
+  });
+
+  describe('disputes', () => {
+    it('should record a new dispute, flag the booking and email the vendor', async () => {
+      mockDatabase();
+      const client = mockTransaction(disputeHandler());
+
+      const response = await webhook({ id: 'evt_dispute', type: 'charge.dispute.created', data: { object: dispute('needs_response') } });
+
+      expect(response.status).toBe(200);
+      expect(callsFor(client.query, 'INSERT INTO disputes')[0][1]).toEqual([
+        'dp_1', 300, 'GBP', 'product_not_received', 'needs_response', new Date(1800000000 * 1000), false, PAYMENT_ID, BOOKING_ID
+      ]);
+      expect(callsFor(client.query, 'SET dispute_status')[0][1]).toEqual([BOOKING_ID, 'needs_response']);
+      expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'vendor@example.com',
+        subject: 'A customer has disputed a payment'
+      }));
+      expect(transport.send.mock.calls[0][0].text).toContain('£300.00');
+    });
+
+    it('should follow a known dispute to its close without emailing again', async () => {
+      mockDatabase();
+      const client = mockTransaction(disputeHandler({ existing: true }));
+
+      const response = await webhook({ id: 'evt_dispute_closed', type: 'charge.dispute.closed', data: { object: dispute('won') } });
+
+      expect(response.status).toBe(200);
+      expect(callsFor(client.query, 'INSERT INTO disputes')).toHaveLength(0);
+      expect(callsFor(client.query, 'UPDATE disputes')[0][1].slice(4)).toEqual(['won', new Date(1800000000 * 1000), true]);
+      expect(callsFor(client.query, 'SET dispute_status')[0][1]).toEqual([BOOKING_ID, 'won']);
+      expect(transport.send).not.toHaveBeenCalled();
+    });
+
+    it('should pass over disputes against charges that aren\'t ours', async () => {
+      mockDatabase();
+      const client = mockTransaction();
+
+      const response = await webhook({ id: 'evt_dispute_other', type: 'charge.dispute.created', data: { object: dispute('needs_response', { payment_intent: 'pi_other' }) } });
+
+      expect(response.status).toBe(200);
+      expect(callsFor(client.query, 'disputes')).toHaveLength(0);
+      expect(events.get('evt_dispute_other').status).toBe('processed');
+    });
+  });
+
+  describe('replaying events', () => {
+    const replay = (eventId, token = adminToken) => request(app)
+      .post(`/api/v1/payments/webhook/events/${eventId}/replay`)
+      .set('Authorization', `Bearer ${token}`);
+
+    it('should run a failed event again', async () => {
+      events.set('evt_failed', {
+        id: 'evt_failed',
+        type: 'payment_intent.payment_failed',
+        object_id: 'pi_1',
+        status: 'failed',
+        attempts: 1,
+        payload: { id: 'evt_failed', type: 'payment_intent.payment_failed', data: { object: { id: 'pi_1' } } }
+      });
+      mockDatabase();
+
+      const response = await replay('evt_failed');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ id: 'evt_failed', status: 'processed', attempts: 2 });
+      expect(response.body.data.payload).toBeUndefined();
+      expect(callsFor(pool.query, 'UPDATE payments')[0][1]).toEqual(['pi_1']);
+    });
+
+    it('should only replay failed events', async () => {
+      events.set('evt_done', { id: 'evt_done', type: 'payment_intent.payment_failed', status: 'processed', attempts: 1 });
+      mockDatabase();
+
+      const processed = await replay('evt_done');
+      const missing = await replay('evt_missing');
+
+      expect(processed.status).toBe(409);
+      expect(processed.body.error.code).toBe('EVENT_NOT_FAILED');
+      expect(missing.status).toBe(404);
+    });
+
+    it('should be for staff with payments.events', async () => {
+      mockDatabase();
+
+      const replayed = await replay('evt_failed', vendorToken);
+      const listed = await request(app)
+        .get('/api/v1/payments/webhook/events?status=failed')
+        .set('Authorization', `Bearer ${vendorToken}`);
+
+      expect(replayed.status).toBe(403);
+      expect(listed.status).toBe(403);
+    });
+
+    it('should list stored events for staff', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM payment_events e')) {
+          return { rows: [{ id: 'evt_failed', type: 'payment_intent.payment_failed', status: 'failed', attempts: 3 }] };
+        }
+      });
+
+      const response = await request(app)
+        .get('/api/v1/payments/webhook/events?status=failed')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(callsFor(pool.query, 'FROM payment_events e')[0][1]).toContain('failed');
+    });
+  });
+});
@@ -0,0 +1,287 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test_webhook_secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+const stripe = require('../src/config/stripe');
+
+// Mock the database pool and Stripe
+jest.mock('../src/config/database');
+jest.mock('stripe', () => {
+  const client = {
+    customers: {
+      create: jest.fn(),
+      retrieve: jest.fn(),
+      update: jest.fn(),
+      listPaymentMethods: jest.fn(),
+      retrievePaymentMethod: jest.fn()
+    },
+    setupIntents: { create: jest.fn() },
+    paymentMethods: { detach: jest.fn() },
+    paymentIntents: { create: jest.fn() },
+    // Real signature checks
+    webhooks: jest.requireActual('stripe').webhooks
+  };
+  return jest.fn(() => client);
+});
+
+const CUSTOMER_ID = '623e4567-e89b-12d3-a456-426614174000';
+const VENDOR_ID = '423e4567-e89b-12d3-a456-426614174000';
+const BOOKING_ID = '523e4567-e89b-12d3-a456-426614174000';
+
+const base = '/api/v1/payments/payment-methods';
+
+const tokenFor = (userId, userType) => jwt.sign({ userId, email: `${userType}@example.com`, userType }, process.env.JWT_SECRET);
+const customerToken = tokenFor(CUSTOMER_ID, 'customer');
+const vendorToken = tokenFor(VENDOR_ID, 'vendor');
+
+const card = (id, last4) => ({
+  id,
+  type: 'card',
+  card: { brand: 'visa', last4, exp_month: 12, exp_year: 2030 },
+  created: 1760000000
+});
+
+// Auth lookup, the user's Stripe customer (if any), then `handler`
+const mockDatabase = ({ stripeCustomerId = null, handler = () => undefined } = {}) => {
+  pool.query = jest.fn(async (sql, params) => {
+    if (sql.includes('LEFT JOIN vendor_members')) {
+      const isVendor = params[0] === VENDOR_ID;
+      return {
+        rows: [{
+          id: params[0],
+          email: 'user@example.com',
+          user_type: isVendor ? 'vendor' : 'customer',
+          is_active: true,
+          email_verified: true,
+          vendor_id: isVendor ? VENDOR_ID : null,
+          vendor_role: isVendor ? 'owner' : null
+        }]
+      };
+    }
+    if (sql.includes('stripe_customer_id FROM users')) {
+      return {
+        rows: [{
+          id: params[0],
+          email: 'user@example.com',
+          first_name: 'Amelia',
+          last_name: 'Hart',
+          stripe_customer_id: stripeCustomerId
+        }]
+      };
+    }
+    if (sql.includes('SET stripe_customer_id')) {
+      return { rows: [{ stripe_customer_id: params[1] }] };
+    }
+    return handler(sql, params) || { rows: [], rowCount: 0 };
+  });
+};
+
+const callFor = (text) => pool.query.mock.calls.find(([sql]) => sql.includes(text));
+
+describe('Payment methods', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /payments/payment-methods/setup-intent', () => {
+    it('should create the Stripe customer the first time', async () => {
+      mockDatabase();
+      stripe.customers.create.mockResolvedValueOnce({ id: 'cus_1' });
+      stripe.setupIntents.create.mockResolvedValueOnce({ id: 'seti_1', client_secret: 'seti_1_secret' });
+
+      const response = await request(app)
+        .post(`${base}/setup-intent`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ setupIntentId: 'seti_1', clientSecret: 'seti_1_secret', customerId: 'cus_1' });
+      expect(stripe.customers.create).toHaveBeenCalledWith(
+        { email: 'user@example.com', name: 'Amelia Hart', metadata: { user_id: CUSTOMER_ID } },
+        { idempotencyKey: `customer-${CUSTOMER_ID}` }
+      );
+      const [sql, params] = callFor('SET stripe_customer_id');
+      expect(sql).toContain('stripe_customer_id IS NULL');
+      expect(params).toEqual([CUSTOMER_ID, 'cus_1']);
+      expect(stripe.setupIntents.create).toHaveBeenCalledWith(expect.objectContaining({
+        customer: 'cus_1',
+        usage: 'off_session'
+      }));
+    });
+
+    it('should reuse an existing Stripe customer', async () => {
+      mockDatabase({ stripeCustomerId: 'cus_existing' });
+      stripe.setupIntents.create.mockResolvedValueOnce({ id: 'seti_2', client_secret: 'seti_2_secret' });
+
+      const response = await request(app)
+        .post(`${base}/setup-intent`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(201);
+      expect(stripe.customers.create).not.toHaveBeenCalled();
+      expect(stripe.setupIntents.create.mock.calls[0][0].customer).toBe('cus_existing');
+    });
+
+    it('should be for customers only', async () => {
+      mockDatabase();
+
+      const response = await request(app)
+        .post(`${base}/setup-intent`)
+        .set('Authorization', `Bearer ${vendorToken}`);
+
+      expect(response.status).toBe(403);
+      expect(stripe.setupIntents.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /payments/payment-methods', () => {
+    it('should list saved cards with the default first', async () => {
+      mockDatabase({ stripeCustomerId: 'cus_1' });
+      stripe.customers.listPaymentMethods.mockResolvedValueOnce({ data: [card('pm_a', '4242'), card('pm_b', '0005')] });
+      stripe.customers.retrieve.mockResolvedValueOnce({ id: 'cus_1', invoice_settings: { default_payment_method: 'pm_b' } });
+
+      const response = await request(app)
+        .get(base)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([
+        { id: 'pm_b', type: 'card', brand: 'visa', last4: '0005', exp_month: 12, exp_year: 2030, is_default: true, created: 1760000000 },
+        { id: 'pm_a', type: 'card', brand: 'visa', last4: '4242', exp_month: 12, exp_year: 2030, is_default: false, created: 1760000000 }
+      ]);
+      expect(stripe.customers.listPaymentMethods).toHaveBeenCalledWith('cus_1', { type: 'card', limit: 100 });
+    });
+
+    it('should not create a Stripe customer just to list nothing', async () => {
+      mockDatabase();
+
+      const response = await request(app)
+        .get(base)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([]);
+      expect(stripe.customers.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('changing saved cards', () => {
+    it('should set the default card', async () => {
+      mockDatabase({ stripeCustomerId: 'cus_1' });
+      stripe.customers.retrievePaymentMethod.mockResolvedValueOnce(card('pm_a', '4242'));
+      stripe.customers.listPaymentMethods.mockResolvedValueOnce({ data: [card('pm_a', '4242')] });
+      stripe.customers.retrieve.mockResolvedValueOnce({ id: 'cus_1', invoice_settings: { default_payment_method: 'pm_a' } });
+
+      const response = await request(app)
+        .put(`${base}/pm_a/default`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(stripe.customers.retrievePaymentMethod).toHaveBeenCalledWith('cus_1', 'pm_a');
+      expect(stripe.customers.update).toHaveBeenCalledWith('cus_1', { invoice_settings: { default_payment_method: 'pm_a' } });
+      expect(response.body.data[0]).toMatchObject({ id: 'pm_a', is_default: true });
+    });
+
+    it('should not touch cards saved by someone else', async () => {
+      mockDatabase({ stripeCustomerId: 'cus_1' });
+      stripe.customers.retrievePaymentMethod.mockRejectedValueOnce(Object.assign(
+        new Error('No such PaymentMethod'),
+        { type: 'StripeInvalidRequestError', code: 'resource_missing', statusCode: 404 }
+      ));
+
+      const response = await request(app)
+        .delete(`${base}/pm_other`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(404);
+      expect(stripe.paymentMethods.detach).not.toHaveBeenCalled();
+    });
+
+    it('should detach a saved card', async () => {
+      mockDatabase({ stripeCustomerId: 'cus_1' });
+      stripe.customers.retrievePaymentMethod.mockResolvedValueOnce(card('pm_a', '4242'));
+      stripe.paymentMethods.detach.mockResolvedValueOnce({ id: 'pm_a', customer: null });
+
+      const response = await request(app)
+        .delete(`${base}/pm_a`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(stripe.paymentMethods.detach).toHaveBeenCalledWith('pm_a');
+    });
+
+    it('should validate the payment method ID', async () => {
+      mockDatabase({ stripeCustomerId: 'cus_1' });
+
+      const response = await request(app)
+        .delete(`${base}/not-a-card`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('paying', () => {
+    it('should charge bookings to the user\'s Stripe customer', async () => {
+      mockDatabase({
+        stripeCustomerId: 'cus_1',
+        handler: (sql) => {
+          if (sql.includes('FROM bookings b')) {
+            return { rows: [{ id: BOOKING_ID, customer_id: CUSTOMER_ID, vendor_id: VENDOR_ID, total_amount: '500.00', service_name: 'Photography' }] };
+          }
+          if (sql.includes('INSERT INTO payments')) {
+            return { rows: [{ id: 'payment-1', status: 'pending' }] };
+          }
+        }
+      });
+      const instalment = { id: 'payment-1', booking_id: BOOKING_ID, sequence: 1, kind: 'full', amount: '500.00', status: 'scheduled' };
+      pool.connect = jest.fn().mockResolvedValue({
+        query: jest.fn(async (sql) => (
+          sql.includes('FROM payments') || sql.includes("SET status = 'pending'")
+            ? { rows: [instalment] }
+            : { rows: [] }
+        )),
+        release: jest.fn()
+      });
+      stripe.paymentIntents.create.mockResolvedValueOnce({ id: 'pi_1', status: 'processing' });
+
+      const response = await request(app)
+        .post('/api/v1/payments/create-intent')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ booking_id: BOOKING_ID, payment_method_id: 'pm_a' });
+
+      expect(response.status).toBe(200);
+      expect(stripe.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 50000,
+        customer: 'cus_1',
+        payment_method: 'pm_a',
+        metadata: expect.objectContaining({ customer_id: CUSTOMER_ID })
+      }));
+    });
+
+    it('should make the first saved card the default', async () => {
+      const event = {
+        id: 'evt_setup_intent',
+        type: 'setup_intent.succeeded',
+        data: { object: { id: 'seti_1', customer: 'cus_1', payment_method: 'pm_a' } }
+      };
+      // The stored event is claimed for handling
+      mockDatabase({
+        handler: (sql, params) => sql.includes("SET status = 'processing'") && { rows: [{ id: params[0], type: event.type, payload: event }] }
+      });
+      stripe.customers.retrieve.mockResolvedValueOnce({ id: 'cus_1', invoice_settings: { default_payment_method: null } });
+
+      const payload = JSON.stringify(event);
+      const response = await request(app)
+        .post('/api/v1/payments/webhook')
+        .set('stripe-signature', stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET }))
+        .set('Content-Type', 'application/json')
+        .send(payload);
+
+      expect(response.status).toBe(200);
+      expect(stripe.customers.update).toHaveBeenCalledWith('cus_1', { invoice_settings: { default_payment_method: 'pm_a' } });
+    });
+  });
+});
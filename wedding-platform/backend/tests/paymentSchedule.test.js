@@ -0,0 +1,509 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+const stripe = require('../src/config/stripe');
+const mailer = require('../src/services/mailer');
+const { addMonths, buildPaymentSchedule, deductPaid } = require('../src/services/paymentSchedule');
+const { processOverduePayments } = require('../src/services/overduePayments');
+const { run } = require('../src/jobs/processOverduePayments');
+
+// Mock the database pool and Stripe
+jest.mock('../src/config/database');
+jest.mock('stripe', () => {
+  const client = {
+    customers: { create: jest.fn() },
+    paymentIntents: { create: jest.fn(), retrieve: jest.fn(), cancel: jest.fn() }
+  };
+  return jest.fn(() => client);
+});
+
+const SERVICE_ID = '323e4567-e89b-12d3-a456-426614174000';
+const VENDOR_ID = '423e4567-e89b-12d3-a456-426614174000';
+const BOOKING_ID = '523e4567-e89b-12d3-a456-426614174000';
+const CUSTOMER_ID = '623e4567-e89b-12d3-a456-426614174000';
+
+const tokenFor = (userId, userType) => jwt.sign({ userId, email: `${userType}@example.com`, userType }, process.env.JWT_SECRET);
+const customerToken = tokenFor(CUSTOMER_ID, 'customer');
+const vendorToken = tokenFor(VENDOR_ID, 'vendor');
+
+const terms = {
+  deposit_type: 'percentage',
+  deposit_value: '25.00',
+  balance_due_days: 30,
+  balance_instalments: 3
+};
+
+const booking = {
+  id: BOOKING_ID,
+  customer_id: CUSTOMER_ID,
+  vendor_id: VENDOR_ID,
+  service_id: SERVICE_ID,
+  total_amount: '1200.00',
+  status: 'pending'
+};
+
+// Auth lookup for the customer or a vendor owner, then `handler`
+const mockDatabase = (handler = () => undefined) => {
+  pool.query = jest.fn(async (sql, params) => {
+    if (sql.includes('LEFT JOIN vendor_members')) {
+      const isVendor = params[0] === VENDOR_ID;
+      return {
+        rows: [{
+          id: params[0],
+          email: 'user@example.com',
+          user_type: isVendor ? 'vendor' : 'customer',
+          is_active: true,
+          email_verified: true,
+          vendor_id: isVendor ? VENDOR_ID : null,
+          vendor_role: isVendor ? 'owner' : null
+        }]
+      };
+    }
+    return handler(sql, params) || { rows: [], rowCount: 0 };
+  });
+};
+
+// A transaction client whose queries go to `handler`
+const mockTransaction = (handler = () => undefined) => {
+  const client = {
+    query: jest.fn(async (sql, params) => handler(sql, params) || { rows: [], rowCount: 0 }),
+    release: jest.fn()
+  };
+  pool.connect = jest.fn().mockResolvedValue(client);
+  return client;
+};
+
+const callsFor = (mock, text) => mock.mock.calls.filter(([sql]) => sql.includes(text));
+
+// A booking without a schedule yet: the terms above, the event on 2026-12-19, today 2026-06-01
+const scheduleHandler = (sql, params) => {
+  if (sql.includes('FROM bookings b') && sql.includes('JOIN services s')) {
+    return { rows: [{ ...booking, ...terms, event_date: '2026-12-19', today: '2026-06-01' }] };
+  }
+  if (sql.includes('INSERT INTO payments')) {
+    return { rows: [{ id: `payment-${params[4]}`, sequence: params[4], kind: params[5], amount: params[3], due_date: params[6], status: 'scheduled' }] };
+  }
+};
+
+describe('Payment schedules', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildPaymentSchedule', () => {
+    it('should take the deposit now and spread the balance monthly up to its due date', () => {
+      const schedule = buildPaymentSchedule({ total: '1200.00', terms, eventDate: '2026-12-19', today: '2026-06-01' });
+
+      expect(schedule).toEqual([
+        { kind: 'deposit', amount: 300, dueDate: '2026-06-01' },
+        { kind: 'instalment', amount: 300, dueDate: '2026-09-19' },
+        { kind: 'instalment', amount: 300, dueDate: '2026-10-19' },
+        { kind: 'balance', amount: 300, dueDate: '2026-11-19' }
+      ]);
+    });
+
+    it('should put rounding pennies on the last instalment', () => {
+      const schedule = buildPaymentSchedule({
+        total: '1000.01',
+        terms: { deposit_type: 'fixed', deposit_value: '150.00', balance_due_days: 14, balance_instalments: 3 },
+        eventDate: '2026-12-19',
+        today: '2026-06-01'
+      });
+
+      expect(schedule.map(instalment => instalment.amount)).toEqual([150, 283.33, 283.33, 283.35]);
+      expect(schedule[3].dueDate).toBe('2026-12-05');
+    });
+
+    it('should make everything due today at short notice', () => {
+      const schedule = buildPaymentSchedule({
+        total: '600.00',
+        terms: { deposit_type: 'none', balance_due_days: 30, balance_instalments: 2 },
+        eventDate: '2026-06-20',
+        today: '2026-06-01'
+      });
+
+      expect(schedule).toEqual([
+        { kind: 'instalment', amount: 300, dueDate: '2026-06-01' },
+        { kind: 'balance', amount: 300, dueDate: '2026-06-01' }
+      ]);
+    });
+
+    it('should be a single full payment without a deposit or instalments', () => {
+      const schedule = buildPaymentSchedule({ total: '450.00', terms: { deposit_type: 'none' }, eventDate: '2026-12-19', today: '2026-06-01' });
+
+      expect(schedule).toEqual([{ kind: 'full', amount: 450, dueDate: '2026-11-19' }]);
+    });
+
+    it('should never ask for more than the total as a deposit', () => {
+      const schedule = buildPaymentSchedule({
+        total: '80.00',
+        terms: { deposit_type: 'fixed', deposit_value: '100.00' },
+        eventDate: '2026-12-19',
+        today: '2026-06-01'
+      });
+
+      expect(schedule).toEqual([{ kind: 'deposit', amount: 80, dueDate: '2026-06-01' }]);
+    });
+
+    it('should keep month ends within the month', () => {
+      expect(addMonths('2026-03-31', -1)).toBe('2026-02-28');
+      expect(addMonths('2028-03-31', -1)).toBe('2028-02-29');
+    });
+
+    it('should take paid amounts off the earliest instalments', () => {
+      const schedule = buildPaymentSchedule({ total: '1500.00', terms, eventDate: '2026-12-19', today: '2026-06-01' });
+
+      expect(deductPaid(schedule, 300).map(instalment => [instalment.kind, instalment.amount]))
+        .toEqual([['deposit', 75], ['instalment', 375], ['instalment', 375], ['balance', 375]]);
+    });
+  });
+
+  describe('PUT /services/:id/payment-terms', () => {
+    it('should save the service\'s deposit and balance terms', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('SET deposit_type')) {
+          return { rows: [{ id: SERVICE_ID, ...terms }] };
+        }
+      });
+
+      const response = await request(app)
+        .put(`/api/v1/services/${SERVICE_ID}/payment-terms`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ depositType: 'percentage', depositValue: 25, balanceDueDays: 30, balanceInstalments: 3 });
+
+      expect(response.status).toBe(200);
+      const [[, params]] = callsFor(pool.query, 'SET deposit_type');
+      expect(params).toEqual([SERVICE_ID, VENDOR_ID, 'percentage', 25, 30, 3]);
+    });
+
+    it('should refuse deposits over 100%', async () => {
+      mockDatabase();
+
+      const response = await request(app)
+        .put(`/api/v1/services/${SERVICE_ID}/payment-terms`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ depositType: 'percentage', depositValue: 120 });
+
+      expect(response.status).toBe(400);
+      expect(callsFor(pool.query, 'SET deposit_type')).toHaveLength(0);
+    });
+  });
+
+  describe('paying in instalments', () => {
+    it('should charge the deposit first', async () => {
+      mockDatabase((sql, params) => {
+        if (sql.includes('FROM bookings b')) {
+          return { rows: [{ ...booking, service_name: 'Wedding Photography' }] };
+        }
+        if (sql.includes('stripe_customer_id FROM users')) {
+          return { rows: [{ id: CUSTOMER_ID, stripe_customer_id: 'cus_1' }] };
+        }
+        if (sql.includes('SET stripe_payment_intent_id')) {
+          return { rows: [{ id: params[0], stripe_payment_intent_id: params[1], status: 'pending' }] };
+        }
+      });
+      const client = mockTransaction((sql, params) => {
+        if (sql.includes('LIMIT 1')) {
+          return { rows: [{ id: 'payment-1', sequence: 1, kind: 'deposit', amount: '300.00', status: 'scheduled' }] };
+        }
+        if (sql.includes("SET status = 'pending'")) {
+          return { rows: [{ id: params[0], sequence: 1, kind: 'deposit', amount: '300.00', status: 'pending' }] };
+        }
+        return scheduleHandler(sql, params);
+      });
+      stripe.paymentIntents.create.mockResolvedValueOnce({ id: 'pi_1', status: 'requires_payment_method', client_secret: 'pi_1_secret' });
+
+      const response = await request(app)
+        .post('/api/v1/payments/create-intent')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ booking_id: BOOKING_ID });
+
+      expect(response.status).toBe(200);
+      const inserts = callsFor(client.query, 'INSERT INTO payments').map(([, params]) => params.slice(3));
+      expect(inserts).toEqual([
+        [300, 1, 'deposit', '2026-06-01'],
+        [300, 2, 'instalment', '2026-09-19'],
+        [300, 3, 'instalment', '2026-10-19'],
+        [300, 4, 'balance', '2026-11-19']
+      ]);
+      expect(stripe.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 30000,
+        customer: 'cus_1',
+        metadata: expect.objectContaining({ payment_id: 'payment-1', sequence: 1, kind: 'deposit' })
+      }));
+    });
+
+    it('should hand the instalment back when Stripe refuses it', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM bookings b')) {
+          return { rows: [booking] };
+        }
+        if (sql.includes('stripe_customer_id FROM users')) {
+          return { rows: [{ id: CUSTOMER_ID, stripe_customer_id: 'cus_1' }] };
+        }
+      });
+      mockTransaction((sql, params) => {
+        if (sql.includes('FROM payments')) {
+          return { rows: [{ id: 'payment-2', sequence: 2, kind: 'balance', amount: '900.00', status: 'overdue' }] };
+        }
+        if (sql.includes("SET status = 'pending'")) {
+          return { rows: [{ id: params[0], sequence: 2, kind: 'balance', amount: '900.00', status: 'pending' }] };
+        }
+      });
+      stripe.paymentIntents.create.mockRejectedValueOnce(Object.assign(new Error('Your card was declined'), { type: 'StripeCardError' }));
+
+      const response = await request(app)
+        .post('/api/v1/payments/create-intent')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ booking_id: BOOKING_ID, payment_method_id: 'pm_a' });
+
+      expect(response.status).toBe(402);
+      const [[sql, params]] = callsFor(pool.query, "AND status = 'pending'");
+      expect(sql).toContain('SET status = $2');
+      expect(params).toEqual(['payment-2', 'overdue']);
+    });
+
+    it('should refuse a second payment while one is in progress', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM bookings b')) {
+          return { rows: [booking] };
+        }
+        if (sql.includes('stripe_customer_id FROM users')) {
+          return { rows: [{ id: CUSTOMER_ID, stripe_customer_id: 'cus_1' }] };
+        }
+      });
+      mockTransaction((sql) => {
+        if (sql.includes('FROM payments')) {
+          return { rows: [{ id: 'payment-1', sequence: 1, status: 'pending' }] };
+        }
+      });
+
+      const response = await request(app)
+        .post('/api/v1/payments/create-intent')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ booking_id: BOOKING_ID });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('PAYMENT_EXISTS');
+      expect(stripe.paymentIntents.create).not.toHaveBeenCalled();
+    });
+
+    describe('after an abandoned attempt', () => {
+      const abandoned = { id: 'payment-1', sequence: 1, kind: 'deposit', amount: '300.00', status: 'pending', stripe_payment_intent_id: 'pi_old' };
+
+      beforeEach(() => {
+        mockDatabase((sql, params) => {
+          if (sql.includes('FROM bookings b')) {
+            return { rows: [booking] };
+          }
+          if (sql.includes('stripe_customer_id FROM users')) {
+            return { rows: [{ id: CUSTOMER_ID, stripe_customer_id: 'cus_1' }] };
+          }
+          if (sql.includes('stripe_payment_intent_id = NULL')) {
+            return { rows: [{ ...abandoned, payment_method: params[1], stripe_payment_intent_id: null }] };
+          }
+          if (sql.includes('SET stripe_payment_intent_id')) {
+            return { rows: [{ ...abandoned, stripe_payment_intent_id: params[1] }] };
+          }
+        });
+        mockTransaction((sql) => {
+          if (sql.includes('FROM payments')) {
+            return { rows: [abandoned] };
+          }
+        });
+      });
+
+      it('should hand back the intent the customer can still confirm', async () => {
+        stripe.paymentIntents.retrieve.mockResolvedValueOnce({ id: 'pi_old', status: 'requires_payment_method', client_secret: 'pi_old_secret' });
+
+        const response = await request(app)
+          .post('/api/v1/payments/create-intent')
+          .set('Authorization', `Bearer ${customerToken}`)
+          .send({ booking_id: BOOKING_ID });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.payment_intent.client_secret).toBe('pi_old_secret');
+        expect(stripe.paymentIntents.cancel).not.toHaveBeenCalled();
+        expect(stripe.paymentIntents.create).not.toHaveBeenCalled();
+      });
+
+      it('should cancel the earlier intent before charging a card', async () => {
+        stripe.paymentIntents.retrieve.mockResolvedValueOnce({ id: 'pi_old', status: 'requires_payment_method' });
+        stripe.paymentIntents.create.mockResolvedValueOnce({ id: 'pi_new', status: 'processing' });
+
+        const response = await request(app)
+          .post('/api/v1/payments/create-intent')
+          .set('Authorization', `Bearer ${customerToken}`)
+          .send({ booking_id: BOOKING_ID, payment_method_id: 'pm_a' });
+
+        expect(response.status).toBe(200);
+        expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_old');
+        const [[, params]] = callsFor(pool.query, 'stripe_payment_intent_id = NULL');
+        expect(params).toEqual(['payment-1', 'pm_a', 'pi_old', ['pending', 'scheduled', 'failed', 'overdue']]);
+        expect(stripe.paymentIntents.cancel.mock.invocationCallOrder[0])
+          .toBeLessThan(stripe.paymentIntents.create.mock.invocationCallOrder[0]);
+        expect(callsFor(pool.query, 'SET stripe_payment_intent_id')[0][1]).toEqual(['payment-1', 'pi_new']);
+      });
+
+      it('should refuse while the earlier payment is going through', async () => {
+        stripe.paymentIntents.retrieve.mockResolvedValueOnce({ id: 'pi_old', status: 'processing' });
+
+        const response = await request(app)
+          .post('/api/v1/payments/create-intent')
+          .set('Authorization', `Bearer ${customerToken}`)
+          .send({ booking_id: BOOKING_ID, payment_method_id: 'pm_a' });
+
+        expect(response.status).toBe(409);
+        expect(response.body.error.code).toBe('PAYMENT_EXISTS');
+        expect(stripe.paymentIntents.cancel).not.toHaveBeenCalled();
+        expect(stripe.paymentIntents.create).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('booking status changes', () => {
+    it('should generate the schedule when the vendor confirms', async () => {
+      mockDatabase();
+      const client = mockTransaction((sql, params) => {
+        if (sql.includes('FROM bookings WHERE id = $1 AND vendor_id = $2 FOR UPDATE')) {
+          return { rows: [booking] };
+        }
+        if (sql.includes('UPDATE bookings SET status')) {
+          return { rows: [{ ...booking, status: params[0] }] };
+        }
+        return scheduleHandler(sql, params);
+      });
+
+      const response = await request(app)
+        .patch(`/api/v1/bookings/${BOOKING_ID}/status`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ status: 'confirmed' });
+
+      expect(response.status).toBe(200);
+      expect(callsFor(client.query, 'INSERT INTO payments')).toHaveLength(4);
+    });
+
+    it('should stop unpaid instalments being owed when the booking is cancelled', async () => {
+      mockDatabase();
+      const client = mockTransaction((sql, params) => {
+        if (sql.includes('FROM bookings WHERE id = $1 AND customer_id = $2 FOR UPDATE')) {
+          return { rows: [{ ...booking, status: 'confirmed' }] };
+        }
+        if (sql.includes('UPDATE bookings SET status')) {
+          return { rows: [{ ...booking, status: params[0] }] };
+        }
+      });
+
+      const response = await request(app)
+        .delete(`/api/v1/bookings/${BOOKING_ID}`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(200);
+      const [[sql, params]] = callsFor(client.query, "SET status = 'cancelled'");
+      expect(params).toEqual([BOOKING_ID, ['pending', 'scheduled', 'failed', 'overdue']]);
+      expect(sql).toContain('status = ANY($2)');
+    });
+  });
+
+  describe('GET /bookings/:id/balance', () => {
+    it('should show what has been paid and what is owed', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM bookings WHERE id = $1 AND customer_id = $2')) {
+          return { rows: [{ id: BOOKING_ID, status: 'confirmed', total_amount: '1200.00' }] };
+        }
+        if (sql.includes('FROM payments')) {
+          return {
+            rows: [
+              { id: 'payment-1', sequence: 1, kind: 'deposit', amount: '300.00', status: 'completed', due_date: '2026-06-01' },
+              { id: 'payment-2', sequence: 2, kind: 'instalment', amount: '300.00', status: 'overdue', due_date: '2026-09-19' },
+              { id: 'payment-3', sequence: 3, kind: 'instalment', amount: '300.00', status: 'scheduled', due_date: '2026-10-19' },
+              { id: 'payment-4', sequence: 4, kind: 'balance', amount: '300.00', status: 'scheduled', due_date: '2026-11-19' }
+            ]
+          };
+        }
+      });
+
+      const response = await request(app)
+        .get(`/api/v1/bookings/${BOOKING_ID}/balance`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        total_amount: 1200,
+        amount_paid: 300,
+        balance_due: 900,
+        overdue_amount: 300,
+        next_due: { id: 'payment-2', sequence: 2, amount: 300, due_date: '2026-09-19' }
+      });
+      expect(response.body.data.schedule).toHaveLength(4);
+    });
+
+    it('should not show other customers\' bookings', async () => {
+      mockDatabase();
+
+      const response = await request(app)
+        .get(`/api/v1/bookings/${BOOKING_ID}/balance`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('overdue instalments', () => {
+    const overdueClient = () => ({
+      query: jest.fn(async (sql, params) => {
+        if (sql.includes("SET status = 'overdue'")) {
+          return { rows: [{ id: 'payment-2', booking_id: BOOKING_ID, kind: 'balance', amount: '900.00', due_date: '2026-09-19', booking_date: '2026-12-19', email: 'customer@example.com', first_name: 'Amelia' }] };
+        }
+        if (sql.includes('SELECT DISTINCT p.booking_id')) {
+          return { rows: [{ booking_id: BOOKING_ID }] };
+        }
+        if (sql.includes('FROM bookings WHERE id = $1 FOR UPDATE')) {
+          return { rows: [{ ...booking, status: 'confirmed' }] };
+        }
+        if (sql.includes('UPDATE bookings SET status')) {
+          return { rows: [{ ...booking, status: params[0] }] };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    });
+
+    it('should mark late instalments overdue and cancel bookings past the grace period', async () => {
+      const client = overdueClient();
+
+      const result = await processOverduePayments(client, { graceDays: 14 });
+
+      expect(result.overdue).toHaveLength(1);
+      expect(result.cancelled).toEqual([BOOKING_ID]);
+      expect(callsFor(client.query, 'SELECT DISTINCT p.booking_id')[0][1]).toEqual([14]);
+      const [[overdueSql, overdueParams]] = callsFor(client.query, "SET status = 'overdue'");
+      expect(overdueSql).toContain("p.status = 'pending' AND p.updated_at <");
+      expect(overdueParams).toEqual([24]);
+      const [[, history]] = callsFor(client.query, 'INSERT INTO booking_status_history');
+      expect(history).toEqual([BOOKING_ID, 'confirmed', 'cancelled', null, 'system', 'Payment overdue by more than 14 days']);
+    });
+
+    it('should remind customers once the job has committed', async () => {
+      const client = overdueClient();
+      pool.connect = jest.fn().mockResolvedValue(client);
+      const transport = { name: 'test', send: jest.fn().mockResolvedValue({ id: null }) };
+      mailer.setTransport(transport);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await run();
+
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+      expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'customer@example.com',
+        subject: 'A payment for your wedding booking is overdue'
+      }));
+      expect(transport.send.mock.calls[0][0].text).toContain('£900.00');
+      console.log.mockRestore();
+      mailer.setTransport(null);
+    });
+  });
+});
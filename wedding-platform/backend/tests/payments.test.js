@@ -17,6 +17,10 @@ jest.mock('stripe', () => {
     },
     paymentMethods: {
       list: jest.fn()
+    },
+    customers: {
+      retrieve: jest.fn(),
+      listPaymentMethods: jest.fn()
     }
   }));
 });
@@ -241,7 +245,7 @@ describe('Payments Routes', () => {
         amount: 50000,
         currency: 'gbp',
         metadata: expect.any(Object),
-        customer: mockUser.id,
+        customer: 'cus_test_customer',
         payment_method: validPaymentData.payment_method_id,
         confirm: true,
         return_url: expect.any(String)
@@ -530,9 +534,11 @@ describe('Payments Routes', () => {
         }
       ];
 
-      mockStripe.paymentMethods.list.mockResolvedValueOnce({
+      mockPool.query.mockResolvedValueOnce({ rows: [{ stripe_customer_id: 'cus_test_customer' }] });
+      mockStripe.customers.listPaymentMethods.mockResolvedValueOnce({
         data: mockPaymentMethods
       });
+      mockStripe.customers.retrieve.mockResolvedValueOnce({ invoice_settings: { default_payment_method: 'pm_test_method_1' } });
 
       const response = await request(app)
         .get('/api/v1/payments/payment-methods/123e4567-e89b-12d3-a456-426614174000')
@@ -540,10 +546,12 @@ describe('Payments Routes', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.data).toEqual(mockPaymentMethods);
-      expect(mockStripe.paymentMethods.list).toHaveBeenCalledWith({
-        customer: '123e4567-e89b-12d3-a456-426614174000',
-        type: 'card'
+      expect(response.body.data).toEqual([
+        expect.objectContaining({ id: 'pm_test_method_1', brand: 'visa', last4: '4242', is_default: true })
+      ]);
+      expect(mockStripe.customers.listPaymentMethods).toHaveBeenCalledWith('cus_test_customer', {
+        type: 'card',
+        limit: 100
       });
     });
 
@@ -0,0 +1,475 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test_webhook_secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+const stripe = require('../src/config/stripe');
+const { commissionPercent, issueUnpaidPayouts, adjustPayout } = require('../src/services/payouts');
+
+// Mock the database pool and Stripe
+jest.mock('../src/config/database');
+jest.mock('stripe', () => {
+  const client = {
+    accounts: { create: jest.fn(), retrieve: jest.fn() },
+    accountLinks: { create: jest.fn() },
+    transfers: { create: jest.fn(), createReversal: jest.fn() },
+    // Real signature checks
+    webhooks: jest.requireActual('stripe').webhooks
+  };
+  return jest.fn(() => client);
+});
+
+const VENDOR_ID = '423e4567-e89b-12d3-a456-426614174000';
+const BOOKING_ID = '523e4567-e89b-12d3-a456-426614174000';
+const ADMIN_ID = '823e4567-e89b-12d3-a456-426614174000';
+const PAYOUT_ID = '923e4567-e89b-12d3-a456-426614174000';
+const ACCOUNT_ID = 'acct_vendor';
+
+const tokenFor = (userId, userType) => jwt.sign({ userId, email: `${userType}@example.com`, userType }, process.env.JWT_SECRET);
+const vendorToken = tokenFor(VENDOR_ID, 'vendor');
+const adminToken = tokenFor(ADMIN_ID, 'admin');
+
+const booking = {
+  id: BOOKING_ID,
+  vendor_id: VENDOR_ID,
+  total_amount: '900.00',
+  status: 'in_progress'
+};
+
+const payout = {
+  id: PAYOUT_ID,
+  booking_id: BOOKING_ID,
+  vendor_id: VENDOR_ID,
+  currency: 'GBP',
+  gross_amount: '900.00',
+  commission_percent: '12.00',
+  commission_amount: '108.00',
+  amount: '792.00',
+  status: 'pending'
+};
+
+// Auth lookup for the vendor owner or an admin, then `handler`
+const mockDatabase = (handler = () => undefined) => {
+  pool.query = jest.fn(async (sql, params) => {
+    if (sql.includes('LEFT JOIN vendor_members')) {
+      const isVendor = params[0] === VENDOR_ID;
+      return {
+        rows: [{
+          id: params[0],
+          email: 'user@example.com',
+          user_type: isVendor ? 'vendor' : 'admin',
+          is_active: true,
+          email_verified: true,
+          vendor_id: isVendor ? VENDOR_ID : null,
+          vendor_role: isVendor ? 'owner' : null,
+          two_factor_enabled: !isVendor
+        }]
+      };
+    }
+    return handler(sql, params) || eventHandler(sql, params) || { rows: [], rowCount: 0 };
+  });
+};
+
+// The webhook event store: events are stored, then claimed and handled straight away
+const storedEvents = new Map();
+const eventHandler = (sql, params) => {
+  if (sql.includes('INSERT INTO payment_events')) {
+    storedEvents.set(params[0], { id: params[0], type: params[1], object_id: params[2], payload: JSON.parse(params[4]) });
+    return { rows: [], rowCount: 1 };
+  }
+  if (sql.includes('UPDATE payment_events')) {
+    const event = storedEvents.get(params[0]);
+    return { rows: event ? [{ ...event, status: sql.includes("SET status = 'processing'") ? 'processing' : params[1] }] : [] };
+  }
+};
+
+// A transaction client whose queries go to `handler`
+const mockTransaction = (handler = () => undefined) => {
+  const client = {
+    query: jest.fn(async (sql, params) => handler(sql, params) || { rows: [], rowCount: 0 }),
+    release: jest.fn()
+  };
+  pool.connect = jest.fn().mockResolvedValue(client);
+  return client;
+};
+
+// The vendor's Connect account as the payouts service reads it, and payout updates
+const accountHandler = ({ transfersEnabled = true } = {}) => (sql, params) => {
+  if (sql.includes('SELECT stripe_account_id, stripe_transfers_enabled FROM vendor_profiles')) {
+    return { rows: [{ stripe_account_id: ACCOUNT_ID, stripe_transfers_enabled: transfersEnabled }] };
+  }
+  if (sql.includes('SELECT * FROM payouts')) {
+    return { rows: [payout] };
+  }
+  if (sql.includes('UPDATE payouts')) {
+    return { rows: [{ ...payout, status: sql.includes("'paid'") ? 'paid' : 'failed', stripe_transfer_id: params[1] }] };
+  }
+};
+
+// Deliver an event as Stripe does: the raw JSON, signed with the webhook secret
+const webhook = (event) => {
+  const payload = JSON.stringify(event);
+  return request(app)
+    .post('/api/v1/payments/webhook')
+    .set('stripe-signature', stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET }))
+    .set('Content-Type', 'application/json')
+    .send(payload);
+};
+
+const callsFor = (mock, text) => mock.mock.calls.filter(([sql]) => sql.includes(text));
+
+describe('Vendor payouts', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('commission', () => {
+    it('should use the vendor tier\'s rate, then the category\'s, then the default', () => {
+      expect(commissionPercent({ category: 'Venue', tier: 'premier' })).toBe(7);
+      expect(commissionPercent({ category: 'Venue', tier: 'standard' })).toBe(8);
+      expect(commissionPercent({ category: ' Hair & Makeup ', tier: 'standard' })).toBe(15);
+      expect(commissionPercent({ category: 'Fireworks', tier: 'standard' })).toBe(12);
+      expect(commissionPercent({ category: null, tier: null })).toBe(12);
+    });
+  });
+
+  describe('completing a booking', () => {
+    const completion = (netPaid) => mockTransaction((sql, params) => {
+      if (sql.includes('SELECT * FROM bookings WHERE id = $1 AND vendor_id = $2 FOR UPDATE')) {
+        return { rows: [booking] };
+      }
+      if (sql.includes('UPDATE bookings SET status')) {
+        return { rows: [{ ...booking, status: params[0] }] };
+      }
+      if (sql.includes('AS net_paid')) {
+        return { rows: [{ id: BOOKING_ID, vendor_id: VENDOR_ID, category: 'Photography', commission_tier: 'standard', net_paid: netPaid }] };
+      }
+      if (sql.includes('INSERT INTO payouts')) {
+        return { rows: [payout] };
+      }
+    });
+
+    const complete = () => request(app)
+      .patch(`/api/v1/bookings/${BOOKING_ID}/status`)
+      .set('Authorization', `Bearer ${vendorToken}`)
+      .send({ status: 'completed' });
+
+    it('should record the vendor\'s payout less commission and transfer it', async () => {
+      const client = completion('900.00');
+      mockDatabase(accountHandler());
+      stripe.transfers.create.mockResolvedValue({ id: 'tr_1' });
+
+      const response = await complete();
+
+      expect(response.status).toBe(200);
+      // 12% photography commission on £900
+      expect(callsFor(client.query, 'INSERT INTO payouts')[0][1]).toEqual([BOOKING_ID, VENDOR_ID, 900, 12, 108, 792]);
+      expect(stripe.transfers.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          amount: 79200,
+          currency: 'gbp',
+          destination: ACCOUNT_ID,
+          transfer_group: `booking-${BOOKING_ID}`
+        }),
+        { idempotencyKey: `payout-${PAYOUT_ID}` }
+      );
+      expect(callsFor(pool.query, "SET status = 'paid'")[0][1]).toEqual([PAYOUT_ID, 'tr_1', ACCOUNT_ID]);
+    });
+
+    it('should not record a payout when nothing was paid', async () => {
+      const client = completion('0');
+      mockDatabase(accountHandler());
+
+      const response = await complete();
+
+      expect(response.status).toBe(200);
+      expect(callsFor(client.query, 'INSERT INTO payouts')).toHaveLength(0);
+    });
+
+    it('should leave the payout pending until the vendor can receive transfers', async () => {
+      completion('900.00');
+      mockDatabase(accountHandler({ transfersEnabled: false }));
+
+      const response = await complete();
+
+      expect(response.status).toBe(200);
+      expect(stripe.transfers.create).not.toHaveBeenCalled();
+      expect(callsFor(pool.query, 'UPDATE payouts')).toHaveLength(0);
+    });
+
+    it('should mark the payout failed when Stripe refuses the transfer', async () => {
+      completion('900.00');
+      mockDatabase(accountHandler());
+      stripe.transfers.create.mockRejectedValue(new Error('Insufficient available balance'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await complete();
+
+      expect(response.status).toBe(200);
+      expect(callsFor(pool.query, "SET status = 'failed'")[0][1]).toEqual([PAYOUT_ID, 'Insufficient available balance', ACCOUNT_ID]);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('after a payout is recorded', () => {
+    // The booking's payout with what its customer has now paid and kept
+    const adjustmentHandler = (payoutRow, netPaid) => (sql, params) => {
+      if (sql.includes('SELECT po.*')) {
+        return { rows: [{ ...payoutRow, net_paid: netPaid }] };
+      }
+      if (sql.includes('SET reversed_amount')) {
+        return { rows: [{ ...payoutRow, reversed_amount: params[1] }] };
+      }
+      if (sql.includes('SET gross_amount')) {
+        return { rows: [{ ...payoutRow, gross_amount: params[1], commission_amount: params[2], amount: params[3] }] };
+      }
+      return accountHandler()(sql, params);
+    };
+
+    // recordDispute's transaction: the disputed payment, then the dispute as recorded
+    const disputeTransaction = (status) => mockTransaction((sql, params) => {
+      if (sql.includes('WHERE p.stripe_payment_intent_id = $1')) {
+        return { rows: [{ id: 'payment-1', booking_id: BOOKING_ID, booking_date: '2026-06-20', service_name: 'Wedding photography', vendor_email: 'vendor@example.com', vendor_first_name: 'Vera' }] };
+      }
+      if (sql.includes('INSERT INTO disputes')) {
+        return { rows: [{ id: 'dispute-1', stripe_dispute_id: params[0], amount: params[1], status: params[4], booking_id: BOOKING_ID }] };
+      }
+    });
+
+    const disputeEvent = (status) => ({
+      id: `evt_dispute_${status}`,
+      type: 'charge.dispute.closed',
+      data: { object: { id: 'dp_1', payment_intent: 'pi_1', amount: 30000, currency: 'gbp', reason: 'fraudulent', status } }
+    });
+
+    it('should hold payouts back while their booking has an open dispute', async () => {
+      mockDatabase(accountHandler());
+
+      await issueUnpaidPayouts(pool, { bookingId: BOOKING_ID });
+
+      const [sql, params] = callsFor(pool.query, 'SELECT * FROM payouts')[0];
+      expect(sql).toContain('b.dispute_status <> ALL($4)');
+      expect(params[3]).toEqual(['won', 'lost', 'warning_closed']);
+    });
+
+    it('should reverse what a refund takes back from a paid payout', async () => {
+      const paidPayout = { ...payout, status: 'paid', stripe_transfer_id: 'tr_1', reversed_amount: '0.00' };
+      mockDatabase((sql, params) => {
+        if (sql.includes('UPDATE refunds')) {
+          return { rows: [{ id: 'refund-1', payment_id: 'payment-1', booking_id: BOOKING_ID, status: params[1] }] };
+        }
+        return adjustmentHandler(paidPayout, '450.00')(sql, params);
+      });
+      stripe.transfers.createReversal.mockResolvedValue({ id: 'trr_1' });
+
+      const response = await webhook({
+        id: 'evt_refund_updated',
+        type: 'refund.updated',
+        data: { object: { id: 're_1', status: 'succeeded', amount: 45000, metadata: {} } }
+      });
+
+      expect(response.status).toBe(200);
+      // Half refunded: half of the £792 paid out comes back
+      expect(stripe.transfers.createReversal).toHaveBeenCalledWith(
+        'tr_1',
+        expect.objectContaining({ amount: 39600 }),
+        { idempotencyKey: `payout-${PAYOUT_ID}-reversed-39600` }
+      );
+      expect(callsFor(pool.query, 'SET reversed_amount')[0][1]).toEqual([PAYOUT_ID, 396, '0.00']);
+    });
+
+    it('should only reverse what hasn\'t been reversed already', async () => {
+      const paidPayout = { ...payout, status: 'paid', stripe_transfer_id: 'tr_1', reversed_amount: '396.00' };
+      mockDatabase(adjustmentHandler(paidPayout, '450.00'));
+
+      const adjusted = await adjustPayout(pool, BOOKING_ID);
+
+      expect(adjusted).toMatchObject({ id: PAYOUT_ID, reversed_amount: '396.00' });
+      expect(stripe.transfers.createReversal).not.toHaveBeenCalled();
+    });
+
+    it('should take a lost dispute out of an unpaid payout before paying the rest', async () => {
+      disputeTransaction('lost');
+      mockDatabase(adjustmentHandler(payout, '600.00'));
+      stripe.transfers.create.mockResolvedValue({ id: 'tr_1' });
+
+      const response = await webhook(disputeEvent('lost'));
+
+      expect(response.status).toBe(200);
+      // £300 lost of £900: 12% commission on the £600 left
+      expect(callsFor(pool.query, 'SET gross_amount')[0][1]).toEqual([PAYOUT_ID, 600, 72, 528, ['pending', 'failed']]);
+      expect(callsFor(pool.query, 'SELECT * FROM payouts')[0][1][2]).toBe(BOOKING_ID);
+      expect(stripe.transfers.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should cancel an unpaid payout when nothing is left to pay', async () => {
+      mockDatabase(adjustmentHandler(payout, '0'));
+
+      await adjustPayout(pool, BOOKING_ID);
+
+      const [sql, params] = callsFor(pool.query, 'SET gross_amount')[0];
+      expect(sql).toContain("ELSE 'cancelled'");
+      expect(params.slice(0, 4)).toEqual([PAYOUT_ID, 0, 0, 0]);
+    });
+
+    it('should pay a held payout once its dispute is won', async () => {
+      disputeTransaction('won');
+      mockDatabase(adjustmentHandler(payout, '900.00'));
+      stripe.transfers.create.mockResolvedValue({ id: 'tr_1' });
+
+      const response = await webhook(disputeEvent('won'));
+
+      expect(response.status).toBe(200);
+      expect(callsFor(pool.query, 'SET gross_amount')).toHaveLength(0);
+      expect(stripe.transfers.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 79200 }), { idempotencyKey: `payout-${PAYOUT_ID}` });
+    });
+  });
+
+  describe('onboarding', () => {
+    it('should create the Connect account once and return an onboarding link', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('SELECT vp.user_id, vp.business_name')) {
+          return { rows: [{ user_id: VENDOR_ID, business_name: 'Lens & Light', website: null, stripe_account_id: null, email: 'owner@example.com' }] };
+        }
+        if (sql.includes('WHERE user_id = $1 AND stripe_account_id IS NULL')) {
+          return { rows: [{ stripe_account_id: ACCOUNT_ID }] };
+        }
+      });
+      stripe.accounts.create.mockResolvedValue({ id: ACCOUNT_ID });
+      stripe.accountLinks.create.mockResolvedValue({ url: 'https://connect.stripe.com/setup/e/acct_vendor', expires_at: 1800000000 });
+
+      const response = await request(app)
+        .post('/api/v1/vendors/payouts/account/onboarding-link')
+        .set('Authorization', `Bearer ${vendorToken}`);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toEqual({
+        accountId: ACCOUNT_ID,
+        url: 'https://connect.stripe.com/setup/e/acct_vendor',
+        expiresAt: new Date(1800000000 * 1000).toISOString()
+      });
+      expect(stripe.accounts.create).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'express', email: 'owner@example.com' }),
+        { idempotencyKey: `connect-account-${VENDOR_ID}` }
+      );
+      expect(stripe.accountLinks.create).toHaveBeenCalledWith(expect.objectContaining({ account: ACCOUNT_ID, type: 'account_onboarding' }));
+    });
+
+    it('should sync the account from Stripe and pay what was waiting on it', async () => {
+      mockDatabase((sql, params) => {
+        if (sql.includes('FROM vendor_profiles WHERE user_id = $1') && sql.includes('commission_tier')) {
+          return { rows: [{ stripe_account_id: ACCOUNT_ID, stripe_transfers_enabled: false, commission_tier: 'standard' }] };
+        }
+        if (sql.includes('UPDATE vendor_profiles')) {
+          return { rows: [{ user_id: VENDOR_ID, stripe_account_id: params[0], stripe_details_submitted: params[1], stripe_transfers_enabled: params[2], stripe_payouts_enabled: params[3], stripe_requirements_due: [] }] };
+        }
+        return accountHandler()(sql, params);
+      });
+      stripe.accounts.retrieve.mockResolvedValue({
+        id: ACCOUNT_ID,
+        details_submitted: true,
+        payouts_enabled: true,
+        capabilities: { transfers: 'active' },
+        requirements: { currently_due: [] }
+      });
+      stripe.transfers.create.mockResolvedValue({ id: 'tr_1' });
+
+      const response = await request(app)
+        .get('/api/v1/vendors/payouts/account')
+        .set('Authorization', `Bearer ${vendorToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ stripe_account_id: ACCOUNT_ID, stripe_transfers_enabled: true, onboarded: true });
+      expect(response.body.data.user_id).toBeUndefined();
+      expect(callsFor(pool.query, 'SELECT * FROM payouts')[0][1]).toEqual([['pending', 'failed'], VENDOR_ID, null, ['won', 'lost', 'warning_closed']]);
+      expect(stripe.transfers.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should pay waiting payouts when an account.updated webhook enables transfers', async () => {
+      mockDatabase((sql, params) => {
+        if (sql.includes('UPDATE vendor_profiles')) {
+          return { rows: [{ user_id: VENDOR_ID, stripe_account_id: params[0], stripe_transfers_enabled: params[2] }] };
+        }
+        return accountHandler()(sql, params);
+      });
+      stripe.transfers.create.mockResolvedValue({ id: 'tr_1' });
+
+      const response = await webhook({
+        id: 'evt_account_updated',
+        type: 'account.updated',
+        data: { object: { id: ACCOUNT_ID, details_submitted: true, payouts_enabled: true, capabilities: { transfers: 'active' } } }
+      });
+
+      expect(response.status).toBe(200);
+      expect(callsFor(pool.query, 'UPDATE vendor_profiles')[0][1].slice(0, 3)).toEqual([ACCOUNT_ID, true, true]);
+      expect(stripe.transfers.create).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('GET /api/v1/payments/payouts/history', () => {
+    it('should only list the vendor\'s own payouts', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM payouts po')) {
+          return { rows: [{ ...payout, status: 'paid', service_name: 'Wedding photography' }] };
+        }
+      });
+
+      const response = await request(app)
+        .get('/api/v1/payments/payouts/history?status=paid')
+        .set('Authorization', `Bearer ${vendorToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      const [sql, params] = callsFor(pool.query, 'FROM payouts po')[0];
+      expect(sql).toContain('po.vendor_id = $1');
+      expect(params).toEqual(expect.arrayContaining([VENDOR_ID, 'paid']));
+    });
+  });
+
+  describe('PATCH /api/v1/vendors/admin/:id/commission-tier', () => {
+    it('should set a vendor\'s commission tier', async () => {
+      mockDatabase((sql, params) => {
+        if (sql.includes('SET commission_tier')) {
+          return { rows: [{ id: params[1], commission_tier: params[0] }] };
+        }
+      });
+
+      const response = await request(app)
+        .patch(`/api/v1/vendors/admin/${VENDOR_ID}/commission-tier`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ tier: 'partner' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.commission_tier).toBe('partner');
+    });
+
+    it('should reject unknown tiers and vendors', async () => {
+      mockDatabase();
+
+      const invalid = await request(app)
+        .patch(`/api/v1/vendors/admin/${VENDOR_ID}/commission-tier`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ tier: 'gold' });
+      const missing = await request(app)
+        .patch(`/api/v1/vendors/admin/${VENDOR_ID}/commission-tier`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ tier: 'premier' });
+
+      expect(invalid.status).toBe(400);
+      expect(missing.status).toBe(404);
+    });
+
+    it('should not be open to vendors', async () => {
+      mockDatabase();
+
+      const response = await request(app)
+        .patch(`/api/v1/vendors/admin/${VENDOR_ID}/commission-tier`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ tier: 'premier' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
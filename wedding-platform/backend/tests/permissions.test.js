@@ -0,0 +1,295 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+
+// Mock the database pool
+jest.mock('../src/config/database');
+
+describe('Permissions', () => {
+  let mockPool;
+
+  const adminId = '123e4567-e89b-12d3-a456-426614174000';
+  const supportId = '223e4567-e89b-12d3-a456-426614174000';
+  const targetId = '323e4567-e89b-12d3-a456-426614174000';
+
+  const tokenFor = (userId, userType) => jwt.sign({ userId, email: `${userType}@example.com`, userType }, process.env.JWT_SECRET);
+
+  // Row returned by authenticateToken's user lookup
+  const authRow = (id, userType, extra = {}) => ({
+    rows: [{ id, email: `${userType}@example.com`, user_type: userType, is_active: true, two_factor_enabled: true, ...extra }]
+  });
+
+  beforeEach(() => {
+    mockPool = {
+      query: jest.fn()
+    };
+    pool.query = mockPool.query;
+
+    // Transactions run their statements through mockPool.query too; BEGIN, COMMIT and
+    // ROLLBACK are recorded separately so call positions match non-transactional code
+    mockPool.client = {
+      query: jest.fn((sql, params) => (/^(BEGIN|COMMIT|ROLLBACK)$/.test(sql) ? {} : mockPool.query(sql, params))),
+      release: jest.fn()
+    };
+    pool.connect = jest.fn().mockResolvedValue(mockPool.client);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('requirePermission', () => {
+    it('should let support staff view users through their role grants', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(authRow(supportId, 'support'))
+        .mockResolvedValueOnce({ rows: [{ permission: 'users.view' }, { permission: 'bookings.view' }] })
+        .mockResolvedValueOnce({ rows: [{ id: targetId, email: 'customer@example.com' }] });
+
+      const response = await request(app)
+        .get(`/api/v1/users/admin/${targetId}`)
+        .set('Authorization', `Bearer ${tokenFor(supportId, 'support')}`);
+
+      expect(response.status).toBe(200);
+      expect(mockPool.query).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('FROM role_permissions WHERE role = $1'),
+        ['support', supportId]
+      );
+    });
+
+    it('should not let support staff delete users', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(authRow(supportId, 'support'))
+        .mockResolvedValueOnce({ rows: [{ permission: 'users.view' }, { permission: 'bookings.view' }] });
+
+      const response = await request(app)
+        .delete(`/api/v1/users/admin/${targetId}`)
+        .set('Authorization', `Bearer ${tokenFor(supportId, 'support')}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toMatchObject({ code: 'INSUFFICIENT_PERMISSIONS', details: { required: 'users.delete' } });
+      expect(mockPool.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should honour permissions granted to an individual user', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(authRow(supportId, 'support'))
+        .mockResolvedValueOnce({ rows: [{ permission: 'vendors.view' }, { permission: 'vendors.verify' }] })
+        .mockResolvedValueOnce({ rows: [{ id: targetId, is_verified: true }] });
+
+      const response = await request(app)
+        .patch(`/api/v1/vendors/admin/${targetId}/verify`)
+        .set('Authorization', `Bearer ${tokenFor(supportId, 'support')}`)
+        .send({ isVerified: true });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should give admins every permission without a lookup', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(authRow(adminId, 'admin'))
+        .mockResolvedValueOnce({ rows: [{ id: targetId, is_verified: true }] });
+
+      const response = await request(app)
+        .patch(`/api/v1/vendors/admin/${targetId}/verify`)
+        .set('Authorization', `Bearer ${tokenFor(adminId, 'admin')}`)
+        .send({ isVerified: true });
+
+      expect(response.status).toBe(200);
+      expect(mockPool.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should require permissions.manage to change a user role', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(authRow(supportId, 'support'))
+        .mockResolvedValueOnce({ rows: [{ permission: 'users.update' }] })
+        .mockResolvedValueOnce({ rows: [{ id: supportId, user_type: 'support' }] });
+
+      const response = await request(app)
+        .put(`/api/v1/users/admin/${supportId}`)
+        .set('Authorization', `Bearer ${tokenFor(supportId, 'support')}`)
+        .send({ userType: 'admin' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toMatchObject({ code: 'INSUFFICIENT_PERMISSIONS', details: { required: 'permissions.manage' } });
+    });
+
+    it('should let vendors refund their own payments without a grant', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(authRow(targetId, 'vendor', { vendor_id: targetId, vendor_role: 'owner' }))
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post(`/api/v1/payments/${targetId}/refund`)
+        .set('Authorization', `Bearer ${tokenFor(targetId, 'vendor')}`);
+
+      expect(response.status).toBe(404);
+      expect(mockPool.query).toHaveBeenLastCalledWith(
+        'SELECT * FROM payments WHERE id = $1 AND vendor_id = $2',
+        [targetId, targetId]
+      );
+    });
+  });
+
+  describe('Account details for staff', () => {
+    const storedUser = {
+      id: targetId,
+      email: 'customer@example.com',
+      first_name: 'Amelia',
+      last_name: 'Hart',
+      user_type: 'customer',
+      is_active: true,
+      password_hash: '$2a$12$hash',
+      two_factor_enabled: true,
+      two_factor_secret: 'encrypted-secret',
+      two_factor_pending_secret: 'encrypted-pending-secret',
+      two_factor_last_step: 58800000,
+      tokens_revoked_at: null,
+      stripe_customer_id: 'cus_1'
+    };
+    const PRIVATE_FIELDS = ['password_hash', 'two_factor_secret', 'two_factor_pending_secret', 'two_factor_last_step', 'tokens_revoked_at', 'stripe_customer_id'];
+
+    // Like Postgres, return only the columns the query names (all of them for `*`)
+    const selectUser = (sql) => ({
+      rows: [sql.includes('*')
+        ? storedUser
+        : Object.fromEntries(Object.entries(storedUser).filter(([column]) => new RegExp(`\\b${column}\\b`).test(sql)))]
+    });
+
+    it('should never return password hashes or 2FA secrets', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(authRow(supportId, 'support'))
+        .mockResolvedValueOnce({ rows: [{ permission: 'users.view' }] })
+        .mockImplementationOnce(async (sql) => selectUser(sql));
+
+      const response = await request(app)
+        .get(`/api/v1/users/admin/${targetId}`)
+        .set('Authorization', `Bearer ${tokenFor(supportId, 'support')}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ id: targetId, email: 'customer@example.com', two_factor_enabled: true });
+      PRIVATE_FIELDS.forEach(field => expect(response.body.data).not.toHaveProperty(field));
+    });
+
+    it('should not return them from an update either', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(authRow(adminId, 'admin'))
+        .mockResolvedValueOnce({ rows: [{ id: targetId, user_type: 'customer' }] })
+        .mockImplementationOnce(async (sql) => selectUser(sql));
+
+      const response = await request(app)
+        .put(`/api/v1/users/admin/${targetId}`)
+        .set('Authorization', `Bearer ${tokenFor(adminId, 'admin')}`)
+        .send({ firstName: 'Amelia' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.first_name).toBe('Amelia');
+      PRIVATE_FIELDS.forEach(field => expect(response.body.data).not.toHaveProperty(field));
+    });
+  });
+
+  describe('Grant management', () => {
+    it('should list permissions and role grants', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(authRow(adminId, 'admin'))
+        .mockResolvedValueOnce({ rows: [{ role: 'support', permission: 'bookings.view' }] });
+
+      const response = await request(app)
+        .get('/api/v1/permissions')
+        .set('Authorization', `Bearer ${tokenFor(adminId, 'admin')}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.permissions).toEqual(
+        expect.arrayContaining([expect.objectContaining({ name: 'users.delete' })])
+      );
+      expect(response.body.data.roles.support).toEqual(['bookings.view']);
+      expect(response.body.data.roles.admin).toContain('permissions.manage');
+    });
+
+    it('should grant a permission to a user', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(authRow(adminId, 'admin'))
+        .mockResolvedValueOnce({ rows: [{ id: supportId }] })
+        .mockResolvedValueOnce({ rows: [{ user_id: supportId, permission: 'payments.refund', granted_by: adminId }] });
+
+      const response = await request(app)
+        .post(`/api/v1/permissions/users/${supportId}`)
+        .set('Authorization', `Bearer ${tokenFor(adminId, 'admin')}`)
+        .send({ permission: 'payments.refund' });
+
+      expect(response.status).toBe(201);
+      expect(mockPool.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO user_permissions'),
+        [supportId, 'payments.refund', adminId]
+      );
+    });
+
+    it('should reject unknown permissions and admin role changes', async () => {
+      mockPool.query.mockResolvedValue(authRow(adminId, 'admin'));
+
+      const unknown = await request(app)
+        .post(`/api/v1/permissions/users/${supportId}`)
+        .set('Authorization', `Bearer ${tokenFor(adminId, 'admin')}`)
+        .send({ permission: 'everything' });
+
+      expect(unknown.status).toBe(400);
+
+      const adminRole = await request(app)
+        .put('/api/v1/permissions/roles/admin')
+        .set('Authorization', `Bearer ${tokenFor(adminId, 'admin')}`)
+        .send({ permissions: [] });
+
+      expect(adminRole.status).toBe(400);
+    });
+
+    it('should replace role grants', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(authRow(adminId, 'admin'))
+        .mockResolvedValueOnce({ rowCount: 4 })
+        .mockResolvedValueOnce({ rowCount: 2 });
+
+      const response = await request(app)
+        .put('/api/v1/permissions/roles/support')
+        .set('Authorization', `Bearer ${tokenFor(adminId, 'admin')}`)
+        .send({ permissions: ['bookings.view', 'payments.view', 'bookings.view'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.permissions).toEqual(['bookings.view', 'payments.view']);
+      expect(mockPool.client.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should keep the old role grants when the new ones cannot be saved', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockPool.query
+        .mockResolvedValueOnce(authRow(adminId, 'admin'))
+        .mockResolvedValueOnce({ rowCount: 4 })
+        .mockRejectedValueOnce(new Error('connection lost'));
+
+      const response = await request(app)
+        .put('/api/v1/permissions/roles/support')
+        .set('Authorization', `Bearer ${tokenFor(adminId, 'admin')}`)
+        .send({ permissions: ['bookings.view'] });
+
+      expect(response.status).toBe(500);
+      expect(mockPool.client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockPool.client.query).not.toHaveBeenCalledWith('COMMIT');
+      expect(mockPool.client.release).toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+
+    it('should be closed to staff without permissions.manage', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(authRow(supportId, 'support'))
+        .mockResolvedValueOnce({ rows: [{ permission: 'users.view' }] });
+
+      const response = await request(app)
+        .get('/api/v1/permissions')
+        .set('Authorization', `Bearer ${tokenFor(supportId, 'support')}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+const { calculateQuote } = require('../src/services/pricing');
+
+// Mock the database pool
+jest.mock('../src/config/database');
+
+const SERVICE_ID = '323e4567-e89b-12d3-a456-426614174000';
+const VENDOR_ID = '423e4567-e89b-12d3-a456-426614174000';
+const CUSTOMER_ID = '623e4567-e89b-12d3-a456-426614174001';
+const ADDON_ID = '723e4567-e89b-12d3-a456-426614174000';
+const UNKNOWN_ADDON_ID = '823e4567-e89b-12d3-a456-426614174000';
+
+const hourly = { id: SERVICE_ID, vendor_id: VENDOR_ID, is_active: true, base_price: '100.00', pricing_type: 'hourly', duration_hours: 2 };
+const champagne = { id: ADDON_ID, name: 'Champagne toast', price: '45.50' };
+
+describe('Pricing', () => {
+  const originalTaxRate = process.env.BOOKING_TAX_RATE;
+
+  beforeEach(() => {
+    process.env.BOOKING_TAX_RATE = '0.2';
+  });
+
+  afterEach(() => {
+    process.env.BOOKING_TAX_RATE = originalTaxRate;
+    jest.clearAllMocks();
+  });
+
+  describe('calculateQuote', () => {
+    it('should charge hourly services for at least their minimum duration', () => {
+      const quote = calculateQuote({ service: hourly, startTime: '10:00', endTime: '11:00' });
+
+      expect(quote).toMatchObject({ hours: 1, units: 2, base: 200, subtotal: 200, tax: 40, total: 240 });
+    });
+
+    it('should charge hourly services for longer bookings by the hour', () => {
+      const quote = calculateQuote({ service: hourly, startTime: '10:00', endTime: '13:30' });
+
+      expect(quote).toMatchObject({ hours: 3.5, units: 3.5, base: 350, total: 420 });
+    });
+
+    it('should charge daily and fixed services once', () => {
+      const daily = calculateQuote({ service: { ...hourly, pricing_type: 'daily', base_price: '900' }, startTime: '09:00', endTime: '17:00' });
+      const fixed = calculateQuote({ service: { ...hourly, pricing_type: 'fixed', base_price: '1500' }, startTime: '09:00', endTime: '10:00' });
+
+      expect(daily).toMatchObject({ units: 1, base: 900, total: 1080 });
+      expect(fixed).toMatchObject({ units: 1, base: 1500, total: 1800 });
+    });
+
+    it('should apply the slot modifier before add-ons and tax', () => {
+      const quote = calculateQuote({
+        service: hourly,
+        startTime: '10:00',
+        endTime: '12:00',
+        priceModifier: '1.25',
+        addons: [champagne]
+      });
+
+      expect(quote).toMatchObject({
+        base: 200,
+        priceModifier: 1.25,
+        modifierAdjustment: 50,
+        addons: [{ id: ADDON_ID, name: 'Champagne toast', price: 45.5 }],
+        subtotal: 295.5,
+        tax: 59.1,
+        total: 354.6
+      });
+    });
+
+    it('should round to the penny and read the tax rate from the environment', () => {
+      process.env.BOOKING_TAX_RATE = '0';
+      const quote = calculateQuote({ service: { ...hourly, base_price: '33.33' }, startTime: '10:00', endTime: '12:20', priceModifier: '0.9' });
+
+      expect(quote.base).toBe(77.77);
+      expect(quote.subtotal).toBe(69.99);
+      expect(quote.tax).toBe(0);
+      expect(quote.total).toBe(69.99);
+    });
+  });
+
+  describe('GET /api/v1/services/:id/quote', () => {
+    it('should quote a specific slot with its modifier and add-ons', async () => {
+      pool.query = jest.fn(async (sql) => {
+        if (sql.includes('FROM services')) {
+          return { rows: [hourly] };
+        }
+        if (sql.includes('FROM service_addons')) {
+          return { rows: [champagne] };
+        }
+        if (sql.includes('FROM availability')) {
+          return { rows: [{ id: 'slot-1', price_modifier: '1.50' }] };
+        }
+        return { rows: [] };
+      });
+
+      const response = await request(app)
+        .get(`/api/v1/services/${SERVICE_ID}/quote`)
+        .query({ date: '2026-06-20', startTime: '10:00', endTime: '12:00', addons: ADDON_ID });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        serviceId: SERVICE_ID,
+        available: true,
+        priceModifier: 1.5,
+        subtotal: 345.5,
+        total: 414.6
+      });
+    });
+
+    it('should price the standard duration when no time is given', async () => {
+      pool.query = jest.fn().mockResolvedValue({ rows: [hourly] });
+
+      const response = await request(app).get(`/api/v1/services/${SERVICE_ID}/quote`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ available: null, hours: 2, total: 240 });
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject add-ons that do not belong to the service', async () => {
+      pool.query = jest.fn(async (sql) => (
+        sql.includes('FROM service_addons') ? { rows: [champagne] } : { rows: [hourly] }
+      ));
+
+      const response = await request(app)
+        .get(`/api/v1/services/${SERVICE_ID}/quote`)
+        .query({ addons: `${ADDON_ID},${UNKNOWN_ADDON_ID}` });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toEqual({ code: 'INVALID_ADDON', details: { addons: [UNKNOWN_ADDON_ID] } });
+    });
+  });
+
+  describe('POST /api/v1/bookings', () => {
+    const token = jwt.sign({ userId: CUSTOMER_ID, email: 'customer@example.com', userType: 'customer' }, process.env.JWT_SECRET);
+    const bookingBody = { service_id: SERVICE_ID, booking_date: '2026-06-20', start_time: '10:00', end_time: '13:00' };
+
+    beforeEach(() => {
+      pool.query = jest.fn(async (sql, params) => {
+        if (sql.includes('LEFT JOIN vendor_members')) {
+          return { rows: [{ id: params[0], email: 'customer@example.com', user_type: 'customer', is_active: true, email_verified: true }] };
+        }
+        if (sql.includes('FROM services')) {
+          return { rows: [hourly] };
+        }
+        if (sql.includes('FROM vendor_profiles')) {
+          return { rows: [{ is_verified: true }] };
+        }
+        if (sql.includes('FROM service_addons')) {
+          return { rows: [champagne] };
+        }
+        return { rows: [] };
+      });
+    });
+
+    it('should store the server-calculated total and breakdown', async () => {
+      const client = {
+        query: jest.fn(async (sql, params) => {
+          if (sql.includes('FROM availability')) {
+            return { rows: [{ id: 'slot-1', price_modifier: '1.10' }] };
+          }
+          if (sql.includes('INSERT INTO bookings')) {
+            return { rows: [{ id: 'booking-1', total_amount: params[7] }] };
+          }
+          return { rows: [] };
+        }),
+        release: jest.fn()
+      };
+      pool.connect = jest.fn().mockResolvedValue(client);
+
+      const response = await request(app)
+        .post('/api/v1/bookings')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...bookingBody, addons: [ADDON_ID] });
+
+      expect(response.status).toBe(201);
+
+      const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO bookings'));
+      const [, params] = insert;
+      // 3h x £100 x 1.10 + £45.50, plus 20% VAT
+      expect(params[7]).toBe(450.6);
+      expect(JSON.parse(params[8])).toMatchObject({ base: 300, modifierAdjustment: 30, subtotal: 375.5, tax: 75.1 });
+    });
+
+    it('should refuse a client-supplied total', async () => {
+      pool.connect = jest.fn();
+
+      const response = await request(app)
+        .post('/api/v1/bookings')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...bookingBody, total_amount: 1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details[0].path).toBe('total_amount');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+});
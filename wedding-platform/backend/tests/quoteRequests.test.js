@@ -0,0 +1,356 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.BOOKING_TAX_RATE = '0.2';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+const stripe = require('../src/config/stripe');
+
+// Mock the database pool and Stripe
+jest.mock('../src/config/database');
+jest.mock('stripe', () => {
+  const client = {
+    customers: { create: jest.fn().mockResolvedValue({ id: 'cus_1' }) },
+    paymentIntents: { create: jest.fn() }
+  };
+  return jest.fn(() => client);
+});
+
+const SERVICE_ID = '323e4567-e89b-12d3-a456-426614174000';
+const VENDOR_ID = '423e4567-e89b-12d3-a456-426614174000';
+const BOOKING_ID = '523e4567-e89b-12d3-a456-426614174000';
+const CUSTOMER_ID = '623e4567-e89b-12d3-a456-426614174000';
+const QUOTE_ID = '723e4567-e89b-12d3-a456-426614174000';
+const PROPOSAL_ID = '823e4567-e89b-12d3-a456-426614174000';
+
+const base = '/api/v1/quote-requests';
+
+const tokenFor = (userId, userType) => jwt.sign({ userId, email: `${userType}@example.com`, userType }, process.env.JWT_SECRET);
+const customerToken = tokenFor(CUSTOMER_ID, 'customer');
+const vendorToken = tokenFor(VENDOR_ID, 'vendor');
+
+const quoteRequest = {
+  id: QUOTE_ID,
+  customer_id: CUSTOMER_ID,
+  vendor_id: VENDOR_ID,
+  service_id: SERVICE_ID,
+  event_date: '2026-09-12',
+  start_time: '12:00:00',
+  end_time: '23:00:00',
+  message: 'Photography for 120 guests, ceremony and reception',
+  status: 'proposed'
+};
+
+const proposal = {
+  id: PROPOSAL_ID,
+  quote_request_id: QUOTE_ID,
+  revision: 2,
+  event_date: '2026-09-12',
+  start_time: '12:00:00',
+  end_time: '23:00:00',
+  line_items: [{ description: 'Full day coverage', quantity: 1, unitPrice: 1000, amount: 1000 }],
+  subtotal: '1000.00',
+  tax: '200.00',
+  total_amount: '1200.00',
+  status: 'active',
+  is_expired: false
+};
+
+// Auth lookup for the customer or a vendor team member, then `handler`
+const mockDatabase = (handler = () => undefined, { vendorRole = 'owner' } = {}) => {
+  pool.query = jest.fn(async (sql, params) => {
+    if (sql.includes('LEFT JOIN vendor_members')) {
+      const isVendor = params[0] === VENDOR_ID;
+      return {
+        rows: [{
+          id: params[0],
+          email: 'user@example.com',
+          user_type: isVendor ? 'vendor' : 'customer',
+          is_active: true,
+          email_verified: true,
+          vendor_id: isVendor ? VENDOR_ID : null,
+          vendor_role: isVendor ? vendorRole : null
+        }]
+      };
+    }
+    return handler(sql, params) || { rows: [], rowCount: 0 };
+  });
+};
+
+// A transaction client whose queries go to `handler`
+const mockTransaction = (handler = () => undefined) => {
+  const client = {
+    query: jest.fn(async (sql, params) => handler(sql, params) || { rows: [], rowCount: 0 }),
+    release: jest.fn()
+  };
+  pool.connect = jest.fn().mockResolvedValue(client);
+  return client;
+};
+
+const callFor = (client, text) => client.query.mock.calls.find(([sql]) => sql.includes(text));
+
+describe('Quote requests', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/v1/quote-requests', () => {
+    it('should send the event details to the service\'s vendor', async () => {
+      mockDatabase((sql, params) => {
+        if (sql.includes('FROM services')) {
+          return { rows: [{ id: SERVICE_ID, vendor_id: VENDOR_ID }] };
+        }
+        if (sql.includes('INSERT INTO quote_requests')) {
+          return { rows: [{ id: QUOTE_ID, vendor_id: params[2], status: 'open' }] };
+        }
+      });
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ serviceId: SERVICE_ID, eventDate: '2026-09-12', startTime: '12:00', endTime: '23:00', guestCount: 120, message: quoteRequest.message });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toEqual({ id: QUOTE_ID, vendor_id: VENDOR_ID, status: 'open' });
+      const [, params] = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO quote_requests'));
+      expect(params).toEqual([CUSTOMER_ID, SERVICE_ID, VENDOR_ID, '2026-09-12', '12:00', '23:00', 120, null, null, quoteRequest.message]);
+    });
+
+    it('should require event times and a message', async () => {
+      mockDatabase();
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ serviceId: SERVICE_ID, eventDate: '2026-09-12', startTime: '23:00', endTime: '12:00', message: 'Hi' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details.map(detail => detail.path)).toEqual(['endTime', 'message']);
+    });
+  });
+
+  describe('POST /api/v1/quote-requests/:id/proposals', () => {
+    const body = {
+      lineItems: [
+        { description: 'Full day coverage', unitPrice: 1000 },
+        { description: 'Printed album', quantity: 2, unitPrice: 49.995 }
+      ],
+      message: 'Happy to adjust the album',
+      validForDays: 7
+    };
+
+    it('should price the line items and supersede the previous revision', async () => {
+      mockDatabase();
+      const client = mockTransaction((sql, params) => {
+        if (sql.includes('FROM quote_requests')) {
+          return { rows: [quoteRequest] };
+        }
+        if (sql.includes('INSERT INTO quote_proposals')) {
+          return { rows: [{ id: PROPOSAL_ID, revision: 3, total_amount: params[7] }] };
+        }
+      });
+
+      const response = await request(app)
+        .post(`${base}/${QUOTE_ID}/proposals`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send(body);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toEqual({ id: PROPOSAL_ID, revision: 3, total_amount: 1320, taxRate: 0.2 });
+
+      const [lockSql, lockParams] = callFor(client, 'FROM quote_requests');
+      expect(lockSql).toContain('vendor_id = $2 FOR UPDATE');
+      expect(lockParams).toEqual([QUOTE_ID, VENDOR_ID]);
+
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      const supersede = statements.findIndex(sql => sql.includes("status = 'active'"));
+      const insert = statements.findIndex(sql => sql.includes('INSERT INTO quote_proposals'));
+      expect(supersede).toBeGreaterThan(-1);
+      expect(insert).toBeGreaterThan(supersede);
+      expect(callFor(client, "status = 'active'")[1]).toEqual([QUOTE_ID, 'superseded']);
+
+      const [, params] = callFor(client, 'INSERT INTO quote_proposals');
+      expect(JSON.parse(params[4])).toEqual([
+        { description: 'Full day coverage', quantity: 1, unitPrice: 1000, amount: 1000 },
+        { description: 'Printed album', quantity: 2, unitPrice: 50, amount: 100 }
+      ]);
+      expect(params.slice(5, 10)).toEqual([1100, 220, 1320, 'Happy to adjust the album', 7]);
+      expect(callFor(client, "SET status = 'proposed'")).toBeDefined();
+    });
+
+    it('should not take proposals on closed requests', async () => {
+      mockDatabase();
+      const client = mockTransaction((sql) => {
+        if (sql.includes('FROM quote_requests')) {
+          return { rows: [{ ...quoteRequest, status: 'accepted' }] };
+        }
+      });
+
+      const response = await request(app)
+        .post(`${base}/${QUOTE_ID}/proposals`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send(body);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toEqual({ code: 'QUOTE_REQUEST_CLOSED', details: { status: 'accepted' } });
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('should only let team members who manage bookings send proposals', async () => {
+      mockDatabase(undefined, { vendorRole: 'staff' });
+
+      const response = await request(app)
+        .post(`${base}/${QUOTE_ID}/proposals`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send(body);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('INSUFFICIENT_TEAM_ROLE');
+    });
+  });
+
+  describe('POST /api/v1/quote-requests/:id/proposals/:proposalId/accept', () => {
+    const accept = () => request(app)
+      .post(`${base}/${QUOTE_ID}/proposals/${PROPOSAL_ID}/accept`)
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({});
+
+    const mockAcceptance = (current = proposal) => mockTransaction((sql, params) => {
+      if (sql.includes('FROM quote_requests')) {
+        return { rows: [quoteRequest] };
+      }
+      if (sql.includes('FROM quote_proposals')) {
+        return { rows: [current] };
+      }
+      if (sql.includes('INSERT INTO bookings')) {
+        return { rows: [{ id: BOOKING_ID, customer_id: params[0], vendor_id: params[1], total_amount: params[7], status: 'pending' }] };
+      }
+      // The booking's payment schedule
+      if (sql.includes('FROM payments') || sql.includes("SET status = 'pending'")) {
+        return { rows: [{ id: 'payment-1', booking_id: BOOKING_ID, sequence: 1, kind: 'full', amount: '1200.00', status: 'scheduled' }] };
+      }
+    });
+
+    it('should book the event at the proposed price and start its payment', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM services')) {
+          return { rows: [{ name: 'Wedding Photography' }] };
+        }
+        if (sql.includes('SET stripe_payment_intent_id')) {
+          return { rows: [{ id: 'payment-1', status: 'pending' }] };
+        }
+        if (sql.includes('stripe_customer_id FROM users')) {
+          return { rows: [{ id: CUSTOMER_ID, email: 'customer@example.com', first_name: 'Amelia', last_name: 'Hart', stripe_customer_id: 'cus_1' }] };
+        }
+      });
+      const client = mockAcceptance();
+      stripe.paymentIntents.create.mockResolvedValueOnce({ id: 'pi_1', status: 'requires_payment_method', client_secret: 'pi_1_secret' });
+
+      const response = await accept();
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        booking: { id: BOOKING_ID, total_amount: '1200.00' },
+        payment: { id: 'payment-1', status: 'pending' },
+        clientSecret: 'pi_1_secret'
+      });
+
+      const [, bookingParams] = callFor(client, 'INSERT INTO bookings');
+      expect(bookingParams.slice(0, 6)).toEqual([CUSTOMER_ID, VENDOR_ID, SERVICE_ID, '2026-09-12', '12:00:00', '23:00:00']);
+      expect(JSON.parse(bookingParams[8])).toMatchObject({ proposalId: PROPOSAL_ID, revision: 2, total: 1200 });
+
+      const [, historyParams] = callFor(client, 'INSERT INTO booking_status_history');
+      expect(historyParams).toEqual([BOOKING_ID, null, 'pending', CUSTOMER_ID, 'customer', 'Accepted proposal revision 2']);
+      expect(callFor(client, "quote_proposals SET status = 'accepted'")[1]).toEqual([PROPOSAL_ID]);
+      expect(callFor(client, "quote_requests SET status = 'accepted'")[1]).toEqual([QUOTE_ID, BOOKING_ID]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+
+      expect(stripe.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 120000,
+        currency: 'gbp',
+        customer: 'cus_1',
+        metadata: expect.objectContaining({ booking_id: BOOKING_ID, service_name: 'Wedding Photography' })
+      }));
+      expect(stripe.paymentIntents.create.mock.calls[0][0]).not.toHaveProperty('confirm');
+    });
+
+    it('should refuse expired proposals', async () => {
+      mockDatabase();
+      const client = mockAcceptance({ ...proposal, is_expired: true, expires_at: '2026-05-01T00:00:00.000Z' });
+
+      const response = await accept();
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('PROPOSAL_EXPIRED');
+      expect(callFor(client, 'INSERT INTO bookings')).toBeUndefined();
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(stripe.paymentIntents.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse revisions that have been superseded', async () => {
+      mockDatabase();
+      mockAcceptance({ ...proposal, status: 'superseded' });
+
+      const response = await accept();
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toEqual({ code: 'PROPOSAL_NOT_ACTIVE', details: { status: 'superseded' } });
+    });
+  });
+
+  describe('POST /api/v1/quote-requests/:id/proposals/:proposalId/decline', () => {
+    it('should decline the proposal and reopen the request for a revision', async () => {
+      mockDatabase();
+      const client = mockTransaction((sql) => {
+        if (sql.includes('FROM quote_requests')) {
+          return { rows: [quoteRequest] };
+        }
+        if (sql.includes('FROM quote_proposals')) {
+          return { rows: [proposal] };
+        }
+        if (sql.includes("SET status = 'declined'")) {
+          return { rows: [{ ...proposal, status: 'declined' }] };
+        }
+      });
+
+      const response = await request(app)
+        .post(`${base}/${QUOTE_ID}/proposals/${PROPOSAL_ID}/decline`)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ reason: 'Over budget' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('declined');
+      expect(callFor(client, "SET status = 'declined'")[1]).toEqual([PROPOSAL_ID, 'Over budget']);
+      expect(callFor(client, "quote_requests SET status = 'open'")[1]).toEqual([QUOTE_ID]);
+    });
+  });
+
+  describe('GET /api/v1/quote-requests/:id', () => {
+    it('should return the request with its revision history', async () => {
+      const revisions = [{ id: 'p1', revision: 1, status: 'superseded' }, { id: 'p2', revision: 2, status: 'expired' }];
+      mockDatabase((sql) => {
+        if (sql.includes('FROM quote_requests q')) {
+          return { rows: [{ id: QUOTE_ID, status: 'proposed' }] };
+        }
+        if (sql.includes('FROM quote_proposals')) {
+          return { rows: revisions };
+        }
+      });
+
+      const response = await request(app)
+        .get(`${base}/${QUOTE_ID}`)
+        .set('Authorization', `Bearer ${vendorToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ id: QUOTE_ID, status: 'proposed', proposals: revisions });
+
+      const [sql, params] = pool.query.mock.calls.find(([query]) => query.includes('FROM quote_requests q'));
+      expect(sql).toContain('q.vendor_id = $1 AND q.id = $2');
+      expect(params).toEqual([VENDOR_ID, QUOTE_ID]);
+      const [proposalSql] = pool.query.mock.calls.find(([query]) => query.includes('WHERE quote_request_id = $1'));
+      expect(proposalSql).toContain("WHEN status = 'active' AND expires_at <= NOW() THEN 'expired'");
+      expect(proposalSql).toContain('ORDER BY revision');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const request = require('supertest');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+const { RATING_PRIOR_WEIGHT, bayesianScore, rebuildRatings } = require('../src/services/ratings');
+const { run } = require('../src/jobs/rebuildRatings');
+
+// Mock the database pool
+jest.mock('../src/config/database');
+
+const pageQuery = () => pool.query.mock.calls.find(([sql]) => sql.includes('ORDER BY'));
+
+describe('Ratings', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query = jest.fn(async (sql) => (
+      sql.includes('COUNT(*) AS total') ? { rows: [{ total: '0' }] } : { rows: [] }
+    ));
+  });
+
+  describe('bayesianScore', () => {
+    it('should weight the row\'s reviews against the platform average', () => {
+      const sql = bayesianScore('s');
+
+      expect(sql).toContain(`COALESCE(s.rating, 0) * COALESCE(s.review_count, 0) + ${RATING_PRIOR_WEIGHT} * (SELECT COALESCE(AVG(rating), 3) FROM reviews WHERE is_active = true)`);
+      expect(sql).toContain(`/ (COALESCE(s.review_count, 0) + ${RATING_PRIOR_WEIGHT})`);
+    });
+  });
+
+  describe('search ranking', () => {
+    it('should rank services by Bayesian score by default', async () => {
+      const response = await request(app).get('/api/v1/services/search');
+
+      expect(response.status).toBe(200);
+      const [sql] = pageQuery();
+      expect(sql).toContain(`${bayesianScore('s')} AS rating_score`);
+      expect(sql).toContain(`ORDER BY ${bayesianScore('s')} DESC`);
+    });
+
+    it('should still sort by the plain average on request', async () => {
+      const response = await request(app).get('/api/v1/services/search?sortBy=average_rating');
+
+      expect(response.status).toBe(200);
+      expect(pageQuery()[0]).toContain('ORDER BY COALESCE(s.rating, 0) DESC');
+    });
+
+    it('should rank vendors by Bayesian score', async () => {
+      const response = await request(app).get('/api/v1/vendors?sortBy=rating');
+
+      expect(response.status).toBe(200);
+      expect(pageQuery()[0]).toContain(`ORDER BY ${bayesianScore('vp')} DESC`);
+    });
+  });
+
+  describe('rebuild', () => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('refresh_service_rating')) {
+          return { rows: [{ total: 12, fixed: 2 }] };
+        }
+        if (sql.includes('refresh_vendor_rating')) {
+          return { rows: [{ total: 4, fixed: 1 }] };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+
+    it('should refresh every service and vendor and count the corrections', async () => {
+      const result = await rebuildRatings(client);
+
+      expect(result).toEqual({ services: { total: 12, fixed: 2 }, vendors: { total: 4, fixed: 1 } });
+      expect(client.query.mock.calls[0][0]).toContain('refresh_service_rating(id)');
+      expect(client.query.mock.calls[1][0]).toContain('refresh_vendor_rating(user_id)');
+    });
+
+    it('should run the rebuild in one transaction', async () => {
+      pool.connect = jest.fn().mockResolvedValue(client);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await run();
+
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      expect(statements[0]).toBe('BEGIN');
+      expect(statements[statements.length - 1]).toBe('COMMIT');
+      expect(console.log).toHaveBeenCalledWith('Services: 2 of 12 corrected');
+      console.log.mockRestore();
+    });
+  });
+});
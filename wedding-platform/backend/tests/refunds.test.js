@@ -0,0 +1,574 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test_webhook_secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+const stripe = require('../src/config/stripe');
+const { CANCELLATION_POLICIES } = require('../src/config/cancellationPolicies');
+const { policyTiers, refundPercent } = require('../src/services/refunds');
+const { run: processRefunds } = require('../src/jobs/processRefunds');
+
+// Mock the database pool and Stripe
+jest.mock('../src/config/database');
+jest.mock('stripe', () => {
+  const client = {
+    refunds: { create: jest.fn(), list: jest.fn() },
+    paymentIntents: { retrieve: jest.fn(), cancel: jest.fn() },
+    // Real signature checks
+    webhooks: jest.requireActual('stripe').webhooks
+  };
+  return jest.fn(() => client);
+});
+
+const SERVICE_ID = '323e4567-e89b-12d3-a456-426614174000';
+const VENDOR_ID = '423e4567-e89b-12d3-a456-426614174000';
+const BOOKING_ID = '523e4567-e89b-12d3-a456-426614174000';
+const CUSTOMER_ID = '623e4567-e89b-12d3-a456-426614174000';
+const PAYMENT_ID = '723e4567-e89b-12d3-a456-426614174000';
+
+const tokenFor = (userId, userType) => jwt.sign({ userId, email: `${userType}@example.com`, userType }, process.env.JWT_SECRET);
+const customerToken = tokenFor(CUSTOMER_ID, 'customer');
+const vendorToken = tokenFor(VENDOR_ID, 'vendor');
+
+const booking = {
+  id: BOOKING_ID,
+  customer_id: CUSTOMER_ID,
+  vendor_id: VENDOR_ID,
+  service_id: SERVICE_ID,
+  total_amount: '900.00',
+  status: 'confirmed'
+};
+
+const paid = (sequence, kind, refunded = '0') => ({
+  id: `payment-${sequence}`,
+  booking_id: BOOKING_ID,
+  sequence,
+  kind,
+  amount: '300.00',
+  currency: 'GBP',
+  status: 'completed',
+  stripe_payment_intent_id: `pi_${sequence}`,
+  amount_refunded: refunded
+});
+
+// Auth lookup for the customer or a vendor owner, then `handler`
+const mockDatabase = (handler = () => undefined) => {
+  pool.query = jest.fn(async (sql, params) => {
+    if (sql.includes('LEFT JOIN vendor_members')) {
+      const isVendor = params[0] === VENDOR_ID;
+      return {
+        rows: [{
+          id: params[0],
+          email: 'user@example.com',
+          user_type: isVendor ? 'vendor' : 'customer',
+          is_active: true,
+          email_verified: true,
+          vendor_id: isVendor ? VENDOR_ID : null,
+          vendor_role: isVendor ? 'owner' : null
+        }]
+      };
+    }
+    return handler(sql, params) || refundHandler(sql, params) || eventHandler(sql, params) || { rows: [], rowCount: 0 };
+  });
+};
+
+// A transaction client whose queries go to `handler`
+const mockTransaction = (handler = () => undefined) => {
+  const client = {
+    query: jest.fn(async (sql, params) => handler(sql, params) || refundHandler(sql, params) || { rows: [], rowCount: 0 }),
+    release: jest.fn()
+  };
+  pool.connect = jest.fn().mockResolvedValue(client);
+  return client;
+};
+
+// Refund rows and payment statuses, as the refunds service writes them
+const refundHandler = (sql, params) => {
+  if (sql.includes('INSERT INTO refunds')) {
+    return { rows: [{ id: `refund-${params[0]}`, payment_id: params[0], booking_id: params[1], amount: String(params[2]), status: 'pending', reason: params[4] }] };
+  }
+  if (sql.includes('UPDATE refunds') && sql.includes('SET status = $2')) {
+    return { rows: [{ id: 'refund-1', payment_id: 'payment-1', amount: '100.00', stripe_refund_id: params[0], status: params[1] }] };
+  }
+};
+
+// The webhook event store: events are stored, then claimed and handled straight away
+const storedEvents = new Map();
+const eventHandler = (sql, params) => {
+  if (sql.includes('INSERT INTO payment_events')) {
+    storedEvents.set(params[0], { id: params[0], type: params[1], object_id: params[2], payload: JSON.parse(params[4]) });
+    return { rows: [], rowCount: 1 };
+  }
+  if (sql.includes('UPDATE payment_events')) {
+    const event = storedEvents.get(params[0]);
+    return { rows: event ? [{ ...event, status: sql.includes("SET status = 'processing'") ? 'processing' : params[1] }] : [] };
+  }
+};
+
+// A confirmed booking under the moderate policy, `days` before the event, with three
+// £300 payments (a deposit and two instalments) made
+const cancellationHandler = (days, { payments = [paid(1, 'deposit'), paid(2, 'instalment'), paid(3, 'balance')] } = {}) => (sql, params) => {
+  if (sql.includes('FROM bookings WHERE id = $1 AND') && sql.includes('FOR UPDATE')) {
+    return { rows: [booking] };
+  }
+  if (sql.includes('UPDATE bookings SET status')) {
+    return { rows: [{ ...booking, status: params[0] }] };
+  }
+  if (sql.includes('b.booking_date - CURRENT_DATE')) {
+    return { rows: [{ id: BOOKING_ID, days_before_event: days, cancellation_policy: 'moderate', cancellation_tiers: null }] };
+  }
+  if (sql.includes('p.status = ANY($2)')) {
+    return { rows: payments };
+  }
+};
+
+// Deliver an event as Stripe does: the raw JSON, signed with the webhook secret
+const webhook = (event) => {
+  const payload = JSON.stringify(event);
+  return request(app)
+    .post('/api/v1/payments/webhook')
+    .set('stripe-signature', stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET }))
+    .set('Content-Type', 'application/json')
+    .send(payload);
+};
+
+const callsFor = (mock, text) => mock.mock.calls.filter(([sql]) => sql.includes(text));
+
+describe('Cancellation policies and refunds', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('refund tiers', () => {
+    it('should refund by the tier with the most notice that applies', () => {
+      const tiers = policyTiers({ cancellation_policy: 'moderate' });
+
+      expect(tiers).toEqual(CANCELLATION_POLICIES.moderate);
+      expect(refundPercent(tiers, 45)).toBe(100);
+      expect(refundPercent(tiers, 30)).toBe(100);
+      expect(refundPercent(tiers, 20)).toBe(50);
+      expect(refundPercent(tiers, 13)).toBe(0);
+      expect(refundPercent(tiers, -2)).toBe(0);
+    });
+
+    it('should use a custom policy\'s own tiers', () => {
+      const tiers = policyTiers({
+        cancellation_policy: 'custom',
+        cancellation_tiers: [{ days: 10, percent: 25 }, { days: 60, percent: 80 }]
+      });
+
+      expect(refundPercent(tiers, 61)).toBe(80);
+      expect(refundPercent(tiers, 59)).toBe(25);
+      expect(refundPercent(tiers, 9)).toBe(0);
+    });
+  });
+
+  describe('PUT /services/:id/cancellation-policy', () => {
+    it('should save custom tiers, longest notice first', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('SET cancellation_policy')) {
+          return { rows: [{ id: SERVICE_ID, cancellation_policy: 'custom' }] };
+        }
+      });
+
+      const response = await request(app)
+        .put(`/api/v1/services/${SERVICE_ID}/cancellation-policy`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ policy: 'custom', tiers: [{ days: 14, percent: 50 }, { days: 60, percent: 100 }] });
+
+      expect(response.status).toBe(200);
+      const [[, params]] = callsFor(pool.query, 'SET cancellation_policy');
+      expect(params).toEqual([SERVICE_ID, VENDOR_ID, 'custom', JSON.stringify([{ days: 60, percent: 100 }, { days: 14, percent: 50 }])]);
+    });
+
+    it('should refuse custom policies without valid tiers', async () => {
+      mockDatabase();
+
+      const responses = await Promise.all([
+        { policy: 'custom' },
+        { policy: 'custom', tiers: [{ days: 14, percent: 50 }, { days: 14, percent: 100 }] },
+        { policy: 'custom', tiers: [{ days: 14, percent: 150 }] },
+        { policy: 'lenient' }
+      ].map(body => request(app)
+        .put(`/api/v1/services/${SERVICE_ID}/cancellation-policy`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send(body)));
+
+      expect(responses.map(response => response.status)).toEqual([400, 400, 400, 400]);
+      expect(callsFor(pool.query, 'SET cancellation_policy')).toHaveLength(0);
+    });
+  });
+
+  describe('cancelling bookings', () => {
+    it('should quote the refund before the customer cancels', async () => {
+      mockDatabase((sql, params) => {
+        if (sql.includes('FROM bookings WHERE id = $1 AND customer_id = $2')) {
+          return { rows: [{ id: BOOKING_ID, status: 'confirmed', total_amount: '900.00' }] };
+        }
+        return cancellationHandler(20)(sql, params);
+      });
+
+      const response = await request(app)
+        .get(`/api/v1/bookings/${BOOKING_ID}/cancellation`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        policy: 'moderate',
+        days_before_event: 20,
+        refund_percent: 50,
+        amount_paid: 900,
+        non_refundable: 300,
+        refund_amount: 300
+      });
+      expect(callsFor(pool.query, 'INSERT INTO refunds')).toHaveLength(0);
+    });
+
+    it('should refund the customer by the policy, keeping the deposit', async () => {
+      mockDatabase();
+      const client = mockTransaction(cancellationHandler(20));
+      stripe.refunds.create.mockResolvedValueOnce({ id: 're_1', status: 'succeeded' });
+
+      const response = await request(app)
+        .delete(`/api/v1/bookings/${BOOKING_ID}`)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ reason: 'Change of plans' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ refund_percent: 50, refund_amount: 300 });
+      const inserts = callsFor(client.query, 'INSERT INTO refunds').map(([, params]) => params);
+      expect(inserts).toEqual([['payment-3', BOOKING_ID, 300, 'GBP', 'Change of plans', CUSTOMER_ID]]);
+      expect(callsFor(client.query, 'p.status = ANY($2)')[0][0]).toContain('FOR UPDATE');
+      expect(stripe.refunds.create).toHaveBeenCalledWith({
+        payment_intent: 'pi_3',
+        amount: 30000,
+        reason: 'requested_by_customer',
+        metadata: { refund_id: 'refund-payment-3', payment_id: 'payment-3', booking_id: BOOKING_ID }
+      }, { idempotencyKey: 'refund-refund-payment-3' });
+    });
+
+    it('should take earlier refunds off what the policy gives', async () => {
+      mockDatabase();
+      const client = mockTransaction(cancellationHandler(45, {
+        payments: [paid(1, 'deposit'), paid(2, 'instalment', '100.00'), paid(3, 'balance')]
+      }));
+      stripe.refunds.create.mockResolvedValue({ id: 're_1', status: 'pending' });
+
+      const response = await request(app)
+        .delete(`/api/v1/bookings/${BOOKING_ID}`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.refund_amount).toBe(500);
+      const inserts = callsFor(client.query, 'INSERT INTO refunds').map(([, params]) => params.slice(0, 3));
+      expect(inserts).toEqual([['payment-3', BOOKING_ID, 300], ['payment-2', BOOKING_ID, 200]]);
+    });
+
+    it('should refund everything, deposit included, when the vendor cancels', async () => {
+      mockDatabase();
+      const client = mockTransaction(cancellationHandler(5));
+      stripe.refunds.create.mockResolvedValue({ id: 're_1', status: 'succeeded' });
+
+      const response = await request(app)
+        .patch(`/api/v1/bookings/${BOOKING_ID}/status`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ status: 'cancelled', reason: 'Photographer unwell' });
+
+      expect(response.status).toBe(200);
+      const inserts = callsFor(client.query, 'INSERT INTO refunds').map(([, params]) => [params[0], params[2]]);
+      expect(inserts).toEqual([['payment-3', 300], ['payment-2', 300], ['payment-1', 300]]);
+      expect(stripe.refunds.create).toHaveBeenCalledTimes(3);
+    });
+
+    it('should keep the booking cancelled when Stripe refuses a refund', async () => {
+      mockDatabase();
+      mockTransaction(cancellationHandler(45));
+      stripe.refunds.create.mockRejectedValue(Object.assign(new Error('Charge already refunded'), { type: 'StripeInvalidRequestError' }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .delete(`/api/v1/bookings/${BOOKING_ID}`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.refunds.map(refund => refund.status)).toEqual(['failed', 'failed']);
+      expect(callsFor(pool.query, "SET status = 'failed'")).toHaveLength(2);
+      console.error.mockRestore();
+    });
+
+    it('should leave a refund pending when Stripe\'s reply is lost', async () => {
+      mockDatabase();
+      mockTransaction(cancellationHandler(45));
+      stripe.refunds.create.mockRejectedValue(Object.assign(new Error('Request timed out'), { type: 'StripeConnectionError' }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .delete(`/api/v1/bookings/${BOOKING_ID}`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.refunds.map(refund => refund.status)).toEqual(['pending', 'pending']);
+      expect(callsFor(pool.query, "SET status = 'failed'")).toHaveLength(0);
+      expect(callsFor(pool.query, 'UPDATE payments p')).toHaveLength(0);
+      console.error.mockRestore();
+    });
+
+    it('should stop a payment being made when the booking is cancelled', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes("status = 'cancelled' AND stripe_payment_intent_id IS NOT NULL")) {
+          return { rows: [{ id: 'payment-4', stripe_payment_intent_id: 'pi_4' }] };
+        }
+      });
+      const client = mockTransaction(cancellationHandler(45));
+      stripe.refunds.create.mockResolvedValue({ id: 're_1', status: 'succeeded' });
+      stripe.paymentIntents.retrieve.mockResolvedValueOnce({ id: 'pi_4', status: 'requires_action' });
+
+      const response = await request(app)
+        .delete(`/api/v1/bookings/${BOOKING_ID}`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(200);
+      const [[, params]] = callsFor(client.query, "SET status = 'cancelled'");
+      expect(params[1]).toContain('pending');
+      expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_4');
+      expect(client.query.mock.invocationCallOrder[client.query.mock.calls.findIndex(([sql]) => sql === 'COMMIT')])
+        .toBeLessThan(stripe.paymentIntents.cancel.mock.invocationCallOrder[0]);
+    });
+  });
+
+  describe('POST /payments/:id/refund', () => {
+    const refundablePayment = (refunded = '0') => (sql) => {
+      if (sql.includes('SELECT * FROM payments WHERE id = $1 AND vendor_id = $2')) {
+        return { rows: [{ ...paid(1, 'full'), id: PAYMENT_ID }] };
+      }
+      if (sql.includes('AS amount_refunded') && sql.includes('WHERE p.id = $1')) {
+        return { rows: [{ ...paid(1, 'full', refunded), id: PAYMENT_ID }] };
+      }
+      if (sql.includes('UPDATE payments p')) {
+        return { rows: [{ ...paid(1, 'full'), id: PAYMENT_ID, status: 'partially_refunded' }] };
+      }
+    };
+
+    it('should refund part of a payment without cancelling the booking', async () => {
+      mockDatabase(refundablePayment());
+      const client = mockTransaction(refundablePayment());
+      stripe.refunds.create.mockResolvedValueOnce({ id: 're_1', status: 'succeeded' });
+
+      const response = await request(app)
+        .post(`/api/v1/payments/${PAYMENT_ID}/refund`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ amount: 120.5, reason: 'Shorter coverage than booked' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ refund_id: 're_1', status: 'succeeded', payment_status: 'partially_refunded' });
+      expect(callsFor(client.query, 'INSERT INTO refunds')[0][1].slice(0, 3)).toEqual([PAYMENT_ID, BOOKING_ID, 120.5]);
+      expect(stripe.refunds.create.mock.calls[0][0]).toMatchObject({ payment_intent: 'pi_1', amount: 12050 });
+      expect(callsFor(client.query, 'UPDATE bookings SET status')).toHaveLength(0);
+    });
+
+    it('should not refund more than is left of the payment', async () => {
+      mockDatabase(refundablePayment());
+      const client = mockTransaction(refundablePayment('250.00'));
+
+      const response = await request(app)
+        .post(`/api/v1/payments/${PAYMENT_ID}/refund`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ amount: 60 });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('REFUND_EXCEEDS_PAYMENT');
+      expect(response.body.error.details).toEqual({ refundable: 50 });
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(stripe.refunds.create).not.toHaveBeenCalled();
+    });
+
+    it('should validate the amount', async () => {
+      mockDatabase(refundablePayment());
+
+      const response = await request(app)
+        .post(`/api/v1/payments/${PAYMENT_ID}/refund`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ amount: -5 });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('refund webhooks', () => {
+    it('should refund a payment made after its booking was cancelled', async () => {
+      mockDatabase();
+      const client = mockTransaction((sql) => {
+        if (sql.includes("SET status = 'completed'")) {
+          return { rows: [{ id: 'payment-4', booking_id: BOOKING_ID }] };
+        }
+        if (sql.includes('SELECT status FROM bookings')) {
+          return { rows: [{ status: 'cancelled' }] };
+        }
+        if (sql.includes('WHERE p.id = $1')) {
+          return { rows: [paid(4, 'balance')] };
+        }
+      });
+      stripe.refunds.create.mockResolvedValueOnce({ id: 're_4', status: 'pending' });
+
+      const response = await webhook({
+        id: 'evt_paid_late',
+        type: 'payment_intent.succeeded',
+        data: { object: { id: 'pi_4', status: 'succeeded' } }
+      });
+
+      expect(response.status).toBe(200);
+      expect(callsFor(client.query, "SET status = 'completed'")[0][1][1]).toContain('cancelled');
+      expect(callsFor(client.query, 'INSERT INTO refunds')[0][1].slice(0, 3)).toEqual(['payment-4', BOOKING_ID, 300]);
+      expect(callsFor(client.query, 'UPDATE bookings')).toHaveLength(0);
+      expect(stripe.refunds.create).toHaveBeenCalledWith(
+        expect.objectContaining({ payment_intent: 'pi_4', amount: 30000 }),
+        { idempotencyKey: 'refund-refund-payment-4' }
+      );
+    });
+
+    it('should add refunds made in the Stripe dashboard to the ledger', async () => {
+      mockDatabase();
+      const client = mockTransaction((sql) => {
+        if (sql.includes('WHERE stripe_payment_intent_id = $1 FOR UPDATE')) {
+          return { rows: [paid(1, 'deposit')] };
+        }
+      });
+
+      const response = await webhook({
+        id: 'evt_charge_refunded',
+        type: 'charge.refunded',
+        data: {
+          object: {
+            id: 'ch_1',
+            payment_intent: 'pi_1',
+            refunded: false,
+            amount_refunded: 10000,
+            refunds: {
+              data: [
+                { id: 're_dashboard', amount: 5000, status: 'succeeded', metadata: {} },
+                { id: 're_ours', amount: 5000, status: 'succeeded', metadata: { refund_id: 'refund-payment-1' } }
+              ]
+            }
+          }
+        }
+      });
+
+      expect(response.status).toBe(200);
+      const inserts = callsFor(client.query, 'INSERT INTO refunds').map(([, params]) => params);
+      expect(inserts).toEqual([['payment-1', BOOKING_ID, 50, 'GBP', 'succeeded', 'Refunded in Stripe', 're_dashboard']]);
+      expect(callsFor(client.query, 'UPDATE payments p')[0][1]).toEqual(['payment-1']);
+    });
+
+    it('should leave the booking alone when one payment is refunded in full', async () => {
+      mockDatabase();
+      const client = mockTransaction((sql) => {
+        if (sql.includes('WHERE stripe_payment_intent_id = $1 FOR UPDATE')) {
+          return { rows: [paid(1, 'deposit')] };
+        }
+      });
+      stripe.refunds.list.mockResolvedValueOnce({ data: [{ id: 're_dashboard', amount: 30000, status: 'succeeded', metadata: {} }] });
+
+      const response = await webhook({
+        id: 'evt_deposit_refunded',
+        type: 'charge.refunded',
+        data: { object: { id: 'ch_1', payment_intent: 'pi_1', refunded: true, amount_refunded: 30000 } }
+      });
+
+      expect(response.status).toBe(200);
+      expect(stripe.refunds.list).toHaveBeenCalledWith({ charge: 'ch_1', limit: 100 });
+      expect(callsFor(client.query, 'INSERT INTO refunds')[0][1][2]).toBe(300);
+      expect(callsFor(client.query, 'FROM bookings')).toHaveLength(0);
+      expect(callsFor(client.query, 'UPDATE bookings')).toHaveLength(0);
+    });
+
+    it('should record refunds that fail after they were issued', async () => {
+      mockDatabase();
+
+      const response = await webhook({
+        id: 'evt_refund_failed',
+        type: 'refund.failed',
+        data: { object: { id: 're_1', status: 'failed' } }
+      });
+
+      expect(response.status).toBe(200);
+      expect(callsFor(pool.query, 'UPDATE refunds')[0][1]).toEqual(['re_1', 'failed', null]);
+      expect(callsFor(pool.query, 'UPDATE payments p')[0][1]).toEqual(['payment-1']);
+    });
+
+    it('should find refunds whose Stripe reply was lost by their metadata', async () => {
+      mockDatabase();
+
+      const response = await webhook({
+        id: 'evt_refund_updated',
+        type: 'refund.updated',
+        data: { object: { id: 're_5', status: 'succeeded', metadata: { refund_id: 'refund-5' } } }
+      });
+
+      expect(response.status).toBe(200);
+      const [[sql, params]] = callsFor(pool.query, 'UPDATE refunds');
+      expect(sql).toContain('stripe_refund_id IS NULL AND id::text = $3');
+      expect(params).toEqual(['re_5', 'succeeded', 'refund-5']);
+    });
+  });
+
+  describe('stuck refunds job', () => {
+    const stuck = { id: 'refund-9', payment_id: PAYMENT_ID, booking_id: BOOKING_ID, amount: '150.00', reason: 'Booking cancelled', status: 'pending', stripe_payment_intent_id: 'pi_1' };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      mockDatabase((sql) => {
+        if (sql.includes("r.status = 'pending' AND r.stripe_refund_id IS NULL")) {
+          return { rows: [stuck] };
+        }
+      });
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('should send refunds that never reached Stripe under their original idempotency key', async () => {
+      stripe.refunds.list.mockResolvedValue({ data: [] });
+      stripe.refunds.create.mockResolvedValue({ id: 're_9', status: 'succeeded' });
+
+      const refunds = await processRefunds();
+
+      expect(stripe.refunds.list).toHaveBeenCalledWith({ payment_intent: 'pi_1', limit: 100 });
+      expect(stripe.refunds.create).toHaveBeenCalledWith(
+        expect.objectContaining({ payment_intent: 'pi_1', amount: 15000, metadata: expect.objectContaining({ refund_id: 'refund-9' }) }),
+        { idempotencyKey: 'refund-refund-9' }
+      );
+      expect(callsFor(pool.query, 'SET stripe_refund_id = $2')[0][1]).toEqual(['refund-9', 're_9']);
+      expect(refunds[0].stripe_refund_id).toBe('re_9');
+    });
+
+    it('should adopt a refund Stripe already made instead of refunding again', async () => {
+      stripe.refunds.list.mockResolvedValue({
+        data: [
+          { id: 're_other', status: 'succeeded', metadata: { refund_id: 'refund-1' } },
+          { id: 're_9', status: 'succeeded', metadata: { refund_id: 'refund-9' } }
+        ]
+      });
+
+      await processRefunds();
+
+      expect(stripe.refunds.create).not.toHaveBeenCalled();
+      expect(callsFor(pool.query, 'SET stripe_refund_id = $2')[0][1]).toEqual(['refund-9', 're_9']);
+      expect(callsFor(pool.query, 'SET status = $2')[0][1]).toEqual(['re_9', 'succeeded', 'refund-9']);
+    });
+
+    it('should leave a refund pending when Stripe cannot be checked', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      stripe.refunds.list.mockRejectedValue(new Error('Stripe unavailable'));
+
+      const refunds = await processRefunds();
+
+      expect(stripe.refunds.create).not.toHaveBeenCalled();
+      expect(callsFor(pool.query, 'UPDATE refunds')).toHaveLength(0);
+      expect(refunds[0].status).toBe('pending');
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,307 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+
+// Mock the database pool
+jest.mock('../src/config/database');
+
+const SERVICE_ID = '323e4567-e89b-12d3-a456-426614174000';
+const VENDOR_ID = '423e4567-e89b-12d3-a456-426614174000';
+const BOOKING_ID = '523e4567-e89b-12d3-a456-426614174000';
+const CUSTOMER_ID = '623e4567-e89b-12d3-a456-426614174000';
+const REVIEW_ID = '723e4567-e89b-12d3-a456-426614174000';
+const SUPPORT_ID = '823e4567-e89b-12d3-a456-426614174000';
+const PROFILE_ID = '923e4567-e89b-12d3-a456-426614174000';
+
+const base = '/api/v1/reviews';
+
+const tokenFor = (userId, userType) => jwt.sign({ userId, email: `${userType}@example.com`, userType }, process.env.JWT_SECRET);
+const customerToken = tokenFor(CUSTOMER_ID, 'customer');
+const vendorToken = tokenFor(VENDOR_ID, 'vendor');
+const supportToken = tokenFor(SUPPORT_ID, 'support');
+
+const USER_TYPES = { [VENDOR_ID]: 'vendor', [CUSTOMER_ID]: 'customer', [SUPPORT_ID]: 'support' };
+
+const review = {
+  id: REVIEW_ID,
+  booking_id: BOOKING_ID,
+  customer_id: CUSTOMER_ID,
+  vendor_id: VENDOR_ID,
+  service_id: SERVICE_ID,
+  rating: 5,
+  comment: 'Captured every moment',
+  is_verified: true,
+  is_active: true
+};
+
+// Auth lookup for the customer, a vendor team member or a support user, then `handler`
+const mockDatabase = (handler = () => undefined, { vendorRole = 'owner' } = {}) => {
+  pool.query = jest.fn(async (sql, params) => {
+    if (sql.includes('LEFT JOIN vendor_members')) {
+      const isVendor = params[0] === VENDOR_ID;
+      return {
+        rows: [{
+          id: params[0],
+          email: 'user@example.com',
+          user_type: USER_TYPES[params[0]],
+          is_active: true,
+          email_verified: true,
+          two_factor_enabled: true,
+          vendor_id: isVendor ? VENDOR_ID : null,
+          vendor_role: isVendor ? vendorRole : null
+        }]
+      };
+    }
+    if (sql.includes('FROM role_permissions')) {
+      return { rows: params[0] === 'support' ? [{ permission: 'reviews.moderate' }] : [] };
+    }
+    return handler(sql, params) || { rows: [], rowCount: 0 };
+  });
+};
+
+// A transaction client whose queries go to `handler`
+const mockTransaction = (handler = () => undefined) => {
+  const client = {
+    query: jest.fn(async (sql, params) => handler(sql, params) || { rows: [], rowCount: 0 }),
+    release: jest.fn()
+  };
+  pool.connect = jest.fn().mockResolvedValue(client);
+  return client;
+};
+
+const callFor = (mock, text) => mock.mock.calls.find(([sql]) => sql.includes(text));
+
+describe('Reviews', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /reviews', () => {
+    const submit = () => request(app)
+      .post(base)
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({ bookingId: BOOKING_ID, rating: 5, comment: 'Captured every moment' });
+
+    it('should review a completed booking as verified', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM bookings WHERE id = $1')) {
+          return { rows: [{ id: BOOKING_ID, vendor_id: VENDOR_ID, service_id: SERVICE_ID, status: 'completed' }] };
+        }
+        if (sql.includes('INSERT INTO reviews')) {
+          return { rows: [review] };
+        }
+      });
+
+      const response = await submit();
+
+      expect(response.status).toBe(201);
+      const [sql, params] = callFor(pool.query, 'INSERT INTO reviews');
+      expect(sql).toContain('VALUES ($1, $2, $3, $4, $5, $6, $7, true)');
+      expect(params).toEqual([BOOKING_ID, CUSTOMER_ID, VENDOR_ID, SERVICE_ID, 5, null, 'Captured every moment']);
+    });
+
+    it('should refuse bookings that are not completed', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM bookings WHERE id = $1')) {
+          return { rows: [{ id: BOOKING_ID, vendor_id: VENDOR_ID, service_id: SERVICE_ID, status: 'confirmed' }] };
+        }
+      });
+
+      const response = await submit();
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('BOOKING_NOT_COMPLETED');
+      expect(callFor(pool.query, 'INSERT INTO reviews')).toBeUndefined();
+    });
+
+    it('should allow one review per booking', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM bookings WHERE id = $1')) {
+          return { rows: [{ id: BOOKING_ID, vendor_id: VENDOR_ID, service_id: SERVICE_ID, status: 'completed' }] };
+        }
+        if (sql.includes('INSERT INTO reviews')) {
+          throw Object.assign(new Error('duplicate key'), { code: '23505', constraint: 'reviews_booking_id_key' });
+        }
+      });
+
+      const response = await submit();
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('REVIEW_EXISTS');
+    });
+
+    it('should not let vendors post reviews', async () => {
+      mockDatabase();
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ bookingId: BOOKING_ID, rating: 5 });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should validate the rating', async () => {
+      mockDatabase();
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ bookingId: BOOKING_ID, rating: 6 });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('vendor replies', () => {
+    it('should post a reply on the organisation\'s review', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('SET vendor_reply = $3')) {
+          return { rows: [{ ...review, vendor_reply: 'Thank you both!' }] };
+        }
+      });
+
+      const response = await request(app)
+        .put(`${base}/${REVIEW_ID}/reply`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ reply: 'Thank you both!' });
+
+      expect(response.status).toBe(200);
+      expect(callFor(pool.query, 'SET vendor_reply = $3')[1]).toEqual([REVIEW_ID, VENDOR_ID, 'Thank you both!', VENDOR_ID]);
+    });
+
+    it('should not let staff members reply', async () => {
+      mockDatabase(undefined, { vendorRole: 'staff' });
+
+      const response = await request(app)
+        .put(`${base}/${REVIEW_ID}/reply`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ reply: 'Thank you both!' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('INSUFFICIENT_TEAM_ROLE');
+    });
+  });
+
+  describe('reports and moderation', () => {
+    it('should let a vendor report a review', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('SELECT * FROM reviews WHERE id = $1')) {
+          return { rows: [review] };
+        }
+      });
+
+      const response = await request(app)
+        .post(`${base}/${REVIEW_ID}/report`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ reason: 'Not a real customer of ours' });
+
+      expect(response.status).toBe(200);
+      const [sql, params] = callFor(pool.query, 'INSERT INTO review_reports');
+      expect(sql).toContain('ON CONFLICT (review_id, reporter_id)');
+      expect(params).toEqual([REVIEW_ID, VENDOR_ID, 'Not a real customer of ours']);
+    });
+
+    it('should not let authors report their own review', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('SELECT * FROM reviews WHERE id = $1')) {
+          return { rows: [review] };
+        }
+      });
+
+      const response = await request(app)
+        .post(`${base}/${REVIEW_ID}/report`)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ reason: 'Changed my mind' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('OWN_REVIEW');
+    });
+
+    it('should list reviews with open reports for moderators', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('COUNT(*) AS total')) {
+          return { rows: [{ total: '1' }] };
+        }
+        if (sql.includes('FROM review_reports')) {
+          return { rows: [{ ...review, report_count: 2 }] };
+        }
+      });
+
+      const response = await request(app)
+        .get(`${base}/reported`)
+        .set('Authorization', `Bearer ${supportToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0].report_count).toBe(2);
+      expect(response.body.pagination.total).toBe(1);
+    });
+
+    it('should hide a review and resolve its reports', async () => {
+      mockDatabase();
+      const client = mockTransaction((sql) => {
+        if (sql.includes('UPDATE reviews')) {
+          return { rows: [{ ...review, is_active: false }] };
+        }
+        if (sql.includes('UPDATE review_reports')) {
+          return { rows: [], rowCount: 2 };
+        }
+      });
+
+      const response = await request(app)
+        .patch(`${base}/${REVIEW_ID}/moderation`)
+        .set('Authorization', `Bearer ${supportToken}`)
+        .send({ action: 'hide', note: 'Abusive language' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.resolvedReports).toBe(2);
+      expect(callFor(client.query, 'UPDATE reviews')[1]).toEqual([REVIEW_ID, SUPPORT_ID, 'Abusive language', false]);
+    });
+
+    it('should not let customers moderate', async () => {
+      mockDatabase();
+
+      const response = await request(app)
+        .patch(`${base}/${REVIEW_ID}/moderation`)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .send({ action: 'hide' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /vendors/:id/reviews', () => {
+    it('should list the vendor\'s published reviews', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('FROM vendor_profiles WHERE id = $1')) {
+          return { rows: [{ user_id: VENDOR_ID }] };
+        }
+        if (sql.includes('COUNT(*) AS total')) {
+          return { rows: [{ total: '1' }] };
+        }
+        if (sql.includes('FROM reviews r')) {
+          return { rows: [review] };
+        }
+      });
+
+      const response = await request(app).get(`/api/v1/vendors/${PROFILE_ID}/reviews?minRating=4`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      const [sql, params] = callFor(pool.query, 'ORDER BY');
+      expect(sql).toContain('r.is_active = true');
+      expect(params.slice(0, 2)).toEqual([VENDOR_ID, 4]);
+    });
+
+    it('should return 404 for unknown vendors', async () => {
+      mockDatabase();
+
+      const response = await request(app).get(`/api/v1/vendors/${PROFILE_ID}/reviews`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
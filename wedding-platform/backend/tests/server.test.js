@@ -31,8 +31,8 @@ describe('Server', () => {
         .get('/api/nonexistent')
         .expect(404);
 
-      expect(response.body).toHaveProperty('error', 'Route not found');
-      expect(response.body).toHaveProperty('path');
+      expect(response.body).toMatchObject({ success: false, message: 'Route not found' });
+      expect(response.body.error).toEqual({ code: 'ROUTE_NOT_FOUND', details: { path: '/api/nonexistent' } });
     });
   });
 });
@@ -0,0 +1,410 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.MAX_FILE_SIZE = String(1024 * 1024);
+process.env.MAX_UPLOAD_SIZE = String(2 * 1024 * 1024);
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local public media is served from here
+process.env.UPLOAD_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'service-media-'));
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const Jimp = require('jimp-compact');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+const mediaStorage = require('../src/services/mediaStorage');
+const { createS3Driver } = require('../src/services/s3Storage');
+
+// Mock the database pool
+jest.mock('../src/config/database');
+
+const SERVICE_ID = '323e4567-e89b-12d3-a456-426614174000';
+const VENDOR_ID = '423e4567-e89b-12d3-a456-426614174000';
+const MEDIA_ID = '523e4567-e89b-12d3-a456-426614174000';
+const OTHER_MEDIA_ID = '623e4567-e89b-12d3-a456-426614174000';
+
+const base = `/api/v1/services/${SERVICE_ID}/media`;
+const vendorToken = jwt.sign({ userId: VENDOR_ID, email: 'vendor@example.com', userType: 'vendor' }, process.env.JWT_SECRET);
+
+// Auth lookup for a vendor team member, then `handler`
+const mockDatabase = (handler = () => undefined, { vendorRole = 'owner' } = {}) => {
+  pool.query = jest.fn(async (sql, params) => {
+    if (sql.includes('LEFT JOIN vendor_members')) {
+      return {
+        rows: [{
+          id: VENDOR_ID,
+          email: 'vendor@example.com',
+          user_type: 'vendor',
+          is_active: true,
+          email_verified: true,
+          vendor_id: VENDOR_ID,
+          vendor_role: vendorRole
+        }]
+      };
+    }
+    return handler(sql, params) || { rows: [], rowCount: 0 };
+  });
+};
+
+// A transaction client whose queries go to `handler`
+const mockTransaction = (handler = () => undefined) => {
+  const client = {
+    query: jest.fn(async (sql, params) => handler(sql, params) || { rows: [], rowCount: 0 }),
+    release: jest.fn()
+  };
+  pool.connect = jest.fn().mockResolvedValue(client);
+  return client;
+};
+
+// The start of an MP4 file: its ftyp box
+const video = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypisom'), Buffer.alloc(16)]);
+
+const callFor = (mock, text) => mock.mock.calls.find(([sql]) => sql.includes(text));
+
+const ownedService = (sql) => {
+  if (sql.includes('FROM services WHERE id = $1 AND vendor_id = $2')) {
+    return { rows: [{ id: SERVICE_ID }] };
+  }
+};
+
+describe('Service media', () => {
+  let files;
+  let photo;
+
+  beforeAll(async () => {
+    photo = await new Jimp(640, 480, 0xd4a373ff).getBufferAsync(Jimp.MIME_JPEG);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    files = new Map();
+    mediaStorage.setDriver({
+      name: 'memory',
+      save: jest.fn(async (key, buffer) => { files.set(key, buffer); }),
+      read: jest.fn(async (key) => files.get(key)),
+      remove: jest.fn(async (key) => { files.delete(key); }),
+      url: (key) => `https://cdn.example.com/${key}`
+    });
+  });
+
+  afterAll(() => {
+    mediaStorage.setDriver(null);
+    fs.rmSync(process.env.UPLOAD_PATH, { recursive: true, force: true });
+  });
+
+  describe('POST /services/:id/media', () => {
+    it('should store a photo with thumbnail and resized variants', async () => {
+      mockDatabase(ownedService);
+      const client = mockTransaction((sql) => {
+        if (sql.includes('AS next')) {
+          return { rows: [{ next: 3 }] };
+        }
+        if (sql.includes('INSERT INTO service_media')) {
+          return { rows: [{ id: MEDIA_ID }] };
+        }
+        return ownedService(sql);
+      });
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .field('caption', 'First dance')
+        .attach('media', photo, { filename: 'dance.jpg', contentType: 'image/jpeg' });
+
+      expect(response.status).toBe(201);
+      expect(files.size).toBe(4);
+
+      const params = callFor(client.query, 'INSERT INTO service_media')[1];
+      const [, mediaType, url, key, contentType, , width, height, variants, caption, , sortOrder] = params;
+      expect(mediaType).toBe('photo');
+      expect(key).toMatch(new RegExp(`^services/${SERVICE_ID}/\\d{4}/\\d{2}/[0-9a-f-]+\\.jpg$`));
+      expect(url).toBe(`https://cdn.example.com/${key}`);
+      expect(contentType).toBe('image/jpeg');
+      expect([width, height]).toEqual([640, 480]);
+      expect(caption).toBe('First dance');
+      expect(sortOrder).toBe(3);
+
+      const { thumbnail, medium, large } = JSON.parse(variants);
+      expect(thumbnail).toMatchObject({ key: key.replace('.jpg', '-thumbnail.jpg'), width: 320, height: 320 });
+      // Never enlarged
+      expect(medium).toMatchObject({ width: 640, height: 480 });
+      expect(large).toMatchObject({ width: 640, height: 480 });
+      expect(files.has(thumbnail.key)).toBe(true);
+    }, 30000);
+
+    it('should reject unsupported file types', async () => {
+      mockDatabase(ownedService);
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .attach('media', Buffer.from('GIF89a'), { filename: 'loop.gif', contentType: 'image/gif' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('UNSUPPORTED_FILE_TYPE');
+    });
+
+    it('should reject files that are not really images', async () => {
+      mockDatabase(ownedService);
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .attach('media', Buffer.from('not a jpeg'), { filename: 'fake.jpg', contentType: 'image/jpeg' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('INVALID_IMAGE');
+      expect(files.size).toBe(0);
+    });
+
+    it('should name stored files for their checked type, not the upload\'s name', async () => {
+      mockDatabase(ownedService);
+      const client = mockTransaction((sql) => {
+        if (sql.includes('AS next')) {
+          return { rows: [{ next: 0 }] };
+        }
+        return ownedService(sql);
+      });
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .attach('media', video, { filename: 'walk.html', contentType: 'video/mp4' });
+
+      expect(response.status).toBe(201);
+      const [, , , key, contentType] = callFor(client.query, 'INSERT INTO service_media')[1];
+      expect(key).toMatch(/\.mp4$/);
+      expect(contentType).toBe('video/mp4');
+      expect([...files.keys()]).toEqual([key]);
+    });
+
+    it('should reject files that are not really videos', async () => {
+      mockDatabase(ownedService);
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .attach('media', Buffer.from('<html><script>alert(1)</script></html>'), { filename: 'walk.mp4', contentType: 'video/mp4' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('INVALID_VIDEO');
+      expect(files.size).toBe(0);
+    });
+
+    it('should stop photos over the photo limit while they upload', async () => {
+      mockDatabase(ownedService);
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .attach('media', Buffer.alloc(1024 * 1024 + 1), { filename: 'huge.jpg', contentType: 'image/jpeg' });
+
+      expect(response.status).toBe(413);
+      expect(response.body.error).toMatchObject({ code: 'PAYLOAD_TOO_LARGE', details: { maxBytes: 1024 * 1024 } });
+      expect(files.size).toBe(0);
+    });
+
+    it('should cap the size of all the files in a request together', async () => {
+      mockDatabase(ownedService);
+      const part = Buffer.concat([video, Buffer.alloc(1024 * 1024)]);
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .attach('media', part, { filename: 'one.mp4', contentType: 'video/mp4' })
+        .attach('media', part, { filename: 'two.mp4', contentType: 'video/mp4' });
+
+      expect(response.status).toBe(413);
+      expect(response.body.error).toMatchObject({ code: 'PAYLOAD_TOO_LARGE', details: { maxBytes: 2 * 1024 * 1024 } });
+      expect(files.size).toBe(0);
+    });
+
+    it('should not upload to another vendor\'s service', async () => {
+      mockDatabase();
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .attach('media', photo, { filename: 'dance.jpg', contentType: 'image/jpeg' });
+
+      expect(response.status).toBe(404);
+      expect(files.size).toBe(0);
+    });
+
+    it('should remove stored files when the rows cannot be saved', async () => {
+      mockDatabase(ownedService);
+      mockTransaction((sql) => {
+        if (sql.includes('INSERT INTO service_media')) {
+          throw new Error('connection lost');
+        }
+        if (sql.includes('AS next')) {
+          return { rows: [{ next: 0 }] };
+        }
+        return ownedService(sql);
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .attach('media', video, { filename: 'walk.mp4', contentType: 'video/mp4' });
+
+      expect(response.status).toBe(500);
+      expect(files.size).toBe(0);
+      console.error.mockRestore();
+    });
+
+    it('should require a role that manages services', async () => {
+      mockDatabase(ownedService, { vendorRole: 'staff' });
+
+      const response = await request(app)
+        .post(base)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .attach('media', photo, { filename: 'dance.jpg', contentType: 'image/jpeg' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('editing', () => {
+    it('should reorder every active item', async () => {
+      mockDatabase();
+      const client = mockTransaction((sql) => {
+        if (sql.includes('SELECT id FROM service_media')) {
+          return { rows: [{ id: MEDIA_ID }, { id: OTHER_MEDIA_ID }] };
+        }
+        return ownedService(sql);
+      });
+
+      const response = await request(app)
+        .put(`${base}/order`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ mediaIds: [OTHER_MEDIA_ID, MEDIA_ID] });
+
+      expect(response.status).toBe(200);
+      const [sql, params] = callFor(client.query, 'WITH ORDINALITY');
+      expect(sql).toContain('sort_order = o.position - 1');
+      expect(params).toEqual([SERVICE_ID, [OTHER_MEDIA_ID, MEDIA_ID]]);
+    });
+
+    it('should refuse an order that leaves items out', async () => {
+      mockDatabase();
+      mockTransaction((sql) => {
+        if (sql.includes('SELECT id FROM service_media')) {
+          return { rows: [{ id: MEDIA_ID }, { id: OTHER_MEDIA_ID }] };
+        }
+        return ownedService(sql);
+      });
+
+      const response = await request(app)
+        .put(`${base}/order`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ mediaIds: [MEDIA_ID] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('MEDIA_ORDER_MISMATCH');
+    });
+
+    it('should update the caption and clear the alt text', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('UPDATE service_media m')) {
+          return { rows: [{ id: MEDIA_ID, caption: 'Cake cutting' }] };
+        }
+      });
+
+      const response = await request(app)
+        .patch(`${base}/${MEDIA_ID}`)
+        .set('Authorization', `Bearer ${vendorToken}`)
+        .send({ caption: 'Cake cutting', altText: '' });
+
+      expect(response.status).toBe(200);
+      const [sql, params] = callFor(pool.query, 'UPDATE service_media m');
+      expect(sql).toContain('SET caption = $4, alt_text = $5');
+      expect(params).toEqual([MEDIA_ID, SERVICE_ID, VENDOR_ID, 'Cake cutting', null]);
+    });
+
+    it('should soft-delete media and keep the files', async () => {
+      mockDatabase((sql) => {
+        if (sql.includes('SET is_active = false')) {
+          return { rows: [{ id: MEDIA_ID }] };
+        }
+      });
+
+      const response = await request(app)
+        .delete(`${base}/${MEDIA_ID}`)
+        .set('Authorization', `Bearer ${vendorToken}`);
+
+      expect(response.status).toBe(200);
+      expect(callFor(pool.query, 'SET is_active = false')[0]).toContain('deleted_at = NOW()');
+      expect(mediaStorage.getDriver().remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /media/services/...', () => {
+    const servicesDir = () => path.join(process.env.UPLOAD_PATH, 'services', SERVICE_ID);
+
+    beforeAll(() => {
+      fs.mkdirSync(servicesDir(), { recursive: true });
+      fs.writeFileSync(path.join(servicesDir(), 'photo.jpg'), photo);
+      fs.writeFileSync(path.join(servicesDir(), 'page.html'), '<script>alert(1)</script>');
+    });
+
+    it('should serve media as its stored type, without sniffing', async () => {
+      const response = await request(app).get(`/media/services/${SERVICE_ID}/photo.jpg`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/jpeg');
+      expect(response.headers['x-content-type-options']).toBe('nosniff');
+    });
+
+    it('should only offer other files as downloads', async () => {
+      const response = await request(app).get(`/media/services/${SERVICE_ID}/page.html`);
+
+      expect(response.headers['content-type']).toBe('application/octet-stream');
+      expect(response.headers['content-disposition']).toBe('attachment');
+    });
+  });
+
+  describe('S3 driver', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should sign uploads for path-style endpoints', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+      const driver = createS3Driver({
+        bucket: 'media',
+        region: 'eu-west-2',
+        endpoint: 'http://localhost:9000',
+        accessKeyId: 'AKIDEXAMPLE',
+        secretAccessKey: 'secret',
+        forcePathStyle: true,
+        now: () => new Date('2026-05-01T12:00:00Z')
+      });
+
+      await driver.save('services/a b.jpg', Buffer.from('jpeg'), { contentType: 'image/jpeg' });
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:9000/media/services/a%20b.jpg');
+      expect(options.method).toBe('PUT');
+      expect(options.headers['x-amz-date']).toBe('20260501T120000Z');
+      expect(options.headers.authorization).toMatch(
+        /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/20260501\/eu-west-2\/s3\/aws4_request, SignedHeaders=content-type;host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/
+      );
+      expect(driver.url('services/a b.jpg')).toBe('http://localhost:9000/media/services/a%20b.jpg');
+    });
+
+    it('should report missing objects like missing local files', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+      const driver = createS3Driver({ bucket: 'media', accessKeyId: 'id', secretAccessKey: 'secret', publicUrl: 'https://cdn.example.com/' });
+
+      await expect(driver.read('services/x.jpg')).rejects.toMatchObject({ code: 'ENOENT' });
+      expect(global.fetch.mock.calls[0][0]).toBe('https://media.s3.us-east-1.amazonaws.com/services/x.jpg');
+      expect(driver.url('services/x.jpg')).toBe('https://cdn.example.com/services/x.jpg');
+    });
+  });
+});
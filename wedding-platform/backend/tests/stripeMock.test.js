@@ -0,0 +1,65 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_123';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+
+// Calls the real Stripe client against stripe-mock (https://github.com/stripe/stripe-mock),
+// so request shapes are checked against Stripe's API. Skipped unless STRIPE_API_BASE is set:
+//   docker run --rm -p 12111:12111 stripe/stripe-mock
+//   STRIPE_API_BASE=http://localhost:12111 npx jest tests/stripeMock.test.js
+
+// Mock the database pool
+jest.mock('../src/config/database');
+
+const CUSTOMER_ID = '623e4567-e89b-12d3-a456-426614174000';
+const base = '/api/v1/payments/payment-methods';
+const token = jwt.sign({ userId: CUSTOMER_ID, email: 'customer@example.com', userType: 'customer' }, process.env.JWT_SECRET);
+
+const describeStripeMock = process.env.STRIPE_API_BASE ? describe : describe.skip;
+
+describeStripeMock('Payment methods against stripe-mock', () => {
+  beforeEach(() => {
+    let stripeCustomerId = null;
+
+    pool.query = jest.fn(async (sql, params) => {
+      if (sql.includes('LEFT JOIN vendor_members')) {
+        return { rows: [{ id: CUSTOMER_ID, email: 'customer@example.com', user_type: 'customer', is_active: true, email_verified: true }] };
+      }
+      if (sql.includes('stripe_customer_id FROM users')) {
+        return { rows: [{ id: CUSTOMER_ID, email: 'customer@example.com', first_name: 'Amelia', last_name: 'Hart', stripe_customer_id: stripeCustomerId }] };
+      }
+      if (sql.includes('SET stripe_customer_id')) {
+        stripeCustomerId = params[1];
+        return { rows: [{ stripe_customer_id: stripeCustomerId }] };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+  });
+
+  it('should create a customer and a setup intent', async () => {
+    const response = await request(app)
+      .post(`${base}/setup-intent`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.customerId).toMatch(/^cus_/);
+    expect(response.body.data.clientSecret).toEqual(expect.any(String));
+  });
+
+  it('should list, set the default and detach saved cards', async () => {
+    await request(app).post(`${base}/setup-intent`).set('Authorization', `Bearer ${token}`);
+
+    const list = await request(app).get(base).set('Authorization', `Bearer ${token}`);
+    expect(list.status).toBe(200);
+    expect(Array.isArray(list.body.data)).toBe(true);
+
+    const setDefault = await request(app).put(`${base}/pm_123/default`).set('Authorization', `Bearer ${token}`);
+    expect(setDefault.status).toBe(200);
+
+    const detach = await request(app).delete(`${base}/pm_123`).set('Authorization', `Bearer ${token}`);
+    expect(detach.status).toBe(200);
+  });
+});
@@ -0,0 +1,31 @@
+const { generateCode, verifyCode, provisioningUri, timeStep } = require('../src/utils/totp');
+
+// RFC 6238 appendix B SHA-1 secret ("12345678901234567890" in base32)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+  it('should match the RFC 6238 test vectors', () => {
+    expect(generateCode(RFC_SECRET, timeStep(59 * 1000))).toBe('287082');
+    expect(generateCode(RFC_SECRET, timeStep(1111111109 * 1000))).toBe('081804');
+    expect(generateCode(RFC_SECRET, timeStep(2000000000 * 1000))).toBe('279037');
+  });
+
+  it('should accept codes within one step of clock drift', () => {
+    const now = 1111111109 * 1000;
+    const previous = generateCode(RFC_SECRET, timeStep(now) - 1);
+
+    expect(verifyCode(RFC_SECRET, previous, 1, now)).toBe(timeStep(now) - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, timeStep(now) - 2), 1, now)).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef', 1, now)).toBeNull();
+  });
+
+  it('should build an otpauth provisioning URI', () => {
+    const uri = new URL(provisioningUri(RFC_SECRET, 'jane@example.com', 'Wedding Platform'));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Wedding Platform:jane@example.com');
+    expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(uri.searchParams.get('issuer')).toBe('Wedding Platform');
+  });
+});
@@ -0,0 +1,310 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const pool = require('../src/config/database');
+const mailer = require('../src/services/mailer');
+const { hashToken } = require('../src/utils/tokens');
+
+// Mock the database pool
+jest.mock('../src/config/database');
+
+describe('Vendor Team', () => {
+  let mockPool;
+  let mockTransport;
+
+  const ownerId = '123e4567-e89b-12d3-a456-426614174000';
+  const managerId = '223e4567-e89b-12d3-a456-426614174000';
+  const staffId = '323e4567-e89b-12d3-a456-426614174000';
+  const serviceId = '423e4567-e89b-12d3-a456-426614174000';
+
+  const tokenFor = (userId) => jwt.sign({ userId, email: 'member@example.com', userType: 'vendor' }, process.env.JWT_SECRET);
+
+  // Row returned by authenticateToken's user lookup for a member of ownerId's organisation
+  const memberRow = (id, vendorRole) => ({
+    rows: [{
+      id,
+      email: 'member@example.com',
+      user_type: 'vendor',
+      is_active: true,
+      email_verified: true,
+      vendor_id: ownerId,
+      vendor_role: vendorRole
+    }]
+  });
+
+  beforeEach(() => {
+    mockPool = {
+      query: jest.fn()
+    };
+    pool.query = mockPool.query;
+
+    // Transactions run their statements through mockPool.query too; BEGIN, COMMIT and
+    // ROLLBACK are recorded separately so call positions match non-transactional code
+    mockPool.client = {
+      query: jest.fn((sql, params) => (/^(BEGIN|COMMIT|ROLLBACK)$/.test(sql) ? {} : mockPool.query(sql, params))),
+      release: jest.fn()
+    };
+    pool.connect = jest.fn().mockResolvedValue(mockPool.client);
+
+    mockTransport = { name: 'test', send: jest.fn().mockResolvedValue({ id: 'mail-1' }) };
+    mailer.setTransport(mockTransport);
+  });
+
+  afterEach(() => {
+    mailer.setTransport(null);
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/v1/vendors/team/invitations', () => {
+    it('should store a hashed token and email the invitation', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(memberRow(ownerId, 'owner'))
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rowCount: 0 })
+        .mockResolvedValueOnce({ rows: [{ id: 'invitation-1', email: 'new@example.com', role: 'manager' }] })
+        .mockResolvedValueOnce({ rows: [{ business_name: 'Perfect Pictures' }] });
+
+      const response = await request(app)
+        .post('/api/v1/vendors/team/invitations')
+        .set('Authorization', `Bearer ${tokenFor(ownerId)}`)
+        .send({ email: 'new@example.com', role: 'manager' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.role).toBe('manager');
+
+      const message = mockTransport.send.mock.calls[0][0];
+      expect(message.to).toBe('new@example.com');
+      expect(message.subject).toMatch(/Perfect Pictures/);
+
+      const token = message.text.match(/token=([a-f0-9]+)/)[1];
+      const insertParams = mockPool.query.mock.calls[3][1];
+      expect(insertParams.slice(0, 5)).toEqual([ownerId, 'new@example.com', 'manager', hashToken(token), ownerId]);
+    });
+
+    it('should not let managers invite other managers', async () => {
+      mockPool.query.mockResolvedValueOnce(memberRow(managerId, 'manager'));
+
+      const response = await request(app)
+        .post('/api/v1/vendors/team/invitations')
+        .set('Authorization', `Bearer ${tokenFor(managerId)}`)
+        .send({ email: 'new@example.com', role: 'manager' });
+
+      expect(response.status).toBe(403);
+      expect(mockTransport.send).not.toHaveBeenCalled();
+    });
+
+    it('should not let staff invite anyone', async () => {
+      mockPool.query.mockResolvedValueOnce(memberRow(staffId, 'staff'));
+
+      const response = await request(app)
+        .post('/api/v1/vendors/team/invitations')
+        .set('Authorization', `Bearer ${tokenFor(staffId)}`)
+        .send({ email: 'new@example.com', role: 'staff' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({
+        success: false,
+        message: 'Insufficient team role',
+        error: { code: 'INSUFFICIENT_TEAM_ROLE', details: { required: 'team.manage', current: 'staff' } }
+      });
+    });
+
+    it('should reject emails that already have an account', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(memberRow(ownerId, 'owner'))
+        .mockResolvedValueOnce({ rows: [{ id: staffId }] });
+
+      const response = await request(app)
+        .post('/api/v1/vendors/team/invitations')
+        .set('Authorization', `Bearer ${tokenFor(ownerId)}`)
+        .send({ email: 'taken@example.com', role: 'staff' });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('POST /api/v1/vendors/team/invitations/accept', () => {
+    const acceptance = { token: 'invite-token', password: 'Password1', firstName: 'Sam', lastName: 'Staff' };
+
+    it('should create a verified vendor account joined to the organisation', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'invitation-1', email: 'sam@example.com' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ vendor_id: ownerId, email: 'sam@example.com', role: 'staff', invited_by: ownerId }] })
+        .mockResolvedValueOnce({ rows: [{ id: staffId, email: 'sam@example.com', first_name: 'Sam', last_name: 'Staff', user_type: 'vendor', email_verified: true }] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 'refresh-1' }] });
+
+      const response = await request(app)
+        .post('/api/v1/vendors/team/invitations/accept')
+        .send(acceptance);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.user.vendorRole).toBe('staff');
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+
+      expect(mockPool.query.mock.calls[0][1]).toEqual([hashToken('invite-token')]);
+      expect(mockPool.query.mock.calls[4][1]).toEqual([ownerId, staffId, 'staff', ownerId]);
+    });
+
+    it('should reject invalid or expired invitations', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/v1/vendors/team/invitations/accept')
+        .send(acceptance);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Invalid or expired invitation');
+    });
+
+    it('should not create an account if the invitation was claimed concurrently', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'invitation-1', email: 'sam@example.com' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .post('/api/v1/vendors/team/invitations/accept')
+        .send(acceptance);
+
+      expect(response.status).toBe(400);
+      expect(mockPool.query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should leave the invitation usable when the member cannot be added', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'invitation-1', email: 'sam@example.com' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ vendor_id: ownerId, email: 'sam@example.com', role: 'staff', invited_by: ownerId }] })
+        .mockResolvedValueOnce({ rows: [{ id: staffId, email: 'sam@example.com', user_type: 'vendor' }] })
+        .mockRejectedValueOnce(new Error('connection lost'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post('/api/v1/vendors/team/invitations/accept')
+        .send(acceptance);
+
+      expect(response.status).toBe(500);
+      // The claim and the new account are rolled back with the membership
+      const statements = mockPool.client.query.mock.calls.map(([sql]) => sql);
+      expect(statements[0]).toBe('BEGIN');
+      expect(statements[1]).toContain('UPDATE vendor_invitations SET accepted_at = NOW()');
+      expect(statements).toContain('ROLLBACK');
+      expect(statements).not.toContain('COMMIT');
+      expect(mockPool.client.release).toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('Team member management', () => {
+    it('should let the owner promote staff to manager', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(memberRow(ownerId, 'owner'))
+        .mockResolvedValueOnce({ rows: [{ user_id: staffId, role: 'staff' }] })
+        .mockResolvedValueOnce({ rows: [{ user_id: staffId, role: 'manager' }] });
+
+      const response = await request(app)
+        .patch(`/api/v1/vendors/team/members/${staffId}`)
+        .set('Authorization', `Bearer ${tokenFor(ownerId)}`)
+        .send({ role: 'manager' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.role).toBe('manager');
+    });
+
+    it('should not let managers remove other managers', async () => {
+      const otherManagerId = '523e4567-e89b-12d3-a456-426614174000';
+      mockPool.query
+        .mockResolvedValueOnce(memberRow(managerId, 'manager'))
+        .mockResolvedValueOnce({ rows: [{ user_id: otherManagerId, role: 'manager' }] });
+
+      const response = await request(app)
+        .delete(`/api/v1/vendors/team/members/${otherManagerId}`)
+        .set('Authorization', `Bearer ${tokenFor(managerId)}`);
+
+      expect(response.status).toBe(403);
+      expect(mockPool.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should never remove the owner', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(memberRow(managerId, 'manager'))
+        .mockResolvedValueOnce({ rows: [{ user_id: ownerId, role: 'owner' }] });
+
+      const response = await request(app)
+        .delete(`/api/v1/vendors/team/members/${ownerId}`)
+        .set('Authorization', `Bearer ${tokenFor(managerId)}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should deactivate removed members and revoke their sessions', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(memberRow(managerId, 'manager'))
+        .mockResolvedValueOnce({ rows: [{ user_id: staffId, role: 'staff' }] })
+        .mockResolvedValue({ rowCount: 1 });
+
+      const response = await request(app)
+        .delete(`/api/v1/vendors/team/members/${staffId}`)
+        .set('Authorization', `Bearer ${tokenFor(managerId)}`);
+
+      expect(response.status).toBe(200);
+      expect(mockPool.query).toHaveBeenCalledWith(
+        'UPDATE users SET is_active = false, updated_at = NOW() WHERE id = $1',
+        [staffId]
+      );
+      expect(mockPool.query).toHaveBeenCalledWith(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [staffId]
+      );
+    });
+  });
+
+  describe('Membership-based access', () => {
+    it('should let managers create services for their organisation', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(memberRow(managerId, 'manager'))
+        .mockResolvedValueOnce({ rows: [{ id: 'profile-1' }] })
+        .mockResolvedValueOnce({ rows: [{ id: serviceId, vendor_id: ownerId, name: 'Photography' }] });
+
+      const response = await request(app)
+        .post('/api/v1/services')
+        .set('Authorization', `Bearer ${tokenFor(managerId)}`)
+        .send({ name: 'Photography', category: 'Photography', basePrice: 100, pricingType: 'fixed' });
+
+      expect(response.status).toBe(201);
+      expect(mockPool.query.mock.calls[1][1]).toEqual([ownerId]);
+      expect(mockPool.query.mock.calls[2][1][0]).toBe(ownerId);
+    });
+
+    it('should not let staff edit services', async () => {
+      mockPool.query.mockResolvedValueOnce(memberRow(staffId, 'staff'));
+
+      const response = await request(app)
+        .delete(`/api/v1/services/${serviceId}`)
+        .set('Authorization', `Bearer ${tokenFor(staffId)}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.details.required).toBe('services.manage');
+    });
+
+    it('should scope staff booking lists to the organisation', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(memberRow(staffId, 'staff'))
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ total: '0' }] });
+
+      const response = await request(app)
+        .get('/api/v1/bookings')
+        .set('Authorization', `Bearer ${tokenFor(staffId)}`);
+
+      expect(response.status).toBe(200);
+      expect(mockPool.query.mock.calls[1][1]).toContain(ownerId);
+      expect(mockPool.query.mock.calls[1][1]).not.toContain(staffId);
+    });
+  });
+});
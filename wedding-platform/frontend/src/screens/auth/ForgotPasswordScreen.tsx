@@ -1,34 +1,229 @@
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+} from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigation } from '@react-navigation/native';
+import { StackNavigationProp } from '@react-navigation/stack';
+import { Ionicons } from '@expo/vector-icons';
+
+// Components
+import Button from '../../components/common/Button';
+import Input from '../../components/common/Input';
+
+// Store
+import { forgotPassword, clearError } from '../../store/slices/authSlice';
+import { RootState, AppDispatch } from '../../store';
+
+// Types
+import { RootStackParamList } from '../../types';
+
+// Theme
 import { theme } from '../../utils/theme';
 
+type ForgotPasswordScreenNavigationProp = StackNavigationProp<RootStackParamList, 'ForgotPassword'>;
+
 const ForgotPasswordScreen: React.FC = () => {
+  const navigation = useNavigation<ForgotPasswordScreenNavigationProp>();
+  const dispatch = useDispatch<AppDispatch>();
+
+  const { isLoading, error } = useSelector((state: RootState) => state.auth);
+
+  const [email, setEmail] = useState('');
+  const [emailError, setEmailError] = useState('');
+  const [emailSent, setEmailSent] = useState(false);
+
+  useEffect(() => {
+    if (error) {
+      Alert.alert('Password Reset Error', error);
+      dispatch(clearError());
+    }
+  }, [error, dispatch]);
+
+  const validateForm = (): boolean => {
+    let message = '';
+
+    if (!email) {
+      message = 'Email is required';
+    } else if (!/\S+@\S+\.\S+/.test(email)) {
+      message = 'Please enter a valid email';
+    }
+
+    setEmailError(message);
+    return !message;
+  };
+
+  const handleSubmit = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      await dispatch(forgotPassword(email)).unwrap();
+      setEmailSent(true);
+    } catch (error) {
+      // Error is already handled in the useEffect
+    }
+  };
+
+  const handleEmailChange = (text: string) => {
+    setEmail(text);
+    if (emailError) {
+      setEmailError('');
+    }
+  };
+
+  const navigateToResetPassword = () => {
+    navigation.navigate('ResetPassword');
+  };
+
+  const navigateToLogin = () => {
+    navigation.navigate('Auth');
+  };
+
   return (
-    <View style={styles.container}>
-      <Text style={styles.title}>Forgot Password</Text>
-      <Text style={styles.subtitle}>Coming soon...</Text>
-    </View>
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView
+        contentContainerStyle={styles.scrollContainer}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={styles.header}>
+          <View style={styles.iconContainer}>
+            <Ionicons
+              name={emailSent ? 'mail-open-outline' : 'key-outline'}
+              size={48}
+              color={theme.colors.primary}
+            />
+          </View>
+          <Text style={styles.title}>Forgot Password</Text>
+          <Text style={styles.subtitle}>
+            {emailSent
+              ? `If an account exists for ${email}, we've sent a link to reset your password.`
+              : "Enter the email you signed up with and we'll send you a link to reset your password."}
+          </Text>
+        </View>
+
+        <View style={styles.formContainer}>
+          {emailSent ? (
+            <>
+              <Button
+                title="I Have a Reset Code"
+                onPress={navigateToResetPassword}
+                fullWidth
+                style={styles.submitButton}
+              />
+              <Button
+                title="Resend Email"
+                onPress={handleSubmit}
+                loading={isLoading}
+                variant="outline"
+                fullWidth
+                style={styles.submitButton}
+              />
+            </>
+          ) : (
+            <>
+              <Input
+                label="Email"
+                placeholder="Enter your email"
+                value={email}
+                onChangeText={handleEmailChange}
+                type="email"
+                leftIcon="mail-outline"
+                error={emailError}
+                required
+              />
+
+              <Button
+                title="Send Reset Link"
+                onPress={handleSubmit}
+                loading={isLoading}
+                fullWidth
+                style={styles.submitButton}
+              />
+            </>
+          )}
+
+          <View style={styles.footer}>
+            <Text style={styles.footerText}>Remembered it? </Text>
+            <TouchableOpacity onPress={navigateToLogin}>
+              <Text style={styles.linkText}>Sign In</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
   );
 };
 
 const styles = StyleSheet.create({
   container: {
     flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
     backgroundColor: theme.colors.background,
   },
+  scrollContainer: {
+    flexGrow: 1,
+    paddingHorizontal: theme.spacing.lg,
+  },
+  header: {
+    alignItems: 'center',
+    marginTop: theme.spacing.xxl * 2,
+    marginBottom: theme.spacing.xxl,
+  },
+  iconContainer: {
+    width: 88,
+    height: 88,
+    borderRadius: 44,
+    backgroundColor: theme.colors.surface,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: theme.spacing.lg,
+  },
   title: {
     fontSize: theme.typography.h2.fontSize,
     fontWeight: 'bold',
     color: theme.colors.text,
     marginBottom: theme.spacing.sm,
+    textAlign: 'center',
   },
   subtitle: {
     fontSize: theme.typography.body.fontSize,
     color: theme.colors.textSecondary,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+  formContainer: {
+    flex: 1,
+  },
+  submitButton: {
+    marginBottom: theme.spacing.md,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: theme.spacing.lg,
+    marginBottom: theme.spacing.xxl,
+  },
+  footerText: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.body.fontSize,
+  },
+  linkText: {
+    color: theme.colors.primary,
+    fontSize: theme.typography.body.fontSize,
+    fontWeight: '600',
   },
 });
 
 export default ForgotPasswordScreen;
-
@@ -1,34 +1,253 @@
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+} from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigation, useRoute, RouteProp } from '@react-navigation/native';
+import { StackNavigationProp } from '@react-navigation/stack';
+import { Ionicons } from '@expo/vector-icons';
+
+// Components
+import Button from '../../components/common/Button';
+import Input from '../../components/common/Input';
+
+// Store
+import { resetPassword, clearError } from '../../store/slices/authSlice';
+import { RootState, AppDispatch } from '../../store';
+
+// Types
+import { RootStackParamList } from '../../types';
+
+// Theme
 import { theme } from '../../utils/theme';
 
+type ResetPasswordScreenNavigationProp = StackNavigationProp<RootStackParamList, 'ResetPassword'>;
+type ResetPasswordScreenRouteProp = RouteProp<RootStackParamList, 'ResetPassword'>;
+
 const ResetPasswordScreen: React.FC = () => {
+  const navigation = useNavigation<ResetPasswordScreenNavigationProp>();
+  const route = useRoute<ResetPasswordScreenRouteProp>();
+  const dispatch = useDispatch<AppDispatch>();
+
+  const { isLoading, error } = useSelector((state: RootState) => state.auth);
+
+  // The token arrives as a route param when opened from the email link
+  const [formData, setFormData] = useState({
+    token: route.params?.token || '',
+    password: '',
+    confirmPassword: '',
+  });
+
+  const [formErrors, setFormErrors] = useState({
+    token: '',
+    password: '',
+    confirmPassword: '',
+  });
+
+  useEffect(() => {
+    if (error) {
+      Alert.alert('Password Reset Error', error);
+      dispatch(clearError());
+    }
+  }, [error, dispatch]);
+
+  const validateForm = (): boolean => {
+    const errors = {
+      token: '',
+      password: '',
+      confirmPassword: '',
+    };
+
+    if (!formData.token.trim()) {
+      errors.token = 'Reset code is required';
+    }
+
+    // Mirrors the backend password rules
+    if (!formData.password) {
+      errors.password = 'Password is required';
+    } else if (formData.password.length < 8) {
+      errors.password = 'Password must be at least 8 characters';
+    } else if (!/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(formData.password)) {
+      errors.password = 'Password must contain an uppercase letter, a lowercase letter and a number';
+    }
+
+    if (formData.confirmPassword !== formData.password) {
+      errors.confirmPassword = 'Passwords do not match';
+    }
+
+    setFormErrors(errors);
+    return !errors.token && !errors.password && !errors.confirmPassword;
+  };
+
+  const handleResetPassword = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      await dispatch(resetPassword({
+        token: formData.token.trim(),
+        password: formData.password,
+      })).unwrap();
+
+      Alert.alert('Password Reset', 'Your password has been reset. Please sign in with your new password.', [
+        { text: 'OK', onPress: () => navigation.navigate('Auth') },
+      ]);
+    } catch (error) {
+      // Error is already handled in the useEffect
+    }
+  };
+
+  const handleInputChange = (field: string, value: string) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    // Clear error when user starts typing
+    if (formErrors[field as keyof typeof formErrors]) {
+      setFormErrors(prev => ({ ...prev, [field]: '' }));
+    }
+  };
+
+  const navigateToForgotPassword = () => {
+    navigation.navigate('ForgotPassword');
+  };
+
   return (
-    <View style={styles.container}>
-      <Text style={styles.title}>Reset Password</Text>
-      <Text style={styles.subtitle}>Coming soon...</Text>
-    </View>
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView
+        contentContainerStyle={styles.scrollContainer}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={styles.header}>
+          <View style={styles.iconContainer}>
+            <Ionicons name="lock-open-outline" size={48} color={theme.colors.primary} />
+          </View>
+          <Text style={styles.title}>Reset Password</Text>
+          <Text style={styles.subtitle}>Choose a new password for your account</Text>
+        </View>
+
+        <View style={styles.formContainer}>
+          {!route.params?.token && (
+            <Input
+              label="Reset Code"
+              placeholder="Paste the code from your email"
+              value={formData.token}
+              onChangeText={(text) => handleInputChange('token', text)}
+              leftIcon="key-outline"
+              error={formErrors.token}
+              required
+            />
+          )}
+
+          <Input
+            label="New Password"
+            placeholder="Enter a new password"
+            value={formData.password}
+            onChangeText={(text) => handleInputChange('password', text)}
+            type="password"
+            leftIcon="lock-closed-outline"
+            error={formErrors.password}
+            required
+          />
+
+          <Input
+            label="Confirm Password"
+            placeholder="Re-enter your new password"
+            value={formData.confirmPassword}
+            onChangeText={(text) => handleInputChange('confirmPassword', text)}
+            type="password"
+            leftIcon="lock-closed-outline"
+            error={formErrors.confirmPassword}
+            required
+          />
+
+          <Button
+            title="Reset Password"
+            onPress={handleResetPassword}
+            loading={isLoading}
+            fullWidth
+            style={styles.submitButton}
+          />
+
+          <View style={styles.footer}>
+            <Text style={styles.footerText}>Link expired? </Text>
+            <TouchableOpacity onPress={navigateToForgotPassword}>
+              <Text style={styles.linkText}>Request a new one</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
   );
 };
 
 const styles = StyleSheet.create({
   container: {
     flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
     backgroundColor: theme.colors.background,
   },
+  scrollContainer: {
+    flexGrow: 1,
+    paddingHorizontal: theme.spacing.lg,
+  },
+  header: {
+    alignItems: 'center',
+    marginTop: theme.spacing.xxl * 2,
+    marginBottom: theme.spacing.xxl,
+  },
+  iconContainer: {
+    width: 88,
+    height: 88,
+    borderRadius: 44,
+    backgroundColor: theme.colors.surface,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: theme.spacing.lg,
+  },
   title: {
     fontSize: theme.typography.h2.fontSize,
     fontWeight: 'bold',
     color: theme.colors.text,
     marginBottom: theme.spacing.sm,
+    textAlign: 'center',
   },
   subtitle: {
     fontSize: theme.typography.body.fontSize,
     color: theme.colors.textSecondary,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+  formContainer: {
+    flex: 1,
+  },
+  submitButton: {
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.lg,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: theme.spacing.lg,
+    marginBottom: theme.spacing.xxl,
+  },
+  footerText: {
+    color: theme.colors.textSecondary,
+    fontSize: theme.typography.body.fontSize,
+  },
+  linkText: {
+    color: theme.colors.primary,
+    fontSize: theme.typography.body.fontSize,
+    fontWeight: '600',
   },
 });
 
 export default ResetPasswordScreen;
-
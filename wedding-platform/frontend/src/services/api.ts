@@ -4,19 +4,74 @@ import {
   User, 
   VendorProfile, 
   Service, 
-  Booking, 
+  ServiceQuote,
+  ServiceMedia,
+  ServiceMediaForm,
+  Availability,
+  AvailabilitySlotForm,
+  AvailabilityRule,
+  AvailabilityRuleForm,
+  AvailabilityBlackout,
+  CalendarSource,
+  CalendarImportResult,
+  Booking,
+  BookingStatusChange, 
+  BookingBalance,
+  BookingCancellation,
+  CancellationQuote,
+  CancellationPolicyName,
+  CancellationTier,
+  PaymentTerms,
+  RefundResult,
+  Payout,
+  PayoutAccount,
+  PaymentEvent,
+  QuoteRequest,
+  QuoteRequestForm,
+  QuoteProposal,
+  ProposalForm,
+  ProposalAcceptance,
+  Conversation,
+  ConversationForm,
+  Message,
+  AttachmentUpload,
   Payment, 
+  SavedPaymentMethod,
+  SetupIntentResult,
   Review,
+  ReviewForm,
+  ReportedReview,
+  ReviewModerationAction,
   SearchFilters,
   SearchSort,
   LoginForm,
+  LoginResult,
   RegisterForm,
   VendorProfileForm,
-  ServiceForm
+  ServiceForm,
+  VendorMember,
+  VendorInvitation,
+  VendorRole,
+  VendorCommissionTier
 } from '../types';
 
 const API_BASE_URL = process.env.EXPO_PUBLIC_API_URL || 'http://localhost:3000/api';
 
+// Thrown for non-2xx responses; `code` is the API's machine-readable error code
+export class ApiError extends Error {
+  status: number;
+  code?: string;
+  details?: unknown;
+
+  constructor(message: string, status: number, code?: string, details?: unknown) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
 class ApiService {
   private async request<T>(
     endpoint: string,
@@ -24,10 +79,12 @@ class ApiService {
   ): Promise<ApiResponse<T>> {
     const url = `${API_BASE_URL}${endpoint}`;
     const token = await this.getAuthToken();
+    // fetch sets the multipart boundary itself
+    const isForm = typeof FormData !== 'undefined' && options.body instanceof FormData;
     
     const config: RequestInit = {
       headers: {
-        'Content-Type': 'application/json',
+        ...(!isForm && { 'Content-Type': 'application/json' }),
         ...(token && { Authorization: `Bearer ${token}` }),
         ...options.headers,
       },
@@ -39,7 +96,12 @@ class ApiService {
       const data = await response.json();
       
       if (!response.ok) {
-        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        throw new ApiError(
+          data.message || `HTTP error! status: ${response.status}`,
+          response.status,
+          data.error?.code,
+          data.error?.details
+        );
       }
       
       return data;
@@ -49,6 +111,19 @@ class ApiService {
     }
   }
 
+  // List endpoints return rows in `data` and the page details alongside
+  private async requestPage<T>(endpoint: string): Promise<ApiResponse<PaginatedResponse<T>>> {
+    const response = await this.request<T[]>(endpoint);
+
+    return {
+      ...response,
+      data: {
+        data: response.data ?? [],
+        pagination: response.pagination!,
+      },
+    };
+  }
+
   private async getAuthToken(): Promise<string | null> {
     // This will be implemented with secure storage
     // For now, return null
@@ -63,28 +138,113 @@ class ApiService {
     });
   }
 
-  async login(data: LoginForm): Promise<ApiResponse<{ user: User; token: string }>> {
-    return this.request<{ user: User; token: string }>('/auth/login', {
+  async login(data: LoginForm): Promise<ApiResponse<LoginResult>> {
+    return this.request<LoginResult>('/auth/login', {
       method: 'POST',
       body: JSON.stringify(data),
     });
   }
 
-  async refreshToken(): Promise<ApiResponse<{ token: string }>> {
-    return this.request<{ token: string }>('/auth/refresh', {
+  // Two-factor authentication
+  async verifyTwoFactor(
+    challengeToken: string,
+    factor: { code?: string; recoveryCode?: string }
+  ): Promise<ApiResponse<{ user: User; token: string; refreshToken: string; recoveryCodesRemaining?: number }>> {
+    return this.request<{ user: User; token: string; refreshToken: string; recoveryCodesRemaining?: number }>('/auth/2fa/verify', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, ...factor }),
+    });
+  }
+
+  async getTwoFactorStatus(): Promise<ApiResponse<{ twoFactorEnabled: boolean; required: boolean; available: boolean; recoveryCodesRemaining: number }>> {
+    return this.request<{ twoFactorEnabled: boolean; required: boolean; available: boolean; recoveryCodesRemaining: number }>('/auth/2fa');
+  }
+
+  // Pass the setup challenge token when enrolling from the login screen
+  async setupTwoFactor(challengeToken?: string): Promise<ApiResponse<{ secret: string; otpauthUrl: string }>> {
+    return this.request<{ secret: string; otpauthUrl: string }>('/auth/2fa/setup', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken }),
+    });
+  }
+
+  async enableTwoFactor(
+    code: string,
+    challengeToken?: string
+  ): Promise<ApiResponse<{ recoveryCodes: string[]; user?: User; token?: string; refreshToken?: string }>> {
+    return this.request<{ recoveryCodes: string[]; user?: User; token?: string; refreshToken?: string }>('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code, challengeToken }),
+    });
+  }
+
+  async regenerateRecoveryCodes(code: string): Promise<ApiResponse<{ recoveryCodes: string[] }>> {
+    return this.request<{ recoveryCodes: string[] }>('/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  async disableTwoFactor(factor: { code?: string; recoveryCode?: string }): Promise<ApiResponse<null>> {
+    return this.request<null>('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify(factor),
+    });
+  }
+
+  async oauthLogin(
+    provider: 'google' | 'apple',
+    idToken: string,
+    profile?: { userType?: 'customer' | 'vendor'; firstName?: string; lastName?: string }
+  ): Promise<ApiResponse<LoginResult & { isNewUser?: boolean }>> {
+    return this.request<LoginResult & { isNewUser?: boolean }>(`/auth/oauth/${provider}`, {
+      method: 'POST',
+      body: JSON.stringify({ idToken, ...profile }),
+    });
+  }
+
+  async refreshToken(refreshToken: string): Promise<ApiResponse<{ token: string; refreshToken: string }>> {
+    return this.request<{ token: string; refreshToken: string }>('/auth/refresh', {
+      method: 'POST',
+      body: JSON.stringify({ refreshToken }),
+    });
+  }
+
+  async logout(refreshToken: string): Promise<ApiResponse<null>> {
+    return this.request<null>('/auth/logout', {
+      method: 'POST',
+      body: JSON.stringify({ refreshToken }),
+    });
+  }
+
+  async logoutAllDevices(): Promise<ApiResponse<null>> {
+    return this.request<null>('/auth/logout-all', {
+      method: 'POST',
+    });
+  }
+
+  async verifyEmail(token: string): Promise<ApiResponse<null>> {
+    return this.request<null>('/auth/verify-email', {
       method: 'POST',
+      body: JSON.stringify({ token }),
     });
   }
 
-  async forgotPassword(email: string): Promise<ApiResponse<{ message: string }>> {
-    return this.request<{ message: string }>('/auth/forgot-password', {
+  async resendVerificationEmail(): Promise<ApiResponse<null>> {
+    return this.request<null>('/auth/resend-verification', {
+      method: 'POST',
+    });
+  }
+
+  async forgotPassword(email: string): Promise<ApiResponse<null>> {
+    return this.request<null>('/auth/forgot-password', {
       method: 'POST',
       body: JSON.stringify({ email }),
     });
   }
 
-  async resetPassword(token: string, password: string): Promise<ApiResponse<{ message: string }>> {
-    return this.request<{ message: string }>('/auth/reset-password', {
+  async resetPassword(token: string, password: string): Promise<ApiResponse<null>> {
+    return this.request<null>('/auth/reset-password', {
       method: 'POST',
       body: JSON.stringify({ token, password }),
     });
@@ -102,8 +262,8 @@ class ApiService {
     });
   }
 
-  async changePassword(currentPassword: string, newPassword: string): Promise<ApiResponse<{ message: string }>> {
-    return this.request<{ message: string }>('/users/change-password', {
+  async changePassword(currentPassword: string, newPassword: string): Promise<ApiResponse<null>> {
+    return this.request<null>('/users/change-password', {
       method: 'PUT',
       body: JSON.stringify({ current_password: currentPassword, new_password: newPassword }),
     });
@@ -129,7 +289,7 @@ class ApiService {
     params.append('page', page.toString());
     params.append('limit', limit.toString());
 
-    return this.request<PaginatedResponse<VendorProfile>>(`/vendors?${params.toString()}`);
+    return this.requestPage<VendorProfile>(`/vendors?${params.toString()}`);
   }
 
   async getVendorById(vendorId: string): Promise<ApiResponse<VendorProfile>> {
@@ -147,6 +307,73 @@ class ApiService {
     return this.request<string[]>('/vendors/categories');
   }
 
+  // Vendor team endpoints
+  async getVendorTeam(): Promise<ApiResponse<{ members: VendorMember[]; invitations: VendorInvitation[] }>> {
+    return this.request<{ members: VendorMember[]; invitations: VendorInvitation[] }>('/vendors/team');
+  }
+
+  async inviteVendorMember(email: string, role: Exclude<VendorRole, 'owner'>): Promise<ApiResponse<{ invitation: VendorInvitation }>> {
+    return this.request<{ invitation: VendorInvitation }>('/vendors/team/invitations', {
+      method: 'POST',
+      body: JSON.stringify({ email, role }),
+    });
+  }
+
+  async revokeVendorInvitation(invitationId: string): Promise<ApiResponse<null>> {
+    return this.request<null>(`/vendors/team/invitations/${invitationId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async acceptVendorInvitation(data: {
+    token: string;
+    password: string;
+    firstName: string;
+    lastName: string;
+    phone?: string;
+  }): Promise<ApiResponse<{ user: User & { vendorRole: VendorRole }; token: string; refreshToken: string }>> {
+    return this.request<{ user: User & { vendorRole: VendorRole }; token: string; refreshToken: string }>('/vendors/team/invitations/accept', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async updateVendorMemberRole(userId: string, role: Exclude<VendorRole, 'owner'>): Promise<ApiResponse<{ member: { user_id: string; role: VendorRole } }>> {
+    return this.request<{ member: { user_id: string; role: VendorRole } }>(`/vendors/team/members/${userId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ role }),
+    });
+  }
+
+  async removeVendorMember(userId: string): Promise<ApiResponse<null>> {
+    return this.request<null>(`/vendors/team/members/${userId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Vendor payout endpoints
+  async getPayoutAccount(): Promise<ApiResponse<PayoutAccount>> {
+    return this.request<PayoutAccount>('/vendors/payouts/account');
+  }
+
+  // Owner only; open the returned url to start or continue Stripe onboarding
+  async createOnboardingLink(): Promise<ApiResponse<{ accountId: string; url: string; expiresAt: string }>> {
+    return this.request<{ accountId: string; url: string; expiresAt: string }>('/vendors/payouts/account/onboarding-link', {
+      method: 'POST',
+    });
+  }
+
+  // Staff only
+  async updateVendorCommissionTier(
+    vendorId: string,
+    tier: VendorCommissionTier
+  ): Promise<ApiResponse<{ id: string; business_name: string; commission_tier: VendorCommissionTier }>> {
+    return this.request(`/vendors/admin/${vendorId}/commission-tier`, {
+      method: 'PATCH',
+      body: JSON.stringify({ tier }),
+    });
+  }
+
   // Service endpoints
   async getServices(
     filters?: SearchFilters,
@@ -167,13 +394,26 @@ class ApiService {
     params.append('page', page.toString());
     params.append('limit', limit.toString());
 
-    return this.request<PaginatedResponse<Service>>(`/services?${params.toString()}`);
+    return this.requestPage<Service>(`/services?${params.toString()}`);
   }
 
   async getServiceById(serviceId: string): Promise<ApiResponse<Service>> {
     return this.request<Service>(`/services/${serviceId}`);
   }
 
+  async getServiceQuote(
+    serviceId: string,
+    options: { date?: string; startTime?: string; endTime?: string; addons?: string[] } = {}
+  ): Promise<ApiResponse<ServiceQuote>> {
+    const params = new URLSearchParams();
+    if (options.date) params.append('date', options.date);
+    if (options.startTime) params.append('startTime', options.startTime);
+    if (options.endTime) params.append('endTime', options.endTime);
+    if (options.addons?.length) params.append('addons', options.addons.join(','));
+
+    return this.request<ServiceQuote>(`/services/${serviceId}/quote?${params.toString()}`);
+  }
+
   async createService(data: ServiceForm): Promise<ApiResponse<Service>> {
     return this.request<Service>('/services', {
       method: 'POST',
@@ -188,8 +428,35 @@ class ApiService {
     });
   }
 
-  async deleteService(serviceId: string): Promise<ApiResponse<{ message: string }>> {
-    return this.request<{ message: string }>(`/services/${serviceId}`, {
+  async updatePaymentTerms(serviceId: string, terms: {
+    depositType: PaymentTerms['deposit_type'];
+    depositValue?: number;
+    balanceDueDays?: number;
+    balanceInstalments?: number;
+  }): Promise<ApiResponse<PaymentTerms>> {
+    return this.request<PaymentTerms>(`/services/${serviceId}/payment-terms`, {
+      method: 'PUT',
+      body: JSON.stringify(terms),
+    });
+  }
+
+  async updateCancellationPolicy(
+    serviceId: string,
+    policy: CancellationPolicyName,
+    tiers?: CancellationTier[]
+  ): Promise<ApiResponse<Pick<Service, 'id' | 'cancellation_policy' | 'cancellation_tiers'>>> {
+    return this.request(`/services/${serviceId}/cancellation-policy`, {
+      method: 'PUT',
+      body: JSON.stringify({ policy, tiers }),
+    });
+  }
+
+  async getCancellationPolicies(): Promise<ApiResponse<Record<Exclude<CancellationPolicyName, 'custom'>, CancellationTier[]>>> {
+    return this.request('/services/cancellation-policies/list');
+  }
+
+  async deleteService(serviceId: string): Promise<ApiResponse<null>> {
+    return this.request<null>(`/services/${serviceId}`, {
       method: 'DELETE',
     });
   }
@@ -202,6 +469,179 @@ class ApiService {
     return this.request<string[]>('/services/categories');
   }
 
+  // Service media endpoints
+  async getServiceMedia(serviceId: string): Promise<ApiResponse<ServiceMedia[]>> {
+    return this.request<ServiceMedia[]>(`/services/${serviceId}/media`);
+  }
+
+  // JPEG/PNG photos or MP4/QuickTime videos, up to 10 at a time; details apply to each file
+  async uploadServiceMedia(
+    serviceId: string,
+    files: AttachmentUpload[],
+    details: ServiceMediaForm = {}
+  ): Promise<ApiResponse<ServiceMedia[]>> {
+    return this.request<ServiceMedia[]>(`/services/${serviceId}/media`, {
+      method: 'POST',
+      body: this.multipartBody({ ...details }, 'media', files),
+    });
+  }
+
+  async updateServiceMedia(serviceId: string, mediaId: string, data: ServiceMediaForm): Promise<ApiResponse<ServiceMedia>> {
+    return this.request<ServiceMedia>(`/services/${serviceId}/media/${mediaId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  }
+
+  // mediaIds must list every one of the service's media in the new order
+  async reorderServiceMedia(serviceId: string, mediaIds: string[]): Promise<ApiResponse<ServiceMedia[]>> {
+    return this.request<ServiceMedia[]>(`/services/${serviceId}/media/order`, {
+      method: 'PUT',
+      body: JSON.stringify({ mediaIds }),
+    });
+  }
+
+  async deleteServiceMedia(serviceId: string, mediaId: string): Promise<ApiResponse<null>> {
+    return this.request<null>(`/services/${serviceId}/media/${mediaId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Availability endpoints
+  async getAvailability(
+    serviceId: string,
+    options: { from?: string; to?: string; isAvailable?: boolean; page?: number; limit?: number } = {}
+  ): Promise<ApiResponse<PaginatedResponse<Availability>>> {
+    const params = new URLSearchParams();
+    if (options.from) params.append('from', options.from);
+    if (options.to) params.append('to', options.to);
+    if (options.isAvailable !== undefined) params.append('isAvailable', options.isAvailable.toString());
+    params.append('page', (options.page ?? 1).toString());
+    params.append('limit', (options.limit ?? 50).toString());
+
+    return this.requestPage<Availability>(`/services/${serviceId}/availability?${params.toString()}`);
+  }
+
+  async createAvailabilitySlot(serviceId: string, data: AvailabilitySlotForm): Promise<ApiResponse<Availability>> {
+    return this.request<Availability>(`/services/${serviceId}/availability`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async updateAvailabilitySlot(
+    serviceId: string,
+    slotId: string,
+    data: AvailabilitySlotForm
+  ): Promise<ApiResponse<Availability>> {
+    return this.request<Availability>(`/services/${serviceId}/availability/${slotId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteAvailabilitySlot(serviceId: string, slotId: string): Promise<ApiResponse<null>> {
+    return this.request<null>(`/services/${serviceId}/availability/${slotId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getAvailabilityRules(serviceId: string): Promise<ApiResponse<AvailabilityRule[]>> {
+    return this.request<AvailabilityRule[]>(`/services/${serviceId}/availability/rules`);
+  }
+
+  async createAvailabilityRule(
+    serviceId: string,
+    data: AvailabilityRuleForm
+  ): Promise<ApiResponse<AvailabilityRule & { slotsCreated: number }>> {
+    return this.request<AvailabilityRule & { slotsCreated: number }>(`/services/${serviceId}/availability/rules`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteAvailabilityRule(serviceId: string, ruleId: string): Promise<ApiResponse<{ slotsRemoved: number }>> {
+    return this.request<{ slotsRemoved: number }>(`/services/${serviceId}/availability/rules/${ruleId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getBlackouts(serviceId: string): Promise<ApiResponse<AvailabilityBlackout[]>> {
+    return this.request<AvailabilityBlackout[]>(`/services/${serviceId}/availability/blackouts`);
+  }
+
+  async createBlackouts(
+    serviceId: string,
+    data: { dates: string[]; reason?: string }
+  ): Promise<ApiResponse<{ blackouts: AvailabilityBlackout[]; slotsRemoved: number; bookings: Booking[] }>> {
+    return this.request<{ blackouts: AvailabilityBlackout[]; slotsRemoved: number; bookings: Booking[] }>(
+      `/services/${serviceId}/availability/blackouts`,
+      {
+        method: 'POST',
+        body: JSON.stringify(data),
+      }
+    );
+  }
+
+  async deleteBlackout(serviceId: string, blackoutId: string): Promise<ApiResponse<{ slotsCreated: number }>> {
+    return this.request<{ slotsCreated: number }>(`/services/${serviceId}/availability/blackouts/${blackoutId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async setPriceModifiers(
+    serviceId: string,
+    data: { dates: string[]; priceModifier: number }
+  ): Promise<ApiResponse<{ updated: number }>> {
+    return this.request<{ updated: number }>(`/services/${serviceId}/availability/price-modifiers`, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  }
+
+  // Calendar sync endpoints
+  async getCalendarFeed(): Promise<ApiResponse<{ enabled: boolean; createdAt: string | null }>> {
+    return this.request<{ enabled: boolean; createdAt: string | null }>('/calendar/feed');
+  }
+
+  // Creates the feed or replaces its URL; the URL is only returned here
+  async createCalendarFeed(): Promise<ApiResponse<{ url: string }>> {
+    return this.request<{ url: string }>('/calendar/feed', {
+      method: 'POST',
+    });
+  }
+
+  async deleteCalendarFeed(): Promise<ApiResponse<null>> {
+    return this.request<null>('/calendar/feed', {
+      method: 'DELETE',
+    });
+  }
+
+  async getCalendarSources(): Promise<ApiResponse<CalendarSource[]>> {
+    return this.request<CalendarSource[]>('/calendar/sources');
+  }
+
+  async addCalendarSource(data: { name: string; url: string }): Promise<ApiResponse<CalendarSource>> {
+    return this.request<CalendarSource>('/calendar/sources', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteCalendarSource(sourceId: string): Promise<ApiResponse<{ slotsReleased: number }>> {
+    return this.request<{ slotsReleased: number }>(`/calendar/sources/${sourceId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // `calendar` is the text of an .ics file
+  async importCalendar(data: { calendar: string; name?: string }): Promise<ApiResponse<CalendarImportResult>> {
+    return this.request<CalendarImportResult>('/calendar/import', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
   // Booking endpoints
   async getBookings(
     page: number = 1,
@@ -211,7 +651,7 @@ class ApiService {
     params.append('page', page.toString());
     params.append('limit', limit.toString());
 
-    return this.request<PaginatedResponse<Booking>>(`/bookings?${params.toString()}`);
+    return this.requestPage<Booking>(`/bookings?${params.toString()}`);
   }
 
   async getBookingById(bookingId: string): Promise<ApiResponse<Booking>> {
@@ -225,7 +665,7 @@ class ApiService {
     start_time: string;
     end_time: string;
     special_requests?: string;
-    total_amount: number;
+    addons?: string[];
   }): Promise<ApiResponse<Booking>> {
     return this.request<Booking>('/bookings', {
       method: 'POST',
@@ -235,14 +675,23 @@ class ApiService {
 
   async updateBookingStatus(
     bookingId: string,
-    status: Booking['status']
+    status: Booking['status'],
+    reason?: string
   ): Promise<ApiResponse<Booking>> {
     return this.request<Booking>(`/bookings/${bookingId}/status`, {
-      method: 'PUT',
-      body: JSON.stringify({ status }),
+      method: 'PATCH',
+      body: JSON.stringify({ status, reason }),
     });
   }
 
+  async getBookingHistory(bookingId: string): Promise<ApiResponse<BookingStatusChange[]>> {
+    return this.request<BookingStatusChange[]>(`/bookings/${bookingId}/history`);
+  }
+
+  async getBookingBalance(bookingId: string): Promise<ApiResponse<BookingBalance>> {
+    return this.request<BookingBalance>(`/bookings/${bookingId}/balance`);
+  }
+
   async updateBooking(
     bookingId: string,
     data: Partial<{
@@ -250,6 +699,7 @@ class ApiService {
       start_time: string;
       end_time: string;
       special_requests: string;
+      addons: string[];
     }>
   ): Promise<ApiResponse<Booking>> {
     return this.request<Booking>(`/bookings/${bookingId}`, {
@@ -258,9 +708,15 @@ class ApiService {
     });
   }
 
-  async cancelBooking(bookingId: string): Promise<ApiResponse<{ message: string }>> {
-    return this.request<{ message: string }>(`/bookings/${bookingId}/cancel`, {
-      method: 'PUT',
+  // What cancelling would refund, under the service's cancellation policy
+  async getCancellationQuote(bookingId: string): Promise<ApiResponse<CancellationQuote>> {
+    return this.request<CancellationQuote>(`/bookings/${bookingId}/cancellation`);
+  }
+
+  async cancelBooking(bookingId: string, reason?: string): Promise<ApiResponse<BookingCancellation>> {
+    return this.request<BookingCancellation>(`/bookings/${bookingId}`, {
+      method: 'DELETE',
+      body: JSON.stringify({ reason }),
     });
   }
 
@@ -274,7 +730,175 @@ class ApiService {
     return this.request('/bookings/statistics');
   }
 
-  // Payment endpoints
+  // Quote request endpoints
+  async getQuoteRequests(
+    page: number = 1,
+    limit: number = 20,
+    status?: QuoteRequest['status']
+  ): Promise<ApiResponse<PaginatedResponse<QuoteRequest>>> {
+    const params = new URLSearchParams();
+    params.append('page', page.toString());
+    params.append('limit', limit.toString());
+    if (status) params.append('status', status);
+
+    return this.requestPage<QuoteRequest>(`/quote-requests?${params.toString()}`);
+  }
+
+  // Includes every proposal revision, oldest first
+  async getQuoteRequestById(quoteRequestId: string): Promise<ApiResponse<QuoteRequest>> {
+    return this.request<QuoteRequest>(`/quote-requests/${quoteRequestId}`);
+  }
+
+  async createQuoteRequest(data: QuoteRequestForm): Promise<ApiResponse<QuoteRequest>> {
+    return this.request<QuoteRequest>('/quote-requests', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async cancelQuoteRequest(quoteRequestId: string, reason?: string): Promise<ApiResponse<QuoteRequest>> {
+    return this.request<QuoteRequest>(`/quote-requests/${quoteRequestId}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  async declineQuoteRequest(quoteRequestId: string, reason?: string): Promise<ApiResponse<QuoteRequest>> {
+    return this.request<QuoteRequest>(`/quote-requests/${quoteRequestId}/decline`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  async sendProposal(quoteRequestId: string, data: ProposalForm): Promise<ApiResponse<QuoteProposal>> {
+    return this.request<QuoteProposal>(`/quote-requests/${quoteRequestId}/proposals`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  // Creates the booking; confirm the payment with clientSecret unless a payment method is given
+  async acceptProposal(
+    quoteRequestId: string,
+    proposalId: string,
+    paymentMethodId?: string
+  ): Promise<ApiResponse<ProposalAcceptance>> {
+    return this.request<ProposalAcceptance>(`/quote-requests/${quoteRequestId}/proposals/${proposalId}/accept`, {
+      method: 'POST',
+      body: JSON.stringify({ paymentMethodId }),
+    });
+  }
+
+  async declineProposal(quoteRequestId: string, proposalId: string, reason?: string): Promise<ApiResponse<QuoteProposal>> {
+    return this.request<QuoteProposal>(`/quote-requests/${quoteRequestId}/proposals/${proposalId}/decline`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  // Conversation endpoints
+  async getConversations(
+    page: number = 1,
+    limit: number = 20
+  ): Promise<ApiResponse<PaginatedResponse<Conversation>>> {
+    const params = new URLSearchParams();
+    params.append('page', page.toString());
+    params.append('limit', limit.toString());
+
+    return this.requestPage<Conversation>(`/conversations?${params.toString()}`);
+  }
+
+  async getUnreadMessageCount(): Promise<ApiResponse<{ unread: number; conversations: number }>> {
+    return this.request('/conversations/unread-count');
+  }
+
+  // Reuses the existing thread with the vendor (or for the booking) if there is one
+  async startConversation(data: ConversationForm, attachments: AttachmentUpload[] = []): Promise<ApiResponse<Conversation>> {
+    return this.request<Conversation>('/conversations', {
+      method: 'POST',
+      body: this.messageBody(data, attachments),
+    });
+  }
+
+  async getConversationById(conversationId: string): Promise<ApiResponse<Conversation>> {
+    return this.request<Conversation>(`/conversations/${conversationId}`);
+  }
+
+  // Newest first. Pass `since` (the newest created_at already shown) to poll for new messages
+  async getMessages(
+    conversationId: string,
+    page: number = 1,
+    limit: number = 50,
+    since?: string
+  ): Promise<ApiResponse<PaginatedResponse<Message>>> {
+    const params = new URLSearchParams();
+    params.append('page', page.toString());
+    params.append('limit', limit.toString());
+    if (since) params.append('since', since);
+
+    return this.requestPage<Message>(`/conversations/${conversationId}/messages?${params.toString()}`);
+  }
+
+  async sendMessage(conversationId: string, body?: string, attachments: AttachmentUpload[] = []): Promise<ApiResponse<Message>> {
+    return this.request<Message>(`/conversations/${conversationId}/messages`, {
+      method: 'POST',
+      body: this.messageBody({ body }, attachments),
+    });
+  }
+
+  async markConversationRead(conversationId: string): Promise<ApiResponse<{ lastReadAt: string }>> {
+    return this.request(`/conversations/${conversationId}/read`, {
+      method: 'POST',
+    });
+  }
+
+  // Attachments are downloaded with the Authorization header
+  getMessageAttachmentUrl(conversationId: string, attachmentId: string): string {
+    return `${API_BASE_URL}/conversations/${conversationId}/attachments/${attachmentId}`;
+  }
+
+  async reportConversation(conversationId: string, reason: string): Promise<ApiResponse<Conversation>> {
+    return this.request<Conversation>(`/conversations/${conversationId}/flag`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  async getFlaggedConversations(
+    page: number = 1,
+    limit: number = 20
+  ): Promise<ApiResponse<PaginatedResponse<Conversation>>> {
+    const params = new URLSearchParams();
+    params.append('page', page.toString());
+    params.append('limit', limit.toString());
+
+    return this.requestPage<Conversation>(`/conversations/flagged?${params.toString()}`);
+  }
+
+  async resolveConversationReport(conversationId: string): Promise<ApiResponse<Conversation>> {
+    return this.request<Conversation>(`/conversations/${conversationId}/flag`, {
+      method: 'DELETE',
+    });
+  }
+
+  // JSON for text-only messages, multipart when there are files
+  private messageBody(fields: ConversationForm, attachments: AttachmentUpload[]): string | FormData {
+    if (attachments.length === 0) {
+      return JSON.stringify(fields);
+    }
+    return this.multipartBody({ ...fields }, 'attachments', attachments);
+  }
+
+  private multipartBody(fields: Record<string, string | undefined>, fileField: string, files: AttachmentUpload[]): FormData {
+    const form = new FormData();
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined) form.append(key, value);
+    });
+    // React Native's FormData takes { uri, name, type } for files
+    files.forEach(file => form.append(fileField, file as unknown as Blob));
+    return form;
+  }
+
   async getPayments(
     page: number = 1,
     limit: number = 20
@@ -283,29 +907,54 @@ class ApiService {
     params.append('page', page.toString());
     params.append('limit', limit.toString());
 
-    return this.request<PaginatedResponse<Payment>>(`/payments?${params.toString()}`);
+    return this.requestPage<Payment>(`/payments?${params.toString()}`);
   }
 
   async getPaymentById(paymentId: string): Promise<ApiResponse<Payment>> {
     return this.request<Payment>(`/payments/${paymentId}`);
   }
 
-  async createPaymentIntent(bookingId: string, amount: number): Promise<ApiResponse<{
+  // paymentMethodId may be one of the customer's saved cards
+  async createPaymentIntent(bookingId: string, amount: number, paymentMethodId?: string): Promise<ApiResponse<{
     client_secret: string;
     payment_intent_id: string;
   }>> {
     return this.request('/payments/create-intent', {
       method: 'POST',
-      body: JSON.stringify({ booking_id: bookingId, amount }),
+      body: JSON.stringify({ booking_id: bookingId, amount, payment_method_id: paymentMethodId }),
+    });
+  }
+
+  // Saved cards, default first
+  async getPaymentMethods(): Promise<ApiResponse<SavedPaymentMethod[]>> {
+    return this.request<SavedPaymentMethod[]>('/payments/payment-methods');
+  }
+
+  async createSetupIntent(): Promise<ApiResponse<SetupIntentResult>> {
+    return this.request<SetupIntentResult>('/payments/payment-methods/setup-intent', {
+      method: 'POST',
+    });
+  }
+
+  async setDefaultPaymentMethod(paymentMethodId: string): Promise<ApiResponse<SavedPaymentMethod[]>> {
+    return this.request<SavedPaymentMethod[]>(`/payments/payment-methods/${paymentMethodId}/default`, {
+      method: 'PUT',
     });
   }
 
+  async deletePaymentMethod(paymentMethodId: string): Promise<ApiResponse<null>> {
+    return this.request<null>(`/payments/payment-methods/${paymentMethodId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Without an amount the rest of the payment is refunded
   async processRefund(
     paymentId: string,
-    amount: number,
-    reason: string
-  ): Promise<ApiResponse<Payment>> {
-    return this.request<Payment>(`/payments/${paymentId}/refund`, {
+    amount?: number,
+    reason?: string
+  ): Promise<ApiResponse<RefundResult>> {
+    return this.request<RefundResult>(`/payments/${paymentId}/refund`, {
       method: 'POST',
       body: JSON.stringify({ amount, reason }),
     });
@@ -321,13 +970,43 @@ class ApiService {
     return this.request('/payments/statistics');
   }
 
+  // Your organisation's payouts (staff see every vendor's)
+  async getPayoutHistory(
+    page: number = 1,
+    limit: number = 20,
+    status?: Payout['status']
+  ): Promise<ApiResponse<PaginatedResponse<Payout>>> {
+    const params = new URLSearchParams();
+    params.append('page', page.toString());
+    params.append('limit', limit.toString());
+    if (status) params.append('status', status);
+
+    return this.requestPage<Payout>(`/payments/payouts/history?${params.toString()}`);
+  }
+
+  // Staff only: stored Stripe webhook events, and replaying failed ones
+  async getPaymentEvents(
+    page: number = 1,
+    limit: number = 50,
+    status?: PaymentEvent['status']
+  ): Promise<ApiResponse<PaginatedResponse<PaymentEvent>>> {
+    const params = new URLSearchParams();
+    params.append('page', page.toString());
+    params.append('limit', limit.toString());
+    if (status) params.append('status', status);
+
+    return this.requestPage<PaymentEvent>(`/payments/webhook/events?${params.toString()}`);
+  }
+
+  async replayPaymentEvent(eventId: string): Promise<ApiResponse<PaymentEvent>> {
+    return this.request<PaymentEvent>(`/payments/webhook/events/${encodeURIComponent(eventId)}/replay`, {
+      method: 'POST',
+    });
+  }
+
   // Review endpoints
-  async createReview(data: {
-    vendor_id: string;
-    service_id: string;
-    rating: number;
-    comment: string;
-  }): Promise<ApiResponse<Review>> {
+  // Only completed bookings can be reviewed, once each
+  async createReview(data: ReviewForm): Promise<ApiResponse<Review>> {
     return this.request<Review>('/reviews', {
       method: 'POST',
       body: JSON.stringify(data),
@@ -336,6 +1015,20 @@ class ApiService {
 
   async getVendorReviews(
     vendorId: string,
+    page: number = 1,
+    limit: number = 20,
+    minRating?: number
+  ): Promise<ApiResponse<PaginatedResponse<Review>>> {
+    const params = new URLSearchParams();
+    params.append('page', page.toString());
+    params.append('limit', limit.toString());
+    if (minRating) params.append('minRating', minRating.toString());
+
+    return this.requestPage<Review>(`/vendors/${vendorId}/reviews?${params.toString()}`);
+  }
+
+  // Reviews you wrote, or your organisation received (including hidden ones)
+  async getMyReviews(
     page: number = 1,
     limit: number = 20
   ): Promise<ApiResponse<PaginatedResponse<Review>>> {
@@ -343,7 +1036,56 @@ class ApiService {
     params.append('page', page.toString());
     params.append('limit', limit.toString());
 
-    return this.request<PaginatedResponse<Review>>(`/vendors/${vendorId}/reviews?${params.toString()}`);
+    return this.requestPage<Review>(`/reviews?${params.toString()}`);
+  }
+
+  async deleteReview(reviewId: string): Promise<ApiResponse<null>> {
+    return this.request<null>(`/reviews/${reviewId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async replyToReview(reviewId: string, reply: string): Promise<ApiResponse<Review>> {
+    return this.request<Review>(`/reviews/${reviewId}/reply`, {
+      method: 'PUT',
+      body: JSON.stringify({ reply }),
+    });
+  }
+
+  async deleteReviewReply(reviewId: string): Promise<ApiResponse<Review>> {
+    return this.request<Review>(`/reviews/${reviewId}/reply`, {
+      method: 'DELETE',
+    });
+  }
+
+  async reportReview(reviewId: string, reason: string): Promise<ApiResponse<null>> {
+    return this.request<null>(`/reviews/${reviewId}/report`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  async getReportedReviews(
+    page: number = 1,
+    limit: number = 20
+  ): Promise<ApiResponse<PaginatedResponse<ReportedReview>>> {
+    const params = new URLSearchParams();
+    params.append('page', page.toString());
+    params.append('limit', limit.toString());
+
+    return this.requestPage<ReportedReview>(`/reviews/reported?${params.toString()}`);
+  }
+
+  // Resolves every open report on the review
+  async moderateReview(
+    reviewId: string,
+    action: ReviewModerationAction,
+    note?: string
+  ): Promise<ApiResponse<Review & { resolvedReports: number }>> {
+    return this.request(`/reviews/${reviewId}/moderation`, {
+      method: 'PATCH',
+      body: JSON.stringify({ action, note }),
+    });
   }
 }
 
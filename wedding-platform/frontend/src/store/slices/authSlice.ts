@@ -5,17 +5,22 @@ import apiService from '../../services/api';
 interface AuthState {
   user: User | null;
   token: string | null;
+  refreshToken: string | null;
   isAuthenticated: boolean;
   isLoading: boolean;
   error: string | null;
+  // Pending second login step (verify a code, or enroll for accounts that require 2FA)
+  twoFactorChallenge: { challengeToken: string; setupRequired: boolean } | null;
 }
 
 const initialState: AuthState = {
   user: null,
   token: null,
+  refreshToken: null,
   isAuthenticated: false,
   isLoading: false,
   error: null,
+  twoFactorChallenge: null,
 };
 
 // Async thunks
@@ -31,6 +36,37 @@ export const login = createAsyncThunk(
   }
 );
 
+export const verifyTwoFactor = createAsyncThunk(
+  'auth/verifyTwoFactor',
+  async (factor: { code?: string; recoveryCode?: string }, { getState, rejectWithValue }) => {
+    try {
+      const { auth } = getState() as { auth: AuthState };
+      if (!auth.twoFactorChallenge) {
+        return rejectWithValue('No pending sign-in');
+      }
+      const response = await apiService.verifyTwoFactor(auth.twoFactorChallenge.challengeToken, factor);
+      return response.data;
+    } catch (error: any) {
+      return rejectWithValue(error.message || 'Two-factor verification failed');
+    }
+  }
+);
+
+export const oauthLogin = createAsyncThunk(
+  'auth/oauthLogin',
+  async (
+    { provider, idToken }: { provider: 'google' | 'apple'; idToken: string },
+    { rejectWithValue }
+  ) => {
+    try {
+      const response = await apiService.oauthLogin(provider, idToken);
+      return response.data;
+    } catch (error: any) {
+      return rejectWithValue(error.message || 'Social sign-in failed');
+    }
+  }
+);
+
 export const register = createAsyncThunk(
   'auth/register',
   async (userData: RegisterForm, { rejectWithValue }) => {
@@ -45,9 +81,13 @@ export const register = createAsyncThunk(
 
 export const refreshToken = createAsyncThunk(
   'auth/refreshToken',
-  async (_, { rejectWithValue }) => {
+  async (_, { getState, rejectWithValue }) => {
     try {
-      const response = await apiService.refreshToken();
+      const { auth } = getState() as { auth: AuthState };
+      if (!auth.refreshToken) {
+        return rejectWithValue('No refresh token available');
+      }
+      const response = await apiService.refreshToken(auth.refreshToken);
       return response.data;
     } catch (error: any) {
       return rejectWithValue(error.message || 'Token refresh failed');
@@ -55,6 +95,22 @@ export const refreshToken = createAsyncThunk(
   }
 );
 
+export const logoutUser = createAsyncThunk(
+  'auth/logoutUser',
+  async ({ allDevices = false }: { allDevices?: boolean } = {}, { getState }) => {
+    const { auth } = getState() as { auth: AuthState };
+    try {
+      if (allDevices) {
+        await apiService.logoutAllDevices();
+      } else if (auth.refreshToken) {
+        await apiService.logout(auth.refreshToken);
+      }
+    } catch (error) {
+      // Clear the local session even if the server call fails
+    }
+  }
+);
+
 export const getProfile = createAsyncThunk(
   'auth/getProfile',
   async (_, { rejectWithValue }) => {
@@ -79,21 +135,36 @@ export const forgotPassword = createAsyncThunk(
   }
 );
 
+export const resetPassword = createAsyncThunk(
+  'auth/resetPassword',
+  async ({ token, password }: { token: string; password: string }, { rejectWithValue }) => {
+    try {
+      const response = await apiService.resetPassword(token, password);
+      return response.data;
+    } catch (error: any) {
+      return rejectWithValue(error.message || 'Password reset failed');
+    }
+  }
+);
+
 const authSlice = createSlice({
   name: 'auth',
   initialState,
   reducers: {
-    setCredentials: (state, action: PayloadAction<{ user: User; token: string }>) => {
+    setCredentials: (state, action: PayloadAction<{ user: User; token: string; refreshToken?: string }>) => {
       state.user = action.payload.user;
       state.token = action.payload.token;
+      state.refreshToken = action.payload.refreshToken ?? state.refreshToken;
       state.isAuthenticated = true;
       state.error = null;
     },
     logout: (state) => {
       state.user = null;
       state.token = null;
+      state.refreshToken = null;
       state.isAuthenticated = false;
       state.error = null;
+      state.twoFactorChallenge = null;
     },
     clearError: (state) => {
       state.error = null;
@@ -113,16 +184,72 @@ const authSlice = createSlice({
       })
       .addCase(login.fulfilled, (state, action) => {
         state.isLoading = false;
-        state.user = action.payload.user;
-        state.token = action.payload.token;
-        state.isAuthenticated = true;
         state.error = null;
+        if (action.payload?.challengeToken) {
+          state.twoFactorChallenge = {
+            challengeToken: action.payload.challengeToken,
+            setupRequired: !!action.payload.twoFactorSetupRequired,
+          };
+          return;
+        }
+        state.user = action.payload?.user ?? null;
+        state.token = action.payload?.token ?? null;
+        state.refreshToken = action.payload?.refreshToken ?? null;
+        state.isAuthenticated = true;
+        state.twoFactorChallenge = null;
       })
       .addCase(login.rejected, (state, action) => {
         state.isLoading = false;
         state.error = action.payload as string;
       });
 
+    // Two-factor verification
+    builder
+      .addCase(verifyTwoFactor.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(verifyTwoFactor.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.user = action.payload?.user ?? null;
+        state.token = action.payload?.token ?? null;
+        state.refreshToken = action.payload?.refreshToken ?? null;
+        state.isAuthenticated = !!action.payload?.token;
+        state.twoFactorChallenge = null;
+        state.error = null;
+      })
+      .addCase(verifyTwoFactor.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      });
+
+    // Social Sign-in
+    builder
+      .addCase(oauthLogin.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(oauthLogin.fulfilled, (state, action) => {
+        state.isLoading = false;
+        if (action.payload?.challengeToken) {
+          state.twoFactorChallenge = {
+            challengeToken: action.payload.challengeToken,
+            setupRequired: !!action.payload.twoFactorSetupRequired,
+          };
+          state.error = null;
+          return;
+        }
+        state.user = action.payload?.user ?? null;
+        state.token = action.payload?.token ?? null;
+        state.refreshToken = action.payload?.refreshToken ?? null;
+        state.isAuthenticated = !!action.payload?.token;
+        state.error = null;
+      })
+      .addCase(oauthLogin.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      });
+
     // Register
     builder
       .addCase(register.pending, (state) => {
@@ -149,6 +276,7 @@ const authSlice = createSlice({
       .addCase(refreshToken.fulfilled, (state, action) => {
         state.isLoading = false;
         state.token = action.payload.token;
+        state.refreshToken = action.payload?.refreshToken ?? null;
         state.error = null;
       })
       .addCase(refreshToken.rejected, (state, action) => {
@@ -157,9 +285,21 @@ const authSlice = createSlice({
         // Token refresh failed, user should re-login
         state.user = null;
         state.token = null;
+        state.refreshToken = null;
         state.isAuthenticated = false;
       });
 
+    // Logout
+    builder
+      .addCase(logoutUser.fulfilled, (state) => {
+        state.user = null;
+        state.token = null;
+        state.refreshToken = null;
+        state.isAuthenticated = false;
+        state.error = null;
+        state.twoFactorChallenge = null;
+      });
+
     // Get Profile
     builder
       .addCase(getProfile.pending, (state) => {
@@ -191,6 +331,21 @@ const authSlice = createSlice({
         state.isLoading = false;
         state.error = action.payload as string;
       });
+
+    // Reset Password
+    builder
+      .addCase(resetPassword.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(resetPassword.fulfilled, (state) => {
+        state.isLoading = false;
+        state.error = null;
+      })
+      .addCase(resetPassword.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      });
   },
 });
 
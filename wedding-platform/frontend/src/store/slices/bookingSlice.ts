@@ -74,7 +74,7 @@ export const createBooking = createAsyncThunk(
       start_time: string;
       end_time: string;
       special_requests?: string;
-      total_amount: number;
+      addons?: string[];
     },
     { rejectWithValue }
   ) => {
@@ -90,11 +90,11 @@ export const createBooking = createAsyncThunk(
 export const updateBookingStatus = createAsyncThunk(
   'booking/updateBookingStatus',
   async (
-    data: { bookingId: string; status: Booking['status'] },
+    data: { bookingId: string; status: Booking['status']; reason?: string },
     { rejectWithValue }
   ) => {
     try {
-      const response = await apiService.updateBookingStatus(data.bookingId, data.status);
+      const response = await apiService.updateBookingStatus(data.bookingId, data.status, data.reason);
       return response.data;
     } catch (error: any) {
       return rejectWithValue(error.message || 'Failed to update booking status');
@@ -112,6 +112,7 @@ export const updateBooking = createAsyncThunk(
         start_time: string;
         end_time: string;
         special_requests: string;
+        addons: string[];
       }>;
     },
     { rejectWithValue }
@@ -130,7 +131,7 @@ export const cancelBooking = createAsyncThunk(
   async (bookingId: string, { rejectWithValue }) => {
     try {
       const response = await apiService.cancelBooking(bookingId);
-      return { bookingId, message: response.data.message };
+      return { bookingId, message: response.message };
     } catch (error: any) {
       return rejectWithValue(error.message || 'Failed to cancel booking');
     }
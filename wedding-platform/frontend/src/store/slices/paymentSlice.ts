@@ -82,7 +82,7 @@ export const createPaymentIntent = createAsyncThunk(
 export const processRefund = createAsyncThunk(
   'payment/processRefund',
   async (
-    data: { paymentId: string; amount: number; reason: string },
+    data: { paymentId: string; amount?: number; reason?: string },
     { rejectWithValue }
   ) => {
     try {
@@ -177,12 +177,14 @@ const paymentSlice = createSlice({
       })
       .addCase(processRefund.fulfilled, (state, action) => {
         state.isLoading = false;
-        const index = state.payments.findIndex(p => p.id === action.payload.id);
-        if (index !== -1) {
-          state.payments[index] = action.payload;
+        const { paymentId } = action.meta.arg;
+        const paymentStatus = action.payload?.payment_status;
+        const index = state.payments.findIndex(p => p.id === paymentId);
+        if (index !== -1 && paymentStatus) {
+          state.payments[index].status = paymentStatus;
         }
-        if (state.selectedPayment?.id === action.payload.id) {
-          state.selectedPayment = action.payload;
+        if (state.selectedPayment?.id === paymentId && paymentStatus) {
+          state.selectedPayment.status = paymentStatus;
         }
         state.error = null;
       })
@@ -116,7 +116,7 @@ export const deleteService = createAsyncThunk(
   async (serviceId: string, { rejectWithValue }) => {
     try {
       const response = await apiService.deleteService(serviceId);
-      return { serviceId, message: response.data.message };
+      return { serviceId, message: response.message };
     } catch (error: any) {
       return rejectWithValue(error.message || 'Failed to delete service');
     }
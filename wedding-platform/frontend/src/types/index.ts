@@ -4,11 +4,16 @@ export interface User {
   email: string;
   first_name: string;
   last_name: string;
-  user_type: 'customer' | 'vendor' | 'admin';
+  user_type: 'customer' | 'vendor' | 'support' | 'admin';
   phone?: string;
   avatar_url?: string;
   is_active: boolean;
   email_verified: boolean;
+  // Effective permissions, returned by GET /users/profile/me
+  permissions?: string[];
+  // Vendor organisation membership, also returned by GET /users/profile/me
+  vendorId?: string | null;
+  vendorRole?: VendorRole | null;
   created_at: string;
   updated_at: string;
 }
@@ -34,12 +39,36 @@ export interface VendorProfile extends User {
   phone?: string;
   review_count: number;
   average_rating: number;
+  // Bayesian-weighted rating used to rank search results
+  rating_score?: number;
   is_verified: boolean;
   services: Service[];
 }
 
+// Vendor organisation team
+export type VendorRole = 'owner' | 'manager' | 'staff';
+
+export interface VendorMember {
+  id: string;
+  email: string;
+  first_name: string;
+  last_name: string;
+  is_active: boolean;
+  role: VendorRole;
+  joined_at: string;
+}
+
+export interface VendorInvitation {
+  id: string;
+  email: string;
+  role: Exclude<VendorRole, 'owner'>;
+  expires_at: string;
+  created_at: string;
+}
+
+// Staff accounts: admins hold every permission, support staff what they've been granted
 export interface AdminProfile extends User {
-  user_type: 'admin';
+  user_type: 'admin' | 'support';
   permissions: string[];
 }
 
@@ -57,21 +86,101 @@ export interface Service {
   faq?: string;
   rating: number;
   review_count: number;
+  // Bayesian-weighted rating used to rank search results
+  rating_score?: number;
   is_active: boolean;
   created_at: string;
   updated_at: string;
   media: ServiceMedia[];
   availability: Availability[];
+  addons?: ServiceAddon[];
+  deposit_type?: PaymentTerms['deposit_type'];
+  deposit_value?: number | null;
+  balance_due_days?: number;
+  balance_instalments?: number;
+  cancellation_policy?: CancellationPolicyName;
+  cancellation_tiers?: CancellationTier[] | null;
+}
+
+// Cancelling at least `days` before the event refunds `percent` of what was paid
+export interface CancellationTier {
+  days: number;
+  percent: number;
+}
+
+export type CancellationPolicyName = 'flexible' | 'moderate' | 'strict' | 'custom';
+
+// How a service's bookings are paid: a deposit up front, then the balance in
+// monthly instalments, the last due balance_due_days before the event
+export interface PaymentTerms {
+  deposit_type: 'none' | 'percentage' | 'fixed';
+  deposit_value?: number | null;
+  balance_due_days: number;
+  balance_instalments: number;
+}
+
+export interface ServiceAddon {
+  id: string;
+  name: string;
+  description?: string;
+  price: number;
+}
+
+// Server-calculated price of a booking (GET /services/:id/quote)
+export interface PriceQuote {
+  currency: string;
+  pricingType: 'hourly' | 'daily' | 'fixed';
+  hours: number;
+  units: number;
+  unitPrice: number;
+  base: number;
+  priceModifier: number;
+  modifierAdjustment: number;
+  addons: Array<Pick<ServiceAddon, 'id' | 'name' | 'price'>>;
+  subtotal: number;
+  taxRate: number;
+  tax: number;
+  total: number;
+}
+
+export interface ServiceQuote extends PriceQuote {
+  serviceId: string;
+  date: string | null;
+  startTime: string | null;
+  endTime: string | null;
+  // null when no date and time were given
+  available: boolean | null;
+}
+
+export interface MediaVariant {
+  key: string;
+  url: string;
+  width: number;
+  height: number;
 }
 
 export interface ServiceMedia {
   id: string;
   service_id: string;
-  media_type: 'image' | 'video';
+  media_type: 'photo' | 'video';
   url: string;
+  // Photos only; videos have no variants
+  variants: Partial<Record<'thumbnail' | 'medium' | 'large', MediaVariant>>;
   caption?: string;
-  is_active: boolean;
+  alt_text?: string;
+  sort_order: number;
+  width?: number;
+  height?: number;
+  content_type?: string;
+  size_bytes?: number;
   created_at: string;
+  updated_at?: string;
+}
+
+// An empty string clears the field
+export interface ServiceMediaForm {
+  caption?: string;
+  altText?: string;
 }
 
 export interface Availability {
@@ -81,10 +190,74 @@ export interface Availability {
   start_time: string;
   end_time: string;
   is_available: boolean;
+  price_modifier: number;
+  // Set when the slot was generated from a weekly rule
+  rule_id?: string | null;
+  created_at: string;
+}
+
+export interface AvailabilitySlotForm {
+  date: string;
+  startTime: string;
+  endTime: string;
+  priceModifier?: number;
+  isAvailable?: boolean;
+}
+
+// Weekly rule expanded into slots, e.g. Saturdays 10:00-23:00 from May to September
+export interface AvailabilityRule {
+  id: string;
+  service_id: string;
+  // 0 (Sunday) to 6 (Saturday)
+  days_of_week: number[];
+  start_time: string;
+  end_time: string;
+  starts_on: string;
+  ends_on: string;
+  price_modifier: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface AvailabilityRuleForm {
+  daysOfWeek: number[];
+  startTime: string;
+  endTime: string;
+  startsOn: string;
+  endsOn: string;
+  priceModifier?: number;
+}
+
+// External calendar whose events close overlapping availability
+export interface CalendarSource {
+  id: string;
+  name: string;
+  source_type: 'file' | 'url';
+  url?: string | null;
+  event_count: number;
+  last_synced_at?: string | null;
+  last_error?: string | null;
+  created_at: string;
+}
+
+export interface CalendarImportResult {
+  sourceId: string;
+  events: number;
+  eventsRemoved: number;
+  slotsReleased: number;
+  slotsBlocked: number;
+}
+
+export interface AvailabilityBlackout {
+  id: string;
+  blackout_date: string;
+  reason?: string | null;
   created_at: string;
 }
 
 // Booking Types
+export type BookingStatus = 'pending' | 'confirmed' | 'in_progress' | 'completed' | 'cancelled' | 'rejected';
+
 export interface Booking {
   id: string;
   customer_id: string;
@@ -93,9 +266,12 @@ export interface Booking {
   booking_date: string;
   start_time: string;
   end_time: string;
-  status: 'pending' | 'confirmed' | 'completed' | 'cancelled' | 'rejected';
+  status: BookingStatus;
   total_amount: number;
+  price_breakdown?: PriceQuote;
   special_requests?: string;
+  // Status of the latest chargeback against one of its payments; set means flagged
+  dispute_status?: DisputeStatus | null;
   created_at: string;
   updated_at: string;
   service?: Service;
@@ -103,20 +279,223 @@ export interface Booking {
   customer?: CustomerProfile;
 }
 
+// Stripe's dispute statuses
+export type DisputeStatus =
+  | 'warning_needs_response'
+  | 'warning_under_review'
+  | 'warning_closed'
+  | 'needs_response'
+  | 'under_review'
+  | 'won'
+  | 'lost';
+
+export interface BookingStatusChange {
+  id: string;
+  from_status: BookingStatus | null;
+  to_status: BookingStatus;
+  actor_role: 'customer' | 'vendor' | 'staff' | 'system';
+  actor_id: string | null;
+  actor_first_name: string | null;
+  actor_last_name: string | null;
+  reason: string | null;
+  created_at: string;
+}
+
+// Quote request Types
+export type QuoteRequestStatus = 'open' | 'proposed' | 'accepted' | 'declined' | 'cancelled';
+
+export interface ProposalLineItem {
+  description: string;
+  quantity: number;
+  unitPrice: number;
+  amount: number;
+}
+
+export interface QuoteProposal {
+  id: string;
+  quote_request_id: string;
+  revision: number;
+  event_date: string;
+  start_time: string;
+  end_time: string;
+  line_items: ProposalLineItem[];
+  subtotal: number;
+  tax: number;
+  total_amount: number;
+  message?: string | null;
+  // 'expired' once an active proposal passes expires_at
+  status: 'active' | 'superseded' | 'accepted' | 'declined' | 'withdrawn' | 'expired';
+  expires_at: string;
+  responded_at?: string | null;
+  decline_reason?: string | null;
+  created_at: string;
+}
+
+export interface QuoteRequest {
+  id: string;
+  customer_id: string;
+  vendor_id: string;
+  service_id: string;
+  event_date: string;
+  start_time: string;
+  end_time: string;
+  guest_count?: number | null;
+  venue?: string | null;
+  budget?: number | null;
+  message: string;
+  status: QuoteRequestStatus;
+  closed_reason?: string | null;
+  booking_id?: string | null;
+  service_name?: string;
+  vendor_name?: string;
+  latest_revision?: number | null;
+  latest_total?: number | null;
+  latest_expires_at?: string | null;
+  proposals?: QuoteProposal[];
+  created_at: string;
+  updated_at: string;
+}
+
+export interface QuoteRequestForm {
+  serviceId: string;
+  eventDate: string;
+  startTime: string;
+  endTime: string;
+  guestCount?: number;
+  venue?: string;
+  budget?: number;
+  message: string;
+}
+
+export interface ProposalForm {
+  lineItems: { description: string; quantity?: number; unitPrice: number }[];
+  eventDate?: string;
+  startTime?: string;
+  endTime?: string;
+  message?: string;
+  validForDays?: number;
+}
+
+export interface ProposalAcceptance {
+  booking: Booking;
+  payment: Payment;
+  clientSecret: string | null;
+  paymentStatus: string;
+}
+
+// Messaging Types
+export interface MessageAttachment {
+  id: string;
+  file_name: string;
+  content_type: string;
+  size_bytes: number;
+}
+
+export interface Message {
+  id: string;
+  conversation_id: string;
+  sender_id: string;
+  body?: string | null;
+  sender_first_name?: string;
+  sender_last_name?: string;
+  // Whether the other side has read up to this message
+  is_read: boolean;
+  attachments: MessageAttachment[];
+  created_at: string;
+}
+
+// When each side last read the conversation
+export interface ReadReceipts {
+  customer: string | null;
+  vendor: string | null;
+}
+
+export interface Conversation {
+  id: string;
+  customer_id: string;
+  vendor_id: string;
+  booking_id?: string | null;
+  subject?: string | null;
+  vendor_name?: string;
+  customer_first_name?: string;
+  customer_last_name?: string;
+  last_message?: string | null;
+  last_message_sender_id?: string | null;
+  last_message_at?: string | null;
+  unread_count?: number;
+  flagged_at?: string | null;
+  flag_reason?: string | null;
+  readReceipts?: ReadReceipts;
+  message?: Message;
+  created_at: string;
+  updated_at: string;
+}
+
+// Customers give a vendorId or one of their bookings; vendors always give a bookingId
+export interface ConversationForm {
+  vendorId?: string;
+  bookingId?: string;
+  subject?: string;
+  body?: string;
+}
+
+// A local file picked for upload
+export interface AttachmentUpload {
+  uri: string;
+  name: string;
+  type: string;
+}
+
 // Review Types
 export interface Review {
   id: string;
-  customer_id: string;
+  // booking_id, customer_id and is_active are only returned on your own reviews
+  booking_id?: string;
+  customer_id?: string;
   vendor_id: string;
   service_id: string;
+  service_name?: string;
   rating: number;
-  comment: string;
-  is_active: boolean;
+  title?: string | null;
+  comment?: string | null;
+  // Written for a completed booking
+  is_verified: boolean;
+  is_active?: boolean;
+  first_name?: string;
+  last_name?: string;
+  vendor_reply?: string | null;
+  vendor_replied_at?: string | null;
   created_at: string;
   updated_at: string;
   customer?: CustomerProfile;
 }
 
+export interface ReviewForm {
+  bookingId: string;
+  rating: number;
+  title?: string;
+  comment?: string;
+}
+
+export interface ReviewReport {
+  reporter_id: string;
+  reason: string;
+  created_at: string;
+}
+
+// A review in the moderation queue with its open reports
+export interface ReportedReview extends Review {
+  customer_email?: string;
+  vendor_name?: string;
+  report_count: number;
+  first_reported_at: string;
+  reports: ReviewReport[];
+  moderated_at?: string | null;
+  moderation_note?: string | null;
+}
+
+export type ReviewModerationAction = 'hide' | 'restore' | 'dismiss';
+
 // Payment Types
 export interface Payment {
   id: string;
@@ -125,13 +504,139 @@ export interface Payment {
   booking_id: string;
   amount: number;
   currency: string;
-  status: 'pending' | 'completed' | 'failed' | 'refunded';
+  status: 'scheduled' | 'pending' | 'completed' | 'failed' | 'overdue' | 'cancelled' | 'partially_refunded' | 'refunded';
+  sequence: number;
+  kind: 'full' | 'deposit' | 'instalment' | 'balance';
+  due_date: string | null;
+  // Only in a booking's balance schedule
+  amount_refunded?: number;
   payment_method: string;
   stripe_payment_intent_id?: string;
   created_at: string;
   updated_at: string;
 }
 
+// What has been paid on a booking and what is still owed (GET /bookings/:id/balance)
+export interface BookingBalance {
+  booking_id: string;
+  status: Booking['status'];
+  total_amount: number;
+  amount_paid: number;
+  amount_refunded: number;
+  balance_due: number;
+  overdue_amount: number;
+  next_due: (Pick<Payment, 'id' | 'sequence' | 'kind' | 'amount'> & { due_date: string }) | null;
+  schedule: Payment[];
+}
+
+export interface Refund {
+  id: string;
+  payment_id: string;
+  amount: number;
+  status: 'pending' | 'succeeded' | 'failed' | 'cancelled';
+}
+
+// POST /payments/:id/refund
+export interface RefundResult {
+  refund_id: string | null;
+  amount: number;
+  status: Refund['status'];
+  payment_status: Payment['status'];
+}
+
+// What cancelling a booking now would refund (GET /bookings/:id/cancellation)
+export interface CancellationQuote {
+  booking_id: string;
+  status: Booking['status'];
+  policy: CancellationPolicyName;
+  tiers: CancellationTier[];
+  days_before_event: number;
+  refund_percent: number;
+  amount_paid: number;
+  non_refundable: number;
+  amount_refunded: number;
+  refund_amount: number;
+}
+
+// DELETE /bookings/:id
+export interface BookingCancellation {
+  refund_percent: number;
+  refund_amount: number;
+  refunds: Refund[];
+}
+
+// A stored Stripe webhook event (GET /payments/webhook/events); failed ones can be replayed
+export interface PaymentEvent {
+  id: string;
+  type: string;
+  object_id: string | null;
+  stripe_created_at: string;
+  status: 'received' | 'processing' | 'processed' | 'failed' | 'ignored' | 'stale';
+  attempts: number;
+  last_error: string | null;
+  processed_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+// Staff-set vendor tier; partner and premier vendors pay a lower commission
+export type VendorCommissionTier = 'standard' | 'partner' | 'premier';
+
+// The vendor organisation's Stripe Connect account (GET /vendors/payouts/account)
+export interface PayoutAccount {
+  stripe_account_id: string | null;
+  stripe_details_submitted: boolean;
+  stripe_transfers_enabled: boolean;
+  stripe_payouts_enabled: boolean;
+  stripe_requirements_due: string[];
+  stripe_account_synced_at: string | null;
+  commission_tier: VendorCommissionTier;
+  onboarded: boolean;
+}
+
+// What a completed booking paid its vendor, after the platform's commission
+export interface Payout {
+  id: string;
+  booking_id: string;
+  vendor_id: string;
+  currency: string;
+  gross_amount: number;
+  commission_percent: number;
+  commission_amount: number;
+  amount: number;
+  status: 'pending' | 'paid' | 'failed' | 'cancelled';
+  stripe_transfer_id?: string;
+  // Taken back from the transfer after later refunds or a lost dispute
+  reversed_amount: number;
+  failure_reason?: string;
+  paid_at?: string;
+  booking_date: string;
+  service_name: string;
+  service_category: string;
+  vendor_name?: string;
+  created_at: string;
+}
+
+// A card saved on the customer's Stripe customer
+export interface SavedPaymentMethod {
+  id: string;
+  type: string;
+  brand: string | null;
+  last4: string | null;
+  exp_month: number | null;
+  exp_year: number | null;
+  is_default: boolean;
+  created: number;
+}
+
+// Confirm with Stripe's SDK to save a card
+export interface SetupIntentResult {
+  setupIntentId: string;
+  clientSecret: string;
+  customerId: string;
+  publishableKey?: string;
+}
+
 // Search and Filter Types
 export interface SearchFilters {
   category?: string;
@@ -144,13 +649,17 @@ export interface SearchFilters {
 }
 
 export interface SearchSort {
-  field: 'price' | 'rating' | 'review_count' | 'created_at';
+  // 'rating' ranks by Bayesian score, 'average_rating' by the plain mean
+  field: 'price' | 'rating' | 'average_rating' | 'review_count' | 'created_at';
   direction: 'asc' | 'desc';
 }
 
 // Navigation Types
 export type RootStackParamList = {
   Auth: undefined;
+  Register: undefined;
+  ForgotPassword: undefined;
+  ResetPassword: { token?: string } | undefined;
   Main: undefined;
   VendorDetails: { vendorId: string };
   ServiceDetails: { serviceId: string };
@@ -168,21 +677,34 @@ export type MainTabParamList = {
 };
 
 // API Response Types
+// Every API response uses this envelope; errors carry a stable machine-readable code
 export interface ApiResponse<T> {
   success: boolean;
   data?: T;
   message?: string;
-  error?: string;
+  pagination?: Pagination;
+  error?: ApiErrorBody;
+}
+
+export interface ApiErrorBody {
+  code: string;
+  details?: unknown;
+}
+
+export interface Pagination {
+  // The app pages by number; the API sends null here for ?cursor= requests
+  page: number;
+  limit: number;
+  total: number;
+  total_pages: number;
+  // Opaque cursors for keyset paging (pass back as ?cursor=)
+  next?: string | null;
+  prev?: string | null;
 }
 
 export interface PaginatedResponse<T> {
   data: T[];
-  pagination: {
-    page: number;
-    limit: number;
-    total: number;
-    total_pages: number;
-  };
+  pagination: Pagination;
 }
 
 // Form Types
@@ -191,6 +713,16 @@ export interface LoginForm {
   password: string;
 }
 
+// /auth/login returns either a session or a two-factor challenge
+export interface LoginResult {
+  user?: User;
+  token?: string;
+  refreshToken?: string;
+  twoFactorRequired?: boolean;
+  twoFactorSetupRequired?: boolean;
+  challengeToken?: string;
+}
+
 export interface RegisterForm {
   email: string;
   password: string;